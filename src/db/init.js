@@ -1,13 +1,15 @@
 /**
  * Database initialisation script.
- * Run once:  npm run db:init
+ * Run once, and again after every upgrade:  npm run db:init
  *
- * Creates the database and all tables from schema.sql.
+ * Creates the database and all tables from schema.sql, then migrates
+ * tables an earlier version created (see migrations.js).
  */
 require('dotenv').config();
 const mysql = require('mysql2/promise');
 const fs = require('fs');
 const path = require('path');
+const { migrate } = require('./migrations');
 
 (async () => {
     /* Connect WITHOUT selecting a database so we can CREATE DATABASE */
@@ -27,6 +29,10 @@ const path = require('path');
     await conn.query(sql);
     console.log('✔  Database and tables created successfully.');
 
+    console.log('Migrating existing tables …');
+    const applied = await migrate(conn);
+    console.log(applied > 0 ? `✔  ${applied} migration step(s) applied.` : '✔  Schema already up to date.');
+
     await conn.end();
     process.exit(0);
 })().catch((err) => {
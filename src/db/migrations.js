@@ -0,0 +1,226 @@
+/**
+ * Schema migrations for databases created by an earlier version.
+ *
+ * schema.sql only creates the tables that are missing (CREATE TABLE IF NOT
+ * EXISTS), so columns, indexes and enum values added to existing tables are
+ * brought in here, in the order they were introduced. Every step checks
+ * information_schema first, and backfills only touch rows that still need
+ * it, so running the list again – or right after schema.sql created a fresh
+ * database – changes nothing.
+ *
+ * Run by `npm run db:init` after schema.sql.
+ */
+
+/* ===========================  INSPECTION  =========================== */
+
+async function columnType(conn, table, column) {
+    const [rows] = await conn.query(
+        `SELECT COLUMN_TYPE FROM information_schema.COLUMNS
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+        [table, column]
+    );
+    return rows.length > 0 ? rows[0].COLUMN_TYPE : null;
+}
+
+async function indexColumns(conn, table, index) {
+    const [rows] = await conn.query(
+        `SELECT COLUMN_NAME FROM information_schema.STATISTICS
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ?
+         ORDER BY SEQ_IN_INDEX`,
+        [table, index]
+    );
+    return rows.map((r) => r.COLUMN_NAME);
+}
+
+/* ===========================  STEPS  =========================== */
+
+/**
+ * Add a column. `definition` is everything after the column name, e.g.
+ * "INT NULL AFTER symbol".
+ */
+function addColumn(table, column, definition) {
+    return {
+        description: `add ${table}.${column}`,
+        async apply(conn) {
+            if (await columnType(conn, table, column)) return false;
+            await conn.query(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+            return true;
+        },
+    };
+}
+
+/**
+ * Create an index, or re-create it when it covers other columns.
+ * `definition` is the full clause, e.g. "UNIQUE KEY uq_x (a, b)".
+ */
+function addIndex(table, index, columns, definition) {
+    return {
+        description: `index ${table}.${index}`,
+        async apply(conn) {
+            const existing = await indexColumns(conn, table, index);
+            if (existing.join(',') === columns.join(',')) return false;
+            // One statement, so a foreign key relying on the old index always has one
+            const drop = existing.length > 0 ? `DROP INDEX ${index}, ` : '';
+            await conn.query(`ALTER TABLE ${table} ${drop}ADD ${definition}`);
+            return true;
+        },
+    };
+}
+
+/**
+ * Add values to an ENUM column. `definition` is the column's full new
+ * definition; it is applied when COLUMN_TYPE lacks any of `values`.
+ */
+function extendEnum(table, column, values, definition) {
+    return {
+        description: `extend ${table}.${column} with ${values.join(', ')}`,
+        async apply(conn) {
+            const type = await columnType(conn, table, column);
+            if (!type || values.every((v) => type.includes(`'${v}'`))) return false;
+            await conn.query(`ALTER TABLE ${table} MODIFY COLUMN ${column} ${definition}`);
+            return true;
+        },
+    };
+}
+
+/**
+ * Run an UPDATE for rows an earlier version left incomplete. The statement
+ * has to select only those rows, so that it is a no-op once done.
+ */
+function backfill(description, sql) {
+    return {
+        description,
+        async apply(conn) {
+            const [result] = await conn.query(sql);
+            return result.affectedRows > 0;
+        },
+    };
+}
+
+/**
+ * Mark a step whose change leaves the batch logs incomplete (new log
+ * columns filled with defaults): once it is applied, every batch log is
+ * rebuilt when the server starts.
+ */
+function rebuildsLogs(step) {
+    return { ...step, rebuild: true };
+}
+
+const MIGRATIONS = [
+    // Position sizing and leverage
+    addColumn('batches', 'sizing_mode', `ENUM('full_equity', 'fixed_fraction', 'fixed_notional', 'equal_weight', 'non_compounding')
+        NOT NULL DEFAULT 'full_equity' AFTER start_time`),
+    addColumn('batches', 'sizing_value', "DECIMAL(20, 4) NULL COMMENT '% of equity / notional / % of starting capital, per sizing_mode' AFTER sizing_mode"),
+    addColumn('batches', 'leverage', 'DECIMAL(10, 4) NOT NULL DEFAULT 1.0000 AFTER sizing_value'),
+    rebuildsLogs(addColumn('batch_trade_log', 'position_size', "DECIMAL(20, 2) NOT NULL COMMENT 'capital allocated to the trade (before leverage)' AFTER pnl_percent")),
+
+    // Concurrent positions sharing the batch capital
+    addColumn('batches', 'max_concurrent_positions', "INT NULL COMMENT 'NULL = unlimited' AFTER leverage"),
+    rebuildsLogs(addColumn('batch_trade_log', 'allocated_capital', "DECIMAL(20, 2) NOT NULL DEFAULT 0 COMMENT 'still tied up in other open positions' AFTER peak_capital")),
+    rebuildsLogs(addColumn('batch_trade_log', 'available_capital', "DECIMAL(20, 2) NOT NULL COMMENT 'capital_after - allocated_capital' AFTER allocated_capital")),
+
+    // Commissions, slippage and funding
+    addColumn('batches', 'commission_type', "ENUM('percent', 'fixed') NOT NULL DEFAULT 'percent' AFTER max_concurrent_positions"),
+    addColumn('batches', 'maker_fee', "DECIMAL(12, 6) NOT NULL DEFAULT 0 COMMENT '% of notional per fill, or amount per trade' AFTER commission_type"),
+    addColumn('batches', 'taker_fee', "DECIMAL(12, 6) NOT NULL DEFAULT 0 COMMENT '% of notional per fill, or amount per trade' AFTER maker_fee"),
+    addColumn('batches', 'fee_order_type', "ENUM('maker', 'taker') NOT NULL DEFAULT 'taker' AFTER taker_fee"),
+    addColumn('batches', 'slippage_bps', "DECIMAL(10, 4) NOT NULL DEFAULT 0 COMMENT 'applied on entry and exit' AFTER fee_order_type"),
+    addColumn('batches', 'funding_rate_hourly', "DECIMAL(12, 6) NOT NULL DEFAULT 0 COMMENT '% per hour held, perpetual symbols only' AFTER slippage_bps"),
+    rebuildsLogs(addColumn('batch_trade_log', 'gross_pnl', "DECIMAL(20, 2) NOT NULL DEFAULT 0 COMMENT 'PnL before costs' AFTER position_size")),
+    rebuildsLogs(addColumn('batch_trade_log', 'commission', 'DECIMAL(20, 2) NOT NULL DEFAULT 0 AFTER gross_pnl')),
+    rebuildsLogs(addColumn('batch_trade_log', 'slippage_cost', 'DECIMAL(20, 2) NOT NULL DEFAULT 0 AFTER commission')),
+    rebuildsLogs(addColumn('batch_trade_log', 'funding_cost', 'DECIMAL(20, 2) NOT NULL DEFAULT 0 AFTER slippage_cost')),
+    rebuildsLogs(addColumn('batch_trade_log', 'net_pnl_percent', "DECIMAL(12, 4) NOT NULL DEFAULT 0 COMMENT 'pnl_absolute as % of notional' AFTER pnl_absolute")),
+
+    // Position quantities: scale-ins, partial exits and flips
+    addColumn('trades', 'quantity', "DECIMAL(28, 8) NULL COMMENT 'currently open quantity; NULL = not tracked' AFTER pnl_percent"),
+    addColumn('trades', 'closed_quantity', "DECIMAL(28, 8) NULL COMMENT 'quantity closed so far (partial + final exits)' AFTER quantity"),
+    addColumn('trades', 'closed_cost_basis', "DECIMAL(28, 8) NULL COMMENT 'sum of avg entry price x quantity closed' AFTER closed_quantity"),
+    addColumn('trades', 'realized_pnl', "DECIMAL(28, 8) NULL COMMENT 'quote-currency PnL realized so far' AFTER closed_cost_basis"),
+    extendEnum('signals', 'outcome', ['scale_in', 'partial_exit', 'flip'], `ENUM('pending', 'entry', 'exit', 'scale_in', 'partial_exit', 'flip',
+        'ignored', 'duplicate', 'parse_error', 'invalid', 'error') NOT NULL DEFAULT 'pending'`),
+
+    // Position keys: entries and exits match per symbol / timeframe / source / strategy
+    addColumn('trades', 'source_id', "INT NULL COMMENT 'webhook source that opened the trade' AFTER timeframe"),
+    addColumn('trades', 'strategy', "VARCHAR(100) NOT NULL DEFAULT '' COMMENT 'strategy name from the payload' AFTER source_id"),
+    addColumn('trades', 'order_id', "VARCHAR(100) NULL COMMENT 'entry order id (text alert Order ID / order_id)' AFTER strategy"),
+    addColumn('trades', 'position_key', "VARCHAR(255) NULL COMMENT 'symbol|timeframe|source_id|strategy – entries/exits match within a key' AFTER order_id"),
+    addIndex('trades', 'idx_position_key_status', ['position_key', 'status'], 'INDEX idx_position_key_status (position_key, status)'),
+    backfill(
+        'backfill trades.position_key',
+        `UPDATE trades
+            SET position_key = CONCAT(UPPER(symbol), '|', COALESCE(timeframe, ''), '|', COALESCE(source_id, 0), '|', strategy)
+         WHERE position_key IS NULL`
+    ),
+    addColumn('batch_symbols', 'timeframe', "VARCHAR(20) NOT NULL DEFAULT '' COMMENT 'empty = any timeframe' AFTER symbol"),
+    addColumn('batch_symbols', 'source_id', "INT NOT NULL DEFAULT 0 COMMENT '0 = any webhook source' AFTER timeframe"),
+    addColumn('batch_symbols', 'strategy', "VARCHAR(100) NOT NULL DEFAULT '' COMMENT 'empty = any strategy' AFTER source_id"),
+    addIndex(
+        'batch_symbols', 'uq_batch_symbol', ['batch_id', 'symbol', 'timeframe', 'source_id', 'strategy'],
+        'UNIQUE KEY uq_batch_symbol (batch_id, symbol, timeframe, source_id, strategy)'
+    ),
+    addColumn('webhook_sources', 'matching_policy', "ENUM('fifo', 'lifo', 'exact') NOT NULL DEFAULT 'fifo' COMMENT 'which open trade an exit closes' AFTER ip_allowlist"),
+    // Flip policy
+    addColumn('webhook_sources', 'flip_policy', "ENUM('ignore', 'hedge') NOT NULL DEFAULT 'ignore' COMMENT 'opposite-side entry without closeonflip' AFTER matching_policy"),
+    // Imported prices
+    extendEnum('symbol_prices', 'source', ['import'], "ENUM('tick', 'alert', 'import') NOT NULL DEFAULT 'tick'"),
+    // Notification deliveries are claimed before they are sent
+    extendEnum('notification_deliveries', 'status', ['sending'], "ENUM('pending', 'sending', 'sent', 'failed') NOT NULL DEFAULT 'pending'"),
+
+    // Versioned configurations and soft delete – batches stay at version 0
+    // until their next change stores the current configuration as version 1
+    addColumn('batches', 'version', "INT NOT NULL DEFAULT 0 COMMENT 'latest batch_versions.version' AFTER funding_rate_hourly"),
+    addColumn('batches', 'deleted_at', "DATETIME NULL COMMENT 'soft delete; NULL = active' AFTER version"),
+    // Imported trades
+    addColumn('trades', 'import_id', "INT NULL COMMENT 'trade_imports.id; NULL = from a webhook signal' AFTER raw_payload"),
+    addIndex('trades', 'idx_import_id', ['import_id'], 'INDEX idx_import_id (import_id)'),
+    // Manual trades and voiding
+    addColumn('trades', 'manual', "TINYINT(1) NOT NULL DEFAULT 0 COMMENT 'created through the admin API' AFTER import_id"),
+    addColumn('trades', 'voided_at', "DATETIME NULL COMMENT 'voided trades are kept but left out of every batch' AFTER manual"),
+    addColumn('trades', 'void_reason', 'VARCHAR(255) NULL AFTER voided_at'),
+    // Signal time skew
+    addColumn('signals', 'time_skew_seconds', "INT NULL COMMENT 'alert timestamp minus received_at' AFTER processed_at"),
+    addColumn('signals', 'skew_flagged', "TINYINT(1) NOT NULL DEFAULT 0 COMMENT '|time_skew_seconds| > SIGNAL_MAX_SKEW_SECONDS' AFTER time_skew_seconds"),
+    addIndex('signals', 'idx_skew_flagged', ['skew_flagged'], 'INDEX idx_skew_flagged (skew_flagged)'),
+    extendEnum('notification_rules', 'event', ['time_skew'],
+        "ENUM('trade_opened', 'trade_closed', 'trade_loss', 'batch_drawdown', 'parse_error', 'time_skew') NOT NULL"),
+    // Risk rules
+    addColumn('batches', 'risk_max_drawdown', "DECIMAL(10, 4) NULL COMMENT 'risk rule: % drawdown from peak; NULL = off' AFTER funding_rate_hourly"),
+    addColumn('batches', 'risk_daily_loss', "DECIMAL(10, 4) NULL COMMENT 'risk rule: % loss in a UTC day; NULL = off' AFTER risk_max_drawdown"),
+    addColumn('batches', 'risk_weekly_loss', "DECIMAL(10, 4) NULL COMMENT 'risk rule: % loss in a UTC week; NULL = off' AFTER risk_daily_loss"),
+    addColumn('batches', 'risk_max_consecutive_losses', "INT NULL COMMENT 'risk rule: losing trades in a row; NULL = off' AFTER risk_weekly_loss"),
+    addColumn('batches', 'risk_symbol_daily_loss', "DECIMAL(10, 4) NULL COMMENT 'risk rule: one symbol''s loss in a day, % of capital; NULL = off' AFTER risk_max_consecutive_losses"),
+    extendEnum('notification_rules', 'event', ['risk_breach'],
+        "ENUM('trade_opened', 'trade_closed', 'trade_loss', 'batch_drawdown', 'parse_error', 'time_skew', 'risk_breach') NOT NULL"),
+    // Archival
+    addColumn('batches', 'archived_at', "DATETIME NULL COMMENT 'archived: log frozen, hidden from lists; NULL = live' AFTER deleted_at"),
+    extendEnum('batch_audit_log', 'action', ['archive', 'unarchive'], `ENUM('create', 'update', 'set_symbols', 'add_symbol', 'remove_symbol',
+        'revert', 'delete', 'restore', 'archive', 'unarchive') NOT NULL`),
+];
+
+/**
+ * Bring the schema of the current database up to date.
+ *
+ * @param {object} conn  mysql2/promise connection with the database selected
+ * @returns {number} how many steps changed something
+ */
+async function migrate(conn) {
+    let applied = 0;
+    let rebuild = false;
+    for (const step of MIGRATIONS) {
+        if (await step.apply(conn)) {
+            console.log(`   ✔  ${step.description}`);
+            applied++;
+            rebuild = rebuild || !!step.rebuild;
+        }
+    }
+    if (rebuild) {
+        await conn.query("INSERT INTO rebuild_jobs (batch_id, reason) VALUES (NULL, 'schema_upgrade')");
+        console.log('   ✔  queued a rebuild of every batch log (runs when the server starts)');
+    }
+    return applied;
+}
+
+module.exports = {
+    migrate,
+};
@@ -11,22 +11,102 @@ CREATE TABLE IF NOT EXISTS trades (
     id              INT AUTO_INCREMENT PRIMARY KEY,
     symbol          VARCHAR(50)     NOT NULL,
     timeframe       VARCHAR(20)     NOT NULL,
+    source_id       INT             NULL COMMENT 'webhook source that opened the trade',
+    strategy        VARCHAR(100)    NOT NULL DEFAULT '' COMMENT 'strategy name from the payload',
+    order_id        VARCHAR(100)    NULL COMMENT 'entry order id (text alert Order ID / order_id)',
+    position_key    VARCHAR(255)    NULL COMMENT 'symbol|timeframe|source_id|strategy – entries/exits match within a key',
     side            VARCHAR(20)     NOT NULL COMMENT 'long / short',
     entry_price     DECIMAL(20, 8)  NULL,
     exit_price      DECIMAL(20, 8)  NULL,
     entry_time      DATETIME        NULL,
     exit_time       DATETIME        NULL,
     pnl_percent     DECIMAL(12, 4)  NULL COMMENT 'calculated on exit',
+    quantity        DECIMAL(28, 8)  NULL COMMENT 'currently open quantity; NULL = not tracked',
+    closed_quantity DECIMAL(28, 8)  NULL COMMENT 'quantity closed so far (partial + final exits)',
+    closed_cost_basis DECIMAL(28, 8) NULL COMMENT 'sum of avg entry price x quantity closed',
+    realized_pnl    DECIMAL(28, 8)  NULL COMMENT 'quote-currency PnL realized so far',
     status          ENUM('open', 'closed') NOT NULL DEFAULT 'open',
     raw_payload     JSON            NULL COMMENT 'original webhook payload',
+    import_id       INT             NULL COMMENT 'trade_imports.id; NULL = from a webhook signal',
+    manual          TINYINT(1)      NOT NULL DEFAULT 0 COMMENT 'created through the admin API',
+    voided_at       DATETIME        NULL COMMENT 'voided trades are kept but left out of every batch',
+    void_reason     VARCHAR(255)    NULL,
     created_at      DATETIME        NOT NULL DEFAULT CURRENT_TIMESTAMP,
     updated_at      DATETIME        NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
 
+    INDEX idx_import_id     (import_id),
     INDEX idx_symbol        (symbol),
     INDEX idx_status        (status),
     INDEX idx_entry_time    (entry_time),
     INDEX idx_exit_time     (exit_time),
-    INDEX idx_symbol_status (symbol, status)
+    INDEX idx_symbol_status (symbol, status),
+    INDEX idx_position_key_status (position_key, status)
+);
+
+-- ============================================================
+-- TRADE_FILLS TABLE
+-- Quantity changes of trades opened from strategy alerts:
+-- open, scale-in (increase), partial close (reduce), final close.
+-- ============================================================
+CREATE TABLE IF NOT EXISTS trade_fills (
+    id              INT AUTO_INCREMENT PRIMARY KEY,
+    trade_id        INT             NOT NULL,
+    fill_type       ENUM('open', 'increase', 'reduce', 'close') NOT NULL,
+    quantity        DECIMAL(28, 8)  NOT NULL,
+    price           DECIMAL(20, 8)  NOT NULL,
+    fill_time       DATETIME        NOT NULL,
+    realized_pnl    DECIMAL(28, 8)  NULL COMMENT 'reduce / close fills only',
+    payload         JSON            NULL,
+    created_at      DATETIME        NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    INDEX idx_trade_id (trade_id),
+    FOREIGN KEY (trade_id) REFERENCES trades(id) ON DELETE CASCADE
+);
+
+-- ============================================================
+-- TRADE_AUDIT_LOG TABLE
+-- Manual changes to trades (create / edit / void / force-close).
+-- No foreign key: entries outlive the trades a replay deletes.
+-- ============================================================
+CREATE TABLE IF NOT EXISTS trade_audit_log (
+    id              INT AUTO_INCREMENT PRIMARY KEY,
+    trade_id        INT             NOT NULL,
+    action          ENUM('create', 'update', 'void', 'restore', 'force_close') NOT NULL,
+    user_id         INT             NULL,
+    username        VARCHAR(100)    NULL COMMENT 'kept when the user is deleted',
+    old_values      JSON            NULL,
+    new_values      JSON            NULL,
+    note            VARCHAR(255)    NULL,
+    created_at      DATETIME        NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    INDEX idx_trade_time (trade_id, created_at)
+);
+
+-- ============================================================
+-- SYMBOL_PRICES TABLE
+-- Last known price per symbol (price ticks and alert prices),
+-- used to mark open trades to market.
+-- ============================================================
+CREATE TABLE IF NOT EXISTS symbol_prices (
+    symbol          VARCHAR(50)     NOT NULL PRIMARY KEY,
+    price           DECIMAL(20, 8)  NOT NULL,
+    price_time      DATETIME        NOT NULL,
+    source          ENUM('tick', 'alert', 'import') NOT NULL DEFAULT 'tick',
+    updated_at      DATETIME        NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+-- ============================================================
+-- PRICE_HISTORY TABLE
+-- Every recorded price (ticks, alert prices, imported history),
+-- used to build buy-and-hold benchmarks.
+-- ============================================================
+CREATE TABLE IF NOT EXISTS price_history (
+    symbol          VARCHAR(50)     NOT NULL,
+    price_time      DATETIME        NOT NULL,
+    price           DECIMAL(20, 8)  NOT NULL,
+    source          ENUM('tick', 'alert', 'import') NOT NULL DEFAULT 'tick',
+
+    PRIMARY KEY (symbol, price_time)
 );
 
 -- ============================================================
@@ -38,20 +118,43 @@ CREATE TABLE IF NOT EXISTS batches (
     name            VARCHAR(255)    NOT NULL,
     capital         DECIMAL(20, 2)  NOT NULL DEFAULT 100000.00,
     start_time      DATETIME        NULL COMMENT 'NULL = all history',
+    sizing_mode     ENUM('full_equity', 'fixed_fraction', 'fixed_notional', 'equal_weight', 'non_compounding')
+                                    NOT NULL DEFAULT 'full_equity',
+    sizing_value    DECIMAL(20, 4)  NULL COMMENT '% of equity / notional / % of starting capital, per sizing_mode',
+    leverage        DECIMAL(10, 4)  NOT NULL DEFAULT 1.0000,
+    max_concurrent_positions INT    NULL COMMENT 'NULL = unlimited',
+    commission_type ENUM('percent', 'fixed') NOT NULL DEFAULT 'percent',
+    maker_fee       DECIMAL(12, 6)  NOT NULL DEFAULT 0 COMMENT '% of notional per fill, or amount per trade',
+    taker_fee       DECIMAL(12, 6)  NOT NULL DEFAULT 0 COMMENT '% of notional per fill, or amount per trade',
+    fee_order_type  ENUM('maker', 'taker') NOT NULL DEFAULT 'taker',
+    slippage_bps    DECIMAL(10, 4)  NOT NULL DEFAULT 0 COMMENT 'applied on entry and exit',
+    funding_rate_hourly DECIMAL(12, 6) NOT NULL DEFAULT 0 COMMENT '% per hour held, perpetual symbols only',
+    risk_max_drawdown   DECIMAL(10, 4) NULL COMMENT 'risk rule: % drawdown from peak; NULL = off',
+    risk_daily_loss     DECIMAL(10, 4) NULL COMMENT 'risk rule: % loss in a UTC day; NULL = off',
+    risk_weekly_loss    DECIMAL(10, 4) NULL COMMENT 'risk rule: % loss in a UTC week; NULL = off',
+    risk_max_consecutive_losses INT    NULL COMMENT 'risk rule: losing trades in a row; NULL = off',
+    risk_symbol_daily_loss DECIMAL(10, 4) NULL COMMENT 'risk rule: one symbol''s loss in a day, % of capital; NULL = off',
+    version         INT             NOT NULL DEFAULT 0 COMMENT 'latest batch_versions.version',
+    deleted_at      DATETIME        NULL COMMENT 'soft delete; NULL = active',
+    archived_at     DATETIME        NULL COMMENT 'archived: log frozen, hidden from lists; NULL = live',
     created_at      DATETIME        NOT NULL DEFAULT CURRENT_TIMESTAMP,
     updated_at      DATETIME        NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
 );
 
 -- ============================================================
 -- BATCH_SYMBOLS TABLE  (many-to-many: batch <-> symbol string)
+-- Optionally narrowed to one timeframe / webhook source / strategy.
 -- ============================================================
 CREATE TABLE IF NOT EXISTS batch_symbols (
     id          INT AUTO_INCREMENT PRIMARY KEY,
     batch_id    INT             NOT NULL,
     symbol      VARCHAR(50)     NOT NULL,
+    timeframe   VARCHAR(20)     NOT NULL DEFAULT '' COMMENT 'empty = any timeframe',
+    source_id   INT             NOT NULL DEFAULT 0  COMMENT '0 = any webhook source',
+    strategy    VARCHAR(100)    NOT NULL DEFAULT '' COMMENT 'empty = any strategy',
     created_at  DATETIME        NOT NULL DEFAULT CURRENT_TIMESTAMP,
 
-    UNIQUE KEY uq_batch_symbol (batch_id, symbol),
+    UNIQUE KEY uq_batch_symbol (batch_id, symbol, timeframe, source_id, strategy),
     FOREIGN KEY (batch_id) REFERENCES batches(id) ON DELETE CASCADE
 );
 
@@ -71,13 +174,21 @@ CREATE TABLE IF NOT EXISTS batch_trade_log (
     entry_time          DATETIME        NOT NULL,
     exit_time           DATETIME        NOT NULL,
     pnl_percent         DECIMAL(12, 4)  NOT NULL,
-    pnl_absolute        DECIMAL(20, 2)  NOT NULL,
+    position_size       DECIMAL(20, 2)  NOT NULL COMMENT 'capital allocated to the trade (before leverage)',
+    gross_pnl           DECIMAL(20, 2)  NOT NULL DEFAULT 0 COMMENT 'PnL before costs',
+    commission          DECIMAL(20, 2)  NOT NULL DEFAULT 0,
+    slippage_cost       DECIMAL(20, 2)  NOT NULL DEFAULT 0,
+    funding_cost        DECIMAL(20, 2)  NOT NULL DEFAULT 0,
+    pnl_absolute        DECIMAL(20, 2)  NOT NULL COMMENT 'net PnL = gross_pnl - costs',
+    net_pnl_percent     DECIMAL(12, 4)  NOT NULL DEFAULT 0 COMMENT 'pnl_absolute as % of notional',
     capital_before      DECIMAL(20, 2)  NOT NULL,
     capital_after       DECIMAL(20, 2)  NOT NULL,
     cumulative_pnl      DECIMAL(20, 2)  NOT NULL,
     drawdown            DECIMAL(12, 4)  NOT NULL COMMENT 'current drawdown %',
     max_drawdown        DECIMAL(12, 4)  NOT NULL COMMENT 'max drawdown % so far',
     peak_capital        DECIMAL(20, 2)  NOT NULL,
+    allocated_capital   DECIMAL(20, 2)  NOT NULL DEFAULT 0 COMMENT 'still tied up in other open positions',
+    available_capital   DECIMAL(20, 2)  NOT NULL COMMENT 'capital_after - allocated_capital',
     trade_number        INT             NOT NULL COMMENT 'sequential trade # in batch',
 
     UNIQUE KEY uq_batch_trade (batch_id, trade_id),
@@ -86,3 +197,386 @@ CREATE TABLE IF NOT EXISTS batch_trade_log (
 
     INDEX idx_batch_exit_time (batch_id, exit_time)
 );
+
+-- ============================================================
+-- BATCH_OPEN_POSITIONS TABLE
+-- Capital each batch has allocated to its currently open trades.
+-- Written when an entry is admitted, removed when the trade closes.
+-- ============================================================
+CREATE TABLE IF NOT EXISTS batch_open_positions (
+    batch_id        INT             NOT NULL,
+    trade_id        INT             NOT NULL,
+    symbol          VARCHAR(50)     NOT NULL,
+    side            VARCHAR(20)     NOT NULL,
+    entry_price     DECIMAL(20, 8)  NOT NULL,
+    entry_time      DATETIME        NOT NULL,
+    position_size   DECIMAL(20, 2)  NOT NULL,
+
+    PRIMARY KEY (batch_id, trade_id),
+    FOREIGN KEY (batch_id) REFERENCES batches(id) ON DELETE CASCADE,
+    FOREIGN KEY (trade_id) REFERENCES trades(id)  ON DELETE CASCADE
+);
+
+-- ============================================================
+-- BATCH_SKIPPED_TRADES TABLE
+-- Trades a batch did not take (position cap reached, no free capital).
+-- ============================================================
+CREATE TABLE IF NOT EXISTS batch_skipped_trades (
+    id              INT AUTO_INCREMENT PRIMARY KEY,
+    batch_id        INT             NOT NULL,
+    trade_id        INT             NOT NULL,
+    symbol          VARCHAR(50)     NOT NULL,
+    side            VARCHAR(20)     NOT NULL,
+    entry_time      DATETIME        NOT NULL,
+    reason          VARCHAR(255)    NOT NULL,
+
+    UNIQUE KEY uq_batch_skipped_trade (batch_id, trade_id),
+    FOREIGN KEY (batch_id) REFERENCES batches(id) ON DELETE CASCADE,
+    FOREIGN KEY (trade_id) REFERENCES trades(id)  ON DELETE CASCADE
+);
+
+-- ============================================================
+-- BATCH_RISK_BREACHES TABLE
+-- Risk rules a batch tripped and the pause each one caused.
+-- Rebuilt with the batch log.
+-- ============================================================
+CREATE TABLE IF NOT EXISTS batch_risk_breaches (
+    id              INT AUTO_INCREMENT PRIMARY KEY,
+    batch_id        INT             NOT NULL,
+    symbol          VARCHAR(50)     NULL COMMENT 'NULL = whole batch paused',
+    rule            ENUM('max_drawdown', 'daily_loss', 'weekly_loss', 'consecutive_losses', 'symbol_daily_loss') NOT NULL,
+    trade_id        INT             NOT NULL COMMENT 'trade whose exit tripped the rule',
+    value           DECIMAL(12, 4)  NOT NULL COMMENT '% (or loss count) when tripped',
+    limit_value     DECIMAL(12, 4)  NOT NULL,
+    tripped_at      DATETIME        NOT NULL,
+    paused_until    DATETIME        NULL COMMENT 'automatic resume; NULL = until resumed by hand',
+    resumed_at      DATETIME        NULL COMMENT 'manual resume',
+
+    INDEX idx_batch_tripped (batch_id, tripped_at),
+    FOREIGN KEY (batch_id) REFERENCES batches(id) ON DELETE CASCADE,
+    FOREIGN KEY (trade_id) REFERENCES trades(id)  ON DELETE CASCADE
+);
+
+-- ============================================================
+-- BATCH_RISK_RESUMES TABLE
+-- Manual resumes of paused batches / symbols. Kept across
+-- rebuilds, which replay them at the time they were made.
+-- ============================================================
+CREATE TABLE IF NOT EXISTS batch_risk_resumes (
+    id              INT AUTO_INCREMENT PRIMARY KEY,
+    batch_id        INT             NOT NULL,
+    symbol          VARCHAR(50)     NULL COMMENT 'NULL = whole batch, symbol pauses included',
+    resumed_at      DATETIME        NOT NULL,
+    user_id         INT             NULL,
+    username        VARCHAR(100)    NULL,
+    note            VARCHAR(500)    NULL,
+
+    INDEX idx_batch_resumed (batch_id, resumed_at),
+    FOREIGN KEY (batch_id) REFERENCES batches(id) ON DELETE CASCADE
+);
+
+-- ============================================================
+-- WEBHOOK_SOURCES TABLE
+-- Named senders allowed to post to /api/webhook. Each source has
+-- its own secret so a leaked URL can be rotated independently.
+-- ============================================================
+CREATE TABLE IF NOT EXISTS webhook_sources (
+    id                          INT AUTO_INCREMENT PRIMARY KEY,
+    name                        VARCHAR(100)    NOT NULL,
+    secret_hash                 CHAR(64)        NOT NULL COMMENT 'sha256 of the current secret',
+    previous_secret_hash        CHAR(64)        NULL COMMENT 'still accepted until previous_secret_expires_at',
+    previous_secret_expires_at  DATETIME        NULL,
+    hmac_secret                 VARCHAR(255)    NULL COMMENT 'set = X-Signature header required',
+    ip_allowlist                JSON            NULL COMMENT 'NULL = WEBHOOK_IP_ALLOWLIST / TradingView IPs',
+    matching_policy             ENUM('fifo', 'lifo', 'exact') NOT NULL DEFAULT 'fifo' COMMENT 'which open trade an exit closes',
+    flip_policy                 ENUM('ignore', 'hedge') NOT NULL DEFAULT 'ignore' COMMENT 'opposite-side entry without closeonflip',
+    enabled                     TINYINT(1)      NOT NULL DEFAULT 1,
+    last_used_at                DATETIME        NULL,
+    created_at                  DATETIME        NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at                  DATETIME        NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    UNIQUE KEY uq_source_name   (name),
+    UNIQUE KEY uq_secret_hash   (secret_hash),
+    INDEX idx_previous_secret   (previous_secret_hash)
+);
+
+-- ============================================================
+-- WEBHOOK_AUTH_FAILURES TABLE
+-- Every rejected webhook attempt (bad secret, signature or IP).
+-- ============================================================
+CREATE TABLE IF NOT EXISTS webhook_auth_failures (
+    id              INT AUTO_INCREMENT PRIMARY KEY,
+    source_id       INT             NULL COMMENT 'set when the source was identified',
+    ip              VARCHAR(64)     NULL,
+    status_code     SMALLINT        NOT NULL,
+    reason          VARCHAR(255)    NOT NULL,
+    path            VARCHAR(255)    NULL COMMENT 'secrets masked',
+    created_at      DATETIME        NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    INDEX idx_created_at (created_at),
+    FOREIGN KEY (source_id) REFERENCES webhook_sources(id) ON DELETE SET NULL
+);
+
+-- ============================================================
+-- SIGNALS TABLE  (signal journal)
+-- Every authenticated inbound alert, whatever happened to it.
+-- dedup_key is only set on the first delivery of a signal; repeats
+-- are stored with outcome = 'duplicate' and duplicate_of.
+-- ============================================================
+CREATE TABLE IF NOT EXISTS signals (
+    id              INT AUTO_INCREMENT PRIMARY KEY,
+    source_id       INT             NULL,
+    received_at     DATETIME(3)     NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    ip              VARCHAR(64)     NULL,
+    content_type    VARCHAR(100)    NULL,
+    raw_body        MEDIUMTEXT      NOT NULL COMMENT 'body as received, secret removed',
+    payload         JSON            NULL COMMENT 'normalized payload',
+    symbol          VARCHAR(50)     NULL,
+    dedup_key       VARCHAR(255)    NULL,
+    duplicate_of    INT             NULL,
+    outcome         ENUM('pending', 'entry', 'exit', 'scale_in', 'partial_exit', 'flip',
+                         'ignored', 'duplicate', 'parse_error', 'invalid', 'error')
+                                    NOT NULL DEFAULT 'pending',
+    trade_id        INT             NULL,
+    error           TEXT            NULL,
+    attempts        INT             NOT NULL DEFAULT 0,
+    processed_at    DATETIME        NULL,
+    time_skew_seconds INT           NULL COMMENT 'alert timestamp minus received_at',
+    skew_flagged    TINYINT(1)      NOT NULL DEFAULT 0 COMMENT '|time_skew_seconds| > SIGNAL_MAX_SKEW_SECONDS',
+
+    UNIQUE KEY uq_dedup_key (dedup_key),
+    INDEX idx_received_at   (received_at),
+    INDEX idx_outcome       (outcome),
+    INDEX idx_symbol        (symbol),
+    INDEX idx_skew_flagged  (skew_flagged),
+    FOREIGN KEY (source_id) REFERENCES webhook_sources(id) ON DELETE SET NULL,
+    FOREIGN KEY (trade_id)  REFERENCES trades(id)          ON DELETE SET NULL
+);
+
+-- ============================================================
+-- Signal journal replays: progress of each replay, so one a failure
+-- or a restart interrupted is finished before webhooks run again
+-- ============================================================
+CREATE TABLE IF NOT EXISTS signal_replays (
+    id              INT AUTO_INCREMENT PRIMARY KEY,
+    status          ENUM('running', 'failed', 'done') NOT NULL DEFAULT 'running',
+    signals_total   INT             NOT NULL DEFAULT 0,
+    signals_done    INT             NOT NULL DEFAULT 0,
+    result          JSON            NULL COMMENT 'signal.replayed summary',
+    error           TEXT            NULL COMMENT 'last failure; the replay resumes from the signals still pending',
+    requested_by    INT             NULL COMMENT 'users.id',
+    created_at      DATETIME        NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    finished_at     DATETIME        NULL,
+
+    INDEX idx_status (status)
+);
+
+-- ============================================================
+-- NOTIFICATION_CHANNELS TABLE
+-- Outbound targets: generic HTTP webhooks (templated body) and
+-- SMTP email. config holds url / headers / templates / smtp.
+-- ============================================================
+CREATE TABLE IF NOT EXISTS notification_channels (
+    id              INT AUTO_INCREMENT PRIMARY KEY,
+    name            VARCHAR(100)    NOT NULL,
+    type            ENUM('webhook', 'email') NOT NULL,
+    config          JSON            NOT NULL,
+    enabled         TINYINT(1)      NOT NULL DEFAULT 1,
+    created_at      DATETIME        NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at      DATETIME        NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+-- ============================================================
+-- NOTIFICATION_RULES TABLE
+-- Which events notify which channel. threshold is the loss % for
+-- trade_loss and the drawdown % for batch_drawdown.
+-- ============================================================
+CREATE TABLE IF NOT EXISTS notification_rules (
+    id              INT AUTO_INCREMENT PRIMARY KEY,
+    channel_id      INT             NOT NULL,
+    event           ENUM('trade_opened', 'trade_closed', 'trade_loss', 'batch_drawdown', 'parse_error', 'time_skew', 'risk_breach') NOT NULL,
+    threshold       DECIMAL(10, 4)  NULL,
+    batch_id        INT             NULL COMMENT 'NULL = any batch',
+    symbol          VARCHAR(50)     NULL COMMENT 'NULL = any symbol',
+    enabled         TINYINT(1)      NOT NULL DEFAULT 1,
+    created_at      DATETIME        NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    INDEX idx_event (event),
+    FOREIGN KEY (channel_id) REFERENCES notification_channels(id) ON DELETE CASCADE,
+    FOREIGN KEY (batch_id)   REFERENCES batches(id)               ON DELETE CASCADE
+);
+
+-- ============================================================
+-- NOTIFICATION_DELIVERIES TABLE
+-- Every outbound notification, rendered once and retried with
+-- exponential backoff until sent or out of attempts.
+-- ============================================================
+CREATE TABLE IF NOT EXISTS notification_deliveries (
+    id              INT AUTO_INCREMENT PRIMARY KEY,
+    channel_id      INT             NOT NULL,
+    rule_id         INT             NULL COMMENT 'NULL = test send',
+    event           VARCHAR(50)     NOT NULL,
+    request         JSON            NOT NULL COMMENT 'rendered webhook request / email',
+    status          ENUM('pending', 'sending', 'sent', 'failed') NOT NULL DEFAULT 'pending',
+    attempts        INT             NOT NULL DEFAULT 0,
+    next_attempt_at DATETIME        NULL,
+    last_error      TEXT            NULL,
+    response_status INT             NULL,
+    sent_at         DATETIME        NULL,
+    created_at      DATETIME        NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    INDEX idx_status_next (status, next_attempt_at),
+    INDEX idx_channel     (channel_id),
+    FOREIGN KEY (channel_id) REFERENCES notification_channels(id) ON DELETE CASCADE,
+    FOREIGN KEY (rule_id)    REFERENCES notification_rules(id)    ON DELETE SET NULL
+);
+
+-- ============================================================
+-- USERS TABLE
+-- Dashboard / API users. Roles: viewer (read analytics), editor
+-- (manage batches and symbols), admin (users, trades, sources).
+-- ============================================================
+CREATE TABLE IF NOT EXISTS users (
+    id              INT AUTO_INCREMENT PRIMARY KEY,
+    username        VARCHAR(100)    NOT NULL UNIQUE,
+    password_hash   VARCHAR(255)    NOT NULL COMMENT 'scrypt$<salt hex>$<hash hex>',
+    role            ENUM('viewer', 'editor', 'admin') NOT NULL DEFAULT 'viewer',
+    enabled         TINYINT(1)      NOT NULL DEFAULT 1,
+    last_login_at   DATETIME        NULL,
+    created_at      DATETIME        NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at      DATETIME        NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+-- ============================================================
+-- USER_SESSIONS TABLE
+-- Login tokens (stored as SHA-256 hashes) with an expiry.
+-- ============================================================
+CREATE TABLE IF NOT EXISTS user_sessions (
+    id              INT AUTO_INCREMENT PRIMARY KEY,
+    user_id         INT             NOT NULL,
+    token_hash      CHAR(64)        NOT NULL UNIQUE,
+    expires_at      DATETIME        NOT NULL,
+    last_used_at    DATETIME        NULL,
+    created_at      DATETIME        NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    INDEX idx_expires (expires_at),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- ============================================================
+-- API_KEYS TABLE
+-- Long-lived keys for scripts. A key acts as its user, optionally
+-- limited to a lower role.
+-- ============================================================
+CREATE TABLE IF NOT EXISTS api_keys (
+    id              INT AUTO_INCREMENT PRIMARY KEY,
+    user_id         INT             NOT NULL,
+    name            VARCHAR(100)    NOT NULL,
+    key_prefix      VARCHAR(16)     NOT NULL COMMENT 'first characters, to recognise the key',
+    key_hash        CHAR(64)        NOT NULL UNIQUE,
+    role            ENUM('viewer', 'editor', 'admin') NULL COMMENT 'NULL = the user''s role',
+    expires_at      DATETIME        NULL,
+    revoked_at      DATETIME        NULL,
+    last_used_at    DATETIME        NULL,
+    created_at      DATETIME        NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- ============================================================
+-- BATCH_VERSIONS TABLE
+-- Full configuration (settings + symbol filters) of a batch after
+-- every change, so it can be inspected or reverted to.
+-- ============================================================
+CREATE TABLE IF NOT EXISTS batch_versions (
+    id              INT AUTO_INCREMENT PRIMARY KEY,
+    batch_id        INT             NOT NULL,
+    version         INT             NOT NULL,
+    config          JSON            NOT NULL,
+    created_by      INT             NULL COMMENT 'users.id',
+    created_at      DATETIME        NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    UNIQUE KEY uq_batch_version (batch_id, version),
+    FOREIGN KEY (batch_id) REFERENCES batches(id) ON DELETE CASCADE
+);
+
+-- ============================================================
+-- BATCH_AUDIT_LOG TABLE
+-- Who changed what on a batch, with the old and new values.
+-- ============================================================
+CREATE TABLE IF NOT EXISTS batch_audit_log (
+    id              INT AUTO_INCREMENT PRIMARY KEY,
+    batch_id        INT             NOT NULL,
+    version         INT             NULL COMMENT 'version the change produced',
+    action          ENUM('create', 'update', 'set_symbols', 'add_symbol', 'remove_symbol',
+                         'revert', 'delete', 'restore', 'archive', 'unarchive') NOT NULL,
+    user_id         INT             NULL,
+    username        VARCHAR(100)    NULL COMMENT 'kept when the user is deleted',
+    old_values      JSON            NULL,
+    new_values      JSON            NULL,
+    note            VARCHAR(255)    NULL,
+    created_at      DATETIME        NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    INDEX idx_batch_time (batch_id, created_at),
+    FOREIGN KEY (batch_id) REFERENCES batches(id) ON DELETE CASCADE
+);
+
+-- ============================================================
+-- BATCH_TEMPLATES TABLE
+-- Reusable batch configurations (capital, start_time, settings,
+-- symbol filters) to create new batches from.
+-- ============================================================
+CREATE TABLE IF NOT EXISTS batch_templates (
+    id              INT AUTO_INCREMENT PRIMARY KEY,
+    name            VARCHAR(255)    NOT NULL UNIQUE,
+    description     VARCHAR(500)    NULL,
+    config          JSON            NOT NULL COMMENT 'same shape as batch_versions.config, without name',
+    created_by      INT             NULL,
+    created_at      DATETIME        NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at      DATETIME        NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+-- ============================================================
+-- TRADE_IMPORTS TABLE
+-- Historical trades imported from CSV / JSON (e.g. TradingView's
+-- strategy tester "List of trades"). Undoing an import deletes
+-- its trades (trades.import_id).
+-- ============================================================
+CREATE TABLE IF NOT EXISTS trade_imports (
+    id              INT AUTO_INCREMENT PRIMARY KEY,
+    format          ENUM('tradingview', 'generic', 'json') NOT NULL,
+    filename        VARCHAR(255)    NULL,
+    symbols         JSON            NOT NULL COMMENT 'symbols of the imported trades',
+    trade_count     INT             NOT NULL DEFAULT 0,
+    skipped_count   INT             NOT NULL DEFAULT 0 COMMENT 'open, invalid or overlapping rows not imported',
+    overlap_count   INT             NOT NULL DEFAULT 0,
+    status          ENUM('active', 'undone') NOT NULL DEFAULT 'active',
+    created_by      INT             NULL COMMENT 'users.id',
+    created_at      DATETIME        NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    undone_at       DATETIME        NULL
+);
+
+-- ============================================================
+-- REBUILD_JOBS TABLE
+-- Batch log rebuilds queued to run in the background, so the
+-- request that caused them returns right away.
+-- ============================================================
+CREATE TABLE IF NOT EXISTS rebuild_jobs (
+    id              INT AUTO_INCREMENT PRIMARY KEY,
+    batch_id        INT             NULL COMMENT 'NULL = every active batch',
+    from_time       DATETIME        NULL COMMENT 'replay from this time only; NULL = full rebuild',
+    reason          VARCHAR(100)    NULL,
+    status          ENUM('queued', 'running', 'done', 'failed') NOT NULL DEFAULT 'queued',
+    batches_total   INT             NOT NULL DEFAULT 0,
+    batches_done    INT             NOT NULL DEFAULT 0,
+    result          JSON            NULL COMMENT 'batch.rebuilt summary per batch',
+    error           TEXT            NULL,
+    requested_by    INT             NULL COMMENT 'users.id',
+    created_at      DATETIME        NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    started_at      DATETIME        NULL,
+    finished_at     DATETIME        NULL,
+
+    INDEX idx_status_created (status, created_at),
+    INDEX idx_batch_id      (batch_id),
+    FOREIGN KEY (batch_id) REFERENCES batches(id) ON DELETE CASCADE
+);
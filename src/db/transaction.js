@@ -0,0 +1,55 @@
+/**
+ * Transactions – run a unit of work on one pooled connection between
+ * BEGIN and COMMIT, rolling back on any error.
+ *
+ * `work` receives a connection-like object with execute(); pass it to every
+ * query that belongs to the unit (services take it as their `conn`
+ * argument, defaulting to the pool). Side effects that must only happen once
+ * the data is committed – live events – go through afterCommit().
+ *
+ * Deadlocks and lock wait timeouts roll back and re-run the whole unit.
+ */
+const db = require('./connection');
+
+const RETRY_CODES = ['ER_LOCK_DEADLOCK', 'ER_LOCK_WAIT_TIMEOUT'];
+const MAX_ATTEMPTS = 3;
+
+async function withTransaction(work) {
+    for (let attempt = 1; ; attempt++) {
+        const connection = await db.getConnection();
+        const tx = {
+            execute: (sql, params) => connection.execute(sql, params),
+            onCommit: [],
+        };
+        let result;
+        try {
+            await connection.beginTransaction();
+            result = await work(tx);
+            await connection.commit();
+        } catch (err) {
+            await connection.rollback().catch(() => {});
+            if (!RETRY_CODES.includes(err.code) || attempt >= MAX_ATTEMPTS) throw err;
+            console.warn(`[DB] ${err.code} – retrying transaction (attempt ${attempt + 1} of ${MAX_ATTEMPTS})`);
+            continue;
+        } finally {
+            connection.release();
+        }
+
+        for (const fn of tx.onCommit) fn();
+        return result;
+    }
+}
+
+/**
+ * Run `fn` once `conn`'s transaction commits – right away when `conn` is
+ * the pool (no transaction). Dropped when the transaction rolls back.
+ */
+function afterCommit(conn, fn) {
+    if (conn && conn.onCommit) conn.onCommit.push(fn);
+    else fn();
+}
+
+module.exports = {
+    withTransaction,
+    afterCommit,
+};
@@ -0,0 +1,73 @@
+/**
+ * Admin API authentication and role checks.
+ *
+ * Clients send `Authorization: Bearer <session token or API key>`; scripts
+ * may use `X-API-Key: <key>` instead. EventSource cannot set headers, so
+ * routes mounted with { allowQueryToken: true } also accept ?access_token=.
+ *
+ *   401 – missing, unknown or expired token
+ *   403 – authenticated but the role is too low
+ */
+const userService = require('../services/userService');
+
+function tokenFrom(req, { allowQueryToken = false } = {}) {
+    const header = req.get('Authorization');
+    if (header && /^Bearer\s+/i.test(header)) return header.replace(/^Bearer\s+/i, '').trim();
+    if (req.get('X-API-Key')) return req.get('X-API-Key').trim();
+    if (allowQueryToken && req.query.access_token) return String(req.query.access_token);
+    return null;
+}
+
+/**
+ * Middleware factory: resolve the caller into req.user or answer 401.
+ */
+function authenticate(options = {}) {
+    return async (req, res, next) => {
+        try {
+            const token = tokenFrom(req, options);
+            const user = await userService.authenticateToken(token);
+            if (!user) return res.status(401).json({ error: 'Authentication required' });
+            req.user = user;
+            req.authToken = token;
+            next();
+        } catch (err) {
+            next(err);
+        }
+    };
+}
+
+/**
+ * Middleware: the authenticated user needs at least `role`.
+ */
+function requireRole(role) {
+    return (req, res, next) => {
+        if (!req.user) return res.status(401).json({ error: 'Authentication required' });
+        if (!userService.hasRole(req.user.role, role)) {
+            return res.status(403).json({ error: `Requires ${role} role` });
+        }
+        next();
+    };
+}
+
+/**
+ * Middleware: `readRole` for GET / HEAD requests, `writeRole` for the rest.
+ */
+function requireRoles(readRole, writeRole) {
+    const read = requireRole(readRole);
+    const write = requireRole(writeRole);
+    return (req, res, next) => (['GET', 'HEAD'].includes(req.method) ? read : write)(req, res, next);
+}
+
+/**
+ * Hide ?access_token= in URLs before they are logged.
+ */
+function maskAccessToken(url) {
+    return url.replace(/([?&]access_token=)[^&#]*/, '$1***');
+}
+
+module.exports = {
+    authenticate,
+    requireRole,
+    requireRoles,
+    maskAccessToken,
+};
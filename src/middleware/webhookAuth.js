@@ -0,0 +1,124 @@
+/**
+ * Webhook authentication middleware.
+ *
+ * TradingView cannot set headers, so the source secret is accepted from:
+ *   1. the URL path        POST /api/webhook/:token
+ *   2. the query string    POST /api/webhook?token=...
+ *   3. the JSON payload    { "secret": "...", ... }   (removed before processing)
+ *
+ * Senders that can set headers may instead identify themselves with
+ * `X-Webhook-Source: <source name>` and sign the raw body:
+ *   X-Signature: sha256=<hex HMAC-SHA256(raw body, source.hmac_secret)>
+ * A source with an hmac_secret always requires a valid signature.
+ *
+ * Rejections are recorded in webhook_auth_failures:
+ *   401 – missing / unknown secret, missing / invalid signature
+ *   403 – disabled source, IP not in the allowlist
+ */
+const crypto = require('crypto');
+const webhookSourceService = require('../services/webhookSourceService');
+
+/**
+ * Hide secrets in a URL before it is logged or stored.
+ */
+function maskWebhookUrl(url) {
+    return url
+        .replace(/(\/api\/webhook\/)[^/?#]+/, '$1***')
+        .replace(/([?&]token=)[^&#]*/, '$1***');
+}
+
+function normalizeIp(ip) {
+    if (!ip) return '';
+    return ip.startsWith('::ffff:') ? ip.slice(7) : ip;
+}
+
+function ipv4ToInt(ip) {
+    const parts = ip.split('.').map(Number);
+    if (parts.length !== 4 || parts.some((p) => isNaN(p) || p < 0 || p > 255)) return null;
+    return ((parts[0] << 24) >>> 0) + (parts[1] << 16) + (parts[2] << 8) + parts[3];
+}
+
+/**
+ * Allowlist entries are exact IPs, IPv4 CIDR ranges ("10.0.0.0/8") or "*".
+ */
+function isIpAllowed(ip, allowlist) {
+    const addr = normalizeIp(ip);
+    return allowlist.some((entry) => {
+        if (entry === '*') return true;
+        if (!entry.includes('/')) return normalizeIp(entry) === addr;
+
+        const [range, bitsStr] = entry.split('/');
+        const bits = parseInt(bitsStr, 10);
+        const rangeInt = ipv4ToInt(range);
+        const addrInt = ipv4ToInt(addr);
+        if (rangeInt === null || addrInt === null || isNaN(bits)) return false;
+        const mask = bits === 0 ? 0 : (~0 << (32 - bits)) >>> 0;
+        return ((rangeInt & mask) >>> 0) === ((addrInt & mask) >>> 0);
+    });
+}
+
+function verifySignature(rawBody, header, hmacSecret) {
+    if (!header || !rawBody) return false;
+    const provided = header.startsWith('sha256=') ? header.slice(7) : header;
+    const expected = crypto.createHmac('sha256', hmacSecret).update(rawBody).digest('hex');
+    const a = Buffer.from(provided, 'utf8');
+    const b = Buffer.from(expected, 'utf8');
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+async function webhookAuth(req, res, next) {
+    const ip = normalizeIp(req.ip);
+    const path = maskWebhookUrl(req.originalUrl);
+
+    const reject = async (statusCode, reason, sourceId = null) => {
+        console.warn(`[Webhook] Rejected (${statusCode}) from ${ip}: ${reason}`);
+        try {
+            await webhookSourceService.recordAuthFailure({ sourceId, ip, statusCode, reason, path });
+        } catch (err) {
+            console.error('[Webhook] Failed to record auth failure:', err);
+        }
+        return res.status(statusCode).json({ error: statusCode === 401 ? 'Unauthorized' : 'Forbidden' });
+    };
+
+    try {
+        const body = req.body && typeof req.body === 'object' ? req.body : null;
+        const secret = req.params.token || req.query.token || (body && body.secret);
+        const signature = req.get('X-Signature');
+
+        let source = null;
+        if (secret) {
+            source = await webhookSourceService.findSourceBySecret(secret);
+            if (!source) return reject(401, 'Unknown secret');
+        } else if (req.get('X-Webhook-Source')) {
+            source = await webhookSourceService.findSourceByName(req.get('X-Webhook-Source'));
+            if (!source || !source.hmac_secret) return reject(401, 'Unknown source or source has no HMAC secret');
+        } else {
+            return reject(401, 'Missing secret');
+        }
+
+        if (!source.enabled) return reject(403, 'Source disabled', source.id);
+
+        const allowlist = source.ip_allowlist || webhookSourceService.getDefaultAllowlist();
+        if (!isIpAllowed(ip, allowlist)) return reject(403, `IP ${ip} not allowed`, source.id);
+
+        if (source.hmac_secret && !verifySignature(req.rawBody, signature, source.hmac_secret)) {
+            return reject(401, signature ? 'Invalid signature' : 'Missing signature', source.id);
+        }
+
+        // Never let the secret reach processing / raw_payload
+        if (body && 'secret' in body) delete body.secret;
+
+        await webhookSourceService.touchSource(source.id);
+        req.webhookSource = { id: source.id, name: source.name };
+        next();
+    } catch (err) {
+        next(err);
+    }
+}
+
+module.exports = {
+    webhookAuth,
+    maskWebhookUrl,
+    isIpAllowed,
+    verifySignature,
+};
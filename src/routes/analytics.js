@@ -1,14 +1,25 @@
 /**
  * Analytics routes – per-batch dashboard data.
+ *
+ * Every endpoint accepts ?from=&to= (ISO dates, filtering on exit time);
+ * the time series also accept ?tz= (IANA zone, default UTC) and
+ * ?bucket=hour|day|week|month|quarter|year.
  */
 const express = require('express');
 const router = express.Router();
 const batchService = require('../services/batchService');
+const metricsService = require('../services/metricsService');
+const benchmarkService = require('../services/benchmarkService');
+const exportService = require('../services/exportService');
+const reportService = require('../services/reportService');
+const { parseRangeQuery } = require('../services/timeBuckets');
 
 // GET /api/analytics/:batchId/summary
 router.get('/:batchId/summary', async (req, res) => {
     try {
-        const data = await batchService.getBatchSummary(req.params.batchId);
+        const { options, error } = parseRangeQuery(req.query);
+        if (error) return res.status(400).json({ error });
+        const data = await batchService.getBatchSummary(req.params.batchId, options);
         if (!data) return res.status(404).json({ error: 'Batch not found' });
         res.json({ success: true, data });
     } catch (err) {
@@ -17,13 +28,46 @@ router.get('/:batchId/summary', async (req, res) => {
     }
 });
 
+// GET /api/analytics/:batchId/metrics  –  risk-adjusted performance metrics
+router.get('/:batchId/metrics', async (req, res) => {
+    try {
+        const { options, error } = parseRangeQuery(req.query);
+        if (error) return res.status(400).json({ error });
+        const data = await metricsService.getBatchMetrics(req.params.batchId, options);
+        if (!data) return res.status(404).json({ error: 'Batch not found' });
+        res.json({ success: true, data });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to fetch metrics' });
+    }
+});
+
+// GET /api/analytics/:batchId/benchmark  –  ?benchmark=equal_weight|symbol|basket&symbol=&weights=
+router.get('/:batchId/benchmark', async (req, res) => {
+    try {
+        const { options, error } = parseRangeQuery(req.query, { defaultBucket: 'day' });
+        if (error) return res.status(400).json({ error });
+        const { spec, error: benchmarkError } = benchmarkService.parseBenchmarkQuery(req.query);
+        if (benchmarkError) return res.status(400).json({ error: benchmarkError });
+
+        const data = await benchmarkService.getBenchmarkComparison(req.params.batchId, spec, options);
+        if (!data) return res.status(404).json({ error: 'Batch not found' });
+        res.json({ success: true, data });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to build benchmark' });
+    }
+});
+
 // GET /api/analytics/:batchId/trade-log
 router.get('/:batchId/trade-log', async (req, res) => {
     try {
+        const { options, error } = parseRangeQuery(req.query);
+        if (error) return res.status(400).json({ error });
         const { limit, offset } = req.query;
         const data = await batchService.getBatchTradeLog(
             req.params.batchId,
-            { limit: parseInt(limit) || 500, offset: parseInt(offset) || 0 }
+            { ...options, limit: parseInt(limit) || 500, offset: parseInt(offset) || 0 }
         );
         res.json({ success: true, data });
     } catch (err) {
@@ -35,7 +79,9 @@ router.get('/:batchId/trade-log', async (req, res) => {
 // GET /api/analytics/:batchId/capital-by-trade
 router.get('/:batchId/capital-by-trade', async (req, res) => {
     try {
-        const data = await batchService.getCapitalGrowthByTrade(req.params.batchId);
+        const { options, error } = parseRangeQuery(req.query);
+        if (error) return res.status(400).json({ error });
+        const data = await batchService.getCapitalGrowthByTrade(req.params.batchId, options);
         res.json({ success: true, data });
     } catch (err) {
         console.error(err);
@@ -46,7 +92,9 @@ router.get('/:batchId/capital-by-trade', async (req, res) => {
 // GET /api/analytics/:batchId/capital-by-day
 router.get('/:batchId/capital-by-day', async (req, res) => {
     try {
-        const data = await batchService.getCapitalGrowthByDay(req.params.batchId);
+        const { options, error } = parseRangeQuery(req.query, { defaultBucket: 'day' });
+        if (error) return res.status(400).json({ error });
+        const data = await batchService.getCapitalGrowthByDay(req.params.batchId, options);
         res.json({ success: true, data });
     } catch (err) {
         console.error(err);
@@ -57,7 +105,9 @@ router.get('/:batchId/capital-by-day', async (req, res) => {
 // GET /api/analytics/:batchId/trades-per-day
 router.get('/:batchId/trades-per-day', async (req, res) => {
     try {
-        const data = await batchService.getTradesPerDay(req.params.batchId);
+        const { options, error } = parseRangeQuery(req.query, { defaultBucket: 'day' });
+        if (error) return res.status(400).json({ error });
+        const data = await batchService.getTradesPerDay(req.params.batchId, options);
         res.json({ success: true, data });
     } catch (err) {
         console.error(err);
@@ -68,7 +118,9 @@ router.get('/:batchId/trades-per-day', async (req, res) => {
 // GET /api/analytics/:batchId/cumulative-trades
 router.get('/:batchId/cumulative-trades', async (req, res) => {
     try {
-        const data = await batchService.getCumulativeTradeCount(req.params.batchId);
+        const { options, error } = parseRangeQuery(req.query);
+        if (error) return res.status(400).json({ error });
+        const data = await batchService.getCumulativeTradeCount(req.params.batchId, options);
         res.json({ success: true, data });
     } catch (err) {
         console.error(err);
@@ -79,7 +131,9 @@ router.get('/:batchId/cumulative-trades', async (req, res) => {
 // GET /api/analytics/:batchId/symbol-breakdown
 router.get('/:batchId/symbol-breakdown', async (req, res) => {
     try {
-        const data = await batchService.getSymbolBreakdown(req.params.batchId);
+        const { options, error } = parseRangeQuery(req.query);
+        if (error) return res.status(400).json({ error });
+        const data = await batchService.getSymbolBreakdown(req.params.batchId, options);
         res.json({ success: true, data });
     } catch (err) {
         console.error(err);
@@ -87,10 +141,37 @@ router.get('/:batchId/symbol-breakdown', async (req, res) => {
     }
 });
 
+// GET /api/analytics/:batchId/skipped-trades
+router.get('/:batchId/skipped-trades', async (req, res) => {
+    try {
+        const { options, error } = parseRangeQuery(req.query);
+        if (error) return res.status(400).json({ error });
+        const data = await batchService.getSkippedTrades(req.params.batchId, options);
+        res.json({ success: true, data });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to fetch skipped trades' });
+    }
+});
+
+// GET /api/analytics/:batchId/open-positions  –  open trades marked to the latest prices
+router.get('/:batchId/open-positions', async (req, res) => {
+    try {
+        const data = await batchService.getBatchOpenPositions(req.params.batchId);
+        if (!data) return res.status(404).json({ error: 'Batch not found' });
+        res.json({ success: true, data });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to fetch open positions' });
+    }
+});
+
 // GET /api/analytics/:batchId/drawdown
 router.get('/:batchId/drawdown', async (req, res) => {
     try {
-        const data = await batchService.getDrawdownSeries(req.params.batchId);
+        const { options, error } = parseRangeQuery(req.query);
+        if (error) return res.status(400).json({ error });
+        const data = await batchService.getDrawdownSeries(req.params.batchId, options);
         res.json({ success: true, data });
     } catch (err) {
         console.error(err);
@@ -98,4 +179,50 @@ router.get('/:batchId/drawdown', async (req, res) => {
     }
 });
 
+/* ---------- Downloads ---------- */
+
+// GET /api/analytics/:batchId/export/:dataset?format=csv|xlsx  –  trade-log, capital-by-day,
+//   monthly-returns, symbol-breakdown, or all (xlsx only: one sheet per dataset)
+router.get('/:batchId/export/:dataset', async (req, res) => {
+    try {
+        const { dataset } = req.params;
+        const format = req.query.format || 'csv';
+        if (dataset !== 'all' && !exportService.DATASETS[dataset]) {
+            return res.status(400).json({
+                error: `dataset must be one of: ${[...Object.keys(exportService.DATASETS), 'all'].join(', ')}`,
+            });
+        }
+        if (!exportService.FORMATS.includes(format)) {
+            return res.status(400).json({ error: `format must be one of: ${exportService.FORMATS.join(', ')}` });
+        }
+        if (dataset === 'all' && format !== 'xlsx') {
+            return res.status(400).json({ error: 'all is only available as xlsx' });
+        }
+        const { options, error } = parseRangeQuery(req.query);
+        if (error) return res.status(400).json({ error });
+
+        const file = await exportService.exportDataset(req.params.batchId, dataset, format, options);
+        if (!file) return res.status(404).json({ error: 'Batch not found' });
+        res.attachment(file.filename).type(file.contentType).send(file.body);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to export data' });
+    }
+});
+
+// GET /api/analytics/:batchId/report.pdf  –  performance report (KPIs, charts, monthly returns, symbols)
+router.get('/:batchId/report.pdf', async (req, res) => {
+    try {
+        const { options, error } = parseRangeQuery(req.query);
+        if (error) return res.status(400).json({ error });
+
+        const report = await reportService.buildBatchReport(req.params.batchId, options);
+        if (!report) return res.status(404).json({ error: 'Batch not found' });
+        res.attachment(report.filename).type('application/pdf').send(report.body);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to build report' });
+    }
+});
+
 module.exports = router;
@@ -0,0 +1,92 @@
+/**
+ * Auth routes – login / logout and the caller's own API keys.
+ */
+const express = require('express');
+const router = express.Router();
+const userService = require('../services/userService');
+const { authenticate } = require('../middleware/auth');
+
+// POST /api/auth/login  –  body: { username, password }
+router.post('/login', async (req, res) => {
+    try {
+        const { username, password } = req.body || {};
+        if (!username || !password) return res.status(400).json({ error: 'username and password are required' });
+
+        const session = await userService.login(username, password);
+        if (!session) return res.status(401).json({ error: 'Invalid username or password' });
+        res.json({ success: true, data: session });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to log in' });
+    }
+});
+
+router.use(authenticate());
+
+// POST /api/auth/logout  –  ends the current session
+router.post('/logout', async (req, res) => {
+    try {
+        if (req.user.via === 'session') await userService.logout(req.authToken);
+        res.json({ success: true, message: 'Logged out' });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to log out' });
+    }
+});
+
+// GET /api/auth/me
+router.get('/me', (req, res) => {
+    res.json({ success: true, data: req.user });
+});
+
+// GET /api/auth/api-keys
+router.get('/api-keys', async (req, res) => {
+    try {
+        const keys = await userService.getApiKeys(req.user.id);
+        res.json({ success: true, data: keys });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to fetch API keys' });
+    }
+});
+
+// POST /api/auth/api-keys  –  body: { name, role, expires_at }; response includes the plain key (shown once)
+router.post('/api-keys', async (req, res) => {
+    try {
+        const { name, role, expires_at } = req.body;
+        if (!name) return res.status(400).json({ error: 'API key name is required' });
+        if (role !== undefined && role !== null && !userService.ROLES.includes(role)) {
+            return res.status(400).json({ error: `role must be one of: ${userService.ROLES.join(', ')}` });
+        }
+        if (role && !userService.hasRole(req.user.role, role)) {
+            return res.status(403).json({ error: 'An API key cannot have a higher role than its user' });
+        }
+        let expiresAt = null;
+        if (expires_at) {
+            expiresAt = new Date(expires_at);
+            if (isNaN(expiresAt.getTime()) || expiresAt <= new Date()) {
+                return res.status(400).json({ error: 'expires_at must be a future date' });
+            }
+        }
+
+        const key = await userService.createApiKey(req.user.id, { name, role: role || null, expiresAt });
+        res.status(201).json({ success: true, data: key });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to create API key' });
+    }
+});
+
+// DELETE /api/auth/api-keys/:id  –  revoke
+router.delete('/api-keys/:id', async (req, res) => {
+    try {
+        const revoked = await userService.revokeApiKey(req.user.id, req.params.id);
+        if (!revoked) return res.status(404).json({ error: 'API key not found' });
+        res.json({ success: true, message: 'API key revoked' });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to revoke API key' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,102 @@
+/**
+ * Batch template routes – reusable batch configurations. Create a batch
+ * from one with POST /api/batches { template_id, ... }.
+ */
+const express = require('express');
+const router = express.Router();
+const batchTemplateService = require('../services/batchTemplateService');
+const batchService = require('../services/batchService');
+
+/**
+ * Error message for invalid configuration fields in a request body, or null.
+ */
+function validateConfig(body) {
+    const { symbols } = body;
+    if (symbols !== undefined && !Array.isArray(symbols)) return 'symbols must be an array';
+    const symbolError = (symbols || []).map(batchService.validateSymbolEntry).find(Boolean);
+    return symbolError || batchService.validateSettings(batchService.pickSettings(body));
+}
+
+// GET /api/batch-templates
+router.get('/', async (req, res) => {
+    try {
+        const templates = await batchTemplateService.getTemplates();
+        res.json({ success: true, data: templates });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to fetch batch templates' });
+    }
+});
+
+// GET /api/batch-templates/:id
+router.get('/:id', async (req, res) => {
+    try {
+        const template = await batchTemplateService.getTemplateById(req.params.id);
+        if (!template) return res.status(404).json({ error: 'Batch template not found' });
+        res.json({ success: true, data: template });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to fetch batch template' });
+    }
+});
+
+// POST /api/batch-templates  –  body: { name, description, batch_id?, ...batch fields }; batch_id copies that batch's configuration
+router.post('/', async (req, res) => {
+    try {
+        const { name, description, batch_id } = req.body;
+        if (!name) return res.status(400).json({ error: 'Template name is required' });
+        const validationError = validateConfig(req.body);
+        if (validationError) return res.status(400).json({ error: validationError });
+
+        let config = {};
+        if (batch_id !== undefined) {
+            config = await batchTemplateService.configFromBatch(batch_id);
+            if (!config) return res.status(404).json({ error: 'Batch not found' });
+        }
+        const template = await batchTemplateService.createTemplate(
+            { name, description, config: { ...config, ...batchTemplateService.pickConfig(req.body) } },
+            { actor: req.user }
+        );
+        res.status(201).json({ success: true, data: template });
+    } catch (err) {
+        if (err.code === 'ER_DUP_ENTRY') return res.status(409).json({ error: 'Template name already exists' });
+        console.error(err);
+        res.status(500).json({ error: 'Failed to create batch template' });
+    }
+});
+
+// PUT /api/batch-templates/:id  –  configuration fields not sent are kept
+router.put('/:id', async (req, res) => {
+    try {
+        const { name, description } = req.body;
+        if (name !== undefined && !name) return res.status(400).json({ error: 'Template name must not be empty' });
+        const validationError = validateConfig(req.body);
+        if (validationError) return res.status(400).json({ error: validationError });
+
+        const template = await batchTemplateService.updateTemplate(req.params.id, {
+            name,
+            description,
+            config: batchTemplateService.pickConfig(req.body),
+        });
+        if (!template) return res.status(404).json({ error: 'Batch template not found' });
+        res.json({ success: true, data: template });
+    } catch (err) {
+        if (err.code === 'ER_DUP_ENTRY') return res.status(409).json({ error: 'Template name already exists' });
+        console.error(err);
+        res.status(500).json({ error: 'Failed to update batch template' });
+    }
+});
+
+// DELETE /api/batch-templates/:id  –  batches created from it are not affected
+router.delete('/:id', async (req, res) => {
+    try {
+        const deleted = await batchTemplateService.deleteTemplate(req.params.id);
+        if (!deleted) return res.status(404).json({ error: 'Batch template not found' });
+        res.json({ success: true, message: 'Batch template deleted' });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to delete batch template' });
+    }
+});
+
+module.exports = router;
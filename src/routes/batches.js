@@ -1,16 +1,69 @@
 /**
- * Batch routes – CRUD + symbol management.
+ * Batch routes – CRUD, cloning, archival, symbol management, history /
+ * versions, restore and risk rule status / resume.
+ *
+ * Changes that rebuild the batch log accept ?background=1: the rebuild is
+ * queued (see /api/rebuild-jobs), the response is 202 and the batch carries
+ * the job as `rebuild_job`.
  */
 const express = require('express');
 const router = express.Router();
 const batchService = require('../services/batchService');
+const batchHistory = require('../services/batchHistoryService');
+const batchTemplateService = require('../services/batchTemplateService');
+const riskService = require('../services/riskService');
+
+/**
+ * Error message for invalid symbols / settings in a batch body, or null.
+ */
+function validateBatchInput(input) {
+    const { symbols } = input;
+    if (symbols !== undefined && !Array.isArray(symbols)) return 'symbols must be an array';
+    const symbolError = (symbols || []).map(batchService.validateSymbolEntry).find(Boolean);
+    return symbolError || batchService.validateSettings(batchService.pickSettings(input));
+}
+
+/**
+ * Mutation options from the request: the acting user and ?background=1.
+ */
+function changeOptions(req) {
+    return { actor: req.user, background: ['1', 'true'].includes(String(req.query.background)) };
+}
+
+/**
+ * 202 when the rebuild was queued, `status` otherwise.
+ */
+function sendBatch(res, batch, status = 200) {
+    res.status(batch.rebuild_job ? 202 : status).json({ success: true, data: batch });
+}
+
+/**
+ * Archived batches are frozen: changes are refused until they are unarchived.
+ */
+async function rejectArchived(req, res, next) {
+    try {
+        const batch = await batchService.getBatchById(req.params.id);
+        if (batch && batch.archived_at) {
+            return res.status(409).json({ error: 'Batch is archived – unarchive it first' });
+        }
+        next();
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to fetch batch' });
+    }
+}
+
+const ARCHIVED_QUERY = { true: 'only', all: 'include' };
 
 /* ---------- Batch CRUD ---------- */
 
-// GET /api/batches
+// GET /api/batches  –  ?deleted=true lists deleted batches instead; ?archived=true only archived ones, ?archived=all both
 router.get('/', async (req, res) => {
     try {
-        const batches = await batchService.getAllBatches();
+        const batches = await batchService.getAllBatches({
+            deleted: req.query.deleted === 'true',
+            archived: ARCHIVED_QUERY[req.query.archived] || 'exclude',
+        });
         res.json({ success: true, data: batches });
     } catch (err) {
         console.error(err);
@@ -30,13 +83,23 @@ router.get('/:id', async (req, res) => {
     }
 });
 
-// POST /api/batches
+// POST /api/batches  –  with template_id the template's configuration is the default for every field
 router.post('/', async (req, res) => {
     try {
-        const { name, capital, start_time, symbols } = req.body;
-        if (!name) return res.status(400).json({ error: 'Batch name is required' });
+        const { name, capital, start_time, symbols, template_id } = req.body;
+        let input = { name, capital, start_time, symbols, ...batchService.pickSettings(req.body) };
+        let note = null;
+        if (template_id !== undefined) {
+            const template = await batchTemplateService.getTemplateById(template_id);
+            if (!template) return res.status(404).json({ error: 'Batch template not found' });
+            input = batchTemplateService.applyTemplate(template, input);
+            note = `Created from template "${template.name}"`;
+        }
+        if (!input.name) return res.status(400).json({ error: 'Batch name is required' });
+        const validationError = validateBatchInput(input);
+        if (validationError) return res.status(400).json({ error: validationError });
 
-        const batch = await batchService.createBatch({ name, capital, start_time, symbols });
+        const batch = await batchService.createBatch(input, { ...changeOptions(req), note });
         res.status(201).json({ success: true, data: batch });
     } catch (err) {
         console.error(err);
@@ -45,22 +108,31 @@ router.post('/', async (req, res) => {
 });
 
 // PUT /api/batches/:id
-router.put('/:id', async (req, res) => {
+router.put('/:id', rejectArchived, async (req, res) => {
     try {
         const { name, capital, start_time } = req.body;
-        const batch = await batchService.updateBatch(req.params.id, { name, capital, start_time });
+        const settings = batchService.pickSettings(req.body);
+        const validationError = batchService.validateSettings(settings);
+        if (validationError) return res.status(400).json({ error: validationError });
+
+        const batch = await batchService.updateBatch(
+            req.params.id,
+            { name, capital, start_time, ...settings },
+            changeOptions(req)
+        );
         if (!batch) return res.status(404).json({ error: 'Batch not found' });
-        res.json({ success: true, data: batch });
+        sendBatch(res, batch);
     } catch (err) {
         console.error(err);
         res.status(500).json({ error: 'Failed to update batch' });
     }
 });
 
-// DELETE /api/batches/:id
+// DELETE /api/batches/:id  –  soft delete, see POST /api/batches/:id/restore
 router.delete('/:id', async (req, res) => {
     try {
-        await batchService.deleteBatch(req.params.id);
+        const deleted = await batchService.deleteBatch(req.params.id, { actor: req.user });
+        if (!deleted) return res.status(404).json({ error: 'Batch not found' });
         res.json({ success: true, message: 'Batch deleted' });
     } catch (err) {
         console.error(err);
@@ -68,42 +140,204 @@ router.delete('/:id', async (req, res) => {
     }
 });
 
+// POST /api/batches/:id/restore  –  undo a delete
+router.post('/:id/restore', async (req, res) => {
+    try {
+        const batch = await batchService.restoreBatch(req.params.id, changeOptions(req));
+        if (!batch) return res.status(404).json({ error: 'Deleted batch not found' });
+        sendBatch(res, batch);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to restore batch' });
+    }
+});
+
+// POST /api/batches/:id/clone  –  body: any batch fields to change in the copy; name defaults to "<name> (copy)"
+router.post('/:id/clone', async (req, res) => {
+    try {
+        const { name, capital, start_time, symbols } = req.body || {};
+        if (name !== undefined && !name) return res.status(400).json({ error: 'Batch name must not be empty' });
+        const overrides = { name, capital, start_time, symbols, ...batchService.pickSettings(req.body || {}) };
+        const validationError = validateBatchInput(overrides);
+        if (validationError) return res.status(400).json({ error: validationError });
+
+        const batch = await batchService.cloneBatch(req.params.id, overrides, changeOptions(req));
+        if (!batch) return res.status(404).json({ error: 'Batch not found' });
+        sendBatch(res, batch, 201);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to clone batch' });
+    }
+});
+
+// POST /api/batches/:id/archive  –  freeze the log and hide the batch from the list
+router.post('/:id/archive', async (req, res) => {
+    try {
+        const batch = await batchService.getBatchById(req.params.id);
+        if (!batch) return res.status(404).json({ error: 'Batch not found' });
+        if (batch.archived_at) return res.status(409).json({ error: 'Batch is already archived' });
+
+        await batchService.archiveBatch(batch.id, { actor: req.user });
+        res.json({ success: true, data: await batchService.getBatchById(batch.id) });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to archive batch' });
+    }
+});
+
+// POST /api/batches/:id/unarchive  –  the log is rebuilt with the trades that arrived meanwhile
+router.post('/:id/unarchive', async (req, res) => {
+    try {
+        const batch = await batchService.unarchiveBatch(req.params.id, changeOptions(req));
+        if (!batch) return res.status(404).json({ error: 'Archived batch not found' });
+        sendBatch(res, batch);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to unarchive batch' });
+    }
+});
+
+/* ---------- History & versions ---------- */
+
+// GET /api/batches/:id/history?limit=&offset=  –  audit trail, newest first
+router.get('/:id/history', async (req, res) => {
+    try {
+        const batch = await batchService.getBatchById(req.params.id, { includeDeleted: true });
+        if (!batch) return res.status(404).json({ error: 'Batch not found' });
+        const history = await batchHistory.getAuditLog(req.params.id, {
+            limit: parseInt(req.query.limit) || 100,
+            offset: parseInt(req.query.offset) || 0,
+        });
+        res.json({ success: true, data: history });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to fetch batch history' });
+    }
+});
+
+// GET /api/batches/:id/versions
+router.get('/:id/versions', async (req, res) => {
+    try {
+        const batch = await batchService.getBatchById(req.params.id, { includeDeleted: true });
+        if (!batch) return res.status(404).json({ error: 'Batch not found' });
+        const versions = await batchHistory.getVersions(req.params.id);
+        res.json({ success: true, data: { current_version: batch.version, versions } });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to fetch batch versions' });
+    }
+});
+
+// GET /api/batches/:id/versions/:version
+router.get('/:id/versions/:version', async (req, res) => {
+    try {
+        const version = await batchHistory.getVersion(req.params.id, req.params.version);
+        if (!version) return res.status(404).json({ error: 'Batch version not found' });
+        res.json({ success: true, data: version });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to fetch batch version' });
+    }
+});
+
+// POST /api/batches/:id/revert  –  body: { version }; restores that configuration and rebuilds the log
+router.post('/:id/revert', rejectArchived, async (req, res) => {
+    try {
+        const version = parseInt(req.body && req.body.version, 10);
+        if (!(version > 0)) return res.status(400).json({ error: 'version must be a positive integer' });
+
+        const batch = await batchService.revertBatch(req.params.id, version, changeOptions(req));
+        if (!batch) return res.status(404).json({ error: 'Batch or version not found' });
+        sendBatch(res, batch);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to revert batch' });
+    }
+});
+
+/* ---------- Risk rules ---------- */
+
+// GET /api/batches/:id/risk  –  rules, current pauses, breach history and manual resumes
+router.get('/:id/risk', async (req, res) => {
+    try {
+        const batch = await batchService.getBatchById(req.params.id);
+        if (!batch) return res.status(404).json({ error: 'Batch not found' });
+        res.json({ success: true, data: await riskService.getRiskStatus(batch) });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to fetch risk status' });
+    }
+});
+
+// POST /api/batches/:id/risk/resume  –  body: { symbol?, note? }; lifts the pauses in force now
+router.post('/:id/risk/resume', rejectArchived, async (req, res) => {
+    try {
+        const { symbol, note } = req.body || {};
+        const batch = await batchService.getBatchById(req.params.id);
+        if (!batch) return res.status(404).json({ error: 'Batch not found' });
+
+        const result = await riskService.resumeBatch(batch.id, {
+            symbol: symbol ? String(symbol).toUpperCase() : null,
+            note: note ? String(note).slice(0, 500) : null,
+            actor: req.user,
+        });
+        if (result.conflict) return res.status(409).json({ error: result.conflict });
+        res.json({ success: true, data: result });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to resume batch' });
+    }
+});
+
 /* ---------- Symbol management ---------- */
 
 // PUT /api/batches/:id/symbols  – replace entire symbol list
-router.put('/:id/symbols', async (req, res) => {
+router.put('/:id/symbols', rejectArchived, async (req, res) => {
     try {
         const { symbols } = req.body;
         if (!Array.isArray(symbols)) return res.status(400).json({ error: 'symbols must be an array' });
-        await batchService.setSymbols(req.params.id, symbols);
-        const batch = await batchService.getBatchById(req.params.id);
-        res.json({ success: true, data: batch });
+        const symbolError = symbols.map(batchService.validateSymbolEntry).find(Boolean);
+        if (symbolError) return res.status(400).json({ error: symbolError });
+        const batch = await batchService.setSymbols(req.params.id, symbols, changeOptions(req));
+        if (!batch) return res.status(404).json({ error: 'Batch not found' });
+        sendBatch(res, batch);
     } catch (err) {
         console.error(err);
         res.status(500).json({ error: 'Failed to set symbols' });
     }
 });
 
-// POST /api/batches/:id/symbols  – add one symbol
-router.post('/:id/symbols', async (req, res) => {
+// POST /api/batches/:id/symbols  – add one symbol, optionally { timeframe, source_id, strategy }
+router.post('/:id/symbols', rejectArchived, async (req, res) => {
     try {
-        const { symbol } = req.body;
+        const { symbol, timeframe, source_id, strategy } = req.body;
         if (!symbol) return res.status(400).json({ error: 'symbol is required' });
-        await batchService.addSymbol(req.params.id, symbol);
-        const batch = await batchService.getBatchById(req.params.id);
-        res.json({ success: true, data: batch });
+        const batch = await batchService.addSymbol(
+            req.params.id,
+            { symbol, timeframe, source_id, strategy },
+            changeOptions(req)
+        );
+        if (!batch) return res.status(404).json({ error: 'Batch not found' });
+        sendBatch(res, batch);
     } catch (err) {
         console.error(err);
         res.status(500).json({ error: 'Failed to add symbol' });
     }
 });
 
-// DELETE /api/batches/:id/symbols/:symbol
-router.delete('/:id/symbols/:symbol', async (req, res) => {
+// DELETE /api/batches/:id/symbols/:symbol  – ?timeframe=&source_id=&strategy= removes only that entry
+router.delete('/:id/symbols/:symbol', rejectArchived, async (req, res) => {
     try {
-        await batchService.removeSymbol(req.params.id, req.params.symbol);
-        const batch = await batchService.getBatchById(req.params.id);
-        res.json({ success: true, data: batch });
+        const { timeframe, source_id, strategy } = req.query;
+        const hasFilter = [timeframe, source_id, strategy].some((v) => v !== undefined);
+        const batch = await batchService.removeSymbol(
+            req.params.id,
+            req.params.symbol,
+            hasFilter ? { timeframe, source_id, strategy } : null,
+            changeOptions(req)
+        );
+        if (!batch) return res.status(404).json({ error: 'Batch not found' });
+        sendBatch(res, batch);
     } catch (err) {
         console.error(err);
         res.status(500).json({ error: 'Failed to remove symbol' });
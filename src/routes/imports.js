@@ -0,0 +1,97 @@
+/**
+ * Import routes – load historical trades from CSV / JSON exports, preview
+ * them (dry run) and undo imports.
+ */
+const express = require('express');
+const router = express.Router();
+const importService = require('../services/importService');
+const { FORMATS } = require('../services/tradeImportParser');
+const { isValidTimeZone } = require('../services/timeBuckets');
+
+// GET /api/imports?limit=&offset=
+router.get('/', async (req, res) => {
+    try {
+        const imports = await importService.getImports({
+            limit: parseInt(req.query.limit) || 100,
+            offset: parseInt(req.query.offset) || 0,
+        });
+        res.json({ success: true, data: imports });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to fetch imports' });
+    }
+});
+
+// GET /api/imports/:id
+router.get('/:id', async (req, res) => {
+    try {
+        const imported = await importService.getImportById(req.params.id);
+        if (!imported) return res.status(404).json({ error: 'Import not found' });
+        res.json({ success: true, data: imported });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to fetch import' });
+    }
+});
+
+// POST /api/imports  –  text/csv body with options in the query string, or JSON
+//   { format, csv | trades, symbol, timeframe, strategy, tz, filename, dry_run, on_overlap }
+router.post('/', express.text({ type: 'text/csv', limit: '20mb' }), async (req, res) => {
+    try {
+        const isCsvBody = typeof req.body === 'string';
+        const options = isCsvBody ? req.query : { ...req.query, ...req.body };
+        const input = {
+            format: options.format,
+            csv: isCsvBody ? req.body : options.csv,
+            trades: isCsvBody ? undefined : options.trades,
+            symbol: options.symbol,
+            timeframe: options.timeframe,
+            strategy: options.strategy,
+            tz: options.tz || 'UTC',
+            filename: options.filename,
+        };
+        const dryRun = options.dry_run === true || options.dry_run === 'true';
+        const onOverlap = options.on_overlap || 'skip';
+
+        if (!input.csv && !Array.isArray(input.trades)) {
+            return res.status(400).json({ error: 'Send a text/csv body, or JSON with csv (string) or trades (array)' });
+        }
+        if (input.format !== undefined && !FORMATS.includes(input.format)) {
+            return res.status(400).json({ error: `format must be one of: ${FORMATS.join(', ')}` });
+        }
+        if (input.format === 'tradingview' && !input.symbol) {
+            return res.status(400).json({ error: 'symbol is required for TradingView exports (the CSV has none)' });
+        }
+        if (!isValidTimeZone(input.tz)) {
+            return res.status(400).json({ error: 'tz must be an IANA time zone, e.g. Europe/Berlin' });
+        }
+        if (!importService.OVERLAP_POLICIES.includes(onOverlap)) {
+            return res.status(400).json({ error: `on_overlap must be one of: ${importService.OVERLAP_POLICIES.join(', ')}` });
+        }
+
+        const result = await importService.importTrades(input, { dryRun, onOverlap, actor: req.user });
+        if (!dryRun && result.parsed === 0) {
+            return res.status(400).json({ error: 'No valid trades found', data: result });
+        }
+        res.status(result.import_id ? 201 : 200).json({ success: true, data: result });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to import trades' });
+    }
+});
+
+// DELETE /api/imports/:id  –  undo: removes the imported trades and rebuilds affected batches
+router.delete('/:id', async (req, res) => {
+    try {
+        const result = await importService.undoImport(req.params.id);
+        if (!result) return res.status(404).json({ error: 'Import not found' });
+        if (result.alreadyUndone) return res.status(409).json({ error: 'Import was already undone' });
+        if (result.conflict) return res.status(409).json({ error: result.conflict });
+        res.json({ success: true, data: result });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to undo import' });
+    }
+});
+
+module.exports = router;
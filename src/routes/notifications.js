@@ -0,0 +1,206 @@
+/**
+ * Notification routes – outbound channels, the rules that trigger them
+ * and the delivery log.
+ */
+const express = require('express');
+const router = express.Router();
+const notificationService = require('../services/notificationService');
+
+const DELIVERY_STATUSES = ['pending', 'sending', 'sent', 'failed'];
+
+function validateRule({ event, threshold }, { partial = false } = {}) {
+    if (!partial || event !== undefined) {
+        if (!notificationService.RULE_EVENTS.includes(event)) {
+            return `event must be one of: ${notificationService.RULE_EVENTS.join(', ')}`;
+        }
+    }
+    if (threshold !== undefined && threshold !== null && !(parseFloat(threshold) >= 0)) {
+        return 'threshold must be a non-negative percentage';
+    }
+    if (!partial && notificationService.THRESHOLD_EVENTS.includes(event) && (threshold === undefined || threshold === null)) {
+        return `threshold is required for ${event} rules`;
+    }
+    return null;
+}
+
+/* ===========================  CHANNELS  =========================== */
+
+// GET /api/notifications/channels
+router.get('/channels', async (req, res) => {
+    try {
+        const channels = await notificationService.getAllChannels();
+        res.json({ success: true, data: channels });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to fetch notification channels' });
+    }
+});
+
+// GET /api/notifications/channels/:id
+router.get('/channels/:id', async (req, res) => {
+    try {
+        const channel = await notificationService.getChannelById(req.params.id);
+        if (!channel) return res.status(404).json({ error: 'Notification channel not found' });
+        res.json({ success: true, data: channel });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to fetch notification channel' });
+    }
+});
+
+// POST /api/notifications/channels  –  body: { name, type: webhook | email, config, enabled }
+router.post('/channels', async (req, res) => {
+    try {
+        const { name, type, config, enabled } = req.body;
+        if (!name) return res.status(400).json({ error: 'Channel name is required' });
+        if (!notificationService.CHANNEL_TYPES.includes(type)) {
+            return res.status(400).json({ error: `type must be one of: ${notificationService.CHANNEL_TYPES.join(', ')}` });
+        }
+        const validationError = notificationService.validateChannelConfig(type, config);
+        if (validationError) return res.status(400).json({ error: validationError });
+
+        const channel = await notificationService.createChannel({ name, type, config, enabled });
+        res.status(201).json({ success: true, data: channel });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to create notification channel' });
+    }
+});
+
+// PUT /api/notifications/channels/:id
+router.put('/channels/:id', async (req, res) => {
+    try {
+        const { name, config, enabled } = req.body;
+        const existing = await notificationService.getChannelById(req.params.id);
+        if (!existing) return res.status(404).json({ error: 'Notification channel not found' });
+        if (config !== undefined) {
+            const validationError = notificationService.validateChannelConfig(existing.type, config);
+            if (validationError) return res.status(400).json({ error: validationError });
+        }
+
+        const channel = await notificationService.updateChannel(req.params.id, { name, config, enabled });
+        res.json({ success: true, data: channel });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to update notification channel' });
+    }
+});
+
+// DELETE /api/notifications/channels/:id  –  its rules and deliveries go with it
+router.delete('/channels/:id', async (req, res) => {
+    try {
+        await notificationService.deleteChannel(req.params.id);
+        res.json({ success: true, message: 'Notification channel deleted' });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to delete notification channel' });
+    }
+});
+
+// POST /api/notifications/channels/:id/test  –  body: { message } (optional)
+router.post('/channels/:id/test', async (req, res) => {
+    try {
+        const delivery = await notificationService.sendTest(req.params.id, { message: req.body && req.body.message });
+        if (!delivery) return res.status(404).json({ error: 'Notification channel not found' });
+        res.json({ success: delivery.status === 'sent', data: delivery });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to send test notification' });
+    }
+});
+
+/* ===========================  RULES  =========================== */
+
+// GET /api/notifications/rules?channel_id=
+router.get('/rules', async (req, res) => {
+    try {
+        const rules = await notificationService.getAllRules({ channelId: req.query.channel_id });
+        res.json({ success: true, data: rules });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to fetch notification rules' });
+    }
+});
+
+// POST /api/notifications/rules  –  body: { channel_id, event, threshold, batch_id, symbol, enabled }
+router.post('/rules', async (req, res) => {
+    try {
+        const { channel_id, event, threshold, batch_id, symbol, enabled } = req.body;
+        const channel = channel_id ? await notificationService.getChannelById(channel_id) : null;
+        if (!channel) return res.status(400).json({ error: 'channel_id must reference an existing channel' });
+        const validationError = validateRule({ event, threshold });
+        if (validationError) return res.status(400).json({ error: validationError });
+
+        const rule = await notificationService.createRule({ channel_id, event, threshold, batch_id, symbol, enabled });
+        res.status(201).json({ success: true, data: rule });
+    } catch (err) {
+        if (err.code === 'ER_NO_REFERENCED_ROW_2') return res.status(400).json({ error: 'batch_id must reference an existing batch' });
+        console.error(err);
+        res.status(500).json({ error: 'Failed to create notification rule' });
+    }
+});
+
+// PUT /api/notifications/rules/:id
+router.put('/rules/:id', async (req, res) => {
+    try {
+        const { event, threshold, batch_id, symbol, enabled } = req.body;
+        const validationError = validateRule({ event, threshold }, { partial: true });
+        if (validationError) return res.status(400).json({ error: validationError });
+
+        const rule = await notificationService.updateRule(req.params.id, { event, threshold, batch_id, symbol, enabled });
+        if (!rule) return res.status(404).json({ error: 'Notification rule not found' });
+        res.json({ success: true, data: rule });
+    } catch (err) {
+        if (err.code === 'ER_NO_REFERENCED_ROW_2') return res.status(400).json({ error: 'batch_id must reference an existing batch' });
+        console.error(err);
+        res.status(500).json({ error: 'Failed to update notification rule' });
+    }
+});
+
+// DELETE /api/notifications/rules/:id
+router.delete('/rules/:id', async (req, res) => {
+    try {
+        await notificationService.deleteRule(req.params.id);
+        res.json({ success: true, message: 'Notification rule deleted' });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to delete notification rule' });
+    }
+});
+
+/* ===========================  DELIVERIES  =========================== */
+
+// GET /api/notifications/deliveries?status=&channel_id=&limit=&offset=
+router.get('/deliveries', async (req, res) => {
+    try {
+        const { status, channel_id, limit, offset } = req.query;
+        if (status && !DELIVERY_STATUSES.includes(status)) {
+            return res.status(400).json({ error: `status must be one of: ${DELIVERY_STATUSES.join(', ')}` });
+        }
+        const deliveries = await notificationService.getDeliveries({
+            status,
+            channelId: channel_id,
+            limit: parseInt(limit) || 100,
+            offset: parseInt(offset) || 0,
+        });
+        res.json({ success: true, data: deliveries });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to fetch notification deliveries' });
+    }
+});
+
+// POST /api/notifications/deliveries/:id/retry  –  send again now
+router.post('/deliveries/:id/retry', async (req, res) => {
+    try {
+        const delivery = await notificationService.retryDelivery(req.params.id);
+        if (!delivery) return res.status(404).json({ error: 'Notification delivery not found' });
+        if (delivery.conflict) return res.status(409).json({ error: delivery.conflict });
+        res.json({ success: delivery.status === 'sent', data: delivery });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to retry notification delivery' });
+    }
+});
+
+module.exports = router;
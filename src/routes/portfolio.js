@@ -0,0 +1,45 @@
+/**
+ * Portfolio routes – cross-batch comparison and the master portfolio.
+ *
+ * Both accept ?from=&to=&tz=&bucket= like the per-batch analytics.
+ */
+const express = require('express');
+const router = express.Router();
+const portfolioService = require('../services/portfolioService');
+const { parseRangeQuery } = require('../services/timeBuckets');
+
+// GET /api/portfolio/compare?batch_ids=1,2,3
+router.get('/compare', async (req, res) => {
+    try {
+        const { options, error } = parseRangeQuery(req.query, { defaultBucket: 'day' });
+        if (error) return res.status(400).json({ error });
+        const { ids, error: idsError } = portfolioService.parseBatchIds(req.query.batch_ids);
+        if (idsError) return res.status(400).json({ error: idsError });
+
+        const data = await portfolioService.compareBatches(ids, options);
+        if (data.missing) return res.status(404).json({ error: `Batch not found: ${data.missing.join(', ')}` });
+        res.json({ success: true, data });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to compare batches' });
+    }
+});
+
+// GET /api/portfolio/master?batch_ids=1,2  –  all batches when batch_ids is omitted
+router.get('/master', async (req, res) => {
+    try {
+        const { options, error } = parseRangeQuery(req.query, { defaultBucket: 'day' });
+        if (error) return res.status(400).json({ error });
+        const { ids, error: idsError } = portfolioService.parseBatchIds(req.query.batch_ids, { required: false });
+        if (idsError) return res.status(400).json({ error: idsError });
+
+        const data = await portfolioService.getMasterPortfolio(ids, options);
+        if (data.missing) return res.status(404).json({ error: `Batch not found: ${data.missing.join(', ')}` });
+        res.json({ success: true, data });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to build master portfolio' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,85 @@
+/**
+ * Price routes – price ticks used to mark open trades to market.
+ */
+const express = require('express');
+const router = express.Router();
+const priceService = require('../services/priceService');
+const { parseRangeQuery } = require('../services/timeBuckets');
+
+function readTicks(body) {
+    const ticks = Array.isArray(body.ticks) ? body.ticks : [body];
+    if (ticks.length === 0) return { error: 'ticks must not be empty' };
+    const error = ticks.map(priceService.validateTick).find(Boolean);
+    return error ? { error } : { ticks };
+}
+
+// GET /api/prices  –  last known price per symbol
+router.get('/', async (req, res) => {
+    try {
+        const prices = await priceService.getPrices();
+        res.json({ success: true, data: prices });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to fetch prices' });
+    }
+});
+
+// GET /api/prices/:symbol/history?from=&to=&limit=
+router.get('/:symbol/history', async (req, res) => {
+    try {
+        const { options, error } = parseRangeQuery(req.query);
+        if (error) return res.status(400).json({ error });
+        const history = await priceService.getPriceHistory(req.params.symbol, {
+            from: options.from,
+            to: options.to,
+            limit: parseInt(req.query.limit) || 10000,
+        });
+        res.json({ success: true, data: history });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to fetch price history' });
+    }
+});
+
+// GET /api/prices/:symbol
+router.get('/:symbol', async (req, res) => {
+    try {
+        const price = await priceService.getPrice(req.params.symbol);
+        if (!price) return res.status(404).json({ error: 'No price known for symbol' });
+        res.json({ success: true, data: price });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to fetch price' });
+    }
+});
+
+// POST /api/prices  –  body: { symbol, price, time } or { ticks: [{ symbol, price, time }, ...] }
+router.post('/', async (req, res) => {
+    try {
+        const { ticks, error } = readTicks(req.body);
+        if (error) return res.status(400).json({ error });
+
+        const recorded = await priceService.recordTicks(ticks);
+        res.json({ success: true, data: { recorded } });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to record prices' });
+    }
+});
+
+// POST /api/prices/history  –  import price history, body: { ticks: [{ symbol, price, time }, ...] }
+router.post('/history', async (req, res) => {
+    try {
+        const { ticks, error } = readTicks(req.body);
+        if (error) return res.status(400).json({ error });
+        if (ticks.some((tick) => !tick.time)) return res.status(400).json({ error: 'time is required for history' });
+
+        const recorded = await priceService.recordTicks(ticks, 'import');
+        res.json({ success: true, data: { recorded } });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to import price history' });
+    }
+});
+
+module.exports = router;
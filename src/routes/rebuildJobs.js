@@ -0,0 +1,79 @@
+/**
+ * Rebuild job routes – queue batch log rebuilds in the background and
+ * follow their progress.
+ */
+const express = require('express');
+const router = express.Router();
+const rebuildJobService = require('../services/rebuildJobService');
+const batchService = require('../services/batchService');
+const { requireRole } = require('../middleware/auth');
+
+// GET /api/rebuild-jobs?status=&batch_id=&limit=&offset=
+router.get('/', async (req, res) => {
+    try {
+        const { status, batch_id, limit, offset } = req.query;
+        if (status && !rebuildJobService.JOB_STATUSES.includes(status)) {
+            return res.status(400).json({ error: `status must be one of: ${rebuildJobService.JOB_STATUSES.join(', ')}` });
+        }
+        const jobs = await rebuildJobService.getJobs({
+            status,
+            batchId: batch_id,
+            limit: parseInt(limit) || 100,
+            offset: parseInt(offset) || 0,
+        });
+        res.json({ success: true, data: jobs });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to fetch rebuild jobs' });
+    }
+});
+
+// POST /api/rebuild-jobs/all  –  admin: rebuild every active, unarchived batch, e.g. after a data fix
+router.post('/all', requireRole('admin'), async (req, res) => {
+    try {
+        const job = await rebuildJobService.enqueueRebuild({ reason: 'rebuild_all', actor: req.user });
+        res.status(202).json({ success: true, data: job });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to queue rebuild' });
+    }
+});
+
+// GET /api/rebuild-jobs/:id
+router.get('/:id', async (req, res) => {
+    try {
+        const job = await rebuildJobService.getJobById(req.params.id);
+        if (!job) return res.status(404).json({ error: 'Rebuild job not found' });
+        res.json({ success: true, data: job });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to fetch rebuild job' });
+    }
+});
+
+// POST /api/rebuild-jobs  –  body: { batch_id, from }; `from` replays only from that time
+router.post('/', async (req, res) => {
+    try {
+        const { batch_id, from } = req.body;
+        if (!batch_id) return res.status(400).json({ error: 'batch_id is required' });
+        if (from !== undefined && from !== null && isNaN(new Date(from).getTime())) {
+            return res.status(400).json({ error: 'from must be a valid date' });
+        }
+        const batch = await batchService.getBatchById(batch_id);
+        if (!batch) return res.status(404).json({ error: 'Batch not found' });
+        if (batch.archived_at) return res.status(409).json({ error: 'Batch is archived – its log is frozen' });
+
+        const job = await rebuildJobService.enqueueRebuild({
+            batchId: batch.id,
+            from: from || null,
+            reason: 'manual',
+            actor: req.user,
+        });
+        res.status(202).json({ success: true, data: job });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to queue rebuild' });
+    }
+});
+
+module.exports = router;
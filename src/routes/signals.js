@@ -0,0 +1,81 @@
+/**
+ * Signal journal routes – inspect, re-process and replay inbound alerts.
+ */
+const express = require('express');
+const router = express.Router();
+const signalService = require('../services/signalService');
+
+// GET /api/signals?outcome=&symbol=&source_id=&flagged=&limit=&offset=
+router.get('/', async (req, res) => {
+    try {
+        const { outcome, symbol, source_id, flagged, limit, offset } = req.query;
+        const signals = await signalService.getSignals({
+            outcome,
+            symbol,
+            sourceId: source_id,
+            flagged: flagged !== undefined ? ['1', 'true'].includes(String(flagged)) : undefined,
+            limit: parseInt(limit) || 200,
+            offset: parseInt(offset) || 0,
+        });
+        res.json({ success: true, data: signals });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to fetch signals' });
+    }
+});
+
+// GET /api/signals/replay  –  the latest journal replay and its progress
+router.get('/replay', async (req, res) => {
+    try {
+        res.json({ success: true, data: await signalService.getLatestReplay() });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to fetch signal journal replay' });
+    }
+});
+
+// POST /api/signals/replay  –  rebuild all trades from the journal; body: { "confirm": true }
+router.post('/replay', async (req, res) => {
+    try {
+        if (!req.body || req.body.confirm !== true) {
+            return res.status(400).json({ error: 'Replay deletes and rebuilds all signal trades; send { "confirm": true }' });
+        }
+        const summary = await signalService.replayJournal({ actor: req.user });
+        if (summary.conflict) return res.status(409).json({ error: summary.conflict });
+        res.json({ success: true, data: summary });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to replay signal journal' });
+    }
+});
+
+// GET /api/signals/:id
+router.get('/:id', async (req, res) => {
+    try {
+        const signal = await signalService.getSignalById(req.params.id);
+        if (!signal) return res.status(404).json({ error: 'Signal not found' });
+        res.json({ success: true, data: signal });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to fetch signal' });
+    }
+});
+
+// POST /api/signals/:id/reprocess
+router.post('/:id/reprocess', async (req, res) => {
+    try {
+        const result = await signalService.reprocessSignal(req.params.id);
+        if (!result) return res.status(404).json({ error: 'Signal not found' });
+        if (result.conflict) return res.status(409).json({ error: result.conflict });
+        if (result.refused) {
+            return res.status(409).json({ error: `Signal already processed as ${result.signal.outcome}` });
+        }
+        const signal = await signalService.getSignalById(req.params.id);
+        res.json({ success: true, data: signal });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to reprocess signal' });
+    }
+});
+
+module.exports = router;
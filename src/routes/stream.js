@@ -0,0 +1,58 @@
+/**
+ * Stream route – Server-Sent Events with live trade and batch updates.
+ *
+ * GET /api/stream?batch_id=&symbol=&types=trade.closed,batch.log
+ *
+ * Reconnecting clients send Last-Event-ID (EventSource does this on its
+ * own) or ?last_event_id= to receive the events they missed. When those
+ * are no longer buffered a "stream.reset" event tells them to reload.
+ */
+const express = require('express');
+const router = express.Router();
+const eventBus = require('../services/eventBus');
+
+const HEARTBEAT_MS = 25000;
+
+function writeEvent(res, event) {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+}
+
+// GET /api/stream
+router.get('/', (req, res) => {
+    const filter = {
+        batchId: req.query.batch_id || null,
+        symbol: req.query.symbol || null,
+        types: req.query.types ? String(req.query.types).split(',').map((t) => t.trim()) : null,
+    };
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+
+    const lastEventId = req.get('Last-Event-ID') || req.query.last_event_id;
+    if (lastEventId) {
+        const { events, reset } = eventBus.eventsSince(lastEventId);
+        if (reset) {
+            res.write(`event: stream.reset\ndata: ${JSON.stringify({ reason: 'Missed events are no longer available' })}\n\n`);
+        } else {
+            events.filter((e) => eventBus.matchesFilter(e, filter)).forEach((e) => writeEvent(res, e));
+        }
+    }
+
+    const unsubscribe = eventBus.subscribe((event) => {
+        if (eventBus.matchesFilter(event, filter)) writeEvent(res, event);
+    });
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+});
+
+module.exports = router;
@@ -1,17 +1,35 @@
 /**
- * Trade routes – direct trade access.
+ * Trade routes – direct trade access and manual corrections (create, edit,
+ * void / restore, force-close). Every correction rebuilds the batches that
+ * cover the trade.
  */
 const express = require('express');
 const router = express.Router();
 const tradeService = require('../services/tradeService');
+const manualTradeService = require('../services/manualTradeService');
 
-// GET /api/trades
+/**
+ * Map a manualTradeService result to a response.
+ */
+function sendChange(res, result, status = 200) {
+    if (!result) return res.status(404).json({ error: 'Trade not found' });
+    if (result.conflict) return res.status(409).json({ error: result.conflict });
+    if (result.invalid) return res.status(400).json({ error: result.invalid });
+    return res.status(status).json({ success: true, data: result });
+}
+
+// GET /api/trades  –  ?voided=true|false narrows to voided / active trades
 router.get('/', async (req, res) => {
     try {
-        const { status, symbol, limit, offset } = req.query;
+        const { status, symbol, timeframe, source_id, strategy, import_id, voided, limit, offset } = req.query;
         const trades = await tradeService.getAllTrades({
             status,
             symbol,
+            timeframe,
+            sourceId: source_id,
+            strategy,
+            importId: import_id,
+            voided: voided === undefined ? undefined : voided === 'true',
             limit: parseInt(limit) || 200,
             offset: parseInt(offset) || 0,
         });
@@ -45,4 +63,122 @@ router.get('/:id', async (req, res) => {
     }
 });
 
+// GET /api/trades/:id/fills  –  scale-ins and partial exits of a trade
+router.get('/:id/fills', async (req, res) => {
+    try {
+        const trade = await tradeService.getTradeById(req.params.id);
+        if (!trade) return res.status(404).json({ error: 'Trade not found' });
+        const fills = await tradeService.getTradeFills(req.params.id);
+        res.json({ success: true, data: fills });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to fetch trade fills' });
+    }
+});
+
+// GET /api/trades/:id/history  –  manual changes, newest first
+router.get('/:id/history', async (req, res) => {
+    try {
+        const trade = await tradeService.getTradeById(req.params.id);
+        if (!trade) return res.status(404).json({ error: 'Trade not found' });
+        const history = await manualTradeService.getTradeAudit(req.params.id);
+        res.json({ success: true, data: history });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to fetch trade history' });
+    }
+});
+
+/* ---------- Manual corrections (admin) ---------- */
+
+// POST /api/trades  –  body: { symbol, side, entry_price, entry_time, exit_price?, exit_time?,
+//   timeframe?, strategy?, source_id?, order_id?, quantity?, note? }
+router.post('/', async (req, res) => {
+    try {
+        const { symbol, side, entry_price, entry_time, exit_price, exit_time, note } = req.body;
+        if (!symbol || !side || entry_price === undefined || !entry_time) {
+            return res.status(400).json({ error: 'symbol, side, entry_price and entry_time are required' });
+        }
+        if ((exit_price === undefined) !== (exit_time === undefined)) {
+            return res.status(400).json({ error: 'exit_price and exit_time must be sent together' });
+        }
+        const validationError = manualTradeService.validateTradeFields(req.body);
+        if (validationError) return res.status(400).json({ error: validationError });
+        if (exit_time && new Date(exit_time) < new Date(entry_time)) {
+            return res.status(400).json({ error: 'exit_time must not be before entry_time' });
+        }
+
+        const result = await manualTradeService.createManualTrade(req.body, { actor: req.user, note });
+        res.status(201).json({ success: true, data: result });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to create trade' });
+    }
+});
+
+// PUT /api/trades/:id  –  body: { entry_price, entry_time, exit_price, exit_time, note } (any of them)
+router.put('/:id', async (req, res) => {
+    try {
+        const { entry_price, entry_time, exit_price, exit_time, note } = req.body;
+        const changes = { entry_price, entry_time, exit_price, exit_time };
+        const validationError = manualTradeService.validateTradeFields(changes);
+        if (validationError) return res.status(400).json({ error: validationError });
+
+        const result = await manualTradeService.updateTrade(req.params.id, changes, { actor: req.user, note });
+        sendChange(res, result);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to update trade' });
+    }
+});
+
+// POST /api/trades/:id/void  –  body: { reason }; the trade is kept but leaves every batch
+router.post('/:id/void', async (req, res) => {
+    try {
+        const result = await manualTradeService.voidTrade(req.params.id, {
+            actor: req.user,
+            reason: req.body && req.body.reason,
+        });
+        sendChange(res, result);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to void trade' });
+    }
+});
+
+// POST /api/trades/:id/restore  –  undo a void
+router.post('/:id/restore', async (req, res) => {
+    try {
+        const result = await manualTradeService.restoreTrade(req.params.id, {
+            actor: req.user,
+            note: req.body && req.body.note,
+        });
+        sendChange(res, result);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to restore trade' });
+    }
+});
+
+// POST /api/trades/:id/close  –  body: { price, time?, note? }; time defaults to now
+router.post('/:id/close', async (req, res) => {
+    try {
+        const { price, time, note } = req.body;
+        const validationError = manualTradeService.validateTradeFields({ exit_price: price, exit_time: time });
+        if (price === undefined || validationError) {
+            return res.status(400).json({ error: 'price must be a positive number and time (optional) a valid date' });
+        }
+
+        const result = await manualTradeService.forceCloseTrade(
+            req.params.id,
+            { price: Number(price), time: time ? new Date(time) : new Date() },
+            { actor: req.user, note }
+        );
+        sendChange(res, result);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to close trade' });
+    }
+});
+
 module.exports = router;
@@ -0,0 +1,92 @@
+/**
+ * User routes – account management (admin only).
+ */
+const express = require('express');
+const router = express.Router();
+const userService = require('../services/userService');
+
+function validateUser({ password, role }) {
+    if (password !== undefined) {
+        const passwordError = userService.validatePassword(password);
+        if (passwordError) return passwordError;
+    }
+    if (role !== undefined && !userService.ROLES.includes(role)) {
+        return `role must be one of: ${userService.ROLES.join(', ')}`;
+    }
+    return null;
+}
+
+// GET /api/users
+router.get('/', async (req, res) => {
+    try {
+        const users = await userService.getAllUsers();
+        res.json({ success: true, data: users });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to fetch users' });
+    }
+});
+
+// GET /api/users/:id
+router.get('/:id', async (req, res) => {
+    try {
+        const user = await userService.getUserById(req.params.id);
+        if (!user) return res.status(404).json({ error: 'User not found' });
+        res.json({ success: true, data: user });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to fetch user' });
+    }
+});
+
+// POST /api/users  –  body: { username, password, role, enabled }
+router.post('/', async (req, res) => {
+    try {
+        const { username, password, role, enabled } = req.body;
+        if (!username || password === undefined) {
+            return res.status(400).json({ error: 'username and password are required' });
+        }
+        const validationError = validateUser({ password, role });
+        if (validationError) return res.status(400).json({ error: validationError });
+
+        const user = await userService.createUser({ username, password, role, enabled });
+        res.status(201).json({ success: true, data: user });
+    } catch (err) {
+        if (err.code === 'ER_DUP_ENTRY') return res.status(409).json({ error: 'Username already exists' });
+        console.error(err);
+        res.status(500).json({ error: 'Failed to create user' });
+    }
+});
+
+// PUT /api/users/:id  –  a new password or disabling the user ends their sessions
+router.put('/:id', async (req, res) => {
+    try {
+        const { username, password, role, enabled } = req.body;
+        const validationError = validateUser({ password, role });
+        if (validationError) return res.status(400).json({ error: validationError });
+
+        const result = await userService.updateUser(req.params.id, { username, password, role, enabled });
+        if (!result) return res.status(404).json({ error: 'User not found' });
+        if (result.lastAdmin) return res.status(409).json({ error: 'Cannot demote or disable the last admin' });
+        res.json({ success: true, data: result.user });
+    } catch (err) {
+        if (err.code === 'ER_DUP_ENTRY') return res.status(409).json({ error: 'Username already exists' });
+        console.error(err);
+        res.status(500).json({ error: 'Failed to update user' });
+    }
+});
+
+// DELETE /api/users/:id
+router.delete('/:id', async (req, res) => {
+    try {
+        const result = await userService.deleteUser(req.params.id);
+        if (!result) return res.status(404).json({ error: 'User not found' });
+        if (result.lastAdmin) return res.status(409).json({ error: 'Cannot delete the last admin' });
+        res.json({ success: true, message: 'User deleted' });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to delete user' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,125 @@
+/**
+ * Webhook source routes – manage webhook senders and their secrets.
+ */
+const express = require('express');
+const router = express.Router();
+const webhookSourceService = require('../services/webhookSourceService');
+const { MATCHING_POLICIES, FLIP_POLICIES } = require('../services/tradeService');
+
+function validateSource({ ip_allowlist, matching_policy, flip_policy }) {
+    if (ip_allowlist !== undefined && ip_allowlist !== null &&
+        (!Array.isArray(ip_allowlist) || ip_allowlist.some((ip) => typeof ip !== 'string'))) {
+        return 'ip_allowlist must be an array of IP / CIDR strings or null';
+    }
+    if (matching_policy !== undefined && !MATCHING_POLICIES.includes(matching_policy)) {
+        return `matching_policy must be one of: ${MATCHING_POLICIES.join(', ')}`;
+    }
+    if (flip_policy !== undefined && !FLIP_POLICIES.includes(flip_policy)) {
+        return `flip_policy must be one of: ${FLIP_POLICIES.join(', ')}`;
+    }
+    return null;
+}
+
+// GET /api/webhook-sources
+router.get('/', async (req, res) => {
+    try {
+        const sources = await webhookSourceService.getAllSources();
+        res.json({ success: true, data: sources });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to fetch webhook sources' });
+    }
+});
+
+// GET /api/webhook-sources/failures  –  rejected webhook attempts
+router.get('/failures', async (req, res) => {
+    try {
+        const { source_id, limit, offset } = req.query;
+        const failures = await webhookSourceService.getAuthFailures({
+            sourceId: source_id,
+            limit: parseInt(limit) || 200,
+            offset: parseInt(offset) || 0,
+        });
+        res.json({ success: true, data: failures });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to fetch webhook failures' });
+    }
+});
+
+// GET /api/webhook-sources/:id
+router.get('/:id', async (req, res) => {
+    try {
+        const source = await webhookSourceService.getSourceById(req.params.id);
+        if (!source) return res.status(404).json({ error: 'Webhook source not found' });
+        res.json({ success: true, data: source });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to fetch webhook source' });
+    }
+});
+
+// POST /api/webhook-sources  –  response includes the plain secret (shown once)
+router.post('/', async (req, res) => {
+    try {
+        const { name, hmac_secret, ip_allowlist, enabled, matching_policy, flip_policy } = req.body;
+        if (!name) return res.status(400).json({ error: 'Source name is required' });
+        const validationError = validateSource({ ip_allowlist, matching_policy, flip_policy });
+        if (validationError) return res.status(400).json({ error: validationError });
+
+        const source = await webhookSourceService.createSource({
+            name, hmac_secret, ip_allowlist, enabled, matching_policy, flip_policy,
+        });
+        res.status(201).json({ success: true, data: source });
+    } catch (err) {
+        if (err.code === 'ER_DUP_ENTRY') return res.status(409).json({ error: 'Source name already exists' });
+        console.error(err);
+        res.status(500).json({ error: 'Failed to create webhook source' });
+    }
+});
+
+// PUT /api/webhook-sources/:id
+router.put('/:id', async (req, res) => {
+    try {
+        const { name, hmac_secret, ip_allowlist, enabled, matching_policy, flip_policy } = req.body;
+        const validationError = validateSource({ ip_allowlist, matching_policy, flip_policy });
+        if (validationError) return res.status(400).json({ error: validationError });
+
+        const source = await webhookSourceService.updateSource(req.params.id, {
+            name, hmac_secret, ip_allowlist, enabled, matching_policy, flip_policy,
+        });
+        if (!source) return res.status(404).json({ error: 'Webhook source not found' });
+        res.json({ success: true, data: source });
+    } catch (err) {
+        if (err.code === 'ER_DUP_ENTRY') return res.status(409).json({ error: 'Source name already exists' });
+        console.error(err);
+        res.status(500).json({ error: 'Failed to update webhook source' });
+    }
+});
+
+// POST /api/webhook-sources/:id/rotate  –  body: { grace_minutes } to keep the old secret valid for a while
+router.post('/:id/rotate', async (req, res) => {
+    try {
+        const source = await webhookSourceService.rotateSecret(req.params.id, {
+            graceMinutes: req.body && req.body.grace_minutes,
+        });
+        if (!source) return res.status(404).json({ error: 'Webhook source not found' });
+        res.json({ success: true, data: source });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to rotate secret' });
+    }
+});
+
+// DELETE /api/webhook-sources/:id
+router.delete('/:id', async (req, res) => {
+    try {
+        await webhookSourceService.deleteSource(req.params.id);
+        res.json({ success: true, message: 'Webhook source deleted' });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to delete webhook source' });
+    }
+});
+
+module.exports = router;
@@ -7,28 +7,74 @@ const cors = require('cors');
 
 const webhookRoutes = require('./routes/webhook');
 const batchRoutes = require('./routes/batches');
+const batchTemplateRoutes = require('./routes/batchTemplates');
 const analyticsRoutes = require('./routes/analytics');
 const tradeRoutes = require('./routes/trades');
+const webhookSourceRoutes = require('./routes/webhookSources');
+const signalRoutes = require('./routes/signals');
+const signalService = require('./services/signalService');
+const priceRoutes = require('./routes/prices');
+const portfolioRoutes = require('./routes/portfolio');
+const streamRoutes = require('./routes/stream');
+const notificationRoutes = require('./routes/notifications');
+const notificationService = require('./services/notificationService');
+const authRoutes = require('./routes/auth');
+const userRoutes = require('./routes/users');
+const importRoutes = require('./routes/imports');
+const rebuildJobRoutes = require('./routes/rebuildJobs');
+const rebuildJobService = require('./services/rebuildJobService');
+const userService = require('./services/userService');
+const { maskWebhookUrl } = require('./middleware/webhookAuth');
+const { authenticate, requireRole, requireRoles, maskAccessToken } = require('./middleware/auth');
 
 const app = express();
 
+// Behind a reverse proxy set TRUST_PROXY (e.g. "1") so req.ip is the real sender for the webhook IP allowlist
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? parseInt(process.env.TRUST_PROXY, 10) : process.env.TRUST_PROXY);
+}
+
+// Keep the raw body around for webhook HMAC verification
+const keepRawBody = (req, _res, buf) => { req.rawBody = buf; };
+
+// Dashboard origins allowed to call the API from a browser: CORS_ORIGINS (comma separated, "*" = any).
+// Unset = same-origin only.
+const corsOrigins = (process.env.CORS_ORIGINS || '').split(',').map((o) => o.trim()).filter(Boolean);
+
 /* ---------- Middleware ---------- */
-app.use(cors());
-app.use(express.json());
-app.use(express.text({ type: 'text/plain' }));
-app.use(express.urlencoded({ extended: true }));
+app.use(cors({
+    origin: corsOrigins.includes('*') ? true : corsOrigins,
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'Last-Event-ID'],
+}));
+app.use(express.json({ verify: keepRawBody }));
+app.use(express.text({ type: 'text/plain', verify: keepRawBody }));
+app.use(express.urlencoded({ extended: true, verify: keepRawBody }));
 
 // Request logging
 app.use((req, _res, next) => {
-    console.log(`[${new Date().toISOString()}] ${req.method} ${req.url}`);
+    console.log(`[${new Date().toISOString()}] ${req.method} ${maskAccessToken(maskWebhookUrl(req.url))}`);
     next();
 });
 
 /* ---------- Routes ---------- */
+// The webhook authenticates its senders itself (see middleware/webhookAuth.js)
 app.use('/api/webhook', webhookRoutes);
-app.use('/api/batches', batchRoutes);
-app.use('/api/analytics', analyticsRoutes);
-app.use('/api/trades', tradeRoutes);
+app.use('/api/auth', authRoutes);
+
+// Admin API: viewer reads, editor manages batches / symbols / prices, admin the rest
+app.use('/api/batches', authenticate(), requireRoles('viewer', 'editor'), batchRoutes);
+app.use('/api/batch-templates', authenticate(), requireRoles('viewer', 'editor'), batchTemplateRoutes);
+app.use('/api/analytics', authenticate(), requireRole('viewer'), analyticsRoutes);
+app.use('/api/portfolio', authenticate(), requireRole('viewer'), portfolioRoutes);
+app.use('/api/prices', authenticate(), requireRoles('viewer', 'editor'), priceRoutes);
+app.use('/api/stream', authenticate({ allowQueryToken: true }), requireRole('viewer'), streamRoutes);
+app.use('/api/trades', authenticate(), requireRoles('viewer', 'admin'), tradeRoutes);
+app.use('/api/imports', authenticate(), requireRole('admin'), importRoutes);
+app.use('/api/rebuild-jobs', authenticate(), requireRoles('viewer', 'editor'), rebuildJobRoutes);
+app.use('/api/webhook-sources', authenticate(), requireRole('admin'), webhookSourceRoutes);
+app.use('/api/signals', authenticate(), requireRole('admin'), signalRoutes);
+app.use('/api/notifications', authenticate(), requireRole('admin'), notificationRoutes);
+app.use('/api/users', authenticate(), requireRole('admin'), userRoutes);
 
 // Health check
 app.get('/api/health', (_req, res) => {
@@ -44,8 +90,12 @@ app.use((err, _req, res, _next) => {
 /* ---------- Start ---------- */
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
+    signalService.start();
+    notificationService.start();
+    rebuildJobService.start();
+    userService.ensureBootstrapAdmin().catch((err) => console.error('[Auth] Bootstrap admin failed:', err));
     console.log(`\n🚀  Server running on http://localhost:${PORT}`);
-    console.log(`    Webhook URL: http://localhost:${PORT}/api/webhook`);
+    console.log(`    Webhook URL: http://localhost:${PORT}/api/webhook/<source secret>`);
     console.log(`    Health:      http://localhost:${PORT}/api/health\n`);
 });
 
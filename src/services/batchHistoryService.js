@@ -0,0 +1,143 @@
+/**
+ * Batch history service – versioned batch configurations and the audit
+ * trail of every batch mutation.
+ *
+ * A configuration is the batch's settings plus its symbol filters, as built
+ * by batchService.getBatchConfig(). Every change that alters it stores a new
+ * version; every mutation (including delete / restore) gets an audit entry.
+ */
+const db = require('../db/connection');
+
+/**
+ * Fields that differ between two configurations: { old_values, new_values }.
+ */
+function diffConfig(before, after) {
+    const oldValues = {};
+    const newValues = {};
+    const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    for (const key of keys) {
+        const a = before ? before[key] : undefined;
+        const b = after ? after[key] : undefined;
+        if (JSON.stringify(a) !== JSON.stringify(b)) {
+            oldValues[key] = a === undefined ? null : a;
+            newValues[key] = b === undefined ? null : b;
+        }
+    }
+    return { old_values: oldValues, new_values: newValues };
+}
+
+async function insertVersion(batchId, version, config, actor, conn = db) {
+    await conn.execute(
+        'INSERT INTO batch_versions (batch_id, version, config, created_by) VALUES (?, ?, ?, ?)',
+        [batchId, version, JSON.stringify(config), actor ? actor.id : null]
+    );
+    await conn.execute('UPDATE batches SET version = ? WHERE id = ?', [version, batchId]);
+}
+
+async function insertAudit(batchId, { version = null, action, actor, oldValues = null, newValues = null, note = null }, conn = db) {
+    await conn.execute(
+        `INSERT INTO batch_audit_log
+            (batch_id, version, action, user_id, username, old_values, new_values, note)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+            batchId,
+            version,
+            action,
+            actor ? actor.id : null,
+            actor ? actor.username : null,
+            oldValues ? JSON.stringify(oldValues) : null,
+            newValues ? JSON.stringify(newValues) : null,
+            note,
+        ]
+    );
+}
+
+/**
+ * Record a configuration change: store `after` as the next version and
+ * audit the changed fields. Nothing is recorded when nothing changed.
+ * Batches created before versioning get their `before` state stored as
+ * the first version, so they can be reverted to it.
+ *
+ * Pass the transaction that made the change: the batch row stays locked
+ * from reading the current version until the commit, so concurrent
+ * changes get consecutive versions.
+ *
+ * @param {number} batchId
+ * @param {string} action   create / update / set_symbols / add_symbol / remove_symbol / revert
+ * @param {object} before   configuration before the change (null on create)
+ * @param {object} after    configuration after the change
+ * @param {object} options  { actor: req.user, note }
+ * @param {object} conn     transaction connection (see db/transaction.js)
+ * @returns {number|null} the new version
+ */
+async function recordChange(batchId, action, before, after, { actor = null, note = null } = {}, conn = db) {
+    const { old_values, new_values } = diffConfig(before, after);
+    if (before && Object.keys(new_values).length === 0) return null;
+
+    const [rows] = await conn.execute('SELECT version FROM batches WHERE id = ? FOR UPDATE', [batchId]);
+    let version = rows.length > 0 ? rows[0].version : 0;
+    if (version === 0 && before) {
+        version = 1;
+        await insertVersion(batchId, version, before, null, conn);
+    }
+
+    version = before ? version + 1 : 1;
+    await insertVersion(batchId, version, after, actor, conn);
+    await insertAudit(batchId, {
+        version,
+        action,
+        actor,
+        oldValues: before ? old_values : null,
+        newValues: before ? new_values : after,
+        note,
+    }, conn);
+    return version;
+}
+
+/**
+ * Audit an action that does not change the configuration (delete / restore).
+ */
+async function recordAction(batchId, action, { actor = null, note = null } = {}, conn = db) {
+    const [rows] = await conn.execute('SELECT version FROM batches WHERE id = ?', [batchId]);
+    await insertAudit(batchId, { version: rows.length > 0 ? rows[0].version : null, action, actor, note }, conn);
+}
+
+/* ===========================  READS  =========================== */
+
+async function getAuditLog(batchId, { limit = 100, offset = 0 } = {}) {
+    const [rows] = await db.execute(
+        `SELECT * FROM batch_audit_log WHERE batch_id = ?
+         ORDER BY id DESC LIMIT ${parseInt(limit, 10)} OFFSET ${parseInt(offset, 10)}`,
+        [batchId]
+    );
+    return rows;
+}
+
+async function getVersions(batchId) {
+    const [rows] = await db.execute(
+        `SELECT v.version, v.config, v.created_by, u.username AS created_by_username, v.created_at
+         FROM batch_versions v
+         LEFT JOIN users u ON u.id = v.created_by
+         WHERE v.batch_id = ?
+         ORDER BY v.version DESC`,
+        [batchId]
+    );
+    return rows;
+}
+
+async function getVersion(batchId, version) {
+    const [rows] = await db.execute(
+        'SELECT * FROM batch_versions WHERE batch_id = ? AND version = ?',
+        [batchId, version]
+    );
+    return rows[0] || null;
+}
+
+module.exports = {
+    diffConfig,
+    recordChange,
+    recordAction,
+    getAuditLog,
+    getVersions,
+    getVersion,
+};
@@ -0,0 +1,744 @@
+/**
+ * Batch log service – maintains batch_trade_log, the pre-computed running
+ * capital / PnL / drawdown of every batch, trade by trade.
+ *
+ * Positions overlap: every batch has one capital pool. An entry is admitted
+ * when the batch is below its max_concurrent_positions cap and has free
+ * capital; its position size is then reserved in batch_open_positions until
+ * the trade closes. Entries that are not admitted go to batch_skipped_trades.
+ *
+ * The live path (openBatchPositionsForTrade / appendBatchLog) and the
+ * replay (rebuildBatchLog – full, or from a point in time) share
+ * openPosition() / closePosition() so both always produce the same rows.
+ * The state they carry forward is rounded as it is stored, since the live
+ * path reads it back from the log.
+ *
+ * A trade reaches the log once, when it is closed completely: it keeps the
+ * allocation it was admitted with (scale-ins add no capital), partial exits
+ * write no row and free nothing, and its one row – at the final exit_time –
+ * applies the trade's blended pnl_percent (see tradeService.markTradeClosed)
+ * to that allocation.
+ *
+ * A late or backdated exit – its exit_time is before rows already logged –
+ * is inserted at its chronological place and only the rows after it are
+ * recomputed (trade number, running capital, peak, drawdown, allocated
+ * capital); their position sizes and PnL stay as they were. Entries skipped
+ * in between for lack of capital are not re-admitted: a full rebuild does that.
+ *
+ * Risk rules (riskRules) are checked after every row appended at the end
+ * of the log; while a rule has the batch or a symbol paused, entries are
+ * skipped. A late exit in a batch with risk rules queues a full rebuild,
+ * which replays the rules in order – so does any incremental rebuild.
+ *
+ * Concurrency: the live path runs inside the signal's transaction (`conn`)
+ * and locks each batch row (in id order) before reading its running state,
+ * so two trades closing at once get consecutive trade numbers. A rebuild is
+ * its own transaction, holds the same row lock and the batch's keyed-queue
+ * slot. Events are published only once the transaction commits.
+ */
+const db = require('../db/connection');
+const { withTransaction, afterCommit } = require('../db/transaction');
+const { runExclusive, batchKey } = require('./keyedQueue');
+const { positionSize, leverageOf } = require('./positionSizing');
+const { tradeCosts } = require('./costModel');
+const { hasRiskRules, pauseReason, createRiskTracker } = require('./riskRules');
+const { BREACH_COLUMNS, findActivePause, evaluateAfterClose, breachValues } = require('./riskService');
+const { publish } = require('./eventBus');
+
+const LOG_COLUMNS = `(batch_id, trade_id, symbol, side, entry_price, exit_price,
+             entry_time, exit_time, pnl_percent, position_size,
+             gross_pnl, commission, slippage_cost, funding_cost, pnl_absolute, net_pnl_percent,
+             capital_before, capital_after, cumulative_pnl,
+             drawdown, max_drawdown, peak_capital,
+             allocated_capital, available_capital, trade_number)`;
+const LOG_PLACEHOLDERS = `(${new Array(25).fill('?').join(', ')})`;
+const LOG_FIELDS = LOG_COLUMNS.replace(/[()\s]/g, '').split(',');
+
+/**
+ * batch_symbols row `bs` covers trade `t`. An empty timeframe / strategy
+ * and source_id 0 match anything.
+ */
+const SYMBOL_FILTER_MATCH = `bs.symbol = t.symbol
+             AND (bs.timeframe = '' OR bs.timeframe = t.timeframe)
+             AND (bs.source_id = 0 OR bs.source_id = t.source_id)
+             AND (bs.strategy = '' OR bs.strategy = t.strategy)`;
+
+/* ===========================  ENGINE  =========================== */
+
+/**
+ * Round to the precision of a DECIMAL(…, digits) column.
+ */
+function stored(value, digits = 2) {
+    return parseFloat(value.toFixed(digits));
+}
+
+/**
+ * Starting state of a batch with no logged trades and nothing open.
+ */
+function initialState(batch) {
+    const capital = parseFloat(batch.capital);
+    return { capital, peakCapital: capital, maxDrawdown: 0, tradeNumber: 0, allocated: 0, openCount: 0 };
+}
+
+/**
+ * State carried forward from the last batch_trade_log row and the
+ * batch's current open positions.
+ */
+function stateFromLogRow(row, open) {
+    return {
+        capital: parseFloat(row.capital_after),
+        peakCapital: parseFloat(row.peak_capital),
+        maxDrawdown: parseFloat(row.max_drawdown),
+        tradeNumber: row.trade_number,
+        allocated: parseFloat(open.allocated),
+        openCount: open.count,
+    };
+}
+
+/**
+ * Try to open a trade in a batch.
+ * Returns { state, position } when admitted, or { state, skipped: reason }.
+ */
+function openPosition(batch, state, trade, symbolCount) {
+    const maxPositions = batch.max_concurrent_positions;
+    if (maxPositions && state.openCount >= maxPositions) {
+        return { state, skipped: `Max concurrent positions (${maxPositions}) reached` };
+    }
+
+    const free = state.capital - state.allocated;
+    const size = stored(Math.min(positionSize(batch, state.capital, symbolCount), free));
+    if (!(size > 0)) {
+        return { state, skipped: 'No free capital' };
+    }
+
+    return {
+        state: { ...state, allocated: state.allocated + size, openCount: state.openCount + 1 },
+        position: {
+            batch_id: batch.id,
+            trade_id: trade.id,
+            symbol: trade.symbol,
+            side: trade.side,
+            entry_price: trade.entry_price,
+            entry_time: trade.entry_time,
+            position_size: size,
+        },
+    };
+}
+
+/**
+ * Close an admitted position with the trade's realized PnL, net of the
+ * batch's trading costs.
+ * Returns { state, params } – the next state and the INSERT parameters
+ * (in LOG_COLUMNS order) for the trade's log row.
+ */
+function closePosition(batch, state, position, trade) {
+    const size = parseFloat(position.position_size);
+    const capitalBefore = state.capital;
+    const pnlPercent = parseFloat(trade.pnl_percent);
+    const notional = size * leverageOf(batch);
+    const grossPnl = notional * (pnlPercent / 100);
+    const costs = tradeCosts(batch, trade, notional);
+    const pnlAbsolute = grossPnl - costs.total;
+    const netPnlPercent = notional > 0 ? (pnlAbsolute / notional) * 100 : 0;
+    const capitalAfter = capitalBefore + pnlAbsolute;
+    const cumulativePnl = capitalAfter - parseFloat(batch.capital);
+    const allocated = Math.max(0, state.allocated - size);
+
+    const peakCapital = Math.max(state.peakCapital, capitalAfter);
+    const drawdown =
+        peakCapital > 0
+            ? ((peakCapital - capitalAfter) / peakCapital) * 100
+            : 0;
+    const maxDrawdown = Math.max(state.maxDrawdown, drawdown);
+    const tradeNumber = state.tradeNumber + 1;
+
+    return {
+        state: {
+            capital: stored(capitalAfter),
+            peakCapital: stored(peakCapital),
+            maxDrawdown: stored(maxDrawdown, 4),
+            tradeNumber,
+            allocated: stored(allocated),
+            openCount: Math.max(0, state.openCount - 1),
+        },
+        params: [
+            batch.id,
+            trade.id,
+            trade.symbol,
+            trade.side,
+            trade.entry_price,
+            trade.exit_price,
+            trade.entry_time,
+            trade.exit_time,
+            pnlPercent,
+            size.toFixed(2),
+            grossPnl.toFixed(2),
+            costs.commission.toFixed(2),
+            costs.slippage.toFixed(2),
+            costs.funding.toFixed(2),
+            pnlAbsolute.toFixed(2),
+            netPnlPercent.toFixed(4),
+            capitalBefore.toFixed(2),
+            capitalAfter.toFixed(2),
+            cumulativePnl.toFixed(2),
+            drawdown.toFixed(4),
+            maxDrawdown.toFixed(4),
+            peakCapital.toFixed(2),
+            allocated.toFixed(2),
+            (capitalAfter - allocated).toFixed(2),
+            tradeNumber,
+        ],
+    };
+}
+
+/**
+ * Re-run an already logged row after a trade was inserted before it:
+ * same position size and PnL, new running totals from `state`.
+ * `released` is the position size of the inserted trade, which the row
+ * had still counted as allocated.
+ * Returns { state, fields } – the next state and the columns to update.
+ */
+function shiftLogRow(batch, state, row, released) {
+    const capitalBefore = state.capital;
+    const capitalAfter = capitalBefore + parseFloat(row.pnl_absolute);
+    const peakCapital = Math.max(state.peakCapital, capitalAfter);
+    const drawdown = peakCapital > 0 ? ((peakCapital - capitalAfter) / peakCapital) * 100 : 0;
+    const maxDrawdown = Math.max(state.maxDrawdown, drawdown);
+    const allocated = Math.max(0, parseFloat(row.allocated_capital) - released);
+    const tradeNumber = state.tradeNumber + 1;
+
+    return {
+        state: { ...state, capital: capitalAfter, peakCapital, maxDrawdown, tradeNumber },
+        fields: {
+            capital_before: capitalBefore.toFixed(2),
+            capital_after: capitalAfter.toFixed(2),
+            cumulative_pnl: (capitalAfter - parseFloat(batch.capital)).toFixed(2),
+            drawdown: drawdown.toFixed(4),
+            max_drawdown: maxDrawdown.toFixed(4),
+            peak_capital: peakCapital.toFixed(2),
+            allocated_capital: allocated.toFixed(2),
+            available_capital: (capitalAfter - allocated).toFixed(2),
+            trade_number: tradeNumber,
+        },
+    };
+}
+
+/**
+ * Entry and exit events of a set of trades in chronological order.
+ * At the same instant exits come first so freed capital can be reused,
+ * except that a trade always opens before it closes.
+ */
+function buildEvents(trades) {
+    const events = [];
+    for (const trade of trades) {
+        events.push({ kind: 'entry', time: new Date(trade.entry_time).getTime(), trade });
+        if (trade.status === 'closed') {
+            events.push({ kind: 'exit', time: new Date(trade.exit_time).getTime(), trade });
+        }
+    }
+    return events.sort((a, b) => {
+        if (a.time !== b.time) return a.time - b.time;
+        if (a.trade.id === b.trade.id) return a.kind === 'entry' ? -1 : 1;
+        if (a.kind !== b.kind) return a.kind === 'exit' ? -1 : 1;
+        return a.trade.id - b.trade.id;
+    });
+}
+
+/**
+ * Log row object from closePosition() params.
+ */
+function toLogRow(params) {
+    const row = {};
+    LOG_FIELDS.forEach((field, i) => { row[field] = params[i]; });
+    return row;
+}
+
+/* ===========================  PERSISTENCE  =========================== */
+
+async function countSymbols(batchId, conn = db) {
+    const [rows] = await conn.execute(
+        'SELECT COUNT(*) AS n FROM batch_symbols WHERE batch_id = ?',
+        [batchId]
+    );
+    return rows[0].n;
+}
+
+/**
+ * Lock a batch row until the transaction ends: log appends and rebuilds of
+ * one batch never interleave.
+ */
+async function lockBatch(batchId, conn) {
+    await conn.execute('SELECT id FROM batches WHERE id = ? FOR UPDATE', [batchId]);
+}
+
+/**
+ * Log rows that close after `trade` in replay order (exit time, then trade
+ * id), i.e. the rows a late exit has to be inserted before.
+ */
+async function findLaterLogRows(batchId, trade, conn = db) {
+    const [rows] = await conn.execute(
+        `SELECT * FROM batch_trade_log
+         WHERE batch_id = ? AND trade_id <> ?
+           AND (exit_time > ? OR (exit_time = ? AND trade_id > ?))
+         ORDER BY trade_number ASC`,
+        [batchId, trade.id, trade.exit_time, trade.exit_time, trade.id]
+    );
+    return rows;
+}
+
+/**
+ * State just before log row `next`: the row preceding it (or the starting
+ * capital), with the capital allocated when `next` closed – its own size
+ * included – as the open positions.
+ */
+async function stateBeforeLogRow(batch, next, conn = db) {
+    const [previous] = await conn.execute(
+        `SELECT * FROM batch_trade_log
+         WHERE batch_id = ? AND trade_number < ?
+         ORDER BY trade_number DESC
+         LIMIT 1`,
+        [batch.id, next.trade_number]
+    );
+    const open = {
+        allocated: parseFloat(next.allocated_capital) + parseFloat(next.position_size),
+        count: 0,
+    };
+    if (previous.length > 0) return stateFromLogRow(previous[0], open);
+    return { ...initialState(batch), allocated: open.allocated };
+}
+
+/**
+ * Current state of a batch: last log row + open position totals.
+ */
+async function loadState(batch, conn = db) {
+    const [lastLogs] = await conn.execute(
+        `SELECT * FROM batch_trade_log
+         WHERE batch_id = ?
+         ORDER BY trade_number DESC
+         LIMIT 1`,
+        [batch.id]
+    );
+    const [open] = await conn.execute(
+        `SELECT COUNT(*) AS count, COALESCE(SUM(position_size), 0) AS allocated
+         FROM batch_open_positions WHERE batch_id = ?`,
+        [batch.id]
+    );
+
+    if (lastLogs.length > 0) return stateFromLogRow(lastLogs[0], open[0]);
+    return {
+        ...initialState(batch),
+        allocated: parseFloat(open[0].allocated),
+        openCount: open[0].count,
+    };
+}
+
+async function insertOpenPosition(position, conn = db) {
+    await conn.execute(
+        `INSERT INTO batch_open_positions
+            (batch_id, trade_id, symbol, side, entry_price, entry_time, position_size)
+         VALUES (?, ?, ?, ?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE position_size = VALUES(position_size)`,
+        [
+            position.batch_id,
+            position.trade_id,
+            position.symbol,
+            position.side,
+            position.entry_price,
+            position.entry_time,
+            position.position_size.toFixed(2),
+        ]
+    );
+}
+
+async function insertSkippedTrade(batch, trade, reason, conn = db) {
+    await conn.execute(
+        `INSERT IGNORE INTO batch_skipped_trades (batch_id, trade_id, symbol, side, entry_time, reason)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [batch.id, trade.id, trade.symbol, trade.side, trade.entry_time, reason]
+    );
+}
+
+/**
+ * Active, unarchived batches whose symbol filters cover the trade and whose
+ * start_time <= trade entry, in id order (the order their rows are locked in).
+ * Archived batches are frozen: live trades leave their log alone.
+ */
+async function findBatchesForTrade(trade, conn = db) {
+    const [batches] = await conn.execute(
+        `SELECT DISTINCT b.* FROM batches b
+         JOIN batch_symbols bs ON bs.batch_id = b.id
+         JOIN trades t ON t.id = ?
+             AND ${SYMBOL_FILTER_MATCH}
+         WHERE b.deleted_at IS NULL AND b.archived_at IS NULL
+           AND (b.start_time IS NULL OR b.start_time <= t.entry_time)
+         ORDER BY b.id`,
+        [trade.id]
+    );
+    return batches;
+}
+
+/**
+ * Archived batches whose frozen log, open positions, skipped entries or
+ * risk breaches refer to a trade matching `tradeCondition` (SQL on trades
+ * `t`). Deleting such a trade would cascade into a log that is never
+ * rebuilt, so callers refuse to until those batches are unarchived.
+ */
+async function findArchivedBatchesReferencing(tradeCondition, params = [], conn = db) {
+    const [rows] = await conn.execute(
+        `SELECT DISTINCT b.id FROM batches b
+         JOIN (
+             SELECT batch_id, trade_id FROM batch_trade_log
+             UNION SELECT batch_id, trade_id FROM batch_open_positions
+             UNION SELECT batch_id, trade_id FROM batch_skipped_trades
+             UNION SELECT batch_id, trade_id FROM batch_risk_breaches
+         ) r ON r.batch_id = b.id
+         JOIN trades t ON t.id = r.trade_id
+         WHERE b.archived_at IS NOT NULL AND ${tradeCondition}
+         ORDER BY b.id`,
+        params
+    );
+    return rows.map((r) => r.id);
+}
+
+/**
+ * After a trade opens, reserve capital for it in every batch that covers
+ * it (or record why the batch skipped it).
+ */
+async function openBatchPositionsForTrade(trade, conn = db) {
+    const batches = await findBatchesForTrade(trade, conn);
+    for (const batch of batches) {
+        await lockBatch(batch.id, conn);
+        const pause = await findActivePause(batch, trade.symbol, trade.entry_time, conn);
+        if (pause) {
+            await insertSkippedTrade(batch, trade, pauseReason(pause), conn);
+            continue;
+        }
+        const state = await loadState(batch, conn);
+        const opened = openPosition(batch, state, trade, await countSymbols(batch.id, conn));
+        if (opened.position) {
+            await insertOpenPosition(opened.position, conn);
+        } else {
+            await insertSkippedTrade(batch, trade, opened.skipped, conn);
+        }
+    }
+}
+
+/**
+ * After a trade closes, iterate all batches that cover it
+ * and append a row to batch_trade_log with running analytics.
+ */
+async function updateBatchLogsForTrade(trade, conn = db) {
+    const batches = await findBatchesForTrade(trade, conn);
+    for (const batch of batches) {
+        await appendBatchLog(batch, trade, conn);
+    }
+}
+
+async function appendBatchLog(batch, trade, conn = db) {
+    await lockBatch(batch.id, conn);
+    const [skipped] = await conn.execute(
+        'SELECT id FROM batch_skipped_trades WHERE batch_id = ? AND trade_id = ?',
+        [batch.id, trade.id]
+    );
+    if (skipped.length > 0) return;
+
+    let state = await loadState(batch, conn);
+    const [positions] = await conn.execute(
+        'SELECT * FROM batch_open_positions WHERE batch_id = ? AND trade_id = ?',
+        [batch.id, trade.id]
+    );
+
+    let position = positions[0];
+    if (!position) {
+        // Trade opened before the batch tracked positions – size it now
+        const pause = await findActivePause(batch, trade.symbol, trade.entry_time, conn);
+        if (pause) {
+            await insertSkippedTrade(batch, trade, pauseReason(pause), conn);
+            return;
+        }
+        const opened = openPosition(batch, state, trade, await countSymbols(batch.id, conn));
+        if (!opened.position) {
+            await insertSkippedTrade(batch, trade, opened.skipped, conn);
+            return;
+        }
+        state = opened.state;
+        position = opened.position;
+    }
+
+    // Late / backdated exit: goes before the rows that closed after it
+    const later = await findLaterLogRows(batch.id, trade, conn);
+    if (later.length > 0) {
+        state = await stateBeforeLogRow(batch, later[0], conn);
+        if (!positions[0]) state.allocated += parseFloat(position.position_size);
+    }
+
+    const closed = closePosition(batch, state, position, trade);
+    const { params } = closed;
+
+    await conn.execute(
+        `INSERT INTO batch_trade_log
+            ${LOG_COLUMNS}
+         VALUES ${LOG_PLACEHOLDERS}
+         ON DUPLICATE KEY UPDATE
+            pnl_percent       = VALUES(pnl_percent),
+            position_size     = VALUES(position_size),
+            gross_pnl         = VALUES(gross_pnl),
+            commission        = VALUES(commission),
+            slippage_cost     = VALUES(slippage_cost),
+            funding_cost      = VALUES(funding_cost),
+            pnl_absolute      = VALUES(pnl_absolute),
+            net_pnl_percent   = VALUES(net_pnl_percent),
+            capital_before    = VALUES(capital_before),
+            capital_after     = VALUES(capital_after),
+            cumulative_pnl    = VALUES(cumulative_pnl),
+            drawdown          = VALUES(drawdown),
+            max_drawdown      = VALUES(max_drawdown),
+            peak_capital      = VALUES(peak_capital),
+            allocated_capital = VALUES(allocated_capital),
+            available_capital = VALUES(available_capital),
+            trade_number      = VALUES(trade_number)`,
+        params
+    );
+    await conn.execute(
+        'DELETE FROM batch_open_positions WHERE batch_id = ? AND trade_id = ?',
+        [batch.id, trade.id]
+    );
+
+    // Recompute the rows after it; they had still counted this position as allocated
+    const released = positions[0] ? parseFloat(position.position_size) : 0;
+    state = closed.state;
+    for (const laterRow of later) {
+        const shifted = shiftLogRow(batch, state, laterRow, released);
+        const columns = Object.keys(shifted.fields);
+        await conn.execute(
+            `UPDATE batch_trade_log SET ${columns.map((c) => `${c} = ?`).join(', ')} WHERE id = ?`,
+            [...columns.map((c) => shifted.fields[c]), laterRow.id]
+        );
+        state = shifted.state;
+    }
+
+    const row = toLogRow(params);
+    if (later.length > 0) row.recomputed_rows = later.length;
+    afterCommit(conn, () => publish('batch.log', row));
+
+    if (later.length === 0) {
+        await evaluateAfterClose(batch, row, conn);
+    } else if (hasRiskRules(batch)) {
+        // The rules after the inserted row may trip differently – replay them.
+        // Required here: rebuildJobService depends on this module.
+        afterCommit(conn, () => {
+            require('./rebuildJobService')
+                .enqueueRebuild({ batchId: batch.id, reason: 'late_exit_risk_rules' })
+                .catch((err) => console.error('[BatchLog] Failed to queue rebuild:', err));
+        });
+    }
+}
+
+/* ===========================  REBUILD  =========================== */
+
+const INSERT_CHUNK = 500;
+
+/**
+ * Multi-row INSERT of `rows` (arrays of values in `columns` order), in
+ * chunks of INSERT_CHUNK rows.
+ */
+async function insertRows(table, columns, rows, conn) {
+    const placeholder = `(${columns.map(() => '?').join(', ')})`;
+    for (let i = 0; i < rows.length; i += INSERT_CHUNK) {
+        const chunk = rows.slice(i, i + INSERT_CHUNK);
+        await conn.execute(
+            `INSERT INTO ${table} (${columns.join(', ')}) VALUES ${chunk.map(() => placeholder).join(', ')}`,
+            chunk.flat()
+        );
+    }
+}
+
+/**
+ * Where an incremental rebuild from `from` resumes: the state after the
+ * last row that closed before it and the positions open at that moment
+ * (still open, or closed at / after `from`). Null when nothing before
+ * `from` can be kept.
+ */
+async function resumeState(batch, from, conn) {
+    const [kept] = await conn.execute(
+        `SELECT * FROM batch_trade_log
+         WHERE batch_id = ? AND exit_time < ?
+         ORDER BY trade_number DESC
+         LIMIT 1`,
+        [batch.id, from]
+    );
+    const [stillOpen] = await conn.execute(
+        `SELECT batch_id, trade_id, symbol, side, entry_price, entry_time, position_size
+         FROM batch_open_positions WHERE batch_id = ? AND entry_time < ?`,
+        [batch.id, from]
+    );
+    const [closedLater] = await conn.execute(
+        `SELECT batch_id, trade_id, symbol, side, entry_price, entry_time, position_size
+         FROM batch_trade_log WHERE batch_id = ? AND exit_time >= ? AND entry_time < ?`,
+        [batch.id, from, from]
+    );
+    const positions = [...stillOpen, ...closedLater];
+    if (kept.length === 0 && positions.length === 0) return null;
+
+    const open = new Map(positions.map((p) => [p.trade_id, { ...p, position_size: parseFloat(p.position_size) }]));
+    const totals = {
+        allocated: positions.reduce((sum, p) => sum + parseFloat(p.position_size), 0),
+        count: positions.length,
+    };
+    const state = kept.length > 0
+        ? stateFromLogRow(kept[0], totals)
+        : { ...initialState(batch), allocated: totals.allocated, openCount: totals.count };
+    return { state, open };
+}
+
+/**
+ * Rebuild a batch's batch_trade_log, open positions and skipped trades
+ * from its trades. Used when a batch is created / edited, so historical
+ * trades get accounted for, and after trades were corrected.
+ *
+ * With `from` only what happened at or after that time is replayed – rows
+ * that closed earlier and the capital they leave are kept. Pass the
+ * earliest entry / exit time a trade change touched; changes to the batch
+ * itself (capital, sizing, symbols) need a full rebuild. Batches with risk
+ * rules are always rebuilt in full, since the rules carry state across it.
+ *
+ * Runs as one transaction with bulk inserts: readers keep seeing the old
+ * log until the new one is committed in its place. One rebuild per batch
+ * at a time.
+ *
+ * The log of an archived batch is frozen and is not rebuilt.
+ *
+ * @returns {{ batch_id, trades, open_positions, from }|null} null when the batch does not exist or is archived
+ */
+async function rebuildBatchLog(batchId, { from = null } = {}) {
+    return runExclusive([batchKey(batchId)], () => withTransaction((conn) => replayBatch(batchId, from, conn)));
+}
+
+async function replayBatch(batchId, from, conn) {
+    const [batches] = await conn.execute(
+        `SELECT * FROM batches WHERE id = ? FOR UPDATE`,
+        [batchId]
+    );
+    if (batches.length === 0 || batches[0].archived_at) return null;
+    const batch = batches[0];
+
+    const symbolCount = await countSymbols(batchId, conn);
+    const incremental = from && symbolCount > 0 && !hasRiskRules(batch);
+    const resumed = incremental ? await resumeState(batch, new Date(from), conn) : null;
+    const since = resumed ? new Date(from) : null;
+
+    // Clear the log, positions and skips that are replayed
+    if (since) {
+        await conn.execute('DELETE FROM batch_trade_log WHERE batch_id = ? AND exit_time >= ?', [batchId, since]);
+        await conn.execute('DELETE FROM batch_skipped_trades WHERE batch_id = ? AND entry_time >= ?', [batchId, since]);
+    } else {
+        await conn.execute('DELETE FROM batch_trade_log WHERE batch_id = ?', [batchId]);
+        await conn.execute('DELETE FROM batch_skipped_trades WHERE batch_id = ?', [batchId]);
+    }
+    await conn.execute('DELETE FROM batch_open_positions WHERE batch_id = ?', [batchId]);
+    await conn.execute('DELETE FROM batch_risk_breaches WHERE batch_id = ?', [batchId]);
+
+    if (symbolCount === 0) {
+        const summary = { batch_id: batch.id, trades: 0, open_positions: 0, from: null };
+        afterCommit(conn, () => publish('batch.rebuilt', summary));
+        return summary;
+    }
+
+    // Fetch every trade (open and closed) covered by the batch's symbol filters
+    let query = `SELECT DISTINCT t.* FROM trades t
+                 JOIN batch_symbols bs ON bs.batch_id = ?
+                     AND ${SYMBOL_FILTER_MATCH}
+                 WHERE t.entry_time IS NOT NULL AND t.voided_at IS NULL`;
+    const params = [batchId];
+
+    if (batch.start_time) {
+        query += ` AND t.entry_time >= ?`;
+        params.push(batch.start_time);
+    }
+    if (since) {
+        // Trades that closed before the resume point are already in the kept rows
+        query += ` AND (t.status = 'open' OR t.exit_time >= ?)`;
+        params.push(since);
+    }
+
+    const [trades] = await conn.execute(query, params);
+
+    let resumes = [];
+    if (hasRiskRules(batch)) {
+        [resumes] = await conn.execute('SELECT * FROM batch_risk_resumes WHERE batch_id = ?', [batchId]);
+    }
+    const risk = createRiskTracker(batch, resumes);
+
+    // Replay entries and exits
+    let state = resumed ? resumed.state : initialState(batch);
+    const open = resumed ? resumed.open : new Map();
+    const logRows = [];
+    const skippedRows = [];
+    for (const event of buildEvents(trades)) {
+        if (since && event.time < since.getTime()) continue;
+        const { trade } = event;
+        risk.advance(event.time);
+        if (event.kind === 'entry') {
+            const pause = risk.pauseAt(trade.symbol, event.time);
+            if (pause) {
+                skippedRows.push([batch.id, trade.id, trade.symbol, trade.side, trade.entry_time, pauseReason(pause)]);
+                continue;
+            }
+            const opened = openPosition(batch, state, trade, symbolCount);
+            if (opened.position) {
+                open.set(trade.id, opened.position);
+                state = opened.state;
+            } else {
+                skippedRows.push([batch.id, trade.id, trade.symbol, trade.side, trade.entry_time, opened.skipped]);
+            }
+            continue;
+        }
+
+        const position = open.get(trade.id);
+        if (!position) continue; // skipped at entry
+        open.delete(trade.id);
+
+        const closed = closePosition(batch, state, position, trade);
+        logRows.push(closed.params);
+        state = closed.state;
+        risk.afterClose(toLogRow(closed.params));
+    }
+    risk.advance(Infinity);
+
+    await insertRows('batch_trade_log', LOG_FIELDS, logRows, conn);
+    await insertRows(
+        'batch_skipped_trades',
+        ['batch_id', 'trade_id', 'symbol', 'side', 'entry_time', 'reason'],
+        skippedRows,
+        conn
+    );
+    await insertRows(
+        'batch_open_positions',
+        ['batch_id', 'trade_id', 'symbol', 'side', 'entry_price', 'entry_time', 'position_size'],
+        [...open.values()].map((p) => [
+            p.batch_id, p.trade_id, p.symbol, p.side, p.entry_price, p.entry_time, p.position_size.toFixed(2),
+        ]),
+        conn
+    );
+    await insertRows('batch_risk_breaches', BREACH_COLUMNS, risk.breaches.map((b) => breachValues(batch.id, b)), conn);
+
+    const summary = {
+        batch_id: batch.id,
+        trades: state.tradeNumber,
+        open_positions: open.size,
+        from: since ? since.toISOString() : null,
+    };
+    afterCommit(conn, () => publish('batch.rebuilt', summary));
+    return summary;
+}
+
+module.exports = {
+    openPosition,
+    closePosition,
+    findBatchesForTrade,
+    findArchivedBatchesReferencing,
+    openBatchPositionsForTrade,
+    updateBatchLogsForTrade,
+    appendBatchLog,
+    rebuildBatchLog,
+};
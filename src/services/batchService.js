@@ -1,8 +1,23 @@
 /**
- * Batch service – CRUD + analytics for batches.
+ * Batch service – CRUD, cloning, archival + analytics for batches.
+ *
+ * An archived batch is frozen: live trades and rebuilds no longer touch its
+ * log (see batchLogService), it is left out of batch lists by default, and
+ * its analytics stay readable.
  */
 const db = require('../db/connection');
-const { rebuildBatchLog } = require('./tradeService');
+const { withTransaction } = require('../db/transaction');
+const { runExclusive, batchKey } = require('./keyedQueue');
+const { rebuildBatchLog } = require('./batchLogService');
+const { enqueueRebuild } = require('./rebuildJobService');
+const { leverageOf, validateSizing } = require('./positionSizing');
+const { validateCosts } = require('./costModel');
+const { RISK_COLUMNS, validateRiskRules } = require('./riskRules');
+const { getPausesByBatch, riskStatus } = require('./riskService');
+const { unrealizedPnlPercent } = require('./priceService');
+const { groupByBucket, rangeClause } = require('./timeBuckets');
+const { publish } = require('./eventBus');
+const batchHistory = require('./batchHistoryService');
 
 /**
  * Convert an ISO 8601 / JS date string to MySQL DATETIME format (YYYY-MM-DD HH:MM:SS).
@@ -16,35 +31,174 @@ function toMySQLDatetime(value) {
 
 /* ===========================  CRUD  =========================== */
 
-async function createBatch({ name, capital = 100000, start_time = null, symbols = [] }) {
-    const [result] = await db.execute(
-        `INSERT INTO batches (name, capital, start_time) VALUES (?, ?, ?)`,
-        [name, capital, toMySQLDatetime(start_time)]
+/**
+ * Replay settings stored as plain columns on batches (sizing, position cap,
+ * cost profile, risk rules). Every one of them changes how trades are replayed.
+ */
+const SETTINGS_COLUMNS = [
+    'sizing_mode', 'sizing_value', 'leverage', 'max_concurrent_positions',
+    'commission_type', 'maker_fee', 'taker_fee', 'fee_order_type', 'slippage_bps', 'funding_rate_hourly',
+    ...RISK_COLUMNS,
+];
+
+/**
+ * Pick the settings present in a request body (undefined ones are left out).
+ */
+function pickSettings(source) {
+    const settings = {};
+    for (const column of SETTINGS_COLUMNS) {
+        if (source[column] !== undefined) settings[column] = source[column];
+    }
+    return settings;
+}
+
+function validateMaxPositions(max_concurrent_positions) {
+    if (max_concurrent_positions === undefined || max_concurrent_positions === null) return null;
+    const n = Number(max_concurrent_positions);
+    if (!Number.isInteger(n) || n < 1) return 'max_concurrent_positions must be a positive integer or null';
+    return null;
+}
+
+/**
+ * Validate settings picked from a request body. Returns an error message or null.
+ */
+function validateSettings(settings) {
+    return validateSizing(settings)
+        || validateMaxPositions(settings.max_concurrent_positions)
+        || validateCosts(settings)
+        || validateRiskRules(settings);
+}
+
+/**
+ * Versioned configuration of a batch: settings + symbol filters.
+ * Null when the batch does not exist or is deleted. With `lock` the batch
+ * row stays locked until `conn`'s transaction ends.
+ */
+async function getBatchConfig(id, conn = db, { lock = false } = {}) {
+    const [rows] = await conn.execute(
+        `SELECT * FROM batches WHERE id = ? AND deleted_at IS NULL${lock ? ' FOR UPDATE' : ''}`,
+        [id]
     );
-    const batchId = result.insertId;
+    if (rows.length === 0) return null;
+    const batch = rows[0];
+    const toNumber = (value) => (typeof value === 'string' && value.trim() !== '' && !isNaN(value) ? parseFloat(value) : value);
 
-    if (symbols.length > 0) {
-        await setSymbols(batchId, symbols);
+    const config = {
+        name: batch.name,
+        capital: toNumber(batch.capital),
+        start_time: batch.start_time ? new Date(batch.start_time).toISOString() : null,
+    };
+    for (const column of SETTINGS_COLUMNS) config[column] = toNumber(batch[column]);
+    config.symbols = await getSymbolFilters(id, conn);
+    return config;
+}
+
+/**
+ * Run a change of batch `id`: `change(conn)` makes it and records its
+ * version / audit entry in one transaction, while the batch is held in the
+ * keyed queue – concurrent changes apply one after the other, each with its
+ * own version, and a failed change leaves nothing behind. `followUp(result)`
+ * runs after the commit, still holding the batch (rebuilds, events).
+ */
+function changeBatch(id, change, followUp) {
+    return runExclusive([batchKey(id)], async () => {
+        const result = await withTransaction(change);
+        return followUp(result);
+    });
+}
+
+/**
+ * Rebuild a batch's log after its configuration changed: right away, or –
+ * with `background` – as a queued job, which is returned.
+ */
+async function rebuildAfterChange(batchId, reason, { background = false, actor = null } = {}) {
+    if (!background) {
+        await rebuildBatchLog(batchId);
+        return null;
     }
+    return enqueueRebuild({ batchId: Number(batchId), reason, actor });
+}
 
-    // Build historical log
-    await rebuildBatchLog(batchId);
+/**
+ * Batch as returned by the mutations below, with the queued rebuild job
+ * when the rebuild runs in the background.
+ */
+async function withRebuildJob(batchId, job) {
+    const batch = await getBatchById(batchId);
+    if (batch && job) batch.rebuild_job = job;
+    return batch;
+}
 
-    return getBatchById(batchId);
+async function createBatch({ name, capital = 100000, start_time = null, symbols = [], ...rest }, { actor = null, background = false, note = null } = {}) {
+    const settings = pickSettings(rest);
+    const columns = ['name', 'capital', 'start_time', ...Object.keys(settings)];
+    const values = [name, capital, toMySQLDatetime(start_time), ...Object.values(settings)];
+
+    const batchId = await withTransaction(async (conn) => {
+        const [result] = await conn.execute(
+            `INSERT INTO batches (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+            values
+        );
+        await replaceSymbolEntries(result.insertId, symbols, conn);
+        await batchHistory.recordChange(result.insertId, 'create', null, await getBatchConfig(result.insertId, conn), { actor, note }, conn);
+        return result.insertId;
+    });
+
+    return runExclusive([batchKey(batchId)], async () => {
+        // Build historical log
+        const job = await rebuildAfterChange(batchId, 'create', { background, actor });
+        publish('batch.created', { batch_id: batchId, name });
+        return withRebuildJob(batchId, job);
+    });
 }
 
-async function getBatchById(id) {
-    const [rows] = await db.execute('SELECT * FROM batches WHERE id = ?', [id]);
+/**
+ * New batch with the configuration of batch `id` – symbol filters and all
+ * settings – and `overrides` applied on top (undefined ones are ignored).
+ * The name defaults to "<name> (copy)". Null when the batch does not exist.
+ */
+async function cloneBatch(id, overrides = {}, options = {}) {
+    const source = await getBatchConfig(id);
+    if (!source) return null;
+
+    const config = { ...source, name: `${source.name} (copy)` };
+    for (const [field, value] of Object.entries(overrides)) {
+        if (value !== undefined) config[field] = value;
+    }
+    return createBatch(config, { ...options, note: `Cloned from batch ${id}` });
+}
+
+async function getBatchById(id, { includeDeleted = false } = {}) {
+    const [rows] = await db.execute(
+        `SELECT * FROM batches WHERE id = ?${includeDeleted ? '' : ' AND deleted_at IS NULL'}`,
+        [id]
+    );
     if (rows.length === 0) return null;
     const batch = rows[0];
     batch.symbols = await getSymbols(id);
+    batch.symbol_filters = await getSymbolFilters(id);
     return batch;
 }
 
-async function getAllBatches() {
-    const [rows] = await db.execute('SELECT * FROM batches ORDER BY created_at DESC');
+const ARCHIVED_FILTERS = {
+    exclude: ' AND archived_at IS NULL',
+    only: ' AND archived_at IS NOT NULL',
+    include: '',
+};
+
+/**
+ * Batches with their latest figures: the active ones, `deleted` lists the
+ * deleted ones instead. `archived` is 'exclude' (default), 'only' or 'include'.
+ */
+async function getAllBatches({ deleted = false, archived = 'exclude' } = {}) {
+    const [rows] = await db.execute(
+        `SELECT * FROM batches WHERE deleted_at IS ${deleted ? 'NOT NULL' : 'NULL'}${ARCHIVED_FILTERS[archived]}
+         ORDER BY created_at DESC`
+    );
+    const pauses = await getPausesByBatch();
     for (const batch of rows) {
         batch.symbols = await getSymbols(batch.id);
+        batch.symbol_filters = await getSymbolFilters(batch.id);
 
         // Attach latest snapshot
         const [snapshot] = await db.execute(
@@ -52,6 +206,14 @@ async function getAllBatches() {
              FROM batch_trade_log WHERE batch_id = ? ORDER BY trade_number DESC LIMIT 1`,
             [batch.id]
         );
+        const [open] = await db.execute(
+            `SELECT COUNT(*) AS open_positions, COALESCE(SUM(position_size), 0) AS allocated
+             FROM batch_open_positions WHERE batch_id = ?`,
+            [batch.id]
+        );
+        batch.open_positions = open[0].open_positions;
+        batch.allocated_capital = parseFloat(open[0].allocated);
+
         if (snapshot.length > 0) {
             batch.current_capital = parseFloat(snapshot[0].capital_after);
             batch.cumulative_pnl = parseFloat(snapshot[0].cumulative_pnl);
@@ -67,166 +229,423 @@ async function getAllBatches() {
             batch.peak_capital = parseFloat(batch.capital);
             batch.total_trades = 0;
         }
+        batch.available_capital = batch.current_capital - batch.allocated_capital;
+
+        const { unrealized_pnl, equity } = markToMarket(
+            batch.current_capital,
+            batch.peak_capital,
+            await getOpenPositions(batch)
+        );
+        batch.unrealized_pnl = unrealized_pnl;
+        batch.equity = equity;
+        batch.risk_status = riskStatus(pauses.get(batch.id) || []);
     }
     return rows;
 }
 
-async function updateBatch(id, { name, capital, start_time }) {
+async function updateBatch(id, changes, { actor = null, background = false } = {}) {
+    const { name, capital, start_time } = changes;
+    const settings = pickSettings(changes);
     const fields = [];
     const params = [];
     if (name !== undefined) { fields.push('name = ?'); params.push(name); }
     if (capital !== undefined) { fields.push('capital = ?'); params.push(capital); }
     if (start_time !== undefined) { fields.push('start_time = ?'); params.push(toMySQLDatetime(start_time)); }
-
-    if (fields.length > 0) {
-        params.push(id);
-        await db.execute(`UPDATE batches SET ${fields.join(', ')} WHERE id = ?`, params);
+    for (const [column, value] of Object.entries(settings)) {
+        fields.push(`${column} = ?`);
+        params.push(value);
     }
 
-    // If capital or start_time changed, rebuild log
-    if (capital !== undefined || start_time !== undefined) {
-        await rebuildBatchLog(id);
-    }
+    return changeBatch(id, async (conn) => {
+        const before = await getBatchConfig(id, conn, { lock: true });
+        if (!before) return false;
+        if (fields.length > 0) {
+            await conn.execute(`UPDATE batches SET ${fields.join(', ')} WHERE id = ?`, [...params, id]);
+        }
+        await batchHistory.recordChange(id, 'update', before, await getBatchConfig(id, conn), { actor }, conn);
+        return true;
+    }, async (found) => {
+        if (!found) return null;
+
+        // If capital, start_time or any replay setting changed, rebuild log
+        let job = null;
+        if (capital !== undefined || start_time !== undefined || Object.keys(settings).length > 0) {
+            job = await rebuildAfterChange(id, 'update', { background, actor });
+        }
+        publish('batch.updated', { batch_id: Number(id), changed: fields.map((f) => f.split(' ')[0]) });
+        return withRebuildJob(id, job);
+    });
+}
+
+/**
+ * Soft delete: the batch disappears from lists and stops taking live
+ * trades, but its configuration, history and log are kept for restore.
+ * Returns false when there is no active batch with that id.
+ */
+async function deleteBatch(id, { actor = null } = {}) {
+    return changeBatch(id, async (conn) => {
+        const [result] = await conn.execute(
+            'UPDATE batches SET deleted_at = UTC_TIMESTAMP() WHERE id = ? AND deleted_at IS NULL',
+            [id]
+        );
+        if (result.affectedRows === 0) return false;
+        await batchHistory.recordAction(id, 'delete', { actor }, conn);
+        return true;
+    }, (deleted) => {
+        if (deleted) publish('batch.deleted', { batch_id: Number(id) });
+        return deleted;
+    });
+}
 
-    return getBatchById(id);
+/**
+ * Undo a soft delete. The log is rebuilt because trades that arrived while
+ * the batch was deleted were not applied to it.
+ */
+async function restoreBatch(id, { actor = null, background = false } = {}) {
+    return changeBatch(id, async (conn) => {
+        const [result] = await conn.execute(
+            'UPDATE batches SET deleted_at = NULL WHERE id = ? AND deleted_at IS NOT NULL',
+            [id]
+        );
+        if (result.affectedRows === 0) return false;
+        await batchHistory.recordAction(id, 'restore', { actor }, conn);
+        return true;
+    }, async (restored) => {
+        if (!restored) return null;
+        const job = await rebuildAfterChange(id, 'restore', { background, actor });
+        publish('batch.restored', { batch_id: Number(id) });
+        return withRebuildJob(id, job);
+    });
 }
 
-async function deleteBatch(id) {
-    await db.execute('DELETE FROM batches WHERE id = ?', [id]);
+/**
+ * Archive a batch: its log is frozen and it leaves the batch list. Returns
+ * false when there is no active, unarchived batch with that id.
+ */
+async function archiveBatch(id, { actor = null } = {}) {
+    return changeBatch(id, async (conn) => {
+        const [result] = await conn.execute(
+            'UPDATE batches SET archived_at = UTC_TIMESTAMP() WHERE id = ? AND deleted_at IS NULL AND archived_at IS NULL',
+            [id]
+        );
+        if (result.affectedRows === 0) return false;
+        await batchHistory.recordAction(id, 'archive', { actor }, conn);
+        return true;
+    }, (archived) => {
+        if (archived) publish('batch.archived', { batch_id: Number(id) });
+        return archived;
+    });
+}
+
+/**
+ * Take a batch out of the archive. The log is rebuilt because trades that
+ * arrived while it was archived were not applied to it.
+ */
+async function unarchiveBatch(id, { actor = null, background = false } = {}) {
+    return changeBatch(id, async (conn) => {
+        const [result] = await conn.execute(
+            'UPDATE batches SET archived_at = NULL WHERE id = ? AND deleted_at IS NULL AND archived_at IS NOT NULL',
+            [id]
+        );
+        if (result.affectedRows === 0) return false;
+        await batchHistory.recordAction(id, 'unarchive', { actor }, conn);
+        return true;
+    }, async (unarchived) => {
+        if (!unarchived) return null;
+        const job = await rebuildAfterChange(id, 'unarchive', { background, actor });
+        publish('batch.unarchived', { batch_id: Number(id) });
+        return withRebuildJob(id, job);
+    });
+}
+
+/**
+ * Put a batch back to the configuration of an earlier version (settings and
+ * symbols) and rebuild its log. The revert itself becomes a new version.
+ * Returns null when the batch or the version does not exist.
+ */
+async function revertBatch(id, version, { actor = null, background = false } = {}) {
+    const target = await batchHistory.getVersion(id, version);
+    if (!target) return null;
+    const { symbols, ...settings } = target.config;
+    const columns = ['name', 'capital', 'start_time', ...SETTINGS_COLUMNS].filter((c) => settings[c] !== undefined);
+
+    return changeBatch(id, async (conn) => {
+        const before = await getBatchConfig(id, conn, { lock: true });
+        if (!before) return null;
+        await conn.execute(
+            `UPDATE batches SET ${columns.map((c) => `${c} = ?`).join(', ')} WHERE id = ?`,
+            [...columns.map((c) => (c === 'start_time' ? toMySQLDatetime(settings[c]) : settings[c])), id]
+        );
+        await replaceSymbolEntries(id, symbols || [], conn);
+
+        const after = await getBatchConfig(id, conn);
+        await batchHistory.recordChange(id, 'revert', before, after, { actor, note: `Reverted to version ${version}` }, conn);
+        return Object.keys(batchHistory.diffConfig(before, after).new_values);
+    }, async (changed) => {
+        if (!changed) return null;
+        const job = await rebuildAfterChange(id, 'revert', { background, actor });
+        publish('batch.updated', { batch_id: Number(id), changed });
+        return withRebuildJob(id, job);
+    });
 }
 
 /* ===========================  SYMBOLS  =========================== */
 
+/**
+ * A batch symbol entry is either a plain symbol string or an object
+ * { symbol, timeframe, source_id, strategy } narrowing it to one timeframe,
+ * webhook source and/or strategy. Missing parts match anything.
+ */
+function normalizeSymbolEntry(entry) {
+    if (typeof entry === 'string') {
+        return { symbol: entry.toUpperCase(), timeframe: '', source_id: 0, strategy: '' };
+    }
+    return {
+        symbol: String(entry.symbol).toUpperCase(),
+        timeframe: entry.timeframe || '',
+        source_id: parseInt(entry.source_id, 10) || 0,
+        strategy: entry.strategy || '',
+    };
+}
+
+/**
+ * Error message for an invalid symbol entry, or null.
+ */
+function validateSymbolEntry(entry) {
+    if (typeof entry === 'string') return entry ? null : 'symbol must not be empty';
+    if (!entry || typeof entry !== 'object' || !entry.symbol) {
+        return 'each symbol must be a string or an object with a symbol field';
+    }
+    return null;
+}
+
 async function getSymbols(batchId) {
     const [rows] = await db.execute(
-        'SELECT symbol FROM batch_symbols WHERE batch_id = ?',
+        'SELECT DISTINCT symbol FROM batch_symbols WHERE batch_id = ?',
         [batchId]
     );
     return rows.map((r) => r.symbol);
 }
 
-async function setSymbols(batchId, symbols) {
-    // Remove old
-    await db.execute('DELETE FROM batch_symbols WHERE batch_id = ?', [batchId]);
-    // Insert new
-    for (const sym of symbols) {
-        await db.execute(
-            'INSERT IGNORE INTO batch_symbols (batch_id, symbol) VALUES (?, ?)',
-            [batchId, sym.toUpperCase()]
-        );
-    }
-    // Rebuild log since symbol set changed
-    await rebuildBatchLog(batchId);
+/**
+ * Full symbol filters of a batch (symbol + timeframe / source / strategy).
+ */
+async function getSymbolFilters(batchId, conn = db) {
+    const [rows] = await conn.execute(
+        `SELECT symbol, timeframe, source_id, strategy FROM batch_symbols
+         WHERE batch_id = ? ORDER BY symbol ASC, timeframe ASC, source_id ASC, strategy ASC`,
+        [batchId]
+    );
+    return rows;
 }
 
-async function addSymbol(batchId, symbol) {
-    await db.execute(
-        'INSERT IGNORE INTO batch_symbols (batch_id, symbol) VALUES (?, ?)',
-        [batchId, symbol.toUpperCase()]
+async function insertSymbolEntry(batchId, entry, conn = db) {
+    const { symbol, timeframe, source_id, strategy } = normalizeSymbolEntry(entry);
+    await conn.execute(
+        `INSERT IGNORE INTO batch_symbols (batch_id, symbol, timeframe, source_id, strategy)
+         VALUES (?, ?, ?, ?, ?)`,
+        [batchId, symbol, timeframe, source_id, strategy]
     );
-    await rebuildBatchLog(batchId);
 }
 
-async function removeSymbol(batchId, symbol) {
-    await db.execute(
-        'DELETE FROM batch_symbols WHERE batch_id = ? AND symbol = ?',
-        [batchId, symbol.toUpperCase()]
-    );
-    await rebuildBatchLog(batchId);
+async function replaceSymbolEntries(batchId, symbols, conn = db) {
+    await conn.execute('DELETE FROM batch_symbols WHERE batch_id = ?', [batchId]);
+    for (const entry of symbols) {
+        await insertSymbolEntry(batchId, entry, conn);
+    }
+}
+
+/**
+ * Change a batch's symbol entries with `change(conn)`, record the version
+ * and rebuild the log. Null when the batch does not exist.
+ */
+function changeSymbols(batchId, action, change, { actor = null, background = false } = {}) {
+    return changeBatch(batchId, async (conn) => {
+        const before = await getBatchConfig(batchId, conn, { lock: true });
+        if (!before) return false;
+        await change(conn);
+        await batchHistory.recordChange(batchId, action, before, await getBatchConfig(batchId, conn), { actor }, conn);
+        return true;
+    }, async (found) => {
+        if (!found) return null;
+        // Rebuild log since symbol set changed
+        const job = await rebuildAfterChange(batchId, action, { background, actor });
+        publish('batch.updated', { batch_id: Number(batchId), changed: ['symbols'] });
+        return withRebuildJob(batchId, job);
+    });
+}
+
+/**
+ * Replace a batch's symbol list. Returns null when the batch does not
+ * exist, else the updated batch.
+ */
+async function setSymbols(batchId, symbols, options = {}) {
+    return changeSymbols(batchId, 'set_symbols', (conn) => replaceSymbolEntries(batchId, symbols, conn), options);
+}
+
+async function addSymbol(batchId, entry, options = {}) {
+    return changeSymbols(batchId, 'add_symbol', (conn) => insertSymbolEntry(batchId, entry, conn), options);
+}
+
+/**
+ * Remove a symbol from a batch. Without a filter every entry of the symbol
+ * goes; { timeframe, source_id, strategy } removes only the matching entry.
+ */
+async function removeSymbol(batchId, symbol, filter = null, options = {}) {
+    let query = 'DELETE FROM batch_symbols WHERE batch_id = ? AND symbol = ?';
+    const params = [batchId, symbol.toUpperCase()];
+    if (filter) {
+        const { timeframe, source_id, strategy } = normalizeSymbolEntry({ symbol, ...filter });
+        query += ' AND timeframe = ? AND source_id = ? AND strategy = ?';
+        params.push(timeframe, source_id, strategy);
+    }
+    return changeSymbols(batchId, 'remove_symbol', (conn) => conn.execute(query, params), options);
 }
 
 /* ===========================  ANALYTICS  =========================== */
 
+/*
+ * Every analytics query accepts { from, to } (exit_time range); the
+ * time-series ones also take { tz, bucket } – see services/timeBuckets.js.
+ */
+
 /**
- * Full trade log for a batch (every closed trade with running capital).
+ * Last log row before the range, i.e. the running state a ranged series
+ * starts from. Falls back to the batch's starting capital.
  */
-async function getBatchTradeLog(batchId, { limit = 500, offset = 0 } = {}) {
-    const [rows] = await db.execute(
-        `SELECT * FROM batch_trade_log
-         WHERE batch_id = ?
-         ORDER BY trade_number ASC
-         LIMIT ${Number(limit)} OFFSET ${Number(offset)}`,
-        [batchId]
-    );
-    return rows;
+async function stateBefore(batchId, from) {
+    if (from) {
+        const [rows] = await db.execute(
+            `SELECT trade_number, capital_after, cumulative_pnl, drawdown, max_drawdown,
+                    peak_capital, available_capital
+             FROM batch_trade_log
+             WHERE batch_id = ? AND exit_time < ?
+             ORDER BY trade_number DESC LIMIT 1`,
+            [batchId, from]
+        );
+        if (rows.length > 0) return rows[0];
+    }
+    const [batches] = await db.execute('SELECT capital FROM batches WHERE id = ?', [batchId]);
+    const capital = batches.length > 0 ? batches[0].capital : 0;
+    return {
+        trade_number: 0,
+        capital_after: capital,
+        cumulative_pnl: 0,
+        drawdown: 0,
+        max_drawdown: 0,
+        peak_capital: capital,
+        available_capital: capital,
+    };
 }
 
 /**
- * Capital growth curve by trade (for chart).
+ * Log rows in the range, oldest first.
  */
-async function getCapitalGrowthByTrade(batchId) {
+async function getLogRows(batchId, columns, range = {}) {
+    const { sql, params } = rangeClause('exit_time', range);
     const [rows] = await db.execute(
-        `SELECT trade_number, capital_after, cumulative_pnl, pnl_absolute, pnl_percent,
-                drawdown, max_drawdown, exit_time, symbol
-         FROM batch_trade_log
-         WHERE batch_id = ?
+        `SELECT ${columns} FROM batch_trade_log
+         WHERE batch_id = ?${sql}
          ORDER BY trade_number ASC`,
-        [batchId]
+        [batchId, ...params]
     );
     return rows;
 }
 
 /**
- * Capital growth aggregated per day.
+ * Full trade log for a batch (every closed trade with running capital).
+ * `limit: null` returns every row (exports).
  */
-async function getCapitalGrowthByDay(batchId) {
+async function getBatchTradeLog(batchId, { limit = 500, offset = 0, from, to } = {}) {
+    const { sql, params } = rangeClause('exit_time', { from, to });
+    const paging = limit === null ? '' : `LIMIT ${Number(limit)} OFFSET ${Number(offset)}`;
     const [rows] = await db.execute(
-        `SELECT
-            DATE(exit_time) AS day,
-            MAX(trade_number) AS trade_count_cumulative,
-            COUNT(*)          AS trades_on_day,
-            SUM(pnl_absolute) AS daily_pnl,
-            MAX(capital_after) AS capital_eod,
-            MAX(cumulative_pnl) AS cumulative_pnl,
-            MAX(drawdown)      AS drawdown_eod,
-            MAX(max_drawdown)  AS max_drawdown
-         FROM batch_trade_log
-         WHERE batch_id = ?
-         GROUP BY DATE(exit_time)
-         ORDER BY day ASC`,
-        [batchId]
+        `SELECT * FROM batch_trade_log
+         WHERE batch_id = ?${sql}
+         ORDER BY trade_number ASC
+         ${paging}`,
+        [batchId, ...params]
     );
     return rows;
 }
 
 /**
- * Trades per day chart data.
+ * Capital growth curve by trade (for chart).
  */
-async function getTradesPerDay(batchId) {
-    const [rows] = await db.execute(
-        `SELECT
-            DATE(exit_time) AS day,
-            COUNT(*)        AS trade_count
-         FROM batch_trade_log
-         WHERE batch_id = ?
-         GROUP BY DATE(exit_time)
-         ORDER BY day ASC`,
-        [batchId]
+async function getCapitalGrowthByTrade(batchId, range = {}) {
+    return getLogRows(
+        batchId,
+        `trade_number, capital_after, cumulative_pnl, position_size, pnl_percent,
+         gross_pnl, commission, slippage_cost, funding_cost, pnl_absolute, net_pnl_percent,
+         drawdown, max_drawdown, exit_time, symbol`,
+        range
     );
-    return rows;
 }
 
 /**
- * Cumulative trade count over time.
+ * Capital growth aggregated per bucket (default: day). Buckets without
+ * trades carry the previous capital forward. `day` repeats `period` for
+ * clients written against the per-day version.
  */
-async function getCumulativeTradeCount(batchId) {
-    const [rows] = await db.execute(
-        `SELECT trade_number, exit_time
-         FROM batch_trade_log
-         WHERE batch_id = ?
-         ORDER BY trade_number ASC`,
-        [batchId]
+async function getCapitalGrowthByDay(batchId, { from, to, tz = 'UTC', bucket = 'day' } = {}) {
+    const rows = await getLogRows(
+        batchId,
+        'trade_number, exit_time, pnl_absolute, capital_after, cumulative_pnl, drawdown, max_drawdown',
+        { from, to }
     );
-    return rows;
+    let carry = await stateBefore(batchId, from);
+
+    return groupByBucket(rows, { timeField: 'exit_time', bucket, tz, from, to }).map(({ period, rows: inBucket }) => {
+        const last = inBucket.length > 0 ? inBucket[inBucket.length - 1] : carry;
+        carry = last;
+        return {
+            period,
+            day: period,
+            trade_count_cumulative: last.trade_number,
+            trades_on_day: inBucket.length,
+            daily_pnl: inBucket.reduce((sum, r) => sum + parseFloat(r.pnl_absolute), 0),
+            capital_eod: parseFloat(last.capital_after),
+            cumulative_pnl: parseFloat(last.cumulative_pnl),
+            drawdown_eod: parseFloat(last.drawdown),
+            max_drawdown: parseFloat(last.max_drawdown),
+        };
+    });
+}
+
+/**
+ * Trades per bucket (default: day), empty buckets included.
+ */
+async function getTradesPerDay(batchId, { from, to, tz = 'UTC', bucket = 'day' } = {}) {
+    const rows = await getLogRows(batchId, 'trade_number, exit_time', { from, to });
+    return groupByBucket(rows, { timeField: 'exit_time', bucket, tz, from, to }).map(({ period, rows: inBucket }) => ({
+        period,
+        day: period,
+        trade_count: inBucket.length,
+    }));
+}
+
+/**
+ * Cumulative trade count over time – per trade, or per bucket when one is given.
+ */
+async function getCumulativeTradeCount(batchId, { from, to, tz = 'UTC', bucket = null } = {}) {
+    const rows = await getLogRows(batchId, 'trade_number, exit_time', { from, to });
+    if (!bucket) return rows;
+
+    let cumulative = (await stateBefore(batchId, from)).trade_number;
+    return groupByBucket(rows, { timeField: 'exit_time', bucket, tz, from, to }).map(({ period, rows: inBucket }) => {
+        if (inBucket.length > 0) cumulative = inBucket[inBucket.length - 1].trade_number;
+        return { period, trade_count: inBucket.length, cumulative_trades: cumulative };
+    });
 }
 
 /**
  * Summary / KPI snapshot for a batch.
  */
-async function getBatchSummary(batchId) {
+async function getBatchSummary(batchId, range = {}) {
     const batch = await getBatchById(batchId);
     if (!batch) return null;
 
+    const { sql, params } = rangeClause('exit_time', range);
     const [stats] = await db.execute(
         `SELECT
             COUNT(*)                           AS total_trades,
@@ -236,29 +655,56 @@ async function getBatchSummary(batchId) {
             AVG(pnl_percent)                   AS avg_pnl_percent,
             MAX(pnl_percent)                   AS best_trade_pct,
             MIN(pnl_percent)                   AS worst_trade_pct,
-            SUM(pnl_absolute)                  AS total_pnl_absolute
+            SUM(pnl_absolute)                  AS total_pnl_absolute,
+            SUM(gross_pnl)                     AS total_gross_pnl,
+            SUM(commission)                    AS total_commission,
+            SUM(slippage_cost)                 AS total_slippage,
+            SUM(funding_cost)                  AS total_funding,
+            AVG(net_pnl_percent)               AS avg_net_pnl_percent
          FROM batch_trade_log
-         WHERE batch_id = ?`,
-        [batchId]
+         WHERE batch_id = ?${sql}`,
+        [batchId, ...params]
     );
 
     const [lastLog] = await db.execute(
-        `SELECT capital_after, cumulative_pnl, drawdown, max_drawdown, peak_capital, trade_number
-         FROM batch_trade_log WHERE batch_id = ? ORDER BY trade_number DESC LIMIT 1`,
-        [batchId]
+        `SELECT capital_after, cumulative_pnl, drawdown, max_drawdown, peak_capital,
+                allocated_capital, available_capital, trade_number
+         FROM batch_trade_log WHERE batch_id = ?${sql} ORDER BY trade_number DESC LIMIT 1`,
+        [batchId, ...params]
     );
 
-    return {
+    const skippedRange = rangeClause('entry_time', range);
+    const [skipped] = await db.execute(
+        `SELECT COUNT(*) AS skipped_trades FROM batch_skipped_trades WHERE batch_id = ?${skippedRange.sql}`,
+        [batchId, ...skippedRange.params]
+    );
+
+    const latest = lastLog[0] || null;
+    const summary = {
         batch,
-        stats: stats[0],
-        latest: lastLog[0] || null,
+        stats: { ...stats[0], skipped_trades: skipped[0].skipped_trades },
+        latest,
     };
+
+    // Open positions are valued now, so they only belong to a range reaching the present
+    if (!range.to) {
+        const realizedCapital = latest ? parseFloat(latest.capital_after) : parseFloat(batch.capital);
+        const peakCapital = latest ? parseFloat(latest.peak_capital) : realizedCapital;
+        const { positions, ...markToMarketTotals } = markToMarket(
+            realizedCapital,
+            peakCapital,
+            await getOpenPositions(batch)
+        );
+        summary.mark_to_market = { ...markToMarketTotals, open_positions: positions.length };
+    }
+    return summary;
 }
 
 /**
  * Win-rate and symbol-level breakdown.
  */
-async function getSymbolBreakdown(batchId) {
+async function getSymbolBreakdown(batchId, range = {}) {
+    const { sql, params } = rangeClause('exit_time', range);
     const [rows] = await db.execute(
         `SELECT
             symbol,
@@ -268,35 +714,178 @@ async function getSymbolBreakdown(batchId) {
             AVG(pnl_percent)                   AS avg_pnl_pct,
             SUM(pnl_absolute)                  AS total_pnl
          FROM batch_trade_log
-         WHERE batch_id = ?
+         WHERE batch_id = ?${sql}
          GROUP BY symbol
          ORDER BY total_pnl DESC`,
-        [batchId]
+        [batchId, ...params]
     );
     return rows;
 }
 
 /**
- * Drawdown over time for a batch.
+ * Trades the batch did not take (position cap reached / no free capital).
+ * The range applies to the entry time of the skipped trade.
  */
-async function getDrawdownSeries(batchId) {
+async function getSkippedTrades(batchId, range = {}) {
+    const { sql, params } = rangeClause('entry_time', range);
     const [rows] = await db.execute(
-        `SELECT trade_number, exit_time, drawdown, max_drawdown, capital_after, peak_capital
-         FROM batch_trade_log
-         WHERE batch_id = ?
-         ORDER BY trade_number ASC`,
-        [batchId]
+        `SELECT trade_id, symbol, side, entry_time, reason
+         FROM batch_skipped_trades
+         WHERE batch_id = ?${sql}
+         ORDER BY entry_time ASC`,
+        [batchId, ...params]
     );
     return rows;
 }
 
+/**
+ * Drawdown over time for a batch – per trade, or per bucket (end-of-bucket
+ * values, gaps carried forward) when one is given. Every point is realized
+ * (equity = capital_after); without a `to` bound and with open positions a
+ * final `live` point marks them to the latest known prices.
+ */
+async function getDrawdownSeries(batchId, { from, to, tz = 'UTC', bucket = null } = {}) {
+    const rows = await getLogRows(
+        batchId,
+        `trade_number, exit_time, drawdown, max_drawdown, capital_after, peak_capital,
+         available_capital, capital_after AS equity`,
+        { from, to }
+    );
+    const before = await stateBefore(batchId, from);
+    const last = rows.length > 0 ? rows[rows.length - 1] : before;
+
+    let series = rows;
+    if (bucket) {
+        let carry = { ...before, equity: before.capital_after, exit_time: null };
+        series = groupByBucket(rows, { timeField: 'exit_time', bucket, tz, from, to }).map(({ period, rows: inBucket }) => {
+            const end = inBucket.length > 0 ? inBucket[inBucket.length - 1] : carry;
+            carry = end;
+            return {
+                period,
+                trades: inBucket.length,
+                exit_time: end.exit_time,
+                drawdown: end.drawdown,
+                max_drawdown: end.max_drawdown,
+                capital_after: end.capital_after,
+                peak_capital: end.peak_capital,
+                available_capital: end.available_capital,
+                equity: end.equity,
+            };
+        });
+    }
+
+    if (to) return series;
+    const batch = await getBatchById(batchId);
+    if (!batch) return series;
+    const positions = await getOpenPositions(batch);
+    if (positions.length === 0) return series;
+
+    const realizedCapital = parseFloat(last.capital_after);
+    const peakCapital = parseFloat(last.peak_capital);
+    const live = markToMarket(realizedCapital, peakCapital, positions);
+    series.push({
+        trade_number: null,
+        exit_time: new Date(),
+        drawdown: live.equity_drawdown,
+        max_drawdown: Math.max(parseFloat(last.max_drawdown), live.equity_drawdown),
+        capital_after: realizedCapital,
+        peak_capital: peakCapital,
+        available_capital: last.available_capital,
+        equity: live.equity,
+        live: true,
+    });
+    return series;
+}
+
+/* ===========================  MARK TO MARKET  =========================== */
+
+/**
+ * Open positions of a batch valued at the latest known price of their
+ * symbol (symbol_prices). Without a known price the position is valued at
+ * its entry price. Unrealized PnL is gross – costs are charged on close.
+ */
+async function getOpenPositions(batch) {
+    const [rows] = await db.execute(
+        `SELECT bop.trade_id, bop.symbol, bop.side, bop.entry_time, bop.position_size,
+                t.entry_price, t.quantity, t.closed_cost_basis, t.realized_pnl,
+                t.timeframe, t.strategy, t.source_id,
+                sp.price AS mark_price, sp.price_time AS mark_time
+         FROM batch_open_positions bop
+         JOIN trades t ON t.id = bop.trade_id
+         LEFT JOIN symbol_prices sp ON sp.symbol = t.symbol
+         WHERE bop.batch_id = ?
+         ORDER BY bop.entry_time ASC, bop.trade_id ASC`,
+        [batch.id]
+    );
+
+    const leverage = leverageOf(batch);
+    return rows.map((row) => {
+        const markPrice = row.mark_price !== null ? parseFloat(row.mark_price) : parseFloat(row.entry_price);
+        const pnlPercent = unrealizedPnlPercent(row, markPrice);
+        const notional = parseFloat(row.position_size) * leverage;
+        return {
+            ...row,
+            leverage,
+            notional,
+            unrealized_pnl_percent: parseFloat(pnlPercent.toFixed(4)),
+            unrealized_pnl: parseFloat((notional * (pnlPercent / 100)).toFixed(2)),
+        };
+    });
+}
+
+/**
+ * Equity including open positions: realized capital + unrealized PnL,
+ * with its drawdown from the realized peak.
+ */
+function markToMarket(realizedCapital, peakCapital, positions) {
+    const unrealizedPnl = positions.reduce((sum, p) => sum + p.unrealized_pnl, 0);
+    const equity = realizedCapital + unrealizedPnl;
+    const peak = Math.max(peakCapital, equity);
+    return {
+        realized_capital: realizedCapital,
+        unrealized_pnl: parseFloat(unrealizedPnl.toFixed(2)),
+        equity: parseFloat(equity.toFixed(2)),
+        equity_drawdown: peak > 0 ? parseFloat((((peak - equity) / peak) * 100).toFixed(4)) : 0,
+        positions,
+    };
+}
+
+/**
+ * Open positions endpoint payload: positions plus batch-level totals.
+ */
+async function getBatchOpenPositions(batchId) {
+    const batch = await getBatchById(batchId);
+    if (!batch) return null;
+
+    const [lastLog] = await db.execute(
+        `SELECT capital_after, peak_capital
+         FROM batch_trade_log WHERE batch_id = ? ORDER BY trade_number DESC LIMIT 1`,
+        [batchId]
+    );
+    const realizedCapital = lastLog[0] ? parseFloat(lastLog[0].capital_after) : parseFloat(batch.capital);
+    const peakCapital = lastLog[0] ? parseFloat(lastLog[0].peak_capital) : realizedCapital;
+    return markToMarket(realizedCapital, peakCapital, await getOpenPositions(batch));
+}
+
 module.exports = {
+    SETTINGS_COLUMNS,
+    pickSettings,
+    validateSettings,
+    getBatchConfig,
     createBatch,
+    cloneBatch,
     getBatchById,
     getAllBatches,
     updateBatch,
     deleteBatch,
+    restoreBatch,
+    archiveBatch,
+    unarchiveBatch,
+    revertBatch,
+    normalizeSymbolEntry,
+    validateSymbolEntry,
     getSymbols,
+    getSymbolFilters,
     setSymbols,
     addSymbol,
     removeSymbol,
@@ -307,5 +896,7 @@ module.exports = {
     getCumulativeTradeCount,
     getBatchSummary,
     getSymbolBreakdown,
+    getSkippedTrades,
     getDrawdownSeries,
+    getBatchOpenPositions,
 };
@@ -0,0 +1,105 @@
+/**
+ * Batch template service – reusable batch configurations. A template holds
+ * what a batch version does (capital, start_time, settings, symbol filters)
+ * minus the name; a batch created from it can override any part.
+ */
+const db = require('../db/connection');
+const { SETTINGS_COLUMNS, getBatchConfig, normalizeSymbolEntry } = require('./batchService');
+
+const CONFIG_FIELDS = ['capital', 'start_time', ...SETTINGS_COLUMNS, 'symbols'];
+
+/**
+ * Pick the configuration fields present in a request body (undefined ones are left out).
+ */
+function pickConfig(source) {
+    const config = {};
+    for (const field of CONFIG_FIELDS) {
+        if (source[field] !== undefined) config[field] = source[field];
+    }
+    if (config.symbols) config.symbols = config.symbols.map(normalizeSymbolEntry);
+    return config;
+}
+
+/**
+ * Configuration of an existing batch, to save as a template. Null when the
+ * batch does not exist.
+ */
+async function configFromBatch(batchId) {
+    const batchConfig = await getBatchConfig(batchId);
+    if (!batchConfig) return null;
+    const { name, ...config } = batchConfig;
+    return config;
+}
+
+/**
+ * createBatch() input from a template with `overrides` (a request body's
+ * batch fields; undefined ones are ignored) on top. The name defaults to
+ * the template's.
+ */
+function applyTemplate(template, overrides) {
+    const input = { name: template.name, ...template.config };
+    for (const [field, value] of Object.entries(overrides)) {
+        if (value !== undefined) input[field] = value;
+    }
+    return input;
+}
+
+/* ===========================  CRUD  =========================== */
+
+async function getTemplates() {
+    const [rows] = await db.execute('SELECT * FROM batch_templates ORDER BY name ASC');
+    return rows;
+}
+
+async function getTemplateById(id) {
+    const [rows] = await db.execute('SELECT * FROM batch_templates WHERE id = ?', [id]);
+    return rows[0] || null;
+}
+
+async function createTemplate({ name, description = null, config }, { actor = null } = {}) {
+    const [result] = await db.execute(
+        'INSERT INTO batch_templates (name, description, config, created_by) VALUES (?, ?, ?, ?)',
+        [name, description, JSON.stringify(config), actor ? actor.id : null]
+    );
+    return getTemplateById(result.insertId);
+}
+
+/**
+ * Update name / description and the configuration fields given in
+ * `config`; the others are kept. Null when the template does not exist.
+ */
+async function updateTemplate(id, { name, description, config = {} }) {
+    const template = await getTemplateById(id);
+    if (!template) return null;
+
+    await db.execute(
+        'UPDATE batch_templates SET name = ?, description = ?, config = ? WHERE id = ?',
+        [
+            name !== undefined ? name : template.name,
+            description !== undefined ? description : template.description,
+            JSON.stringify({ ...template.config, ...config }),
+            id,
+        ]
+    );
+    return getTemplateById(id);
+}
+
+/**
+ * Returns false when the template does not exist. Batches created from it
+ * are not affected.
+ */
+async function deleteTemplate(id) {
+    const [result] = await db.execute('DELETE FROM batch_templates WHERE id = ?', [id]);
+    return result.affectedRows > 0;
+}
+
+module.exports = {
+    pickConfig,
+    configFromBatch,
+    applyTemplate,
+    getTemplates,
+    getTemplateById,
+    createTemplate,
+    updateTemplate,
+    deleteTemplate,
+};
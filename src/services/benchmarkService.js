@@ -0,0 +1,202 @@
+/**
+ * Benchmark service – compares a batch's capital curve with buying and
+ * holding a basket of symbols over the same window, using the recorded
+ * price history (alert prices, ticks and imported history).
+ *
+ * Benchmarks:
+ *   equal_weight – every batch symbol, equal weights (default)
+ *   symbol       – one reference symbol
+ *   basket       – custom weights, e.g. "BTCUSDT:0.6,ETHUSDT:0.4"
+ */
+const db = require('../db/connection');
+const { getSymbols, getCapitalGrowthByDay } = require('./batchService');
+const { getPriceHistory, getPriceAt } = require('./priceService');
+const { groupByBucket } = require('./timeBuckets');
+const { mean, stdDev } = require('./metricsService');
+
+const BENCHMARK_TYPES = ['equal_weight', 'symbol', 'basket'];
+
+/** Periods per year by bucket, for annualizing alpha. */
+const PERIODS_PER_YEAR = { hour: 8760, day: 365, week: 52, month: 12, quarter: 4, year: 1 };
+
+function round(value, digits = 4) {
+    if (value === null || !isFinite(value)) return null;
+    return parseFloat(value.toFixed(digits));
+}
+
+/**
+ * Read the benchmark from a query string. Returns { spec } or { error }.
+ */
+function parseBenchmarkQuery(query) {
+    const type = query.benchmark || 'equal_weight';
+    if (!BENCHMARK_TYPES.includes(type)) {
+        return { error: `benchmark must be one of: ${BENCHMARK_TYPES.join(', ')}` };
+    }
+    if (type === 'symbol') {
+        if (!query.symbol) return { error: 'symbol is required for benchmark=symbol' };
+        return { spec: { type, weights: { [String(query.symbol).toUpperCase()]: 1 } } };
+    }
+    if (type === 'basket') {
+        if (!query.weights) return { error: 'weights is required for benchmark=basket, e.g. BTCUSDT:0.6,ETHUSDT:0.4' };
+        const weights = {};
+        for (const part of String(query.weights).split(',')) {
+            const [symbol, weight] = part.split(':').map((v) => v && v.trim());
+            if (!symbol || !(parseFloat(weight) > 0)) {
+                return { error: 'weights must look like SYMBOL:weight,SYMBOL:weight with positive weights' };
+            }
+            weights[symbol.toUpperCase()] = parseFloat(weight);
+        }
+        return { spec: { type, weights } };
+    }
+    return { spec: { type } };
+}
+
+/**
+ * Price of a symbol at the end of every bucket, carried forward through
+ * buckets without a price. Null when nothing is known about the symbol.
+ */
+async function priceSeries(symbol, window) {
+    const history = await getPriceHistory(symbol, { from: window.from, to: window.to, limit: 1000000 });
+    const before = await getPriceAt(symbol, window.from);
+    if (!before && history.length === 0) return null;
+
+    const startPrice = parseFloat(before ? before.price : history[0].price);
+    let carry = startPrice;
+    const prices = groupByBucket(history, { timeField: 'price_time', ...window }).map(({ rows }) => {
+        if (rows.length > 0) carry = parseFloat(rows[rows.length - 1].price);
+        return carry;
+    });
+    return { startPrice, prices };
+}
+
+function periodReturns(values) {
+    const returns = [];
+    for (let i = 1; i < values.length; i++) {
+        returns.push(values[i - 1] > 0 ? values[i] / values[i - 1] - 1 : 0);
+    }
+    return returns;
+}
+
+/**
+ * Alpha (annualized, %), beta, correlation and excess return of the batch
+ * against the benchmark, from per-bucket returns.
+ */
+function relativeStats(batchValues, benchmarkValues, bucket) {
+    const rb = periodReturns(batchValues);
+    const rm = periodReturns(benchmarkValues);
+    const batchReturn = (batchValues[batchValues.length - 1] / batchValues[0] - 1) * 100;
+    const benchmarkReturn = (benchmarkValues[benchmarkValues.length - 1] / benchmarkValues[0] - 1) * 100;
+
+    let beta = null;
+    let correlation = null;
+    let alpha = null;
+    if (rb.length >= 2) {
+        const mb = mean(rb);
+        const mm = mean(rm);
+        const covariance = rb.reduce((sum, r, i) => sum + (r - mb) * (rm[i] - mm), 0) / (rb.length - 1);
+        const sdB = stdDev(rb);
+        const sdM = stdDev(rm);
+        if (sdM > 0) {
+            beta = covariance / (sdM * sdM);
+            alpha = (mb - beta * mm) * PERIODS_PER_YEAR[bucket] * 100;
+        }
+        if (sdB > 0 && sdM > 0) correlation = covariance / (sdB * sdM);
+    }
+
+    return {
+        batch_return_percent: round(batchReturn),
+        benchmark_return_percent: round(benchmarkReturn),
+        excess_return_percent: round(batchReturn - benchmarkReturn),
+        alpha_percent: round(alpha),
+        beta: round(beta),
+        correlation: round(correlation),
+    };
+}
+
+/**
+ * Batch capital curve vs. the buy-and-hold benchmark, both starting at the
+ * batch capital. The window runs from `from` (default: the batch's
+ * start_time, else its first trade) to `to` (default: now).
+ *
+ * @param {number} batchId
+ * @param {object} spec     from parseBenchmarkQuery()
+ * @param {object} options  { from, to, tz, bucket }
+ */
+async function getBenchmarkComparison(batchId, spec, { from, to, tz = 'UTC', bucket = 'day' } = {}) {
+    const [batches] = await db.execute('SELECT * FROM batches WHERE id = ?', [batchId]);
+    if (batches.length === 0) return null;
+    const batch = batches[0];
+    const capital = parseFloat(batch.capital);
+
+    let start = from || (batch.start_time ? new Date(batch.start_time) : null);
+    if (!start) {
+        const [first] = await db.execute(
+            'SELECT MIN(entry_time) AS first_entry FROM batch_trade_log WHERE batch_id = ?',
+            [batchId]
+        );
+        start = first[0].first_entry ? new Date(first[0].first_entry) : null;
+    }
+    const end = to || new Date();
+
+    let weights = spec.weights;
+    if (spec.type === 'equal_weight') {
+        weights = {};
+        for (const symbol of await getSymbols(batchId)) weights[symbol] = 1;
+    }
+
+    const result = {
+        benchmark: { type: spec.type, weights: {}, missing_symbols: [] },
+        period_start: start,
+        period_end: end,
+        bucket,
+        tz,
+        series: [],
+        stats: null,
+    };
+    if (!start || start > end || Object.keys(weights).length === 0) return result;
+
+    const window = { from: start, to: end, tz, bucket };
+
+    // Symbols without any recorded price are left out and the rest re-weighted
+    const components = [];
+    for (const [symbol, weight] of Object.entries(weights)) {
+        const series = await priceSeries(symbol, window);
+        if (series) components.push({ symbol, weight, ...series });
+        else result.benchmark.missing_symbols.push(symbol);
+    }
+    const totalWeight = components.reduce((sum, c) => sum + c.weight, 0);
+    for (const c of components) result.benchmark.weights[c.symbol] = round(c.weight / totalWeight, 6);
+
+    const batchCurve = await getCapitalGrowthByDay(batchId, window);
+    if (batchCurve.length === 0) return result;
+    const batchBase = batchCurve[0].capital_eod - batchCurve[0].daily_pnl;
+
+    result.series = batchCurve.map((point, i) => {
+        const batchEquity = batchBase > 0 ? capital * (point.capital_eod / batchBase) : capital;
+        const benchmarkEquity = components.length > 0
+            ? components.reduce((sum, c) => sum + capital * (c.weight / totalWeight) * (c.prices[i] / c.startPrice), 0)
+            : null;
+        return {
+            period: point.period,
+            batch_equity: round(batchEquity, 2),
+            benchmark_equity: round(benchmarkEquity, 2),
+            batch_return_percent: round((batchEquity / capital - 1) * 100),
+            benchmark_return_percent: benchmarkEquity !== null ? round((benchmarkEquity / capital - 1) * 100) : null,
+        };
+    });
+
+    if (components.length > 0) {
+        result.stats = relativeStats(
+            [capital, ...result.series.map((p) => p.batch_equity)],
+            [capital, ...result.series.map((p) => p.benchmark_equity)],
+            bucket
+        );
+    }
+    return result;
+}
+
+module.exports = {
+    BENCHMARK_TYPES,
+    parseBenchmarkQuery,
+    getBenchmarkComparison,
+};
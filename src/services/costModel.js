@@ -0,0 +1,79 @@
+/**
+ * Cost model – trading costs a batch deducts from each trade's gross PnL.
+ *
+ * Batch cost profile columns:
+ *   commission_type      'percent' – fee is a % of each fill's notional (entry + exit)
+ *                        'fixed'   – fee is a fixed amount per trade
+ *   maker_fee / taker_fee  fee for maker / taker fills
+ *   fee_order_type       which of the two applies ('taker' for market orders)
+ *   slippage_bps         adverse slippage in basis points on entry and on exit
+ *   funding_rate_hourly  % of notional per hour held, perpetual symbols only;
+ *                        longs pay a positive rate, shorts receive it
+ */
+
+const COMMISSION_TYPES = ['percent', 'fixed'];
+const FEE_ORDER_TYPES = ['maker', 'taker'];
+
+/**
+ * TradingView perpetual futures carry a ".P" suffix (e.g. BTCUSD.P).
+ */
+function isPerpetual(symbol) {
+    return /(\.P|PERP)$/i.test(symbol || '');
+}
+
+/**
+ * Validate cost fields from a request body. Returns an error message or null.
+ */
+function validateCosts({ commission_type, maker_fee, taker_fee, fee_order_type, slippage_bps, funding_rate_hourly }) {
+    if (commission_type !== undefined && !COMMISSION_TYPES.includes(commission_type)) {
+        return `commission_type must be one of: ${COMMISSION_TYPES.join(', ')}`;
+    }
+    if (fee_order_type !== undefined && !FEE_ORDER_TYPES.includes(fee_order_type)) {
+        return `fee_order_type must be one of: ${FEE_ORDER_TYPES.join(', ')}`;
+    }
+    for (const [field, value] of Object.entries({ maker_fee, taker_fee, slippage_bps })) {
+        if (value !== undefined && !(parseFloat(value) >= 0)) return `${field} must be a non-negative number`;
+    }
+    if (funding_rate_hourly !== undefined && isNaN(parseFloat(funding_rate_hourly))) {
+        return 'funding_rate_hourly must be a number';
+    }
+    return null;
+}
+
+/**
+ * Costs of one closed trade.
+ *
+ * @param {object} batch     batches row with the cost profile
+ * @param {object} trade     closed trade (symbol, side, prices, times)
+ * @param {number} notional  exposure at entry (position size × leverage)
+ * @returns {{ commission: number, slippage: number, funding: number, total: number }}
+ */
+function tradeCosts(batch, trade, notional) {
+    const entryPrice = parseFloat(trade.entry_price);
+    const exitPrice = parseFloat(trade.exit_price);
+    const exitNotional = entryPrice > 0 && exitPrice > 0 ? notional * (exitPrice / entryPrice) : notional;
+    const turnover = notional + exitNotional;
+
+    const fee = parseFloat(batch.fee_order_type === 'maker' ? batch.maker_fee : batch.taker_fee) || 0;
+    const commission = batch.commission_type === 'fixed' ? fee : turnover * (fee / 100);
+
+    const slippage = turnover * ((parseFloat(batch.slippage_bps) || 0) / 10000);
+
+    let funding = 0;
+    const rate = parseFloat(batch.funding_rate_hourly) || 0;
+    if (rate !== 0 && isPerpetual(trade.symbol)) {
+        const hours = Math.max(0, new Date(trade.exit_time) - new Date(trade.entry_time)) / 3600000;
+        const isLong = trade.side === 'bullish' || trade.side === 'long';
+        funding = notional * (rate / 100) * hours * (isLong ? 1 : -1);
+    }
+
+    return { commission, slippage, funding, total: commission + slippage + funding };
+}
+
+module.exports = {
+    COMMISSION_TYPES,
+    FEE_ORDER_TYPES,
+    isPerpetual,
+    validateCosts,
+    tradeCosts,
+};
@@ -0,0 +1,93 @@
+/**
+ * Event bus – in-process publish / subscribe for live dashboard updates
+ * (GET /api/stream). The last events are kept in a ring buffer so a
+ * reconnecting client can resume from its Last-Event-ID.
+ *
+ * Event types:
+ *   trade.opened / trade.updated / trade.closed / trade.ignored
+ *   batch.log      – a batch_trade_log row was written live
+ *   batch.created / batch.updated / batch.rebuilt / batch.deleted / batch.restored
+ *   batch.archived / batch.unarchived
+ *   batch.risk_breach  – a risk rule tripped; the batch or a symbol is paused
+ *   batch.risk_resumed – paused rules were resumed by hand
+ *   signal.parse_error – an inbound alert body could not be parsed
+ *   signal.time_skew   – an alert's timestamp is far from its receive time
+ *   signal.replayed    – the journal was replayed; signal trades were recreated
+ *
+ * Event ids are "<boot id>-<sequence>": ids from before a restart cannot be
+ * resumed, the client is told to reload instead.
+ */
+const { EventEmitter } = require('events');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const BUFFER_SIZE = parseInt(process.env.EVENT_BUFFER_SIZE, 10) || 1000;
+const BOOT_ID = Date.now().toString(36);
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+const buffer = [];
+let sequence = 0;
+const muted = new AsyncLocalStorage();
+
+/**
+ * Publish an event to every subscriber.
+ *
+ * @param {string} type  e.g. "trade.closed"
+ * @param {object} data  event payload; `symbol` / `batch_id` are used for filtering
+ */
+function publish(type, data) {
+    if (muted.getStore()) return null;
+    sequence += 1;
+    const event = { id: `${BOOT_ID}-${sequence}`, seq: sequence, type, time: new Date().toISOString(), data };
+    buffer.push(event);
+    if (buffer.length > BUFFER_SIZE) buffer.shift();
+    emitter.emit('event', event);
+    return event;
+}
+
+/**
+ * Run `task` with publishing switched off for everything it does (its own
+ * async context only – other requests still publish). Used by bulk work
+ * that must not announce history again, e.g. a journal replay.
+ */
+function withoutEvents(task) {
+    return muted.run(true, task);
+}
+
+function subscribe(listener) {
+    emitter.on('event', listener);
+    return () => emitter.off('event', listener);
+}
+
+/**
+ * Buffered events after `lastEventId`. Returns { events } or { reset: true }
+ * when the id is unknown (server restarted or the buffer moved past it).
+ */
+function eventsSince(lastEventId) {
+    const [boot, seq] = String(lastEventId).split('-');
+    const lastSeq = parseInt(seq, 10);
+    if (boot !== BOOT_ID || isNaN(lastSeq)) return { reset: true };
+    if (lastSeq < sequence && (buffer.length === 0 || buffer[0].seq > lastSeq + 1)) return { reset: true };
+    return { events: buffer.filter((e) => e.seq > lastSeq) };
+}
+
+/**
+ * Subscription filter: { batchId, symbol, types } – unset parts match all.
+ * Batch filters match batch events of that batch; symbol filters match
+ * trade and batch.log events of that symbol.
+ */
+function matchesFilter(event, { batchId, symbol, types } = {}) {
+    if (types && !types.includes(event.type)) return false;
+    if (batchId && String(event.data.batch_id) !== String(batchId)) return false;
+    if (symbol && String(event.data.symbol || '').toUpperCase() !== String(symbol).toUpperCase()) return false;
+    return true;
+}
+
+module.exports = {
+    publish,
+    withoutEvents,
+    subscribe,
+    eventsSince,
+    matchesFilter,
+};
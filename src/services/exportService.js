@@ -0,0 +1,211 @@
+/**
+ * Export service – batch trade log and analytics as downloadable CSV /
+ * XLSX files. The PDF performance report lives in reportService.
+ *
+ * Each dataset declares its columns once; both file formats are rendered
+ * from that definition. Times are exported in UTC.
+ */
+const ExcelJS = require('exceljs');
+const batchService = require('./batchService');
+
+const FORMATS = ['csv', 'xlsx'];
+
+const MONEY = '#,##0.00';
+const PERCENT = '0.00"%"';
+const PRICE = '0.########';
+
+/* ===========================  DATASETS  =========================== */
+
+function round(value, digits) {
+    return parseFloat(value.toFixed(digits));
+}
+
+function toNumber(value) {
+    return value === null || value === undefined ? null : parseFloat(value);
+}
+
+/**
+ * Month-by-month return of the batch: capital at the end of each month
+ * against the end of the previous one (or the starting capital).
+ */
+async function getMonthlyReturns(batchId, { from, to, tz = 'UTC' } = {}) {
+    const months = await batchService.getCapitalGrowthByDay(batchId, { from, to, tz, bucket: 'month' });
+    if (months.length === 0) return [];
+
+    let previous = months[0].capital_eod - months[0].daily_pnl;
+    return months.map((m) => {
+        const row = {
+            period: m.period,
+            trades: m.trades_on_day,
+            start_capital: round(previous, 2),
+            end_capital: m.capital_eod,
+            pnl: round(m.daily_pnl, 2),
+            return_pct: previous ? round(((m.capital_eod - previous) / previous) * 100, 4) : 0,
+        };
+        previous = m.capital_eod;
+        return row;
+    });
+}
+
+const DATASETS = {
+    'trade-log': {
+        sheet: 'Trade log',
+        columns: [
+            { key: 'trade_number', header: 'Trade #', type: 'number', width: 8 },
+            { key: 'trade_id', header: 'Trade ID', type: 'number', width: 9 },
+            { key: 'symbol', header: 'Symbol', width: 14 },
+            { key: 'side', header: 'Side', width: 8 },
+            { key: 'entry_time', header: 'Entry time (UTC)', type: 'date', width: 20 },
+            { key: 'exit_time', header: 'Exit time (UTC)', type: 'date', width: 20 },
+            { key: 'entry_price', header: 'Entry price', type: 'number', format: PRICE, width: 13 },
+            { key: 'exit_price', header: 'Exit price', type: 'number', format: PRICE, width: 13 },
+            { key: 'pnl_percent', header: 'PnL %', type: 'number', format: PERCENT, width: 10 },
+            { key: 'position_size', header: 'Position size', type: 'number', format: MONEY, width: 14 },
+            { key: 'gross_pnl', header: 'Gross PnL', type: 'number', format: MONEY, width: 12 },
+            { key: 'commission', header: 'Commission', type: 'number', format: MONEY, width: 12 },
+            { key: 'slippage_cost', header: 'Slippage', type: 'number', format: MONEY, width: 11 },
+            { key: 'funding_cost', header: 'Funding', type: 'number', format: MONEY, width: 11 },
+            { key: 'pnl_absolute', header: 'Net PnL', type: 'number', format: MONEY, width: 12 },
+            { key: 'net_pnl_percent', header: 'Net PnL %', type: 'number', format: PERCENT, width: 10 },
+            { key: 'capital_before', header: 'Capital before', type: 'number', format: MONEY, width: 15 },
+            { key: 'capital_after', header: 'Capital after', type: 'number', format: MONEY, width: 15 },
+            { key: 'cumulative_pnl', header: 'Cumulative PnL', type: 'number', format: MONEY, width: 15 },
+            { key: 'drawdown', header: 'Drawdown %', type: 'number', format: PERCENT, width: 11 },
+            { key: 'max_drawdown', header: 'Max drawdown %', type: 'number', format: PERCENT, width: 14 },
+            { key: 'peak_capital', header: 'Peak capital', type: 'number', format: MONEY, width: 15 },
+            { key: 'allocated_capital', header: 'Allocated capital', type: 'number', format: MONEY, width: 16 },
+            { key: 'available_capital', header: 'Available capital', type: 'number', format: MONEY, width: 16 },
+        ],
+        load: (batchId, { from, to }) => batchService.getBatchTradeLog(batchId, { from, to, limit: null }),
+    },
+    'capital-by-day': {
+        sheet: 'Capital',
+        columns: [
+            { key: 'period', header: 'Period', width: 12 },
+            { key: 'trades_on_day', header: 'Trades', type: 'number', width: 8 },
+            { key: 'daily_pnl', header: 'PnL', type: 'number', format: MONEY, width: 13 },
+            { key: 'capital_eod', header: 'Capital (end)', type: 'number', format: MONEY, width: 15 },
+            { key: 'cumulative_pnl', header: 'Cumulative PnL', type: 'number', format: MONEY, width: 15 },
+            { key: 'drawdown_eod', header: 'Drawdown %', type: 'number', format: PERCENT, width: 11 },
+            { key: 'max_drawdown', header: 'Max drawdown %', type: 'number', format: PERCENT, width: 14 },
+            { key: 'trade_count_cumulative', header: 'Trades (cumulative)', type: 'number', width: 18 },
+        ],
+        load: (batchId, options) => batchService.getCapitalGrowthByDay(batchId, { ...options, bucket: options.bucket || 'day' }),
+    },
+    'monthly-returns': {
+        sheet: 'Monthly returns',
+        columns: [
+            { key: 'period', header: 'Month', width: 10 },
+            { key: 'trades', header: 'Trades', type: 'number', width: 8 },
+            { key: 'start_capital', header: 'Start capital', type: 'number', format: MONEY, width: 15 },
+            { key: 'end_capital', header: 'End capital', type: 'number', format: MONEY, width: 15 },
+            { key: 'pnl', header: 'PnL', type: 'number', format: MONEY, width: 13 },
+            { key: 'return_pct', header: 'Return %', type: 'number', format: PERCENT, width: 10 },
+        ],
+        load: getMonthlyReturns,
+    },
+    'symbol-breakdown': {
+        sheet: 'Symbols',
+        columns: [
+            { key: 'symbol', header: 'Symbol', width: 14 },
+            { key: 'trades', header: 'Trades', type: 'number', width: 8 },
+            { key: 'wins', header: 'Wins', type: 'number', width: 8 },
+            { key: 'losses', header: 'Losses', type: 'number', width: 8 },
+            { key: 'win_rate', header: 'Win rate %', type: 'number', format: PERCENT, width: 11 },
+            { key: 'avg_pnl_pct', header: 'Avg PnL %', type: 'number', format: PERCENT, width: 11 },
+            { key: 'total_pnl', header: 'Total PnL', type: 'number', format: MONEY, width: 14 },
+        ],
+        load: async (batchId, range) => (await batchService.getSymbolBreakdown(batchId, range)).map((r) => ({
+            ...r,
+            win_rate: r.trades > 0 ? (Number(r.wins) / Number(r.trades)) * 100 : 0,
+        })),
+    },
+};
+
+/* ===========================  RENDERING  =========================== */
+
+function csvValue(value, column) {
+    if (value === null || value === undefined) return '';
+    if (column.type === 'date') return new Date(value).toISOString();
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(columns, rows) {
+    const lines = [columns.map((c) => csvValue(c.header, {})).join(',')];
+    for (const row of rows) {
+        lines.push(columns.map((c) => csvValue(row[c.key], c)).join(','));
+    }
+    return lines.join('\r\n') + '\r\n';
+}
+
+function xlsxValue(value, column) {
+    if (value === null || value === undefined) return null;
+    if (column.type === 'number') return toNumber(value);
+    if (column.type === 'date') return new Date(value);
+    return String(value);
+}
+
+/**
+ * One worksheet per { name, columns, rows }.
+ */
+async function toXlsx(sheets) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.created = new Date();
+    for (const { name, columns, rows } of sheets) {
+        const sheet = workbook.addWorksheet(name, { views: [{ state: 'frozen', ySplit: 1 }] });
+        sheet.columns = columns.map((c) => ({
+            key: c.key,
+            header: c.header,
+            width: c.width || 12,
+            style: c.format ? { numFmt: c.format } : c.type === 'date' ? { numFmt: 'yyyy-mm-dd hh:mm:ss' } : {},
+        }));
+        sheet.getRow(1).font = { bold: true };
+        for (const row of rows) {
+            const values = {};
+            for (const c of columns) values[c.key] = xlsxValue(row[c.key], c);
+            sheet.addRow(values);
+        }
+    }
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+/* ===========================  EXPORTS  =========================== */
+
+/**
+ * Render one dataset – or, for XLSX, `all` of them as one workbook.
+ *
+ * @param {number} batchId
+ * @param {string} dataset  a DATASETS key or 'all'
+ * @param {string} format   csv | xlsx
+ * @param {object} options  { from, to, tz, bucket }
+ * @returns {{ filename, contentType, body }|null} null when the batch does not exist
+ */
+async function exportDataset(batchId, dataset, format, options = {}) {
+    const batch = await batchService.getBatchById(batchId);
+    if (!batch) return null;
+
+    const names = dataset === 'all' ? Object.keys(DATASETS) : [dataset];
+    const sheets = [];
+    for (const name of names) {
+        const { sheet, columns, load } = DATASETS[name];
+        sheets.push({ name: sheet, columns, rows: await load(batchId, options) });
+    }
+
+    const filename = `batch-${batch.id}-${dataset}.${format}`;
+    if (format === 'csv') {
+        return { filename, contentType: 'text/csv; charset=utf-8', body: toCsv(sheets[0].columns, sheets[0].rows) };
+    }
+    return {
+        filename,
+        contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        body: await toXlsx(sheets),
+    };
+}
+
+module.exports = {
+    FORMATS,
+    DATASETS,
+    getMonthlyReturns,
+    exportDataset,
+};
@@ -0,0 +1,262 @@
+/**
+ * Import service – loads historical closed trades (TradingView strategy
+ * tester exports, generic CSV / JSON) into `trades`, so batches have a
+ * history before any webhook signal arrived.
+ *
+ * Imported trades carry their import's id (trades.import_id): signal
+ * replays leave them alone and undoing the import deletes them again.
+ * Every affected batch is rebuilt – from the earliest trade concerned on –
+ * after an import or undo. An import whose trades are in an archived
+ * batch's log cannot be undone until that batch is unarchived.
+ *
+ * The trades of an import are written in one transaction while the
+ * imported symbols are held in the keyed queue, so live signals for them
+ * wait until the import and its rebuilds are done.
+ */
+const db = require('../db/connection');
+const { withTransaction } = require('../db/transaction');
+const { runExclusive, symbolKey } = require('./keyedQueue');
+const { parseImport } = require('./tradeImportParser');
+const { rebuildBatchLog, findArchivedBatchesReferencing } = require('./batchLogService');
+
+const OVERLAP_POLICIES = ['skip', 'import'];
+
+function pnlPercentOf(t) {
+    const direction = t.side === 'long' ? 1 : -1;
+    return ((t.exit_price - t.entry_price) / t.entry_price) * 100 * direction;
+}
+
+/**
+ * Existing trades on the same symbol (and timeframe, when both have one)
+ * whose holding period overlaps an imported trade. Returns a map of
+ * imported row → overlapping trade ids.
+ */
+async function findOverlaps(trades) {
+    const overlaps = new Map();
+    if (trades.length === 0) return overlaps;
+
+    const symbols = [...new Set(trades.map((t) => t.symbol))];
+    const from = trades.reduce((min, t) => (t.entry_time < min ? t.entry_time : min), trades[0].entry_time);
+    const to = trades.reduce((max, t) => (t.exit_time > max ? t.exit_time : max), trades[0].exit_time);
+    const [existing] = await db.execute(
+        `SELECT id, symbol, timeframe, side, entry_time, exit_time FROM trades
+         WHERE symbol IN (${symbols.map(() => '?').join(', ')})
+           AND entry_time <= ?
+           AND (exit_time IS NULL OR exit_time >= ?)
+           AND voided_at IS NULL`,
+        [...symbols, to, from]
+    );
+
+    for (const t of trades) {
+        const ids = existing
+            .filter((e) => String(e.symbol).toUpperCase() === t.symbol
+                && (!e.timeframe || !t.timeframe || e.timeframe === t.timeframe)
+                && new Date(e.entry_time) < t.exit_time
+                && (!e.exit_time || new Date(e.exit_time) > t.entry_time))
+            .map((e) => e.id);
+        if (ids.length > 0) overlaps.set(t.row, ids);
+    }
+    return overlaps;
+}
+
+/**
+ * Active, unarchived batches containing any of the symbols.
+ */
+async function findBatchesForSymbols(symbols) {
+    if (symbols.length === 0) return [];
+    const [rows] = await db.execute(
+        `SELECT DISTINCT b.id FROM batches b
+         JOIN batch_symbols bs ON bs.batch_id = b.id
+         WHERE b.deleted_at IS NULL AND b.archived_at IS NULL AND bs.symbol IN (${symbols.map(() => '?').join(', ')})`,
+        symbols
+    );
+    return rows.map((r) => r.id);
+}
+
+async function insertImportedTrade(importId, t, conn = db) {
+    const pnlPercent = pnlPercentOf(t);
+    const hasQuantity = t.quantity !== null;
+    const realized = hasQuantity ? (t.exit_price - t.entry_price) * t.quantity * (t.side === 'long' ? 1 : -1) : null;
+
+    const [result] = await conn.execute(
+        `INSERT INTO trades
+            (symbol, timeframe, source_id, strategy, order_id, position_key,
+             side, entry_price, exit_price, entry_time, exit_time, pnl_percent,
+             quantity, closed_quantity, closed_cost_basis, realized_pnl,
+             status, raw_payload, import_id)
+         VALUES (?, ?, NULL, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'closed', ?, ?)`,
+        [
+            t.symbol,
+            t.timeframe,
+            t.strategy,
+            t.order_id,
+            [t.symbol, t.timeframe, 0, t.strategy].join('|'),
+            t.side,
+            t.entry_price,
+            t.exit_price,
+            t.entry_time,
+            t.exit_time,
+            pnlPercent.toFixed(4),
+            hasQuantity ? 0 : null,
+            hasQuantity ? t.quantity : null,
+            hasQuantity ? t.entry_price * t.quantity : null,
+            realized,
+            JSON.stringify({ import_row: t.raw }),
+            importId,
+        ]
+    );
+
+    if (hasQuantity) {
+        await conn.execute(
+            `INSERT INTO trade_fills (trade_id, fill_type, quantity, price, fill_time, realized_pnl, payload)
+             VALUES (?, 'open', ?, ?, ?, NULL, NULL), (?, 'close', ?, ?, ?, ?, NULL)`,
+            [
+                result.insertId, t.quantity, t.entry_price, t.entry_time,
+                result.insertId, t.quantity, t.exit_price, t.exit_time, realized,
+            ]
+        );
+    }
+    return result.insertId;
+}
+
+function toPreview(t, overlaps) {
+    return {
+        row: t.row,
+        symbol: t.symbol,
+        timeframe: t.timeframe,
+        strategy: t.strategy,
+        side: t.side,
+        entry_time: t.entry_time,
+        entry_price: t.entry_price,
+        exit_time: t.exit_time,
+        exit_price: t.exit_price,
+        quantity: t.quantity,
+        pnl_percent: parseFloat(pnlPercentOf(t).toFixed(4)),
+        overlaps_with: overlaps.get(t.row) || [],
+    };
+}
+
+/**
+ * Parse, check and (unless dry run) import trades.
+ *
+ * @param {object} input    { format, csv, trades, symbol, timeframe, strategy, tz, filename }
+ * @param {object} options  { dryRun, onOverlap: 'skip' | 'import', actor }
+ * @returns {object} preview / summary: parsed trades, overlaps, errors and, after a
+ *                   real import, import_id and the rebuilt batches
+ */
+async function importTrades(input, { dryRun = false, onOverlap = 'skip', actor = null } = {}) {
+    const { format, trades, errors, skipped } = parseImport(input);
+    const overlaps = await findOverlaps(trades);
+
+    const accepted = onOverlap === 'import' ? trades : trades.filter((t) => !overlaps.has(t.row));
+    if (accepted.length < trades.length) {
+        for (const t of trades.filter((t) => overlaps.has(t.row))) {
+            skipped.push({ row: t.row, reason: `Overlaps existing trade(s) ${overlaps.get(t.row).join(', ')}` });
+        }
+    }
+    const symbols = [...new Set(accepted.map((t) => t.symbol))];
+
+    const result = {
+        dry_run: dryRun,
+        format,
+        parsed: trades.length,
+        to_import: accepted.length,
+        overlap_count: overlaps.size,
+        symbols,
+        affected_batches: await findBatchesForSymbols(symbols),
+        trades: trades.map((t) => toPreview(t, overlaps)),
+        skipped,
+        errors,
+    };
+    if (dryRun || accepted.length === 0) return result;
+
+    return runExclusive(symbols.map(symbolKey), async () => {
+        const importId = await withTransaction(async (conn) => {
+            const [created] = await conn.execute(
+                `INSERT INTO trade_imports (format, filename, symbols, trade_count, skipped_count, overlap_count, created_by)
+                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    format,
+                    input.filename ? String(input.filename).slice(0, 255) : null,
+                    JSON.stringify(symbols),
+                    accepted.length,
+                    skipped.length + errors.length,
+                    overlaps.size,
+                    actor ? actor.id : null,
+                ]
+            );
+            for (const t of accepted) {
+                await insertImportedTrade(created.insertId, t, conn);
+            }
+            return created.insertId;
+        });
+        const from = new Date(Math.min(...accepted.map((t) => t.entry_time.getTime())));
+        for (const batchId of result.affected_batches) {
+            await rebuildBatchLog(batchId, { from });
+        }
+
+        console.log(`[Import] #${importId}: ${accepted.length} trades, rebuilt ${result.affected_batches.length} batches`);
+        return { ...result, import_id: importId };
+    });
+}
+
+async function getImports({ limit = 100, offset = 0 } = {}) {
+    const [rows] = await db.execute(
+        `SELECT * FROM trade_imports ORDER BY id DESC LIMIT ${parseInt(limit, 10)} OFFSET ${parseInt(offset, 10)}`
+    );
+    return rows;
+}
+
+async function getImportById(id) {
+    const [rows] = await db.execute('SELECT * FROM trade_imports WHERE id = ?', [id]);
+    return rows[0] || null;
+}
+
+/**
+ * Undo an import: delete its trades and rebuild the batches holding them.
+ * Returns null when not found, { alreadyUndone: true } when undone before,
+ * { conflict } when archived batches hold its trades.
+ */
+async function undoImport(id) {
+    const imported = await getImportById(id);
+    if (!imported) return null;
+    if (imported.status === 'undone') return { alreadyUndone: true };
+
+    const symbols = imported.symbols || [];
+    return runExclusive(symbols.map(symbolKey), async () => {
+        const undone = await withTransaction(async (conn) => {
+            const [rows] = await conn.execute('SELECT status FROM trade_imports WHERE id = ? FOR UPDATE', [id]);
+            if (rows[0].status === 'undone') return null;
+            const archived = await findArchivedBatchesReferencing('t.import_id = ?', [id], conn);
+            if (archived.length > 0) return { archived };
+            const [first] = await conn.execute('SELECT MIN(entry_time) AS entry_time FROM trades WHERE import_id = ?', [id]);
+            const [deleted] = await conn.execute('DELETE FROM trades WHERE import_id = ?', [id]);
+            await conn.execute(
+                "UPDATE trade_imports SET status = 'undone', undone_at = UTC_TIMESTAMP() WHERE id = ?",
+                [id]
+            );
+            return { removed: deleted.affectedRows, from: first[0].entry_time };
+        });
+        if (undone === null) return { alreadyUndone: true };
+        if (undone.archived) {
+            return { conflict: `Trades of this import are in archived batch(es) ${undone.archived.join(', ')} – unarchive them first` };
+        }
+        const { removed, from } = undone;
+
+        const batchIds = await findBatchesForSymbols(symbols);
+        for (const batchId of batchIds) {
+            await rebuildBatchLog(batchId, { from });
+        }
+
+        console.log(`[Import] #${id} undone: ${removed} trades removed, rebuilt ${batchIds.length} batches`);
+        return { import_id: Number(id), trades_removed: removed, batches_rebuilt: batchIds };
+    });
+}
+
+module.exports = {
+    OVERLAP_POLICIES,
+    importTrades,
+    getImports,
+    getImportById,
+    undoImport,
+};
@@ -0,0 +1,61 @@
+/**
+ * Keyed queue – in-process serialization of work by key, e.g. one symbol
+ * or one batch at a time, in arrival order.
+ *
+ * A task waits for the tasks queued before it on any of its keys, then runs
+ * alone on all of them. Keys are taken together when the task is queued, so
+ * two tasks can never hold one key each and wait for the other's. Code
+ * already running under a key (directly or through nested calls) re-enters
+ * it without waiting.
+ *
+ * Lock order used by the services: symbol keys are taken before batch keys
+ * (signals and manual changes hold their symbol and rebuild batches inside),
+ * never the other way round.
+ *
+ * This only serializes one process; row locks (SELECT … FOR UPDATE) keep
+ * several processes on one database consistent.
+ */
+const { AsyncLocalStorage } = require('async_hooks');
+
+const tails = new Map();
+const held = new AsyncLocalStorage();
+
+function symbolKey(symbol) {
+    return `symbol:${String(symbol).toUpperCase()}`;
+}
+
+function batchKey(batchId) {
+    return `batch:${Number(batchId)}`;
+}
+
+/**
+ * Run `task` exclusively on `keys`. Resolves / rejects with the task's result.
+ */
+function runExclusive(keys, task) {
+    const current = held.getStore() || new Set();
+    const needed = [...new Set(keys)].filter((key) => !current.has(key));
+    if (needed.length === 0) return Promise.resolve().then(task);
+
+    const previous = needed.map((key) => tails.get(key)).filter(Boolean);
+    let release;
+    const done = new Promise((resolve) => { release = resolve; });
+    for (const key of needed) tails.set(key, done);
+
+    const holding = new Set([...current, ...needed]);
+    const run = Promise.all(previous).then(() => held.run(holding, task));
+
+    const cleanup = () => {
+        for (const key of needed) {
+            if (tails.get(key) === done) tails.delete(key);
+        }
+        release();
+    };
+    run.then(cleanup, cleanup);
+    return run;
+}
+
+module.exports = {
+    symbolKey,
+    batchKey,
+    runExclusive,
+};
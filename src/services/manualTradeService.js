@@ -0,0 +1,350 @@
+/**
+ * Manual trade service – admin corrections: create a trade by hand, edit
+ * its entry / exit price and time, void it, or force-close an open trade.
+ *
+ * Every change is written to trade_audit_log and rebuilds the batches whose
+ * symbol filters and start_time covered the trade before or cover it after
+ * the change – and only those. Voided trades stay in `trades` for the audit
+ * trail but are left out of every batch and never match a signal again.
+ *
+ * A change holds the trade's symbol in the keyed queue, so it never
+ * interleaves with a signal for that symbol, and writes the trade and its
+ * audit row in one transaction; the batch rebuilds run after it commits.
+ */
+const db = require('../db/connection');
+const { withTransaction } = require('../db/transaction');
+const { runExclusive, symbolKey } = require('./keyedQueue');
+const tradeService = require('./tradeService');
+const { findBatchesForTrade, rebuildBatchLog } = require('./batchLogService');
+const { diffConfig } = require('./batchHistoryService');
+const { publish } = require('./eventBus');
+
+const SIDES = ['long', 'short', 'bullish', 'bearish'];
+const PRICE_FIELDS = ['entry_price', 'exit_price'];
+const TIME_FIELDS = ['entry_time', 'exit_time'];
+
+/* ===========================  VALIDATION  =========================== */
+
+/**
+ * Check the fields present in a create / edit body. Returns an error
+ * message or null.
+ */
+function validateTradeFields(fields) {
+    for (const field of PRICE_FIELDS) {
+        if (fields[field] !== undefined && !(Number(fields[field]) > 0)) return `${field} must be a positive number`;
+    }
+    for (const field of TIME_FIELDS) {
+        if (fields[field] !== undefined && isNaN(new Date(fields[field]).getTime())) return `${field} must be a valid date`;
+    }
+    if (fields.side !== undefined && !SIDES.includes(String(fields.side).toLowerCase())) {
+        return `side must be one of: ${SIDES.join(', ')}`;
+    }
+    if (fields.quantity !== undefined && fields.quantity !== null && !(Number(fields.quantity) > 0)) {
+        return 'quantity must be a positive number';
+    }
+    return null;
+}
+
+/* ===========================  HELPERS  =========================== */
+
+/**
+ * Audited view of a trade: plain numbers and ISO times, so diffs only
+ * show real changes.
+ */
+function snapshot(trade) {
+    const time = (value) => (value ? new Date(value).toISOString() : null);
+    const number = (value) => (value === null || value === undefined ? null : parseFloat(value));
+    return {
+        symbol: trade.symbol,
+        side: trade.side,
+        status: trade.status,
+        entry_price: number(trade.entry_price),
+        entry_time: time(trade.entry_time),
+        exit_price: number(trade.exit_price),
+        exit_time: time(trade.exit_time),
+        pnl_percent: number(trade.pnl_percent),
+        voided_at: time(trade.voided_at),
+        void_reason: trade.void_reason || null,
+    };
+}
+
+async function recordAudit(tradeId, action, before, after, { actor = null, note = null } = {}, conn = db) {
+    const { old_values, new_values } = before ? diffConfig(snapshot(before), snapshot(after)) : { new_values: snapshot(after) };
+    await conn.execute(
+        `INSERT INTO trade_audit_log (trade_id, action, user_id, username, old_values, new_values, note)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [
+            tradeId,
+            action,
+            actor ? actor.id : null,
+            actor ? actor.username : null,
+            old_values ? JSON.stringify(old_values) : null,
+            JSON.stringify(new_values),
+            note ? String(note).slice(0, 255) : null,
+        ]
+    );
+}
+
+/**
+ * Rebuild every batch in `before` (covering the trade before the change)
+ * plus the ones covering it now, from `from` – the earlier of the trade's
+ * old and new entry time – on. Returns the rebuilt batch ids.
+ */
+async function rebuildCoveringBatches(before, trade, from) {
+    const after = await findBatchesForTrade(trade);
+    const ids = [...new Set([...before, ...after].map((b) => b.id))];
+    for (const id of ids) {
+        await rebuildBatchLog(id, { from });
+    }
+    return ids;
+}
+
+function earliest(...times) {
+    return new Date(Math.min(...times.map((t) => new Date(t).getTime())));
+}
+
+/**
+ * Apply `work(trade, conn)` to trade `id` under its symbol's queue slot and
+ * in one transaction, with the trade row locked and re-read there. `work`
+ * returns { conflict } / { invalid }, or { trade, before } where `before`
+ * lists the batches that covered the trade before the change; those and
+ * the ones covering it now are then rebuilt and `notify(trade)` is called.
+ */
+async function changeTrade(id, work, notify) {
+    const current = await tradeService.getTradeById(id);
+    if (!current) return null;
+
+    return runExclusive([symbolKey(current.symbol)], async () => {
+        const result = await withTransaction(async (conn) => {
+            const [rows] = await conn.execute('SELECT * FROM trades WHERE id = ? FOR UPDATE', [id]);
+            return rows.length > 0 ? work(rows[0], conn) : null;
+        });
+        if (!result || !result.trade) return result;
+
+        const from = earliest(current.entry_time, result.trade.entry_time);
+        const batchIds = await rebuildCoveringBatches(result.before, result.trade, from);
+        notify(result.trade);
+        return { trade: result.trade, batches_rebuilt: batchIds };
+    });
+}
+
+function manualPayload(actor, note) {
+    return { manual: true, user: actor ? actor.username : null, note: note || null };
+}
+
+/**
+ * PnL fields of a trade after its prices changed. Closed trades treat
+ * exit_price as the average exit; open trades with partial exits re-price
+ * their reduce fills against the new entry price.
+ */
+async function repricedFields(trade, conn = db) {
+    const entry = parseFloat(trade.entry_price);
+    const direction = tradeService.isLongSide(trade.side) ? 1 : -1;
+    const closedQty = parseFloat(trade.closed_quantity) || 0;
+    const fields = {};
+
+    if (trade.status === 'closed') {
+        const exit = parseFloat(trade.exit_price);
+        fields.pnl_percent = (((exit - entry) / entry) * 100 * direction).toFixed(4);
+        if (closedQty > 0) fields.realized_pnl = (exit - entry) * closedQty * direction;
+    } else if (closedQty > 0) {
+        const [fills] = await conn.execute(
+            "SELECT price, quantity FROM trade_fills WHERE trade_id = ? AND fill_type = 'reduce'",
+            [trade.id]
+        );
+        fields.realized_pnl = fills.reduce(
+            (sum, f) => sum + (parseFloat(f.price) - entry) * parseFloat(f.quantity) * direction,
+            0
+        );
+    }
+    if (closedQty > 0) fields.closed_cost_basis = entry * closedQty;
+    return fields;
+}
+
+/* ===========================  CHANGES  =========================== */
+
+/**
+ * Create a trade by hand – open, or closed when exit_price / exit_time are
+ * given. It gets the usual position key, so a later signal for the same
+ * symbol / timeframe / source / strategy closes an open manual trade.
+ *
+ * @param {object} input    { symbol, side, timeframe, strategy, source_id, order_id,
+ *                            entry_price, entry_time, exit_price, exit_time, quantity }
+ * @param {object} options  { actor: req.user, note }
+ * @returns {{ trade, batches_rebuilt }}
+ */
+async function createManualTrade(input, { actor = null, note = null } = {}) {
+    const position = tradeService.resolvePosition(
+        {
+            symbol: String(input.symbol).toUpperCase(),
+            timeframe: input.timeframe,
+            strategy: input.strategy,
+            order_id: input.order_id,
+        },
+        input.source_id ? Number(input.source_id) : null
+    );
+    const payload = manualPayload(actor, note);
+    const entryPrice = Number(input.entry_price);
+    const entryTime = new Date(input.entry_time);
+    const quantity = input.quantity !== undefined && input.quantity !== null ? Number(input.quantity) : null;
+
+    return runExclusive([symbolKey(position.symbol)], async () => {
+        const trade = await withTransaction(async (conn) => {
+            const [result] = await conn.execute(
+                `INSERT INTO trades
+                    (symbol, timeframe, source_id, strategy, order_id, position_key,
+                     side, entry_price, entry_time, quantity, status, raw_payload, manual)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'open', ?, 1)`,
+                [
+                    position.symbol,
+                    position.timeframe,
+                    position.sourceId,
+                    position.strategy,
+                    position.orderId,
+                    position.key,
+                    String(input.side).toLowerCase(),
+                    entryPrice,
+                    entryTime,
+                    quantity,
+                    JSON.stringify({ entry_payload: payload }),
+                ]
+            );
+            if (quantity !== null) {
+                await tradeService.recordFill(result.insertId, {
+                    fillType: 'open', quantity, price: entryPrice, time: entryTime, payload,
+                }, conn);
+            }
+
+            let created = await tradeService.getTradeById(result.insertId, conn);
+            if (input.exit_price !== undefined) {
+                await tradeService.markTradeClosed(created, {
+                    price: Number(input.exit_price),
+                    time: new Date(input.exit_time),
+                    payload,
+                }, conn);
+                created = await tradeService.getTradeById(result.insertId, conn);
+            }
+
+            await recordAudit(created.id, 'create', null, created, { actor, note }, conn);
+            return created;
+        });
+
+        const batchIds = await rebuildCoveringBatches([], trade, trade.entry_time);
+        publish('trade.updated', { ...trade, action: 'manual_create' });
+        return { trade, batches_rebuilt: batchIds };
+    });
+}
+
+/**
+ * Edit entry / exit price and time. PnL is recomputed from the new prices.
+ *
+ * @returns {object|null} null when not found, { conflict } / { invalid } when
+ *                        the change is not allowed, else { trade, batches_rebuilt }
+ */
+async function updateTrade(id, changes, { actor = null, note = null } = {}) {
+    return changeTrade(id, async (trade, conn) => {
+        if (trade.voided_at) return { conflict: 'Voided trades cannot be edited – restore the trade first' };
+
+        const fields = {};
+        for (const field of PRICE_FIELDS) {
+            if (changes[field] !== undefined) fields[field] = Number(changes[field]);
+        }
+        for (const field of TIME_FIELDS) {
+            if (changes[field] !== undefined) fields[field] = new Date(changes[field]);
+        }
+        if (Object.keys(fields).length === 0) return { invalid: 'Nothing to change: send entry_price, entry_time, exit_price or exit_time' };
+        if (trade.status === 'open' && (fields.exit_price !== undefined || fields.exit_time !== undefined)) {
+            return { conflict: 'Trade is open – force-close it to set an exit' };
+        }
+
+        const updated = { ...trade, ...fields };
+        if (updated.exit_time && new Date(updated.exit_time) < new Date(updated.entry_time)) {
+            return { invalid: 'exit_time must not be before entry_time' };
+        }
+        Object.assign(fields, await repricedFields(updated, conn));
+
+        const before = await findBatchesForTrade(trade, conn);
+        const columns = Object.keys(fields);
+        await conn.execute(
+            `UPDATE trades SET ${columns.map((c) => `${c} = ?`).join(', ')} WHERE id = ?`,
+            [...columns.map((c) => fields[c]), id]
+        );
+
+        const saved = await tradeService.getTradeById(id, conn);
+        await recordAudit(saved.id, 'update', trade, saved, { actor, note }, conn);
+        return { trade: saved, before };
+    }, (saved) => publish('trade.updated', { ...saved, action: 'manual_edit' }));
+}
+
+/**
+ * Void a trade: kept for the audit trail, removed from every batch.
+ */
+async function voidTrade(id, { actor = null, reason = null } = {}) {
+    return changeTrade(id, async (trade, conn) => {
+        if (trade.voided_at) return { conflict: 'Trade is already void' };
+
+        const before = await findBatchesForTrade(trade, conn);
+        await conn.execute(
+            'UPDATE trades SET voided_at = UTC_TIMESTAMP(), void_reason = ? WHERE id = ?',
+            [reason ? String(reason).slice(0, 255) : null, id]
+        );
+
+        const saved = await tradeService.getTradeById(id, conn);
+        await recordAudit(saved.id, 'void', trade, saved, { actor, note: reason }, conn);
+        return { trade: saved, before };
+    }, (saved) => publish('trade.updated', { ...saved, action: 'void' }));
+}
+
+/**
+ * Undo a void.
+ */
+async function restoreTrade(id, { actor = null, note = null } = {}) {
+    return changeTrade(id, async (trade, conn) => {
+        if (!trade.voided_at) return { conflict: 'Trade is not void' };
+
+        await conn.execute('UPDATE trades SET voided_at = NULL, void_reason = NULL WHERE id = ?', [id]);
+
+        const saved = await tradeService.getTradeById(id, conn);
+        await recordAudit(saved.id, 'restore', trade, saved, { actor, note }, conn);
+        return { trade: saved, before: [] };
+    }, (saved) => publish('trade.updated', { ...saved, action: 'restore' }));
+}
+
+/**
+ * Close an open trade at a given price and time, as if its exit signal
+ * had arrived then.
+ */
+async function forceCloseTrade(id, { price, time }, { actor = null, note = null } = {}) {
+    return changeTrade(id, async (trade, conn) => {
+        if (trade.voided_at) return { conflict: 'Trade is void' };
+        if (trade.status !== 'open') return { conflict: 'Trade is already closed' };
+        if (time < new Date(trade.entry_time)) return { invalid: 'time must not be before the entry time' };
+
+        await tradeService.markTradeClosed(trade, { price, time, payload: manualPayload(actor, note) }, conn);
+
+        const saved = await tradeService.getTradeById(id, conn);
+        await recordAudit(saved.id, 'force_close', trade, saved, { actor, note }, conn);
+        return { trade: saved, before: [] };
+    }, (saved) => publish('trade.closed', saved));
+}
+
+/* ===========================  READS  =========================== */
+
+async function getTradeAudit(tradeId) {
+    const [rows] = await db.execute(
+        'SELECT * FROM trade_audit_log WHERE trade_id = ? ORDER BY id DESC',
+        [tradeId]
+    );
+    return rows;
+}
+
+module.exports = {
+    SIDES,
+    validateTradeFields,
+    createManualTrade,
+    updateTrade,
+    voidTrade,
+    restoreTrade,
+    forceCloseTrade,
+    getTradeAudit,
+};
@@ -0,0 +1,231 @@
+/**
+ * Metrics service – risk-adjusted performance metrics of a batch,
+ * computed from its batch_trade_log (realized, net of costs).
+ */
+const db = require('../db/connection');
+const { rangeClause } = require('./timeBuckets');
+
+const DAY_MS = 86400000;
+const HOUR_MS = 3600000;
+
+/** Crypto trades every day; daily ratios are annualized over 365 days. */
+const PERIODS_PER_YEAR = 365;
+
+function round(value, digits = 4) {
+    if (value === null || !isFinite(value)) return null;
+    return parseFloat(value.toFixed(digits));
+}
+
+function mean(values) {
+    return values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+}
+
+function stdDev(values) {
+    if (values.length < 2) return 0;
+    const avg = mean(values);
+    return Math.sqrt(values.reduce((sum, v) => sum + (v - avg) ** 2, 0) / (values.length - 1));
+}
+
+/**
+ * Longest run of consecutive wins and losses.
+ */
+function streaks(pnls) {
+    let win = 0, loss = 0, maxWin = 0, maxLoss = 0;
+    for (const pnl of pnls) {
+        win = pnl > 0 ? win + 1 : 0;
+        loss = pnl < 0 ? loss + 1 : 0;
+        maxWin = Math.max(maxWin, win);
+        maxLoss = Math.max(maxLoss, loss);
+    }
+    return { longest_win_streak: maxWin, longest_loss_streak: maxLoss };
+}
+
+/**
+ * Daily returns from end-of-day capital. Days without trades are filled
+ * with a 0 return so the ratios are not inflated by idle periods.
+ */
+function dailyReturns(rows, startCapital, startTime) {
+    const closeByDay = new Map();
+    for (const row of rows) {
+        const day = Math.floor(new Date(row.exit_time).getTime() / DAY_MS);
+        closeByDay.set(day, parseFloat(row.capital_after));
+    }
+
+    const firstDay = Math.floor(startTime.getTime() / DAY_MS);
+    const lastDay = Math.floor(new Date(rows[rows.length - 1].exit_time).getTime() / DAY_MS);
+    const returns = [];
+    let previous = startCapital;
+    for (let day = firstDay; day <= lastDay; day++) {
+        const close = closeByDay.has(day) ? closeByDay.get(day) : previous;
+        returns.push(previous > 0 ? close / previous - 1 : 0);
+        previous = close;
+    }
+    return returns;
+}
+
+/**
+ * Time below the running peak, from the log's capital curve.
+ * A drawdown lasts from the exit that set the peak until capital
+ * first closes at or above it again (or the last trade, if it never did).
+ */
+function drawdownDurations(rows, startCapital, startTime) {
+    let peak = startCapital;
+    let peakTime = startTime.getTime();
+    let inDrawdown = false;
+    let totalMs = 0;
+    let longestMs = 0;
+
+    for (const row of rows) {
+        const time = new Date(row.exit_time).getTime();
+        const capital = parseFloat(row.capital_after);
+        if (capital >= peak) {
+            if (inDrawdown) {
+                totalMs += time - peakTime;
+                longestMs = Math.max(longestMs, time - peakTime);
+                inDrawdown = false;
+            }
+            peak = capital;
+            peakTime = time;
+        } else {
+            inDrawdown = true;
+        }
+    }
+
+    const lastTime = new Date(rows[rows.length - 1].exit_time).getTime();
+    if (inDrawdown) {
+        totalMs += lastTime - peakTime;
+        longestMs = Math.max(longestMs, lastTime - peakTime);
+    }
+
+    const periodMs = lastTime - startTime.getTime();
+    return {
+        time_in_drawdown_percent: periodMs > 0 ? round((totalMs / periodMs) * 100, 2) : 0,
+        longest_drawdown_days: round(longestMs / DAY_MS, 2),
+        in_drawdown: inDrawdown,
+    };
+}
+
+/**
+ * Metrics of a batch from its log rows (ordered by trade_number).
+ *
+ * @param {object} batch    batches row (capital, start_time)
+ * @param {Array}  rows     batch_trade_log rows
+ * @param {object} [period] { startCapital, startTime } when only part of the log is measured
+ */
+function computeMetrics(batch, rows, period = {}) {
+    const startCapital = period.startCapital !== undefined ? period.startCapital : parseFloat(batch.capital);
+    if (rows.length === 0) {
+        return { total_trades: 0, starting_capital: startCapital, ending_capital: startCapital };
+    }
+
+    const pnls = rows.map((r) => parseFloat(r.pnl_absolute));
+    const pnlPercents = rows.map((r) => parseFloat(r.net_pnl_percent !== null ? r.net_pnl_percent : r.pnl_percent));
+    const wins = pnls.filter((p) => p > 0);
+    const losses = pnls.filter((p) => p < 0);
+    const winPercents = pnlPercents.filter((p) => p > 0);
+    const lossPercents = pnlPercents.filter((p) => p < 0);
+
+    const grossProfit = wins.reduce((a, b) => a + b, 0);
+    const grossLoss = Math.abs(losses.reduce((a, b) => a + b, 0));
+    const avgWin = mean(wins);
+    const avgLoss = Math.abs(mean(losses));
+    const winRate = wins.length / rows.length;
+
+    const endCapital = parseFloat(rows[rows.length - 1].capital_after);
+    const netProfit = endCapital - startCapital;
+
+    // Period: start_time (or the first entry) to the last closed trade
+    const firstEntry = new Date(rows.reduce((min, r) => Math.min(min, new Date(r.entry_time).getTime()), Infinity));
+    const startTime = period.startTime || (batch.start_time ? new Date(batch.start_time) : firstEntry);
+    const lastExit = new Date(rows[rows.length - 1].exit_time);
+    const years = (lastExit - startTime) / (DAY_MS * 365.25);
+    const cagr = years > 0 && startCapital > 0 && endCapital > 0
+        ? ((endCapital / startCapital) ** (1 / years) - 1) * 100
+        : null;
+
+    let peak = startCapital;
+    let maxDrawdownAbs = 0;
+    let maxDrawdownPct = 0;
+    for (const row of rows) {
+        const capital = parseFloat(row.capital_after);
+        peak = Math.max(peak, capital);
+        maxDrawdownAbs = Math.max(maxDrawdownAbs, peak - capital);
+        if (peak > 0) maxDrawdownPct = Math.max(maxDrawdownPct, ((peak - capital) / peak) * 100);
+    }
+
+    const returns = dailyReturns(rows, startCapital, startTime);
+    const avgReturn = mean(returns);
+    const volatility = stdDev(returns);
+    const downside = Math.sqrt(mean(returns.map((r) => Math.min(r, 0) ** 2)));
+
+    const holdingHours = rows.map((r) => (new Date(r.exit_time) - new Date(r.entry_time)) / HOUR_MS);
+
+    return {
+        total_trades: rows.length,
+        starting_capital: startCapital,
+        ending_capital: endCapital,
+        net_profit: round(netProfit, 2),
+        win_rate: round(winRate * 100, 2),
+        gross_profit: round(grossProfit, 2),
+        gross_loss: round(grossLoss, 2),
+        profit_factor: grossLoss > 0 ? round(grossProfit / grossLoss) : null,
+        avg_win: round(avgWin, 2),
+        avg_loss: round(avgLoss, 2),
+        avg_win_percent: round(mean(winPercents)),
+        avg_loss_percent: round(Math.abs(mean(lossPercents))),
+        payoff_ratio: avgLoss > 0 ? round(avgWin / avgLoss) : null,
+        expectancy: round(mean(pnls), 2),
+        expectancy_percent: round(mean(pnlPercents)),
+        ...streaks(pnls),
+        sharpe_ratio: volatility > 0 ? round((avgReturn / volatility) * Math.sqrt(PERIODS_PER_YEAR)) : null,
+        sortino_ratio: downside > 0 ? round((avgReturn / downside) * Math.sqrt(PERIODS_PER_YEAR)) : null,
+        cagr_percent: round(cagr),
+        max_drawdown_percent: round(maxDrawdownPct),
+        max_drawdown_absolute: round(maxDrawdownAbs, 2),
+        calmar_ratio: cagr !== null && maxDrawdownPct > 0 ? round(cagr / maxDrawdownPct) : null,
+        recovery_factor: maxDrawdownAbs > 0 ? round(netProfit / maxDrawdownAbs) : null,
+        avg_holding_hours: round(mean(holdingHours), 2),
+        ...drawdownDurations(rows, startCapital, startTime),
+        period_start: startTime,
+        period_end: lastExit,
+    };
+}
+
+/**
+ * Metrics of a batch, optionally over { from, to } only (exit_time range):
+ * a ranged period starts from the capital of the last trade before it.
+ */
+async function getBatchMetrics(batchId, { from, to } = {}) {
+    const [batches] = await db.execute('SELECT * FROM batches WHERE id = ?', [batchId]);
+    if (batches.length === 0) return null;
+
+    const { sql, params } = rangeClause('exit_time', { from, to });
+    const [rows] = await db.execute(
+        `SELECT entry_time, exit_time, pnl_percent, net_pnl_percent, pnl_absolute,
+                capital_after
+         FROM batch_trade_log
+         WHERE batch_id = ?${sql}
+         ORDER BY trade_number ASC`,
+        [batchId, ...params]
+    );
+
+    const period = {};
+    if (from) {
+        const [before] = await db.execute(
+            `SELECT capital_after FROM batch_trade_log
+             WHERE batch_id = ? AND exit_time < ?
+             ORDER BY trade_number DESC LIMIT 1`,
+            [batchId, from]
+        );
+        period.startCapital = before.length > 0 ? parseFloat(before[0].capital_after) : parseFloat(batches[0].capital);
+        period.startTime = from;
+    }
+    return computeMetrics(batches[0], rows, period);
+}
+
+module.exports = {
+    mean,
+    stdDev,
+    computeMetrics,
+    getBatchMetrics,
+};
@@ -0,0 +1,147 @@
+/**
+ * Notification senders – render a channel's templates and deliver the
+ * result over HTTP (generic webhook) or SMTP (email).
+ *
+ * Templates use {{placeholders}} with dotted paths into the notification
+ * context, e.g. {{message}}, {{data.symbol}}, {{data.pnl_percent}}.
+ *
+ * Webhook channel config:
+ *   { url, method = 'POST', headers = {}, content_type = 'application/json', body_template }
+ *   body_template defaults to the whole context as JSON. For Discord use
+ *   '{"content": "{{message}}"}', for Slack '{"text": "{{message}}"}'.
+ *
+ * Email channel config:
+ *   { to, subject_template, body_template, smtp: { host, port, secure, user, pass, from } }
+ *   smtp falls back to SMTP_HOST / SMTP_PORT / SMTP_SECURE / SMTP_USER / SMTP_PASS / SMTP_FROM.
+ */
+const nodemailer = require('nodemailer');
+
+const HTTP_TIMEOUT_MS = 10000;
+
+function lookup(context, path) {
+    return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), context);
+}
+
+/**
+ * Replace {{path}} placeholders. With `json` the values are escaped so
+ * they can sit inside a JSON string literal; objects are inserted as JSON.
+ */
+function renderTemplate(template, context, { json = false } = {}) {
+    return String(template).replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_match, path) => {
+        const value = lookup(context, path);
+        if (value === undefined || value === null) return '';
+        if (typeof value === 'object' && !(value instanceof Date)) return JSON.stringify(value);
+        const text = value instanceof Date ? value.toISOString() : String(value);
+        return json ? JSON.stringify(text).slice(1, -1) : text;
+    });
+}
+
+/**
+ * Validate a channel's type and config. Returns an error message or null.
+ */
+function validateChannelConfig(type, config) {
+    if (!config || typeof config !== 'object') return 'config must be an object';
+    if (type === 'webhook') {
+        if (!/^https?:\/\//i.test(config.url || '')) return 'config.url must be an http(s) URL';
+        if (config.headers !== undefined && (typeof config.headers !== 'object' || Array.isArray(config.headers))) {
+            return 'config.headers must be an object';
+        }
+        return null;
+    }
+    if (type === 'email') {
+        if (!config.to) return 'config.to is required';
+        if (!((config.smtp && config.smtp.host) || process.env.SMTP_HOST)) {
+            return 'config.smtp.host is required when SMTP_HOST is not set';
+        }
+        return null;
+    }
+    return 'type must be one of: webhook, email';
+}
+
+/**
+ * Render the request a channel sends for a notification context. The
+ * rendered request is stored with the delivery so retries send the same thing.
+ */
+function buildRequest(channel, context) {
+    const config = channel.config;
+    if (channel.type === 'webhook') {
+        const contentType = config.content_type || 'application/json';
+        const isJson = contentType.includes('json');
+        const body = config.body_template
+            ? renderTemplate(config.body_template, context, { json: isJson })
+            : JSON.stringify(context);
+        return {
+            url: config.url,
+            method: (config.method || 'POST').toUpperCase(),
+            headers: { 'Content-Type': contentType, ...(config.headers || {}) },
+            body,
+        };
+    }
+    return {
+        to: config.to,
+        subject: renderTemplate(config.subject_template || 'TradingView Dashboard: {{message}}', context),
+        text: renderTemplate(config.body_template || '{{message}}', context),
+    };
+}
+
+async function sendWebhook(request) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), HTTP_TIMEOUT_MS);
+    try {
+        const res = await fetch(request.url, {
+            method: request.method,
+            headers: request.headers,
+            body: request.method === 'GET' ? undefined : request.body,
+            signal: controller.signal,
+        });
+        if (!res.ok) {
+            const text = await res.text().catch(() => '');
+            const err = new Error(`HTTP ${res.status}${text ? `: ${text.slice(0, 200)}` : ''}`);
+            err.responseStatus = res.status;
+            throw err;
+        }
+        return { responseStatus: res.status };
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+function smtpSettings(config) {
+    const smtp = config.smtp || {};
+    return {
+        host: smtp.host || process.env.SMTP_HOST,
+        port: parseInt(smtp.port || process.env.SMTP_PORT, 10) || 587,
+        secure: String(smtp.secure !== undefined ? smtp.secure : process.env.SMTP_SECURE) === 'true',
+        user: smtp.user || process.env.SMTP_USER,
+        pass: smtp.pass || process.env.SMTP_PASS,
+        from: smtp.from || process.env.SMTP_FROM || 'tradingview-dashboard@localhost',
+    };
+}
+
+async function sendEmail(config, request) {
+    const smtp = smtpSettings(config);
+    const transport = nodemailer.createTransport({
+        host: smtp.host,
+        port: smtp.port,
+        secure: smtp.secure,
+        auth: smtp.user ? { user: smtp.user, pass: smtp.pass } : undefined,
+        connectionTimeout: HTTP_TIMEOUT_MS,
+    });
+    await transport.sendMail({ from: smtp.from, to: request.to, subject: request.subject, text: request.text });
+    return { responseStatus: null };
+}
+
+/**
+ * Deliver a rendered request through its channel. Throws on failure.
+ */
+async function send(channel, request) {
+    if (channel.type === 'webhook') return sendWebhook(request);
+    return sendEmail(channel.config, request);
+}
+
+module.exports = {
+    renderTemplate,
+    validateChannelConfig,
+    buildRequest,
+    send,
+};
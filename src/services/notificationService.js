@@ -0,0 +1,490 @@
+/**
+ * Notification service – outbound notification channels (HTTP webhooks,
+ * email), the rules that route events to them and a persisted delivery
+ * queue that retries failed sends with exponential backoff.
+ *
+ * Rule events (fed by the event bus):
+ *   trade_opened    – a position was opened
+ *   trade_closed    – a position was closed
+ *   trade_loss      – a position closed with pnl_percent <= -threshold
+ *   batch_drawdown  – a batch's drawdown crossed threshold (%)
+ *   parse_error     – an inbound webhook could not be parsed
+ *   time_skew       – an alert's timestamp is far from its receive time
+ *   risk_breach     – a batch risk rule tripped and paused the batch / a symbol
+ *
+ * A rule's symbol limits trade / drawdown / symbol risk events to that
+ * symbol, its batch_id limits batch_drawdown and risk_breach to that batch.
+ */
+const db = require('../db/connection');
+const { subscribe } = require('./eventBus');
+const { validateChannelConfig, buildRequest, send } = require('./notificationSenders');
+
+const CHANNEL_TYPES = ['webhook', 'email'];
+const RULE_EVENTS = ['trade_opened', 'trade_closed', 'trade_loss', 'batch_drawdown', 'parse_error', 'time_skew', 'risk_breach'];
+const THRESHOLD_EVENTS = ['trade_loss', 'batch_drawdown'];
+
+const MAX_ATTEMPTS = parseInt(process.env.NOTIFY_MAX_ATTEMPTS, 10) || 5;
+const RETRY_BASE_SECONDS = parseInt(process.env.NOTIFY_RETRY_BASE_SECONDS, 10) || 30;
+const RETRY_INTERVAL_MS = 15000;
+
+/**
+ * Hide SMTP passwords before a channel leaves the API.
+ */
+function toPublicChannel(row) {
+    if (!row) return null;
+    const config = { ...row.config };
+    if (config.smtp) {
+        const { pass, ...smtp } = config.smtp;
+        config.smtp = { ...smtp, has_password: !!pass };
+    }
+    return { ...row, config, enabled: !!row.enabled };
+}
+
+function toPublicRule(row) {
+    if (!row) return null;
+    return {
+        ...row,
+        threshold: row.threshold !== null ? parseFloat(row.threshold) : null,
+        enabled: !!row.enabled,
+    };
+}
+
+/* ===========================  CHANNELS  =========================== */
+
+async function getAllChannels() {
+    const [rows] = await db.execute('SELECT * FROM notification_channels ORDER BY name ASC');
+    return rows.map(toPublicChannel);
+}
+
+async function getChannelRow(id) {
+    const [rows] = await db.execute('SELECT * FROM notification_channels WHERE id = ?', [id]);
+    return rows[0] || null;
+}
+
+async function getChannelById(id) {
+    return toPublicChannel(await getChannelRow(id));
+}
+
+async function createChannel({ name, type, config, enabled = true }) {
+    const [result] = await db.execute(
+        'INSERT INTO notification_channels (name, type, config, enabled) VALUES (?, ?, ?, ?)',
+        [name, type, JSON.stringify(config), enabled ? 1 : 0]
+    );
+    return getChannelById(result.insertId);
+}
+
+/**
+ * Update a channel. A config without smtp.pass keeps the stored password,
+ * so the (masked) config returned by the API can be sent back as is.
+ */
+async function updateChannel(id, { name, config, enabled }) {
+    const existing = await getChannelRow(id);
+    if (!existing) return null;
+
+    const fields = [];
+    const params = [];
+    if (name !== undefined) { fields.push('name = ?'); params.push(name); }
+    if (config !== undefined) {
+        const merged = { ...config };
+        if (merged.smtp) {
+            const { has_password, ...smtp } = merged.smtp;
+            const storedPass = existing.config.smtp && existing.config.smtp.pass;
+            merged.smtp = smtp.pass === undefined && storedPass ? { ...smtp, pass: storedPass } : smtp;
+        }
+        fields.push('config = ?');
+        params.push(JSON.stringify(merged));
+    }
+    if (enabled !== undefined) { fields.push('enabled = ?'); params.push(enabled ? 1 : 0); }
+
+    if (fields.length > 0) {
+        params.push(id);
+        await db.execute(`UPDATE notification_channels SET ${fields.join(', ')} WHERE id = ?`, params);
+    }
+    return getChannelById(id);
+}
+
+async function deleteChannel(id) {
+    await db.execute('DELETE FROM notification_channels WHERE id = ?', [id]);
+}
+
+/* ===========================  RULES  =========================== */
+
+async function getAllRules({ channelId } = {}) {
+    let query = 'SELECT * FROM notification_rules';
+    const params = [];
+    if (channelId) {
+        query += ' WHERE channel_id = ?';
+        params.push(channelId);
+    }
+    query += ' ORDER BY id ASC';
+    const [rows] = await db.execute(query, params);
+    return rows.map(toPublicRule);
+}
+
+async function getRuleById(id) {
+    const [rows] = await db.execute('SELECT * FROM notification_rules WHERE id = ?', [id]);
+    return toPublicRule(rows[0]);
+}
+
+async function createRule({ channel_id, event, threshold = null, batch_id = null, symbol = null, enabled = true }) {
+    const [result] = await db.execute(
+        `INSERT INTO notification_rules (channel_id, event, threshold, batch_id, symbol, enabled)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [
+            channel_id,
+            event,
+            threshold !== null ? threshold : null,
+            batch_id || null,
+            symbol ? String(symbol).toUpperCase() : null,
+            enabled ? 1 : 0,
+        ]
+    );
+    return getRuleById(result.insertId);
+}
+
+async function updateRule(id, { event, threshold, batch_id, symbol, enabled }) {
+    const fields = [];
+    const params = [];
+    if (event !== undefined) { fields.push('event = ?'); params.push(event); }
+    if (threshold !== undefined) { fields.push('threshold = ?'); params.push(threshold); }
+    if (batch_id !== undefined) { fields.push('batch_id = ?'); params.push(batch_id || null); }
+    if (symbol !== undefined) { fields.push('symbol = ?'); params.push(symbol ? String(symbol).toUpperCase() : null); }
+    if (enabled !== undefined) { fields.push('enabled = ?'); params.push(enabled ? 1 : 0); }
+
+    if (fields.length > 0) {
+        params.push(id);
+        await db.execute(`UPDATE notification_rules SET ${fields.join(', ')} WHERE id = ?`, params);
+    }
+    return getRuleById(id);
+}
+
+async function deleteRule(id) {
+    await db.execute('DELETE FROM notification_rules WHERE id = ?', [id]);
+}
+
+/* ===========================  DELIVERIES  =========================== */
+
+function retryDelayMs(attempts) {
+    return RETRY_BASE_SECONDS * 1000 * Math.pow(2, Math.max(0, attempts - 1));
+}
+
+/**
+ * Mark a delivery as being sent, unless it already is. Only the caller
+ * that claimed a delivery sends it, so the retry worker never sends a
+ * delivery a request (or an earlier worker pass) is still sending.
+ *
+ * @param {string[]} statuses  statuses the delivery may be claimed from
+ * @returns {boolean} whether this caller claimed it
+ */
+async function claimDelivery(id, statuses) {
+    const [result] = await db.execute(
+        `UPDATE notification_deliveries SET status = 'sending'
+         WHERE id = ? AND status IN (${statuses.map(() => '?').join(', ')})`,
+        [id, ...statuses]
+    );
+    return result.affectedRows > 0;
+}
+
+/**
+ * Send a claimed delivery once and record the outcome. Failed sends are
+ * rescheduled with exponential backoff until MAX_ATTEMPTS is reached.
+ */
+async function attemptDelivery(delivery, channel) {
+    const attempts = delivery.attempts + 1;
+    try {
+        if (!channel) throw new Error('Channel no longer exists');
+        const { responseStatus } = await send(channel, delivery.request);
+        await db.execute(
+            `UPDATE notification_deliveries
+                SET status = 'sent', attempts = ?, response_status = ?, last_error = NULL,
+                    next_attempt_at = NULL, sent_at = UTC_TIMESTAMP()
+             WHERE id = ?`,
+            [attempts, responseStatus, delivery.id]
+        );
+    } catch (err) {
+        const failed = attempts >= MAX_ATTEMPTS;
+        await db.execute(
+            `UPDATE notification_deliveries
+                SET status = ?, attempts = ?, response_status = ?, last_error = ?, next_attempt_at = ?
+             WHERE id = ?`,
+            [
+                failed ? 'failed' : 'pending',
+                attempts,
+                err.responseStatus || null,
+                String(err.message).slice(0, 1000),
+                failed ? null : new Date(Date.now() + retryDelayMs(attempts)),
+                delivery.id,
+            ]
+        );
+    }
+    return getDeliveryById(delivery.id);
+}
+
+/**
+ * Render a notification for a channel, queue it and try to send it right
+ * away. Returns the delivery after the first attempt. The delivery is
+ * stored already claimed ('sending'), so the retry worker leaves it alone.
+ */
+async function enqueueDelivery(channel, { ruleId = null, event, context }) {
+    const request = buildRequest(channel, context);
+    const [result] = await db.execute(
+        `INSERT INTO notification_deliveries (channel_id, rule_id, event, request, status, next_attempt_at)
+         VALUES (?, ?, ?, ?, 'sending', NULL)`,
+        [channel.id, ruleId, event, JSON.stringify(request)]
+    );
+    return attemptDelivery({ id: result.insertId, attempts: 0, request }, channel);
+}
+
+async function getDeliveries({ status, channelId, limit = 100, offset = 0 } = {}) {
+    let query = 'SELECT * FROM notification_deliveries WHERE 1 = 1';
+    const params = [];
+    if (status) {
+        query += ' AND status = ?';
+        params.push(status);
+    }
+    if (channelId) {
+        query += ' AND channel_id = ?';
+        params.push(channelId);
+    }
+    query += ` ORDER BY id DESC LIMIT ${parseInt(limit, 10)} OFFSET ${parseInt(offset, 10)}`;
+    const [rows] = await db.execute(query, params);
+    return rows;
+}
+
+async function getDeliveryById(id) {
+    const [rows] = await db.execute('SELECT * FROM notification_deliveries WHERE id = ?', [id]);
+    return rows[0] || null;
+}
+
+/**
+ * Send a delivery again now, regardless of its status or attempt count.
+ * Returns { conflict } while it is being sent.
+ */
+async function retryDelivery(id) {
+    const delivery = await getDeliveryById(id);
+    if (!delivery) return null;
+    if (!(await claimDelivery(id, ['pending', 'sent', 'failed']))) {
+        return { conflict: 'Notification delivery is being sent' };
+    }
+    return attemptDelivery({ ...delivery, attempts: 0 }, await getChannelRow(delivery.channel_id));
+}
+
+/**
+ * Send every pending delivery whose next attempt is due. Deliveries
+ * claimed by someone else in the meantime are skipped.
+ */
+async function processDueDeliveries() {
+    const [rows] = await db.execute(
+        `SELECT * FROM notification_deliveries
+         WHERE status = 'pending' AND next_attempt_at <= UTC_TIMESTAMP()
+         ORDER BY next_attempt_at ASC
+         LIMIT 50`
+    );
+    let sent = 0;
+    for (const delivery of rows) {
+        if (!(await claimDelivery(delivery.id, ['pending']))) continue;
+        await attemptDelivery(delivery, await getChannelRow(delivery.channel_id));
+        sent += 1;
+    }
+    return sent;
+}
+
+/**
+ * Send a sample notification through a channel, bypassing its rules.
+ */
+async function sendTest(channelId, { message } = {}) {
+    const channel = await getChannelRow(channelId);
+    if (!channel) return null;
+    const context = {
+        event: 'test',
+        time: new Date().toISOString(),
+        message: message || `Test notification from channel "${channel.name}"`,
+        data: { symbol: 'BTCUSDT', side: 'long', entry_price: 50000, exit_price: 51000, pnl_percent: 2 },
+        rule: null,
+    };
+    return enqueueDelivery(channel, { event: 'test', context });
+}
+
+/* ===========================  EVENT MATCHING  =========================== */
+
+function formatNumber(value, digits = 2) {
+    const number = parseFloat(value);
+    return isFinite(number) ? number.toFixed(digits) : String(value);
+}
+
+/**
+ * Rule events an event-bus event triggers, with a human readable message.
+ * Threshold rules are checked per rule in ruleMatches().
+ */
+function notificationsFor(event) {
+    const d = event.data;
+    switch (event.type) {
+        case 'trade.opened':
+            return [{
+                event: 'trade_opened',
+                message: `Opened ${d.side} ${d.symbol} @ ${d.entry_price}`,
+            }];
+        case 'trade.closed':
+            return [
+                {
+                    event: 'trade_closed',
+                    message: `Closed ${d.side} ${d.symbol} @ ${d.exit_price} (${formatNumber(d.pnl_percent)}%)`,
+                },
+                {
+                    event: 'trade_loss',
+                    message: `Loss on ${d.side} ${d.symbol}: ${formatNumber(d.pnl_percent)}%`,
+                },
+            ];
+        case 'batch.log':
+            return [{
+                event: 'batch_drawdown',
+                message: `Batch ${d.batch_id} drawdown at ${formatNumber(d.drawdown)}% after ${d.symbol} trade`,
+            }];
+        case 'signal.parse_error':
+            return [{
+                event: 'parse_error',
+                message: `Webhook parse error (signal ${d.signal_id}): ${d.error}`,
+            }];
+        case 'signal.time_skew':
+            return [{
+                event: 'time_skew',
+                message: `Signal ${d.signal_id} (${d.symbol}) timestamp is ${d.time_skew_seconds}s from its receive time`,
+            }];
+        case 'batch.risk_breach':
+            return [{
+                event: 'risk_breach',
+                message: `Batch ${d.batch_name || d.batch_id}: ${d.rule} tripped at ${formatNumber(d.value)} `
+                    + `(limit ${formatNumber(d.limit_value)}) – ${d.symbol ? `${d.symbol} paused` : 'batch paused'}`
+                    + ` ${d.paused_until ? `until ${new Date(d.paused_until).toISOString()}` : 'until resumed'}`,
+            }];
+        default:
+            return [];
+    }
+}
+
+/**
+ * Drawdown before the logged trade, rebuilt from the row: the peak only
+ * moves when capital makes a new high, and then the drawdown is zero.
+ */
+function previousDrawdown(row) {
+    const peak = parseFloat(row.peak_capital);
+    const before = parseFloat(row.capital_before);
+    return peak > 0 ? Math.max(0, ((peak - before) / peak) * 100) : 0;
+}
+
+function ruleMatches(rule, notification, data) {
+    if (rule.symbol && String(data.symbol || '').toUpperCase() !== rule.symbol) return false;
+    if (rule.batch_id && ['batch_drawdown', 'risk_breach'].includes(notification.event) && String(data.batch_id) !== String(rule.batch_id)) {
+        return false;
+    }
+    const threshold = rule.threshold !== null ? Math.abs(parseFloat(rule.threshold)) : 0;
+    if (notification.event === 'trade_loss') {
+        return parseFloat(data.pnl_percent) <= -threshold && parseFloat(data.pnl_percent) < 0;
+    }
+    if (notification.event === 'batch_drawdown') {
+        // Only when the threshold is crossed, not on every trade while below it
+        return parseFloat(data.drawdown) >= threshold && previousDrawdown(data) < threshold;
+    }
+    return true;
+}
+
+/**
+ * Queue a delivery for every enabled rule (on an enabled channel) that
+ * the event matches.
+ */
+async function handleEvent(event) {
+    const notifications = notificationsFor(event);
+    if (notifications.length === 0) return 0;
+
+    const [rules] = await db.execute(
+        `SELECT r.*, c.name AS channel_name, c.type AS channel_type, c.config AS channel_config
+         FROM notification_rules r
+         JOIN notification_channels c ON c.id = r.channel_id
+         WHERE r.enabled = 1 AND c.enabled = 1
+           AND r.event IN (${notifications.map(() => '?').join(', ')})`,
+        notifications.map((n) => n.event)
+    );
+
+    let queued = 0;
+    for (const rule of rules) {
+        const notification = notifications.find((n) => n.event === rule.event);
+        if (!ruleMatches(rule, notification, event.data)) continue;
+
+        const channel = { id: rule.channel_id, name: rule.channel_name, type: rule.channel_type, config: rule.channel_config };
+        const context = {
+            event: rule.event,
+            time: event.time,
+            message: notification.message,
+            data: event.data,
+            rule: { id: rule.id, threshold: rule.threshold !== null ? parseFloat(rule.threshold) : null },
+        };
+        await enqueueDelivery(channel, { ruleId: rule.id, event: rule.event, context });
+        queued += 1;
+    }
+    return queued;
+}
+
+/* ===========================  WORKER  =========================== */
+
+let running = false;
+let started = false;
+
+/**
+ * One retry pass at a time: a pass still sending when the next tick comes
+ * is left to finish.
+ */
+async function processRetries() {
+    if (running) return;
+    running = true;
+    try {
+        await processDueDeliveries();
+    } finally {
+        running = false;
+    }
+}
+
+/**
+ * Subscribe to the event bus and start the retry worker. Notifications
+ * never block or fail the request that triggered them. Deliveries a
+ * restart interrupted mid-send are queued for a retry.
+ */
+function start() {
+    if (started) return;
+    started = true;
+
+    subscribe((event) => {
+        handleEvent(event).catch((err) => console.error('Notification dispatch failed:', err));
+    });
+
+    db.execute("UPDATE notification_deliveries SET status = 'pending', next_attempt_at = UTC_TIMESTAMP() WHERE status = 'sending'")
+        .catch((err) => console.error('Notification worker start failed:', err));
+
+    const timer = setInterval(() => {
+        processRetries().catch((err) => console.error('Notification retry failed:', err));
+    }, RETRY_INTERVAL_MS);
+    timer.unref();
+}
+
+module.exports = {
+    CHANNEL_TYPES,
+    RULE_EVENTS,
+    THRESHOLD_EVENTS,
+    validateChannelConfig,
+    getAllChannels,
+    getChannelById,
+    createChannel,
+    updateChannel,
+    deleteChannel,
+    getAllRules,
+    getRuleById,
+    createRule,
+    updateRule,
+    deleteRule,
+    getDeliveries,
+    getDeliveryById,
+    retryDelivery,
+    processDueDeliveries,
+    sendTest,
+    handleEvent,
+    start,
+};
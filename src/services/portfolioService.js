@@ -0,0 +1,178 @@
+/**
+ * Portfolio service – several batches side by side (comparison) and
+ * combined into one account (master portfolio).
+ */
+const db = require('../db/connection');
+const { getCapitalGrowthByDay } = require('./batchService');
+const { computeMetrics, getBatchMetrics } = require('./metricsService');
+const { rangeClause } = require('./timeBuckets');
+
+/** Metrics shown in the comparison KPI table. */
+const KPI_FIELDS = [
+    'total_trades', 'win_rate', 'net_profit', 'profit_factor', 'expectancy_percent',
+    'sharpe_ratio', 'sortino_ratio', 'cagr_percent', 'max_drawdown_percent', 'calmar_ratio',
+];
+
+function round(value, digits = 4) {
+    if (value === null || !isFinite(value)) return null;
+    return parseFloat(value.toFixed(digits));
+}
+
+/**
+ * Parse "1,2,3" into unique positive ids. Returns { ids } or { error }.
+ */
+function parseBatchIds(value, { required = true } = {}) {
+    if (!value) return required ? { error: 'batch_ids is required, e.g. batch_ids=1,2' } : { ids: null };
+    const ids = [...new Set(String(value).split(',').map((v) => parseInt(v.trim(), 10)))];
+    if (ids.some((id) => !(id > 0))) return { error: 'batch_ids must be a comma separated list of batch ids' };
+    return { ids };
+}
+
+/**
+ * Load the batches, in the requested order. Returns { batches } or
+ * { missing } with the ids that do not exist (or are deleted). Without
+ * ids: every active batch that is not archived; archived ones can still be
+ * asked for by id.
+ */
+async function loadBatches(ids) {
+    if (!ids) {
+        const [rows] = await db.execute('SELECT * FROM batches WHERE deleted_at IS NULL AND archived_at IS NULL ORDER BY id ASC');
+        return { batches: rows };
+    }
+    const [rows] = await db.execute(
+        `SELECT * FROM batches WHERE deleted_at IS NULL AND id IN (${ids.map(() => '?').join(', ')})`,
+        ids
+    );
+    const byId = new Map(rows.map((b) => [b.id, b]));
+    const missing = ids.filter((id) => !byId.has(id));
+    return missing.length > 0 ? { missing } : { batches: ids.map((id) => byId.get(id)) };
+}
+
+/**
+ * Shared window: `from` defaults to the earliest start (start_time or first
+ * trade) among the batches, `to` to now.
+ */
+async function sharedWindow(batches, { from, to }) {
+    let start = from;
+    if (!start) {
+        const [first] = await db.execute(
+            `SELECT MIN(entry_time) AS first_entry FROM batch_trade_log
+             WHERE batch_id IN (${batches.map(() => '?').join(', ')})`,
+            batches.map((b) => b.id)
+        );
+        const starts = batches.filter((b) => b.start_time).map((b) => new Date(b.start_time));
+        if (first[0].first_entry) starts.push(new Date(first[0].first_entry));
+        start = starts.length > 0 ? new Date(Math.min(...starts)) : null;
+    }
+    return { from: start, to: to || new Date() };
+}
+
+/**
+ * Capital per bucket of one batch over the window, plus the capital it
+ * started the window with.
+ */
+async function capitalCurve(batch, window) {
+    const points = await getCapitalGrowthByDay(batch.id, window);
+    const base = points.length > 0 ? points[0].capital_eod - points[0].daily_pnl : parseFloat(batch.capital);
+    return { base, points };
+}
+
+/**
+ * Percent-return and drawdown series of several batches on a shared time
+ * axis, plus a KPI table. Returns null with `missing` ids when a batch
+ * does not exist.
+ *
+ * @param {number[]} ids
+ * @param {object}   options  { from, to, tz, bucket }
+ */
+async function compareBatches(ids, { from, to, tz = 'UTC', bucket = 'day' } = {}) {
+    const { batches, missing } = await loadBatches(ids);
+    if (missing) return { missing };
+
+    const window = { ...(await sharedWindow(batches, { from, to })), tz, bucket };
+    const result = { period_start: window.from, period_end: window.to, bucket, tz, periods: [], batches: [] };
+    if (!window.from || window.from > window.to) return result;
+
+    for (const batch of batches) {
+        const { base, points } = await capitalCurve(batch, window);
+        result.periods = points.map((p) => p.period);
+
+        const metrics = await getBatchMetrics(batch.id, { from: window.from, to: window.to });
+        const kpis = {};
+        for (const field of KPI_FIELDS) kpis[field] = metrics[field] !== undefined ? metrics[field] : null;
+        kpis.return_percent = points.length > 0 && base > 0
+            ? round((points[points.length - 1].capital_eod / base - 1) * 100)
+            : 0;
+
+        result.batches.push({
+            batch_id: batch.id,
+            name: batch.name,
+            capital: parseFloat(batch.capital),
+            return_percent: points.map((p) => (base > 0 ? round((p.capital_eod / base - 1) * 100) : 0)),
+            drawdown: points.map((p) => p.drawdown_eod),
+            kpis,
+        });
+    }
+    return result;
+}
+
+/**
+ * Master portfolio: the selected batches (default: all) as one account.
+ * Its capital is the sum of the batches' capital; its metrics come from
+ * every batch's trades merged in exit order.
+ */
+async function getMasterPortfolio(ids, { from, to, tz = 'UTC', bucket = 'day' } = {}) {
+    const { batches, missing } = await loadBatches(ids);
+    if (missing) return { missing };
+
+    const result = {
+        batches: batches.map((b) => ({ batch_id: b.id, name: b.name, capital: parseFloat(b.capital) })),
+        starting_capital: 0,
+        curve: [],
+        metrics: null,
+    };
+    if (batches.length === 0) return result;
+
+    const window = { ...(await sharedWindow(batches, { from, to })), tz, bucket };
+    if (!window.from || window.from > window.to) return result;
+
+    const curves = [];
+    for (const batch of batches) curves.push(await capitalCurve(batch, window));
+    const startCapital = curves.reduce((sum, c) => sum + c.base, 0);
+    result.starting_capital = round(startCapital, 2);
+
+    let peak = startCapital;
+    result.curve = (curves[0].points || []).map((point, i) => {
+        const capital = curves.reduce((sum, c) => sum + (c.points[i] ? c.points[i].capital_eod : c.base), 0);
+        peak = Math.max(peak, capital);
+        return {
+            period: point.period,
+            capital: round(capital, 2),
+            return_percent: startCapital > 0 ? round((capital / startCapital - 1) * 100) : 0,
+            drawdown: peak > 0 ? round(((peak - capital) / peak) * 100) : 0,
+            trades: curves.reduce((sum, c) => sum + (c.points[i] ? c.points[i].trades_on_day : 0), 0),
+        };
+    });
+
+    const { sql, params } = rangeClause('exit_time', window);
+    const [rows] = await db.execute(
+        `SELECT batch_id, entry_time, exit_time, pnl_percent, net_pnl_percent, pnl_absolute
+         FROM batch_trade_log
+         WHERE batch_id IN (${batches.map(() => '?').join(', ')})${sql}
+         ORDER BY exit_time ASC, batch_id ASC, trade_number ASC`,
+        [...batches.map((b) => b.id), ...params]
+    );
+    let capital = startCapital;
+    const combined = rows.map((row) => {
+        capital += parseFloat(row.pnl_absolute);
+        return { ...row, capital_after: capital };
+    });
+    result.metrics = computeMetrics({ capital: startCapital }, combined, { startCapital, startTime: window.from });
+    return result;
+}
+
+module.exports = {
+    parseBatchIds,
+    compareBatches,
+    getMasterPortfolio,
+};
@@ -0,0 +1,85 @@
+/**
+ * Position sizing – how much of a batch's capital each trade uses.
+ *
+ * Modes (batches.sizing_mode):
+ *   full_equity      100% of current equity per trade (compounding, the original behaviour)
+ *   fixed_fraction   sizing_value % of current equity
+ *   fixed_notional   sizing_value in account currency
+ *   equal_weight     current equity split evenly across the batch's symbols
+ *   non_compounding  sizing_value % (default 100) of the starting capital
+ *
+ * The allocated size is never more than the equity available; leverage then
+ * multiplies the exposure of that allocation.
+ */
+
+const SIZING_MODES = ['full_equity', 'fixed_fraction', 'fixed_notional', 'equal_weight', 'non_compounding'];
+
+/**
+ * Validate sizing fields from a request body. Returns an error message or null.
+ */
+function validateSizing({ sizing_mode, sizing_value, leverage }) {
+    if (sizing_mode !== undefined && !SIZING_MODES.includes(sizing_mode)) {
+        return `sizing_mode must be one of: ${SIZING_MODES.join(', ')}`;
+    }
+    if ((sizing_mode === 'fixed_fraction' || sizing_mode === 'fixed_notional') &&
+        !(parseFloat(sizing_value) > 0)) {
+        return `sizing_value must be a positive number for ${sizing_mode}`;
+    }
+    if (sizing_value !== undefined && sizing_value !== null && !(parseFloat(sizing_value) > 0)) {
+        return 'sizing_value must be a positive number';
+    }
+    if (sizing_mode === 'fixed_fraction' && parseFloat(sizing_value) > 100) {
+        return 'sizing_value for fixed_fraction is a percentage (0–100]';
+    }
+    if (leverage !== undefined && !(parseFloat(leverage) > 0)) {
+        return 'leverage must be a positive number';
+    }
+    return null;
+}
+
+/**
+ * Capital allocated to the next trade.
+ *
+ * @param {object} batch        batches row (capital, sizing_mode, sizing_value)
+ * @param {number} equity       current realized capital of the batch
+ * @param {number} symbolCount  number of symbols in the batch
+ */
+function positionSize(batch, equity, symbolCount) {
+    const value = parseFloat(batch.sizing_value);
+    let size;
+
+    switch (batch.sizing_mode) {
+        case 'fixed_fraction':
+            size = equity * (value / 100);
+            break;
+        case 'fixed_notional':
+            size = value;
+            break;
+        case 'equal_weight':
+            size = equity / Math.max(symbolCount, 1);
+            break;
+        case 'non_compounding':
+            size = parseFloat(batch.capital) * ((value > 0 ? value : 100) / 100);
+            break;
+        case 'full_equity':
+        default:
+            size = equity;
+    }
+
+    return Math.max(0, Math.min(size, equity));
+}
+
+/**
+ * Leverage multiplier of a batch (defaults to 1x).
+ */
+function leverageOf(batch) {
+    const leverage = parseFloat(batch.leverage);
+    return leverage > 0 ? leverage : 1;
+}
+
+module.exports = {
+    SIZING_MODES,
+    validateSizing,
+    positionSize,
+    leverageOf,
+};
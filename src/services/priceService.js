@@ -0,0 +1,156 @@
+/**
+ * Price service – last known price per symbol, used to mark open trades
+ * to market, and the price history benchmarks are built from. Prices
+ * arrive as ticks (POST /api/prices, e.g. from a local script), as
+ * imported history (POST /api/prices/history) and from every alert.
+ */
+const db = require('../db/connection');
+
+function isLongSide(side) {
+    return side === 'bullish' || side === 'long';
+}
+
+/** Rows per multi-row INSERT when importing history. */
+const HISTORY_CHUNK = 500;
+
+/**
+ * Set the symbol's latest price unless a newer one is already known.
+ */
+async function upsertLatestPrice({ symbol, price, time, source }) {
+    await db.execute(
+        `INSERT INTO symbol_prices (symbol, price, price_time, source)
+         VALUES (?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE
+            price      = IF(VALUES(price_time) >= price_time, VALUES(price), price),
+            source     = IF(VALUES(price_time) >= price_time, VALUES(source), source),
+            price_time = GREATEST(price_time, VALUES(price_time))`,
+        [symbol, price, time, source]
+    );
+}
+
+async function insertHistory(points) {
+    for (let i = 0; i < points.length; i += HISTORY_CHUNK) {
+        const chunk = points.slice(i, i + HISTORY_CHUNK);
+        await db.execute(
+            `INSERT INTO price_history (symbol, price_time, price, source)
+             VALUES ${chunk.map(() => '(?, ?, ?, ?)').join(', ')}
+             ON DUPLICATE KEY UPDATE price = VALUES(price), source = VALUES(source)`,
+            chunk.flatMap((p) => [p.symbol, p.time, p.price, p.source])
+        );
+    }
+}
+
+/**
+ * Store a price in the history and as the symbol's latest price.
+ */
+async function recordPrice({ symbol, price, time = new Date(), source = 'tick' }) {
+    const point = { symbol: String(symbol).toUpperCase(), price, time, source };
+    await insertHistory([point]);
+    await upsertLatestPrice(point);
+}
+
+/**
+ * Validate one tick { symbol, price, time }. Returns an error message or null.
+ */
+function validateTick(tick) {
+    if (!tick || typeof tick !== 'object' || !tick.symbol) return 'symbol is required';
+    if (!(parseFloat(tick.price) > 0)) return 'price must be a positive number';
+    if (tick.time !== undefined && isNaN(new Date(tick.time).getTime())) return 'time must be a valid date';
+    return null;
+}
+
+/**
+ * Record validated ticks ('tick') or imported history ('import'). Only the
+ * newest point per symbol is considered for the latest price.
+ */
+async function recordTicks(ticks, source = 'tick') {
+    const points = ticks.map((tick) => ({
+        symbol: String(tick.symbol).toUpperCase(),
+        price: parseFloat(tick.price),
+        time: tick.time ? new Date(tick.time) : new Date(),
+        source,
+    }));
+    await insertHistory(points);
+
+    const newest = new Map();
+    for (const point of points) {
+        const current = newest.get(point.symbol);
+        if (!current || point.time >= current.time) newest.set(point.symbol, point);
+    }
+    for (const point of newest.values()) {
+        await upsertLatestPrice(point);
+    }
+    return points.length;
+}
+
+async function getPrices() {
+    const [rows] = await db.execute('SELECT * FROM symbol_prices ORDER BY symbol ASC');
+    return rows;
+}
+
+async function getPrice(symbol) {
+    const [rows] = await db.execute('SELECT * FROM symbol_prices WHERE symbol = ?', [String(symbol).toUpperCase()]);
+    return rows[0] || null;
+}
+
+/**
+ * Price history of a symbol in [from, to], oldest first.
+ */
+async function getPriceHistory(symbol, { from, to, limit = 10000 } = {}) {
+    let query = 'SELECT price_time, price, source FROM price_history WHERE symbol = ?';
+    const params = [String(symbol).toUpperCase()];
+    if (from) {
+        query += ' AND price_time >= ?';
+        params.push(from);
+    }
+    if (to) {
+        query += ' AND price_time <= ?';
+        params.push(to);
+    }
+    query += ` ORDER BY price_time ASC LIMIT ${Number(limit)}`;
+
+    const [rows] = await db.execute(query, params);
+    return rows;
+}
+
+/**
+ * Last known price of a symbol at or before `time`, or null.
+ */
+async function getPriceAt(symbol, time) {
+    const [rows] = await db.execute(
+        `SELECT price_time, price FROM price_history
+         WHERE symbol = ? AND price_time <= ?
+         ORDER BY price_time DESC LIMIT 1`,
+        [String(symbol).toUpperCase(), time]
+    );
+    return rows[0] || null;
+}
+
+/**
+ * PnL % the trade would close with at `markPrice`: for trades with
+ * quantities the realized part of earlier partial exits is included, the
+ * same way closeTrade() computes pnl_percent.
+ */
+function unrealizedPnlPercent(trade, markPrice) {
+    const entryPrice = parseFloat(trade.entry_price);
+    const direction = isLongSide(trade.side) ? 1 : -1;
+    const quantity = parseFloat(trade.quantity);
+
+    if (quantity > 0) {
+        const pnl = (parseFloat(trade.realized_pnl) || 0) + (markPrice - entryPrice) * quantity * direction;
+        const costBasis = (parseFloat(trade.closed_cost_basis) || 0) + entryPrice * quantity;
+        return costBasis > 0 ? (pnl / costBasis) * 100 : 0;
+    }
+    return entryPrice > 0 ? ((markPrice - entryPrice) / entryPrice) * 100 * direction : 0;
+}
+
+module.exports = {
+    recordPrice,
+    validateTick,
+    recordTicks,
+    getPrices,
+    getPrice,
+    getPriceHistory,
+    getPriceAt,
+    unrealizedPnlPercent,
+};
@@ -0,0 +1,163 @@
+/**
+ * Rebuild job service – batch log rebuilds queued in rebuild_jobs and run
+ * one at a time by an in-process worker, so a batch edit or a data fix does
+ * not hold the HTTP request for the length of the rebuild.
+ *
+ * A job that has not started yet absorbs a new request for the same batch
+ * (or for all batches) instead of queueing a second rebuild. Jobs a restart
+ * interrupted are queued again when the worker starts.
+ */
+const db = require('../db/connection');
+const { rebuildBatchLog } = require('./batchLogService');
+
+const JOB_STATUSES = ['queued', 'running', 'done', 'failed'];
+const POLL_INTERVAL_MS = 5000;
+
+/* ===========================  QUEUE  =========================== */
+
+async function getJobById(id) {
+    const [rows] = await db.execute('SELECT * FROM rebuild_jobs WHERE id = ?', [id]);
+    return rows[0] || null;
+}
+
+async function getJobs({ status, batchId, limit = 100, offset = 0 } = {}) {
+    let query = 'SELECT * FROM rebuild_jobs WHERE 1=1';
+    const params = [];
+    if (status) {
+        query += ' AND status = ?';
+        params.push(status);
+    }
+    if (batchId) {
+        query += ' AND batch_id = ?';
+        params.push(batchId);
+    }
+    query += ` ORDER BY id DESC LIMIT ${parseInt(limit, 10)} OFFSET ${parseInt(offset, 10)}`;
+
+    const [rows] = await db.execute(query, params);
+    return rows;
+}
+
+/**
+ * Queue a rebuild of one batch – or of every active, unarchived batch when
+ * batchId is null – and wake the worker.
+ *
+ * @param {object} options  { batchId, from, reason, actor }; `from` replays
+ *                          only from that time (see rebuildBatchLog)
+ * @returns {object} the queued job
+ */
+async function enqueueRebuild({ batchId = null, from = null, reason = null, actor = null } = {}) {
+    const [queued] = await db.execute(
+        "SELECT * FROM rebuild_jobs WHERE status = 'queued' AND batch_id <=> ? ORDER BY id LIMIT 1",
+        [batchId]
+    );
+
+    let id = null;
+    if (queued.length > 0) {
+        // A full rebuild covers everything, otherwise replay from the earlier point
+        const current = queued[0].from_time;
+        const merged = current && from ? new Date(Math.min(new Date(current).getTime(), new Date(from).getTime())) : null;
+        const [updated] = await db.execute(
+            "UPDATE rebuild_jobs SET from_time = ? WHERE id = ? AND status = 'queued'",
+            [merged, queued[0].id]
+        );
+        if (updated.affectedRows > 0) id = queued[0].id;
+    }
+    if (id === null) {
+        const [result] = await db.execute(
+            'INSERT INTO rebuild_jobs (batch_id, from_time, reason, requested_by) VALUES (?, ?, ?, ?)',
+            [batchId, from ? new Date(from) : null, reason ? String(reason).slice(0, 100) : null, actor ? actor.id : null]
+        );
+        id = result.insertId;
+    }
+
+    setImmediate(() => {
+        processQueue().catch((err) => console.error('[Rebuild] Worker failed:', err));
+    });
+    return getJobById(id);
+}
+
+/* ===========================  WORKER  =========================== */
+
+let running = false;
+let started = false;
+
+async function runJob(job) {
+    let batchIds = [job.batch_id];
+    if (!job.batch_id) {
+        const [batches] = await db.execute('SELECT id FROM batches WHERE deleted_at IS NULL AND archived_at IS NULL ORDER BY id');
+        batchIds = batches.map((b) => b.id);
+    }
+    await db.execute('UPDATE rebuild_jobs SET batches_total = ? WHERE id = ?', [batchIds.length, job.id]);
+
+    const results = [];
+    for (const batchId of batchIds) {
+        const summary = await rebuildBatchLog(batchId, { from: job.from_time });
+        if (summary) results.push(summary);
+        await db.execute('UPDATE rebuild_jobs SET batches_done = batches_done + 1 WHERE id = ?', [job.id]);
+    }
+    return results;
+}
+
+/**
+ * Run queued jobs oldest first until none are left. Only one pass runs at
+ * a time; a job queued meanwhile is picked up by the running pass.
+ */
+async function processQueue() {
+    if (running) return;
+    running = true;
+    try {
+        for (;;) {
+            const [next] = await db.execute("SELECT * FROM rebuild_jobs WHERE status = 'queued' ORDER BY id LIMIT 1");
+            if (next.length === 0) break;
+            const job = next[0];
+
+            const [claimed] = await db.execute(
+                "UPDATE rebuild_jobs SET status = 'running', started_at = UTC_TIMESTAMP() WHERE id = ? AND status = 'queued'",
+                [job.id]
+            );
+            if (claimed.affectedRows === 0) continue;
+
+            try {
+                const results = await runJob(job);
+                await db.execute(
+                    "UPDATE rebuild_jobs SET status = 'done', result = ?, finished_at = UTC_TIMESTAMP() WHERE id = ?",
+                    [JSON.stringify(results), job.id]
+                );
+                console.log(`[Rebuild] Job #${job.id} done: ${results.length} batches`);
+            } catch (err) {
+                console.error(`[Rebuild] Job #${job.id} failed:`, err);
+                await db.execute(
+                    "UPDATE rebuild_jobs SET status = 'failed', error = ?, finished_at = UTC_TIMESTAMP() WHERE id = ?",
+                    [err.message, job.id]
+                );
+            }
+        }
+    } finally {
+        running = false;
+    }
+}
+
+/**
+ * Queue jobs a restart interrupted again and start polling for new ones.
+ */
+function start() {
+    if (started) return;
+    started = true;
+
+    db.execute("UPDATE rebuild_jobs SET status = 'queued', started_at = NULL, batches_done = 0 WHERE status = 'running'")
+        .then(() => processQueue())
+        .catch((err) => console.error('[Rebuild] Worker start failed:', err));
+
+    const timer = setInterval(() => {
+        processQueue().catch((err) => console.error('[Rebuild] Worker failed:', err));
+    }, POLL_INTERVAL_MS);
+    timer.unref();
+}
+
+module.exports = {
+    JOB_STATUSES,
+    getJobById,
+    getJobs,
+    enqueueRebuild,
+    start,
+};
@@ -0,0 +1,328 @@
+/**
+ * Report service – PDF performance report for a batch: KPI table, equity
+ * and drawdown charts, monthly returns and per-symbol breakdown.
+ *
+ * Charts are drawn as vector paths with pdfkit, so no browser or canvas
+ * is needed on the server.
+ */
+const PDFDocument = require('pdfkit');
+const batchService = require('./batchService');
+const { getMonthlyReturns } = require('./exportService');
+
+const PAGE_MARGIN = 40;
+const COLORS = {
+    text: '#1f2937',
+    muted: '#6b7280',
+    grid: '#e5e7eb',
+    equity: '#2563eb',
+    drawdown: '#dc2626',
+    positive: '#047857',
+    negative: '#b91c1c',
+    headerFill: '#f3f4f6',
+};
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/* ===========================  FORMATTING  =========================== */
+
+function money(value) {
+    const n = parseFloat(value) || 0;
+    return n.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+function percent(value, digits = 2) {
+    if (value === null || value === undefined) return '–';
+    return `${parseFloat(value).toFixed(digits)}%`;
+}
+
+function dateOnly(value) {
+    return value ? new Date(value).toISOString().slice(0, 10) : null;
+}
+
+/* ===========================  DRAWING  =========================== */
+
+function contentWidth(doc) {
+    return doc.page.width - PAGE_MARGIN * 2;
+}
+
+/**
+ * Start a new page when fewer than `height` points are left.
+ */
+function ensureSpace(doc, height) {
+    if (doc.y + height > doc.page.height - PAGE_MARGIN) doc.addPage();
+}
+
+/**
+ * Section heading, kept on the same page as the first `space` points of its content.
+ */
+function sectionTitle(doc, title, space = 60) {
+    ensureSpace(doc, space);
+    doc.moveDown(0.8);
+    doc.font('Helvetica-Bold').fontSize(13).fillColor(COLORS.text).text(title, PAGE_MARGIN, doc.y);
+    doc.moveDown(0.4);
+}
+
+/**
+ * Simple table. Columns: { header, width, align }; rows: arrays of strings
+ * or { text, color } cells. Headers repeat after a page break.
+ */
+function drawTable(doc, columns, rows, { fontSize = 8.5, rowHeight = 15 } = {}) {
+    const x0 = PAGE_MARGIN;
+    const totalWidth = columns.reduce((sum, c) => sum + c.width, 0);
+
+    const drawRow = (cells, { header = false } = {}) => {
+        const y = doc.y;
+        if (header) doc.rect(x0, y, totalWidth, rowHeight).fill(COLORS.headerFill);
+        let x = x0;
+        cells.forEach((cell, i) => {
+            const { text, color } = typeof cell === 'object' && cell !== null ? cell : { text: cell };
+            doc.font(header ? 'Helvetica-Bold' : 'Helvetica')
+                .fontSize(fontSize)
+                .fillColor(color || COLORS.text)
+                .text(String(text ?? ''), x + 3, y + 4, {
+                    width: columns[i].width - 6,
+                    align: columns[i].align || 'left',
+                    lineBreak: false,
+                    ellipsis: true,
+                });
+            x += columns[i].width;
+        });
+        doc.moveTo(x0, y + rowHeight).lineTo(x0 + totalWidth, y + rowHeight).lineWidth(0.5).stroke(COLORS.grid);
+        doc.x = x0;
+        doc.y = y + rowHeight;
+    };
+
+    ensureSpace(doc, rowHeight * 2);
+    drawRow(columns.map((c) => c.header), { header: true });
+    for (const row of rows) {
+        if (doc.y + rowHeight > doc.page.height - PAGE_MARGIN) {
+            doc.addPage();
+            drawRow(columns.map((c) => c.header), { header: true });
+        }
+        drawRow(row);
+    }
+}
+
+/**
+ * Line chart of `points` ({ label, value }) in a box of `height` points.
+ * `invert` plots larger values downwards (drawdown).
+ */
+function drawLineChart(doc, points, { height = 170, color, format, invert = false, fill = false }) {
+    ensureSpace(doc, height + 30);
+    const left = PAGE_MARGIN + 58;
+    const top = doc.y + 5;
+    const width = contentWidth(doc) - 58;
+    const bottom = top + height;
+
+    if (points.length === 0) {
+        doc.font('Helvetica').fontSize(9).fillColor(COLORS.muted).text('No closed trades in this period.', PAGE_MARGIN, top);
+        doc.y = top + 20;
+        return;
+    }
+
+    const values = points.map((p) => p.value);
+    let min = values.reduce((a, b) => Math.min(a, b), values[0]);
+    let max = values.reduce((a, b) => Math.max(a, b), values[0]);
+    if (invert) min = 0;
+    if (max === min) {
+        max += Math.abs(max) * 0.01 || 1;
+        min -= Math.abs(min) * 0.01 || (invert ? 0 : 1);
+    }
+    const yOf = (v) => (invert ? top + ((v - min) / (max - min)) * height : bottom - ((v - min) / (max - min)) * height);
+    const xOf = (i) => left + (points.length === 1 ? width / 2 : (i / (points.length - 1)) * width);
+
+    // Grid and axis labels
+    doc.font('Helvetica').fontSize(7).fillColor(COLORS.muted);
+    for (let i = 0; i <= 4; i++) {
+        const v = min + ((max - min) * i) / 4;
+        const y = yOf(v);
+        doc.moveTo(left, y).lineTo(left + width, y).lineWidth(0.5).stroke(COLORS.grid);
+        doc.text(format(v), PAGE_MARGIN, y - 3, { width: 54, align: 'right', lineBreak: false });
+    }
+    doc.text(points[0].label, left, bottom + 4, { lineBreak: false });
+    doc.text(points[points.length - 1].label, left + width - 80, bottom + 4, { width: 80, align: 'right', lineBreak: false });
+
+    if (fill) {
+        const baseline = invert ? top : bottom;
+        doc.moveTo(xOf(0), baseline);
+        points.forEach((p, i) => doc.lineTo(xOf(i), yOf(p.value)));
+        doc.lineTo(xOf(points.length - 1), baseline).closePath().fillOpacity(0.15).fill(color);
+        doc.fillOpacity(1);
+    }
+    doc.moveTo(xOf(0), yOf(points[0].value));
+    points.forEach((p, i) => doc.lineTo(xOf(i), yOf(p.value)));
+    doc.lineWidth(1.2).stroke(color);
+
+    doc.x = PAGE_MARGIN;
+    doc.y = bottom + 16;
+}
+
+/* ===========================  SECTIONS  =========================== */
+
+function kpiRows(summary, startCapital) {
+    const { batch, stats, latest, mark_to_market: mtm } = summary;
+    const endCapital = latest ? parseFloat(latest.capital_after) : startCapital;
+    const trades = Number(stats.total_trades) || 0;
+    const wins = Number(stats.winning_trades) || 0;
+
+    const rows = [
+        ['Starting capital', money(startCapital)],
+        ['Ending capital (realized)', money(endCapital)],
+        ['Net PnL', money(stats.total_pnl_absolute)],
+        ['Total return', percent(startCapital ? ((endCapital - startCapital) / startCapital) * 100 : 0)],
+        ['Max drawdown', percent(latest ? latest.max_drawdown : 0)],
+        ['Closed trades', String(trades)],
+        ['Wins / losses / breakeven', `${wins} / ${Number(stats.losing_trades) || 0} / ${Number(stats.breakeven_trades) || 0}`],
+        ['Win rate', percent(trades ? (wins / trades) * 100 : 0)],
+        ['Average trade (gross / net)', `${percent(stats.avg_pnl_percent)} / ${percent(stats.avg_net_pnl_percent)}`],
+        ['Best / worst trade', `${percent(stats.best_trade_pct)} / ${percent(stats.worst_trade_pct)}`],
+        ['Gross PnL', money(stats.total_gross_pnl)],
+        ['Costs (commission / slippage / funding)',
+            `${money(stats.total_commission)} / ${money(stats.total_slippage)} / ${money(stats.total_funding)}`],
+        ['Skipped trades', String(Number(stats.skipped_trades) || 0)],
+    ];
+    if (mtm && mtm.open_positions > 0) {
+        rows.push(['Open positions', String(mtm.open_positions)]);
+        rows.push(['Equity incl. unrealized PnL', `${money(mtm.equity)} (${money(mtm.unrealized_pnl)} unrealized)`]);
+    }
+    if (batch.sizing_mode) rows.push(['Position sizing', `${batch.sizing_mode} ${batch.sizing_value ?? ''}`.trim()]);
+    rows.push(['Leverage', `${parseFloat(batch.leverage) || 1}x`]);
+    return rows;
+}
+
+/**
+ * Year × month grid; the year column compounds the monthly returns.
+ */
+function monthlyGrid(monthly) {
+    const years = new Map();
+    for (const m of monthly) {
+        const [year, month] = m.period.split('-');
+        if (!years.has(year)) years.set(year, new Array(12).fill(null));
+        years.get(year)[Number(month) - 1] = m.return_pct;
+    }
+    return [...years.entries()].map(([year, months]) => {
+        const compounded = months.reduce((acc, r) => (r === null ? acc : acc * (1 + r / 100)), 1);
+        const cell = (r) => (r === null
+            ? ''
+            : { text: r.toFixed(1), color: r > 0 ? COLORS.positive : r < 0 ? COLORS.negative : COLORS.text });
+        return [year, ...months.map(cell), cell((compounded - 1) * 100)];
+    });
+}
+
+/* ===========================  REPORT  =========================== */
+
+/**
+ * Build the PDF report.
+ *
+ * @param {number} batchId
+ * @param {object} options  { from, to, tz } – the same range as the analytics endpoints
+ * @returns {{ filename, body: Buffer }|null} null when the batch does not exist
+ */
+async function buildBatchReport(batchId, { from = null, to = null, tz = 'UTC' } = {}) {
+    const summary = await batchService.getBatchSummary(batchId, { from, to });
+    if (!summary) return null;
+
+    const range = { from, to, tz };
+    const days = await batchService.getCapitalGrowthByDay(batchId, { ...range, bucket: 'day' });
+    const monthly = await getMonthlyReturns(batchId, range);
+    const symbols = await batchService.getSymbolBreakdown(batchId, range);
+    const { batch } = summary;
+    const startCapital = days.length > 0 ? days[0].capital_eod - days[0].daily_pnl : parseFloat(batch.capital);
+
+    const doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN, info: { Title: `${batch.name} – performance report` } });
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    const finished = new Promise((resolve, reject) => {
+        doc.on('end', resolve);
+        doc.on('error', reject);
+    });
+
+    // Header
+    const period = from || to
+        ? `${dateOnly(from) || 'start'} – ${dateOnly(to) || 'today'}`
+        : `${dateOnly(batch.start_time) || 'inception'} – today`;
+    doc.font('Helvetica-Bold').fontSize(18).fillColor(COLORS.text).text(batch.name);
+    doc.font('Helvetica').fontSize(10).fillColor(COLORS.muted)
+        .text(`Performance report · ${period} · generated ${new Date().toISOString().slice(0, 16).replace('T', ' ')} UTC`);
+    if (tz !== 'UTC') doc.text(`Days and months in ${tz}`);
+
+    sectionTitle(doc, 'Key figures');
+    drawTable(doc, [{ header: 'Metric', width: 250 }, { header: 'Value', width: 265, align: 'right' }], kpiRows(summary, startCapital));
+
+    sectionTitle(doc, 'Equity (realized, end of day)', 230);
+    drawLineChart(doc, days.map((d) => ({ label: d.period, value: d.capital_eod })), {
+        color: COLORS.equity,
+        format: (v) => money(v).replace(/\.\d+$/, ''),
+    });
+
+    sectionTitle(doc, 'Drawdown', 230);
+    drawLineChart(doc, days.map((d) => ({ label: d.period, value: d.drawdown_eod })), {
+        color: COLORS.drawdown,
+        format: (v) => percent(-v, 1),
+        invert: true,
+        fill: true,
+    });
+
+    sectionTitle(doc, 'Monthly returns (%)');
+    if (monthly.length === 0) {
+        doc.font('Helvetica').fontSize(9).fillColor(COLORS.muted).text('No closed trades in this period.');
+    } else {
+        drawTable(
+            doc,
+            [
+                { header: 'Year', width: 37 },
+                ...MONTHS.map((m) => ({ header: m, width: 36, align: 'right' })),
+                { header: 'Year', width: 46, align: 'right' },
+            ],
+            monthlyGrid(monthly),
+            { fontSize: 8 }
+        );
+    }
+
+    sectionTitle(doc, 'Per-symbol breakdown');
+    if (symbols.length === 0) {
+        doc.font('Helvetica').fontSize(9).fillColor(COLORS.muted).text('No closed trades in this period.');
+    } else {
+        drawTable(
+            doc,
+            [
+                { header: 'Symbol', width: 115 },
+                { header: 'Trades', width: 60, align: 'right' },
+                { header: 'Wins', width: 60, align: 'right' },
+                { header: 'Losses', width: 60, align: 'right' },
+                { header: 'Win rate', width: 70, align: 'right' },
+                { header: 'Avg PnL %', width: 70, align: 'right' },
+                { header: 'Total PnL', width: 80, align: 'right' },
+            ],
+            symbols.map((s) => {
+                const pnl = parseFloat(s.total_pnl) || 0;
+                return [
+                    s.symbol,
+                    String(s.trades),
+                    String(Number(s.wins) || 0),
+                    String(Number(s.losses) || 0),
+                    percent(s.trades > 0 ? (Number(s.wins) / Number(s.trades)) * 100 : 0, 1),
+                    percent(s.avg_pnl_pct),
+                    { text: money(pnl), color: pnl > 0 ? COLORS.positive : pnl < 0 ? COLORS.negative : COLORS.text },
+                ];
+            })
+        );
+    }
+
+    doc.moveDown(1.5);
+    ensureSpace(doc, 40);
+    doc.font('Helvetica').fontSize(7.5).fillColor(COLORS.muted).text(
+        'Figures are simulated from the batch\'s sizing and cost settings on the recorded signals. '
+        + 'Returns are realized (closed trades only) unless marked otherwise. Past performance does not guarantee future results.',
+        PAGE_MARGIN,
+        doc.y,
+        { width: contentWidth(doc) }
+    );
+
+    doc.end();
+    await finished;
+    return { filename: `batch-${batch.id}-report.pdf`, body: Buffer.concat(chunks) };
+}
+
+module.exports = {
+    buildBatchReport,
+};
@@ -0,0 +1,278 @@
+/**
+ * Risk rules – per-batch circuit breakers checked each time a trade closes
+ * in the batch log. A tripped rule pauses the batch (or one symbol in it):
+ * entries while it is paused are skipped, positions already open run on.
+ *
+ * Batch risk columns (NULL = rule off):
+ *   risk_max_drawdown            % drawdown from the peak          → paused until resumed by hand
+ *   risk_daily_loss              % loss since the start of the day  → paused until the next day
+ *   risk_weekly_loss             % loss since the start of the week → paused until the next week
+ *   risk_max_consecutive_losses  losing trades in a row             → paused until the next day
+ *   risk_symbol_daily_loss       % of the day's starting capital one symbol
+ *                                lost since the start of the day    → symbol paused until the next day
+ *
+ * Days and weeks (Monday to Sunday) are UTC. A manual resume re-bases every
+ * rule it clears: drawdown, day and week losses and the loss streak are
+ * counted from the moment of the resume.
+ *
+ * The live log path (riskService) and the replay (createRiskTracker) feed
+ * the same figures into checkRules(), so a rebuild trips the same rules.
+ */
+
+const RISK_COLUMNS = [
+    'risk_max_drawdown', 'risk_daily_loss', 'risk_weekly_loss',
+    'risk_max_consecutive_losses', 'risk_symbol_daily_loss',
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Validate risk fields from a request body. Returns an error message or null.
+ */
+function validateRiskRules(settings) {
+    for (const column of RISK_COLUMNS) {
+        const value = settings[column];
+        if (value === undefined || value === null) continue;
+        if (column === 'risk_max_consecutive_losses') {
+            if (!Number.isInteger(Number(value)) || Number(value) < 1) return `${column} must be a positive integer or null`;
+        } else if (!(parseFloat(value) > 0 && parseFloat(value) <= 100)) {
+            return `${column} must be a percentage between 0 and 100, or null`;
+        }
+    }
+    return null;
+}
+
+function ruleLimit(batch, column) {
+    const value = batch[column];
+    return value === null || value === undefined ? null : parseFloat(value);
+}
+
+function hasRiskRules(batch) {
+    return RISK_COLUMNS.some((column) => ruleLimit(batch, column) !== null);
+}
+
+/**
+ * Start of the UTC day / week (Monday) containing `time`.
+ */
+function periodStart(time, period) {
+    const date = new Date(time);
+    const day = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+    if (period === 'day') return new Date(day);
+    return new Date(day - ((date.getUTCDay() + 6) % 7) * DAY_MS);
+}
+
+function nextPeriod(time, period) {
+    return new Date(periodStart(time, period).getTime() + (period === 'day' ? DAY_MS : 7 * DAY_MS));
+}
+
+/**
+ * The pause in `pauses` that blocks an entry in `symbol` at `time`, or null.
+ */
+function activePause(pauses, symbol, time) {
+    const at = new Date(time).getTime();
+    return pauses.find((p) => (p.symbol === null || p.symbol === symbol)
+        && new Date(p.tripped_at).getTime() <= at
+        && (!p.paused_until || new Date(p.paused_until).getTime() > at)
+        && (!p.resumed_at || new Date(p.resumed_at).getTime() > at)) || null;
+}
+
+function pauseReason(pause) {
+    const scope = pause.symbol ? `${pause.symbol} paused` : 'batch paused';
+    const until = pause.paused_until ? `until ${new Date(pause.paused_until).toISOString()}` : 'until resumed';
+    return `Risk rule ${pause.rule}: ${scope} ${until}`;
+}
+
+/**
+ * Rules a closed log row trips.
+ *
+ * @param {object} batch    batches row with the risk columns
+ * @param {object} row      the batch_trade_log row (symbol, trade_id, exit_time, capital_after)
+ * @param {object} figures  { rulePeak, dayStartCapital, weekStartCapital, lossStreak, symbolDayPnl }
+ *                          counted from the later of the period start and the last resume
+ * @param {object[]} pauses pauses active at the row's exit time – a rule does not trip again while it holds
+ * @returns {object[]} new pauses: { symbol, rule, trade_id, value, limit_value, tripped_at, paused_until }
+ */
+function checkRules(batch, row, figures, pauses) {
+    const capital = parseFloat(row.capital_after);
+    const time = new Date(row.exit_time);
+    const trips = [];
+    const trip = (rule, symbol, figure, limit, pausedUntil) => {
+        // Compared at 4 decimals: the replay sums floats where the live path sums DECIMALs
+        const value = parseFloat(figure.toFixed(4));
+        if (value < limit) return;
+        if (pauses.some((p) => p.rule === rule && p.symbol === symbol)) return;
+        trips.push({
+            symbol,
+            rule,
+            trade_id: row.trade_id,
+            value,
+            limit_value: limit,
+            tripped_at: time,
+            paused_until: pausedUntil,
+        });
+    };
+    const lossPercent = (start) => (start > 0 ? ((start - capital) / start) * 100 : 0);
+
+    const maxDrawdown = ruleLimit(batch, 'risk_max_drawdown');
+    if (maxDrawdown !== null) {
+        trip('max_drawdown', null, lossPercent(figures.rulePeak), maxDrawdown, null);
+    }
+    const dailyLoss = ruleLimit(batch, 'risk_daily_loss');
+    if (dailyLoss !== null) {
+        trip('daily_loss', null, lossPercent(figures.dayStartCapital), dailyLoss, nextPeriod(time, 'day'));
+    }
+    const weeklyLoss = ruleLimit(batch, 'risk_weekly_loss');
+    if (weeklyLoss !== null) {
+        trip('weekly_loss', null, lossPercent(figures.weekStartCapital), weeklyLoss, nextPeriod(time, 'week'));
+    }
+    const maxLosses = ruleLimit(batch, 'risk_max_consecutive_losses');
+    if (maxLosses !== null) {
+        trip('consecutive_losses', null, Math.min(figures.lossStreak, maxLosses), maxLosses, nextPeriod(time, 'day'));
+    }
+    const symbolLoss = ruleLimit(batch, 'risk_symbol_daily_loss');
+    if (symbolLoss !== null && figures.dayStartCapital > 0) {
+        const value = (-figures.symbolDayPnl / figures.dayStartCapital) * 100;
+        trip('symbol_daily_loss', row.symbol, value, symbolLoss, nextPeriod(time, 'day'));
+    }
+    return trips;
+}
+
+const later = (...times) => new Date(Math.max(...times.filter(Boolean).map((t) => new Date(t).getTime())));
+
+/**
+ * Where the live path counts each figure from for log row `row`, given the
+ * last manual resume of the batch and of the row's symbol (null = none):
+ * { resumedAt, peakFrom, dayStart, weekStart, symbolDayStart }.
+ */
+function figureBounds(row, resumedAt, symbolResumedAt) {
+    const time = new Date(row.exit_time);
+    const dayStart = later(periodStart(time, 'day'), resumedAt);
+    return {
+        resumedAt,
+        peakFrom: resumedAt || new Date(0),
+        dayStart,
+        weekStart: later(periodStart(time, 'week'), resumedAt),
+        symbolDayStart: later(dayStart, symbolResumedAt),
+    };
+}
+
+/**
+ * checkRules() figures from what the live path read back from the log
+ * within figureBounds() – DECIMALs may still be strings.
+ *
+ * @param {object} loaded  { base, peak, dayStartCapital, weekStartCapital, recentPnl, symbolDayPnl }:
+ *                         capital at the last resume (or the batch capital), highest capital_after
+ *                         since (null without rows), capital before the day / week start, pnl of the
+ *                         latest trades since the last streak pause, newest first, and the symbol's
+ *                         pnl since its day start
+ */
+function liveFigures(loaded) {
+    const base = parseFloat(loaded.base);
+    let lossStreak = 0;
+    while (lossStreak < loaded.recentPnl.length && parseFloat(loaded.recentPnl[lossStreak]) < 0) lossStreak++;
+    return {
+        rulePeak: Math.max(base, parseFloat(loaded.peak) || base),
+        dayStartCapital: parseFloat(loaded.dayStartCapital),
+        weekStartCapital: parseFloat(loaded.weekStartCapital),
+        lossStreak,
+        symbolDayPnl: parseFloat(loaded.symbolDayPnl),
+    };
+}
+
+/**
+ * Risk state of a batch replayed event by event (see rebuildBatchLog).
+ * Figures are taken from the rounded log rows, as the live path reads
+ * them back from the table.
+ *
+ * @param {object} batch
+ * @param {object[]} resumes  batch_risk_resumes rows of the batch
+ */
+function createRiskTracker(batch, resumes) {
+    const capital = parseFloat(batch.capital);
+    const pending = [...resumes].sort((a, b) => new Date(a.resumed_at) - new Date(b.resumed_at) || a.id - b.id);
+    const breaches = [];
+    let current = capital;
+    let rulePeak = capital;
+    let day = { start: null, capital };
+    let week = { start: null, capital };
+    let lossStreak = 0;
+    let symbolDay = { start: null, pnl: {} };
+
+    const active = (time) => breaches.filter((p) => activePause([p], p.symbol || null, time) !== null);
+
+    function applyResume(resume) {
+        const time = new Date(resume.resumed_at);
+        for (const p of active(time)) {
+            if (!resume.symbol || p.symbol === resume.symbol) p.resumed_at = time;
+        }
+        if (resume.symbol) {
+            symbolDay.pnl[resume.symbol] = 0;
+            return;
+        }
+        rulePeak = current;
+        day = { ...day, capital: current };
+        week = { ...week, capital: current };
+        lossStreak = 0;
+        symbolDay = { ...symbolDay, pnl: {} };
+    }
+
+    return {
+        /** Apply the manual resumes made up to `time` (all of them for Infinity). */
+        advance(time) {
+            while (pending.length > 0 && new Date(pending[0].resumed_at).getTime() <= time) {
+                applyResume(pending.shift());
+            }
+        },
+
+        /** Pause blocking an entry in `symbol` at `time`, or null. */
+        pauseAt(symbol, time) {
+            return activePause(breaches, symbol, time);
+        },
+
+        /** Account for a closed log row and trip the rules it breaks. */
+        afterClose(row) {
+            const time = new Date(row.exit_time);
+            const before = parseFloat(row.capital_before);
+            const pnl = parseFloat(row.pnl_absolute);
+            current = parseFloat(row.capital_after);
+
+            const dayStart = periodStart(time, 'day').getTime();
+            if (day.start !== dayStart) day = { start: dayStart, capital: before };
+            const weekStart = periodStart(time, 'week').getTime();
+            if (week.start !== weekStart) week = { start: weekStart, capital: before };
+            if (symbolDay.start !== dayStart) symbolDay = { start: dayStart, pnl: {} };
+
+            rulePeak = Math.max(rulePeak, current);
+            lossStreak = pnl < 0 ? lossStreak + 1 : 0;
+            symbolDay.pnl[row.symbol] = (symbolDay.pnl[row.symbol] || 0) + pnl;
+
+            const trips = checkRules(batch, row, {
+                rulePeak,
+                dayStartCapital: day.capital,
+                weekStartCapital: week.capital,
+                lossStreak,
+                symbolDayPnl: symbolDay.pnl[row.symbol],
+            }, active(time));
+            for (const p of trips) {
+                if (p.rule === 'consecutive_losses') lossStreak = 0;
+                breaches.push({ ...p, resumed_at: null });
+            }
+            return trips;
+        },
+
+        breaches,
+    };
+}
+
+module.exports = {
+    RISK_COLUMNS,
+    validateRiskRules,
+    hasRiskRules,
+    periodStart,
+    activePause,
+    pauseReason,
+    checkRules,
+    figureBounds,
+    liveFigures,
+    createRiskTracker,
+};
@@ -0,0 +1,269 @@
+/**
+ * Risk service – live side of the batch risk rules (see riskRules): checks
+ * each row appended to a batch log, records the rules it trips in
+ * batch_risk_breaches and answers whether a batch or symbol is paused.
+ *
+ * Breaches are derived data – a rebuild replays them with the rest of the
+ * log. Manual resumes (batch_risk_resumes) are input: they are kept across
+ * rebuilds and replayed at the moment they were made.
+ */
+const db = require('../db/connection');
+const { withTransaction, afterCommit } = require('../db/transaction');
+const { runExclusive, batchKey } = require('./keyedQueue');
+const { RISK_COLUMNS, hasRiskRules, checkRules, figureBounds, liveFigures } = require('./riskRules');
+const { publish } = require('./eventBus');
+
+const BREACH_COLUMNS = ['batch_id', 'symbol', 'rule', 'trade_id', 'value', 'limit_value', 'tripped_at', 'paused_until', 'resumed_at'];
+
+/**
+ * SQL condition: breach `br` is in force at a time (bound three times).
+ */
+const PAUSE_ACTIVE_AT = `br.tripped_at <= ?
+             AND (br.paused_until IS NULL OR br.paused_until > ?)
+             AND (br.resumed_at IS NULL OR br.resumed_at > ?)`;
+
+/* ===========================  PAUSES  =========================== */
+
+async function getActivePauses(batchId, time, conn = db) {
+    const [rows] = await conn.execute(
+        `SELECT br.* FROM batch_risk_breaches br
+         WHERE br.batch_id = ? AND ${PAUSE_ACTIVE_AT}
+         ORDER BY br.id`,
+        [batchId, time, time, time]
+    );
+    return rows;
+}
+
+/**
+ * The pause blocking an entry in `symbol` at `time`, or null. Batches
+ * without risk rules are never paused.
+ */
+async function findActivePause(batch, symbol, time, conn = db) {
+    if (!hasRiskRules(batch)) return null;
+    const pauses = await getActivePauses(batch.id, time, conn);
+    return pauses.find((p) => p.symbol === null || p.symbol === symbol) || null;
+}
+
+/**
+ * Pauses in force now, keyed by batch id – for the batch list snapshot.
+ */
+async function getPausesByBatch() {
+    const now = new Date();
+    const [rows] = await db.execute(
+        `SELECT br.* FROM batch_risk_breaches br
+         WHERE ${PAUSE_ACTIVE_AT}
+         ORDER BY br.batch_id, br.id`,
+        [now, now, now]
+    );
+    const byBatch = new Map();
+    for (const row of rows) {
+        if (!byBatch.has(row.batch_id)) byBatch.set(row.batch_id, []);
+        byBatch.get(row.batch_id).push(row);
+    }
+    return byBatch;
+}
+
+/**
+ * Risk status from a batch's active pauses:
+ * { paused, paused_symbols, pauses } – `paused` is a whole-batch pause.
+ */
+function riskStatus(pauses) {
+    return {
+        paused: pauses.some((p) => p.symbol === null),
+        paused_symbols: [...new Set(pauses.filter((p) => p.symbol !== null).map((p) => p.symbol))],
+        pauses,
+    };
+}
+
+/* ===========================  LIVE CHECK  =========================== */
+
+/**
+ * Latest manual resume of the batch (or of `symbol`) made by `time`.
+ */
+async function lastResumeAt(batchId, symbol, time, conn) {
+    const [rows] = await conn.execute(
+        `SELECT resumed_at FROM batch_risk_resumes
+         WHERE batch_id = ? AND symbol <=> ? AND resumed_at <= ?
+         ORDER BY resumed_at DESC, id DESC
+         LIMIT 1`,
+        [batchId, symbol, time]
+    );
+    return rows.length > 0 ? new Date(rows[0].resumed_at) : null;
+}
+
+/**
+ * Realized capital of the batch just before `time` (rows closing at
+ * `time` not included).
+ */
+async function capitalBefore(batch, time, conn) {
+    const [rows] = await conn.execute(
+        `SELECT capital_after FROM batch_trade_log
+         WHERE batch_id = ? AND exit_time < ?
+         ORDER BY trade_number DESC
+         LIMIT 1`,
+        [batch.id, time]
+    );
+    return rows.length > 0 ? parseFloat(rows[0].capital_after) : parseFloat(batch.capital);
+}
+
+/**
+ * The figures checkRules() needs for log row `row`, read back from the
+ * log – the same ones createRiskTracker() keeps while replaying.
+ */
+async function loadFigures(batch, row, conn) {
+    const time = new Date(row.exit_time);
+    const bounds = figureBounds(
+        row,
+        await lastResumeAt(batch.id, null, time, conn),
+        await lastResumeAt(batch.id, row.symbol, time, conn)
+    );
+
+    const [peak] = await conn.execute(
+        `SELECT MAX(capital_after) AS peak FROM batch_trade_log
+         WHERE batch_id = ? AND exit_time >= ?`,
+        [batch.id, bounds.peakFrom]
+    );
+
+    // Losing streak since the last manual resume or streak pause
+    const [lastStreakTrip] = await conn.execute(
+        `SELECT l.trade_number FROM batch_risk_breaches br
+         JOIN batch_trade_log l ON l.batch_id = br.batch_id AND l.trade_id = br.trade_id
+         WHERE br.batch_id = ? AND br.rule = 'consecutive_losses'
+         ORDER BY br.tripped_at DESC, br.id DESC
+         LIMIT 1`,
+        [batch.id]
+    );
+    const streakLimit = parseInt(batch.risk_max_consecutive_losses, 10) || 1;
+    const [recent] = await conn.execute(
+        `SELECT pnl_absolute FROM batch_trade_log
+         WHERE batch_id = ? AND trade_number > ? AND exit_time >= ?
+         ORDER BY trade_number DESC
+         LIMIT ${streakLimit}`,
+        [batch.id, lastStreakTrip.length > 0 ? lastStreakTrip[0].trade_number : 0, bounds.peakFrom]
+    );
+
+    const [symbolDay] = await conn.execute(
+        `SELECT COALESCE(SUM(pnl_absolute), 0) AS pnl FROM batch_trade_log
+         WHERE batch_id = ? AND symbol = ? AND exit_time >= ?`,
+        [batch.id, row.symbol, bounds.symbolDayStart]
+    );
+
+    return liveFigures({
+        base: bounds.resumedAt ? await capitalBefore(batch, bounds.resumedAt, conn) : batch.capital,
+        peak: peak[0].peak,
+        dayStartCapital: await capitalBefore(batch, bounds.dayStart, conn),
+        weekStartCapital: await capitalBefore(batch, bounds.weekStart, conn),
+        recentPnl: recent.map((r) => r.pnl_absolute),
+        symbolDayPnl: symbolDay[0].pnl,
+    });
+}
+
+/**
+ * Check the rules against a row just appended at the end of the batch log
+ * and record what it trips. Runs in the log append's transaction.
+ *
+ * @returns {object[]} the new breaches
+ */
+async function evaluateAfterClose(batch, row, conn = db) {
+    if (!hasRiskRules(batch)) return [];
+    const figures = await loadFigures(batch, row, conn);
+    const trips = checkRules(batch, row, figures, await getActivePauses(batch.id, row.exit_time, conn));
+
+    for (const trip of trips) {
+        const [result] = await conn.execute(
+            `INSERT INTO batch_risk_breaches (${BREACH_COLUMNS.join(', ')}) VALUES (${BREACH_COLUMNS.map(() => '?').join(', ')})`,
+            breachValues(batch.id, trip)
+        );
+        const breach = { id: result.insertId, batch_id: batch.id, batch_name: batch.name, ...trip };
+        afterCommit(conn, () => publish('batch.risk_breach', breach));
+    }
+    return trips;
+}
+
+/**
+ * Values of a breach in BREACH_COLUMNS order.
+ */
+function breachValues(batchId, breach) {
+    return [
+        batchId,
+        breach.symbol,
+        breach.rule,
+        breach.trade_id,
+        breach.value,
+        breach.limit_value,
+        breach.tripped_at,
+        breach.paused_until,
+        breach.resumed_at || null,
+    ];
+}
+
+/* ===========================  STATUS / RESUME  =========================== */
+
+/**
+ * Rules, current pauses, breach history and manual resumes of a batch.
+ */
+async function getRiskStatus(batch) {
+    const [breaches] = await db.execute(
+        'SELECT * FROM batch_risk_breaches WHERE batch_id = ? ORDER BY tripped_at DESC, id DESC',
+        [batch.id]
+    );
+    const [resumes] = await db.execute(
+        'SELECT * FROM batch_risk_resumes WHERE batch_id = ? ORDER BY resumed_at DESC, id DESC',
+        [batch.id]
+    );
+    const rules = {};
+    for (const column of RISK_COLUMNS) {
+        rules[column] = batch[column] === null ? null : parseFloat(batch[column]);
+    }
+    return {
+        rules,
+        ...riskStatus(await getActivePauses(batch.id, new Date())),
+        breaches,
+        resumes,
+    };
+}
+
+/**
+ * Lift the pauses in force on a batch now – all of them, or only those of
+ * `symbol`. Resuming the whole batch also re-bases its rules (see riskRules).
+ *
+ * @returns {object} { conflict } when nothing is paused, else { resume, resumed }
+ */
+async function resumeBatch(batchId, { symbol = null, note = null, actor = null } = {}) {
+    return runExclusive([batchKey(batchId)], () => withTransaction(async (conn) => {
+        await conn.execute('SELECT id FROM batches WHERE id = ? FOR UPDATE', [batchId]);
+        // DATETIME keeps whole seconds; use the stored value for both tables
+        const now = new Date(Math.floor(Date.now() / 1000) * 1000);
+
+        const pauses = (await getActivePauses(batchId, now, conn))
+            .filter((p) => symbol === null || p.symbol === symbol);
+        if (pauses.length === 0) {
+            return { conflict: symbol ? `${symbol} is not paused` : 'Batch is not paused' };
+        }
+
+        const [result] = await conn.execute(
+            `INSERT INTO batch_risk_resumes (batch_id, symbol, resumed_at, user_id, username, note)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [batchId, symbol, now, actor ? actor.id : null, actor ? actor.username : null, note]
+        );
+        await conn.execute(
+            `UPDATE batch_risk_breaches SET resumed_at = ? WHERE id IN (${pauses.map(() => '?').join(', ')})`,
+            [now, ...pauses.map((p) => p.id)]
+        );
+
+        const resume = { id: result.insertId, batch_id: Number(batchId), symbol, resumed_at: now, note };
+        afterCommit(conn, () => publish('batch.risk_resumed', { ...resume, rules: pauses.map((p) => p.rule) }));
+        return { resume, resumed: pauses.map((p) => ({ ...p, resumed_at: now })) };
+    }));
+}
+
+module.exports = {
+    BREACH_COLUMNS,
+    findActivePause,
+    getPausesByBatch,
+    riskStatus,
+    evaluateAfterClose,
+    breachValues,
+    getRiskStatus,
+    resumeBatch,
+};
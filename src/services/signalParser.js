@@ -0,0 +1,89 @@
+/**
+ * Signal parser – turns an inbound webhook body into a normalized payload.
+ *
+ * Supports two formats:
+ *   1. JSON payload (legacy): { symbol, side, timeframe, type, price, ... }
+ *   2. Text alert (new):
+ *      "sell 2000 @ 68050.0 on BTCUSD.P (2026-02-26T13:51:00Z). Position: -2000 @ avg 68050.0. Order ID: Short"
+ *      Position qty determines type: 0 = exit, negative = short entry, positive = long entry.
+ *      The position qty is also kept (_positionQty) so scale-ins and partial exits can be
+ *      told apart from the open trade's quantity.
+ */
+
+/**
+ * Parse the new TradingView text alert format into a normalized payload.
+ *
+ * Format: "{action} {qty} @ {price} on {symbol} ({timestamp}). Position: {pos_qty} @ avg {avg_price}. Order ID: {order_id}"
+ */
+function parseTextAlert(text) {
+    const regex = /^(buy|sell)\s+([\d.]+)\s+@\s+([\d.]+)\s+on\s+(\S+)\s+\(([^)]+)\)\.\s*Position:\s*([-\d.]+)\s+@\s+avg\s+([\d.]+)\.\s*Order ID:\s*(.+)$/i;
+    const match = text.trim().match(regex);
+
+    if (!match) return null;
+
+    const [, action, orderQty, price, symbol, timestamp, positionQty, avgPrice, orderId] = match;
+    const posQty = parseFloat(positionQty);
+
+    // Position = 0 → exit
+    // Position < 0 → short/bearish entry
+    // Position > 0 → long/bullish entry
+    let type, side;
+    if (posQty === 0) {
+        type = 'exit';
+        // Side comes from the original open trade, but we pass the action direction
+        side = action.toLowerCase() === 'buy' ? 'bullish' : 'bearish';
+    } else if (posQty < 0) {
+        type = 'entry';
+        side = 'bearish';
+    } else {
+        type = 'entry';
+        side = 'bullish';
+    }
+
+    return {
+        symbol: symbol.trim(),
+        side,
+        timeframe: '',
+        type,
+        price,
+        closeonflip: 'false',
+        timestamp,
+        _raw: text,
+        _orderId: orderId.trim(),
+        _orderQty: parseFloat(orderQty),
+        _positionQty: posQty,
+        _avgPrice: parseFloat(avgPrice),
+    };
+}
+
+/**
+ * Normalize a webhook body (already-parsed JSON object, JSON string or text alert).
+ *
+ * Returns { payload } on success or { error } when the body cannot be understood.
+ */
+function parseSignalBody(body) {
+    if (body && typeof body === 'object') {
+        return { payload: body };
+    }
+    if (typeof body !== 'string' || body.trim() === '') {
+        return { error: 'Empty alert body' };
+    }
+
+    const text = body.trim();
+    if (text.startsWith('{')) {
+        try {
+            return { payload: JSON.parse(text) };
+        } catch (err) {
+            return { error: `Invalid JSON: ${err.message}` };
+        }
+    }
+
+    const payload = parseTextAlert(text);
+    if (!payload) return { error: 'Could not parse alert text' };
+    return { payload };
+}
+
+module.exports = {
+    parseTextAlert,
+    parseSignalBody,
+};
@@ -0,0 +1,465 @@
+/**
+ * Signal service – journals every inbound alert, deduplicates repeated
+ * deliveries and re-processes / replays journal entries.
+ *
+ * Journal updates are written outside the trade transaction: when applying
+ * a signal fails, its trade and batch log changes roll back while the
+ * journal entry keeps the 'error' outcome, ready to be re-processed.
+ *
+ * A journal replay takes the intake over (see INTAKE below) until it has
+ * finished – across restarts, see REPLAY. Like the keyed queue this only
+ * holds within one process.
+ */
+const db = require('../db/connection');
+const { withTransaction } = require('../db/transaction');
+const { parseSignalBody } = require('./signalParser');
+const { processSignal } = require('./tradeService');
+const { rebuildBatchLog, findArchivedBatchesReferencing } = require('./batchLogService');
+const { getSourceById } = require('./webhookSourceService');
+const { recordPrice } = require('./priceService');
+const { publish, withoutEvents } = require('./eventBus');
+
+/** Outcomes that changed the trades table – re-processing them would apply the signal twice. */
+const APPLIED_OUTCOMES = ['entry', 'exit', 'scale_in', 'partial_exit', 'flip'];
+
+/** Alerts whose timestamp is further than this from their receive time are flagged. */
+const MAX_SKEW_SECONDS = parseInt(process.env.SIGNAL_MAX_SKEW_SECONDS, 10) || 300;
+
+/**
+ * Dedup key for a payload: source + symbol + timestamp + price + order id.
+ * Type and side are included too so that an exit and a new entry fired on
+ * the same bar at the same price (no order id in JSON alerts) stay distinct.
+ * Signals without a timestamp cannot be told apart from a genuine repeat,
+ * so they are never deduplicated.
+ */
+function buildDedupKey(payload, sourceId) {
+    if (!payload || !payload.timestamp || !payload.symbol) return null;
+    const orderId = payload._orderId || payload.order_id || '';
+    const time = new Date(payload.timestamp);
+    const timestamp = isNaN(time.getTime()) ? String(payload.timestamp) : time.toISOString();
+
+    return [
+        sourceId || 0,
+        String(payload.symbol).toUpperCase(),
+        timestamp,
+        parseFloat(payload.price),
+        orderId,
+        (payload.type || '').toLowerCase(),
+        (payload.side || '').toLowerCase(),
+    ].join('|').slice(0, 255);
+}
+
+/**
+ * Seconds from receive time to the alert's own timestamp – negative when the
+ * alert is late or backdated. null without a usable timestamp.
+ */
+function timeSkewSeconds(payload, receivedAt) {
+    if (!payload.timestamp) return null;
+    const time = new Date(payload.timestamp);
+    if (isNaN(time.getTime())) return null;
+    return Math.round((time.getTime() - new Date(receivedAt || Date.now()).getTime()) / 1000);
+}
+
+function bodyToText(body) {
+    if (body === undefined || body === null) return '';
+    return typeof body === 'string' ? body : JSON.stringify(body);
+}
+
+async function setOutcome(id, { outcome, tradeId = null, error = null }) {
+    await db.execute(
+        `UPDATE signals
+            SET outcome = ?, trade_id = ?, error = ?, processed_at = UTC_TIMESTAMP()
+         WHERE id = ?`,
+        [outcome, tradeId, error, id]
+    );
+}
+
+/**
+ * Parse, deduplicate and process an already-journaled signal. A replay
+ * (`replay: true`) does not record the alert price – it is history, not
+ * the last price.
+ *
+ * Returns { signalId, outcome, payload, result, error }.
+ */
+async function handleSignal(signal, { replay = false } = {}) {
+    const id = signal.id;
+    await db.execute('UPDATE signals SET attempts = attempts + 1 WHERE id = ?', [id]);
+
+    const { payload, error: parseError } = parseSignalBody(signal.raw_body);
+    if (parseError) {
+        await setOutcome(id, { outcome: 'parse_error', error: parseError });
+        publish('signal.parse_error', {
+            signal_id: id,
+            source_id: signal.source_id,
+            error: parseError,
+            raw_body: String(signal.raw_body || '').slice(0, 500),
+        });
+        return { signalId: id, outcome: 'parse_error', error: parseError };
+    }
+
+    // Late or backdated alerts are still applied – at their own time – but flagged
+    const skew = timeSkewSeconds(payload, signal.received_at);
+    const skewFlagged = skew !== null && Math.abs(skew) > MAX_SKEW_SECONDS;
+    await db.execute(
+        'UPDATE signals SET payload = ?, symbol = ?, time_skew_seconds = ?, skew_flagged = ? WHERE id = ?',
+        [JSON.stringify(payload), payload.symbol ? String(payload.symbol).slice(0, 50) : null, skew, skewFlagged ? 1 : 0, id]
+    );
+    if (skewFlagged) {
+        console.warn(`[Signals] Signal #${id} timestamp is ${skew}s from its receive time`);
+        publish('signal.time_skew', {
+            signal_id: id,
+            source_id: signal.source_id,
+            symbol: payload.symbol || null,
+            timestamp: payload.timestamp,
+            time_skew_seconds: skew,
+        });
+    }
+
+    if (!payload.symbol || !payload.price) {
+        const error = 'Missing required fields: symbol, price';
+        await setOutcome(id, { outcome: 'invalid', error });
+        return { signalId: id, outcome: 'invalid', payload, error };
+    }
+
+    const dedupKey = buildDedupKey(payload, signal.source_id);
+    if (dedupKey) {
+        try {
+            await db.execute('UPDATE signals SET dedup_key = ? WHERE id = ?', [dedupKey, id]);
+        } catch (err) {
+            if (err.code !== 'ER_DUP_ENTRY') throw err;
+            const [original] = await db.execute('SELECT id FROM signals WHERE dedup_key = ?', [dedupKey]);
+            const duplicateOf = original.length > 0 ? original[0].id : null;
+            await db.execute('UPDATE signals SET duplicate_of = ? WHERE id = ?', [duplicateOf, id]);
+            await setOutcome(id, { outcome: 'duplicate', error: `Duplicate of signal #${duplicateOf}` });
+            return { signalId: id, outcome: 'duplicate', payload, duplicateOf };
+        }
+    }
+
+    try {
+        const source = signal.source_id ? await getSourceById(signal.source_id) : null;
+        const price = parseFloat(payload.price);
+        if (price > 0 && !replay) {
+            // Last seen price per symbol, for marking open trades to market
+            const time = new Date(payload.timestamp || Date.now());
+            await recordPrice({
+                symbol: payload.symbol,
+                price,
+                time: isNaN(time.getTime()) ? new Date() : time,
+                source: 'alert',
+            });
+        }
+        const result = await processSignal(payload, {
+            sourceId: signal.source_id,
+            matchingPolicy: source ? source.matching_policy : undefined,
+            flipPolicy: source ? source.flip_policy : undefined,
+        });
+        const outcome = result.action;
+        await setOutcome(id, {
+            outcome,
+            tradeId: result.trade.id || null,
+            error: outcome === 'ignored' ? result.trade.reason : null,
+        });
+        return { signalId: id, outcome, payload, result };
+    } catch (err) {
+        // Free the dedup key so a retry of the same alert is not swallowed as a duplicate
+        await db.execute('UPDATE signals SET dedup_key = NULL WHERE id = ?', [id]);
+        await setOutcome(id, { outcome: 'error', error: err.message });
+        err.signalId = id;
+        throw err;
+    }
+}
+
+/* ===========================  INTAKE  =========================== */
+
+// While the intake is closed `held` is the tail of the signals that arrived
+// meanwhile; they are processed one by one, in arrival order, once it opens.
+let held = null;
+let releaseHeld = null;
+let inFlight = 0;
+let onIdle = null;
+
+function holdSignal(signal) {
+    const tail = held
+        .then(() => handleHeld(signal))
+        .catch((err) => console.error(`[Signals] Held signal #${signal.id} failed:`, err.message))
+        .then(() => { if (held === tail) held = null; });
+    held = tail;
+    return { signalId: signal.id, outcome: 'held' };
+}
+
+/**
+ * A held signal stays pending in the journal, so a replay resumed while it
+ * waited may have applied it already – it is skipped then.
+ */
+async function handleHeld(signal) {
+    const [rows] = await db.execute('SELECT outcome FROM signals WHERE id = ?', [signal.id]);
+    if (rows.length > 0 && rows[0].outcome !== 'pending') return null;
+    return handleSignal(signal);
+}
+
+async function processLive(signal) {
+    if (held) return holdSignal(signal);
+    inFlight++;
+    try {
+        return await handleSignal(signal);
+    } finally {
+        inFlight--;
+        if (inFlight === 0 && onIdle) onIdle();
+    }
+}
+
+/**
+ * Close the intake (if it is not closed already) and wait for the signals
+ * being processed.
+ */
+async function closeIntake() {
+    if (!releaseHeld) {
+        const gate = new Promise((resolve) => { releaseHeld = resolve; })
+            .then(() => { if (held === gate) held = null; });
+        held = gate;
+    }
+    if (inFlight > 0) await new Promise((resolve) => { onIdle = resolve; });
+    onIdle = null;
+}
+
+/**
+ * Release the signals held while the intake was closed.
+ */
+function openIntake() {
+    const release = releaseHeld;
+    releaseHeld = null;
+    if (release) release();
+}
+
+/**
+ * Journal an inbound webhook body, then process it. During a journal replay
+ * the signal is only journaled and answered with outcome 'held'.
+ */
+async function receiveSignal({ sourceId = null, ip = null, contentType = null, body }) {
+    const [result] = await db.execute(
+        `INSERT INTO signals (source_id, ip, content_type, raw_body) VALUES (?, ?, ?, ?)`,
+        [sourceId, ip, contentType ? contentType.slice(0, 100) : null, bodyToText(body)]
+    );
+    return processLive({ id: result.insertId, source_id: sourceId, raw_body: body, received_at: new Date() });
+}
+
+/* ===========================  JOURNAL ADMIN  =========================== */
+
+async function getSignals({ outcome, symbol, sourceId, flagged, limit = 200, offset = 0 } = {}) {
+    let query = 'SELECT * FROM signals WHERE 1=1';
+    const params = [];
+    if (outcome) {
+        query += ' AND outcome = ?';
+        params.push(outcome);
+    }
+    if (symbol) {
+        query += ' AND symbol = ?';
+        params.push(symbol);
+    }
+    if (sourceId) {
+        query += ' AND source_id = ?';
+        params.push(sourceId);
+    }
+    if (flagged !== undefined) {
+        query += ' AND skew_flagged = ?';
+        params.push(flagged ? 1 : 0);
+    }
+    query += ` ORDER BY received_at DESC, id DESC LIMIT ${Number(limit)} OFFSET ${Number(offset)}`;
+
+    const [rows] = await db.execute(query, params);
+    return rows;
+}
+
+async function getSignalById(id) {
+    const [rows] = await db.execute('SELECT * FROM signals WHERE id = ?', [id]);
+    return rows[0] || null;
+}
+
+/**
+ * Re-process a single journal entry (e.g. after a parser fix or a transient error).
+ * Entries that already opened/closed a trade, or are duplicates, are refused
+ * because applying them again would corrupt the trades table.
+ */
+async function reprocessSignal(id) {
+    const signal = await getSignalById(id);
+    if (!signal) return null;
+    if (held) return { conflict: unfinished ? 'A signal journal replay is unfinished – rerun it first' : 'A signal journal replay is running' };
+    if (APPLIED_OUTCOMES.includes(signal.outcome) || signal.outcome === 'duplicate') {
+        return { refused: true, signal };
+    }
+
+    await db.execute(
+        'UPDATE signals SET dedup_key = NULL, duplicate_of = NULL, trade_id = NULL, error = NULL WHERE id = ?',
+        [id]
+    );
+    try {
+        return await processLive(signal);
+    } catch (err) {
+        return { signalId: id, outcome: 'error', error: err.message };
+    }
+}
+
+/* ===========================  REPLAY  =========================== */
+
+// A replay that started and has not completed yet (in signal_replays): the
+// intake stays closed until it is finished
+let replaying = false;
+let unfinished = false;
+
+async function getLatestReplay() {
+    const [rows] = await db.execute('SELECT * FROM signal_replays ORDER BY id DESC LIMIT 1');
+    return rows[0] || null;
+}
+
+/**
+ * Clear the signal trades and reset the journal in one transaction, and
+ * record the replay. Returns the signal_replays row, or { conflict } when
+ * archived batches hold signal trades.
+ */
+async function startReplay(actor) {
+    return withTransaction(async (conn) => {
+        const archived = await findArchivedBatchesReferencing('t.import_id IS NULL AND t.manual = 0', [], conn);
+        if (archived.length > 0) {
+            return { conflict: `Archived batch(es) ${archived.join(', ')} hold signal trades – unarchive them before a replay` };
+        }
+
+        console.log('[Signals] Replaying journal – clearing trades …');
+        // Imported and manually created trades did not come from the journal, so they are kept
+        await conn.execute('DELETE FROM trades WHERE import_id IS NULL AND manual = 0');
+        await conn.execute(
+            `UPDATE signals
+                SET dedup_key = NULL, duplicate_of = NULL, trade_id = NULL,
+                    outcome = 'pending', error = NULL`
+        );
+        const [result] = await conn.execute(
+            'INSERT INTO signal_replays (signals_total, requested_by) SELECT COUNT(*), ? FROM signals',
+            [actor ? actor.id : null]
+        );
+        const [rows] = await conn.execute('SELECT * FROM signal_replays WHERE id = ?', [result.insertId]);
+        return rows[0];
+    });
+}
+
+/**
+ * Apply the journal entries still pending in receive order, then rebuild
+ * every batch log. A replay resumed after a failure or a restart picks up
+ * where it stopped.
+ */
+async function runReplay(replay) {
+    try {
+        const [signals] = await db.execute(
+            `SELECT id, source_id, raw_body, received_at FROM signals
+             WHERE outcome = 'pending' ORDER BY received_at ASC, id ASC`
+        );
+        const counts = {};
+        await withoutEvents(async () => {
+            for (const signal of signals) {
+                let outcome;
+                try {
+                    ({ outcome } = await handleSignal(signal, { replay: true }));
+                } catch (err) {
+                    // handleSignal() stored the 'error' outcome; the replay goes on
+                    if (!err.signalId) throw err;
+                    console.error(`[Signals] Replay of signal #${signal.id} failed:`, err.message);
+                    outcome = 'error';
+                }
+                counts[outcome] = (counts[outcome] || 0) + 1;
+                await db.execute('UPDATE signal_replays SET signals_done = signals_done + 1 WHERE id = ?', [replay.id]);
+            }
+        });
+
+        const [batches] = await db.execute('SELECT id FROM batches WHERE deleted_at IS NULL AND archived_at IS NULL');
+        for (const batch of batches) {
+            await rebuildBatchLog(batch.id);
+        }
+
+        const summary = { replay_id: replay.id, signals: signals.length, outcomes: counts, batches_rebuilt: batches.length };
+        await db.execute(
+            "UPDATE signal_replays SET status = 'done', result = ?, error = NULL, finished_at = UTC_TIMESTAMP() WHERE id = ?",
+            [JSON.stringify(summary), replay.id]
+        );
+        return summary;
+    } catch (err) {
+        await db.execute("UPDATE signal_replays SET status = 'failed', error = ? WHERE id = ?", [err.message, replay.id])
+            .catch((updateErr) => console.error('[Signals] Could not record the replay failure:', updateErr.message));
+        throw err;
+    }
+}
+
+/**
+ * Rebuild the trades table from scratch by replaying every journal entry
+ * in the order it was received, then rebuild every batch log. Imported
+ * and manually created trades are kept; manual edits of signal trades are lost.
+ *
+ * The intake is closed meanwhile: webhooks are journaled and processed
+ * after the replay. Replayed signals publish no events (notification rules
+ * would send the whole history again) and do not record prices.
+ *
+ * The replay is tracked in signal_replays. When it fails the intake stays
+ * closed and the next call (or the next start) resumes it instead of
+ * starting over, so live signals never run on a half-rebuilt trades table.
+ *
+ * Archived batches are not rebuilt, so the replay is refused while one of
+ * them logged a signal trade – deleting it would empty their log.
+ *
+ * @param {object} options  { actor, resumeOnly } – `resumeOnly` only finishes an unfinished replay
+ * @returns {object} summary, null (resumeOnly, nothing to resume) or { conflict } when
+ *                   a replay is already running or archived batches hold signal trades
+ */
+async function replayJournal({ actor = null, resumeOnly = false } = {}) {
+    if (replaying) return { conflict: 'A signal journal replay is already running' };
+    replaying = true;
+    try {
+        await closeIntake();
+        let replay = await getLatestReplay();
+        if (replay && replay.status !== 'done') {
+            console.log(`[Signals] Resuming journal replay #${replay.id}`);
+            await db.execute(
+                `UPDATE signal_replays
+                    SET status = 'running',
+                        signals_total = signals_done + (SELECT COUNT(*) FROM signals WHERE outcome = 'pending')
+                 WHERE id = ?`,
+                [replay.id]
+            );
+        } else if (resumeOnly) {
+            return null;
+        } else {
+            replay = await startReplay(actor);
+            if (replay.conflict) return replay;
+        }
+        unfinished = true;
+
+        const summary = await runReplay(replay);
+        unfinished = false;
+        console.log(`[Signals] Replayed ${summary.signals} signals, rebuilt ${summary.batches_rebuilt} batches`);
+        publish('signal.replayed', summary);
+        return summary;
+    } catch (err) {
+        if (unfinished) console.error('[Signals] Journal replay failed – webhooks stay held until it is rerun:', err.message);
+        throw err;
+    } finally {
+        replaying = false;
+        if (!unfinished) openIntake();
+    }
+}
+
+/**
+ * Finish a journal replay a failure or a restart interrupted, before live
+ * signals are processed again.
+ */
+function start() {
+    replayJournal({ resumeOnly: true })
+        .catch((err) => console.error('[Signals] Journal replay resume failed:', err.message));
+}
+
+module.exports = {
+    MAX_SKEW_SECONDS,
+    buildDedupKey,
+    receiveSignal,
+    getSignals,
+    getSignalById,
+    reprocessSignal,
+    getLatestReplay,
+    replayJournal,
+    start,
+};
@@ -0,0 +1,237 @@
+/**
+ * Time buckets – date-range, timezone and bucket handling shared by the
+ * analytics queries. Bucketing happens in JS (Intl time zones) so MySQL
+ * does not need its time zone tables loaded.
+ */
+
+const BUCKETS = ['hour', 'day', 'week', 'month', 'quarter', 'year'];
+
+const HOUR_MS = 3600000;
+const DAY_MS = 86400000;
+const MAX_BUCKETS = 100000;
+
+const formatters = new Map();
+
+function formatterFor(tz) {
+    if (!formatters.has(tz)) {
+        formatters.set(tz, new Intl.DateTimeFormat('en-US', {
+            timeZone: tz,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+        }));
+    }
+    return formatters.get(tz);
+}
+
+const offsetFormatters = new Map();
+
+/**
+ * UTC offset of `tz` at `date`, in minutes.
+ */
+function offsetMinutes(date, tz) {
+    if (!offsetFormatters.has(tz)) {
+        offsetFormatters.set(tz, new Intl.DateTimeFormat('en-US', { timeZone: tz, timeZoneName: 'longOffset' }));
+    }
+    const name = offsetFormatters.get(tz).formatToParts(date).find((p) => p.type === 'timeZoneName').value;
+    const match = /GMT([+-])(\d{2}):?(\d{2})?/.exec(name);
+    if (!match) return 0;
+    return (match[1] === '-' ? -1 : 1) * (parseInt(match[2], 10) * 60 + parseInt(match[3] || '0', 10));
+}
+
+/**
+ * The instant a local wall-clock time in `tz` refers to. `wall` holds the
+ * local fields as UTC fields (Date.UTC(year, month, day, hour, minute)).
+ */
+function zonedTimeToUtc(wall, tz) {
+    const wallMs = new Date(wall).getTime();
+    let utc = wallMs - offsetMinutes(new Date(wallMs), tz) * 60000;
+    // Second pass settles times next to a DST change
+    utc = wallMs - offsetMinutes(new Date(utc), tz) * 60000;
+    return new Date(utc);
+}
+
+function isValidTimeZone(tz) {
+    try {
+        formatterFor(tz);
+        return true;
+    } catch (err) {
+        return false;
+    }
+}
+
+/**
+ * Wall-clock time of `date` in `tz`, as a Date whose UTC fields hold the
+ * local year / month / day / hour. Calendar arithmetic on it is DST-free.
+ */
+function toWallClock(date, tz) {
+    const parts = {};
+    for (const { type, value } of formatterFor(tz).formatToParts(new Date(date))) parts[type] = value;
+    return new Date(Date.UTC(+parts.year, +parts.month - 1, +parts.day, +parts.hour));
+}
+
+/**
+ * Truncate a wall-clock date to the start of its bucket.
+ * Weeks start on Monday.
+ */
+function truncate(wall, bucket) {
+    const y = wall.getUTCFullYear();
+    const m = wall.getUTCMonth();
+    switch (bucket) {
+        case 'hour': return new Date(Date.UTC(y, m, wall.getUTCDate(), wall.getUTCHours()));
+        case 'day': return new Date(Date.UTC(y, m, wall.getUTCDate()));
+        case 'week': {
+            const day = new Date(Date.UTC(y, m, wall.getUTCDate()));
+            return new Date(day.getTime() - ((day.getUTCDay() + 6) % 7) * DAY_MS);
+        }
+        case 'month': return new Date(Date.UTC(y, m, 1));
+        case 'quarter': return new Date(Date.UTC(y, m - (m % 3), 1));
+        default: return new Date(Date.UTC(y, 0, 1));
+    }
+}
+
+function nextBucket(start, bucket) {
+    const y = start.getUTCFullYear();
+    const m = start.getUTCMonth();
+    switch (bucket) {
+        case 'hour': return new Date(start.getTime() + HOUR_MS);
+        case 'day': return new Date(start.getTime() + DAY_MS);
+        case 'week': return new Date(start.getTime() + 7 * DAY_MS);
+        case 'month': return new Date(Date.UTC(y, m + 1, 1));
+        case 'quarter': return new Date(Date.UTC(y, m + 3, 1));
+        default: return new Date(Date.UTC(y + 1, 0, 1));
+    }
+}
+
+/**
+ * Label of a truncated wall-clock bucket start:
+ * hour "2026-02-21 13:00", day / week "2026-02-21", month "2026-02",
+ * quarter "2026-Q1", year "2026".
+ */
+function label(start, bucket) {
+    const iso = start.toISOString();
+    switch (bucket) {
+        case 'hour': return `${iso.slice(0, 10)} ${iso.slice(11, 16)}`;
+        case 'day':
+        case 'week': return iso.slice(0, 10);
+        case 'month': return iso.slice(0, 7);
+        case 'quarter': return `${iso.slice(0, 4)}-Q${Math.floor(start.getUTCMonth() / 3) + 1}`;
+        default: return iso.slice(0, 4);
+    }
+}
+
+function bucketLabel(date, bucket, tz) {
+    return label(truncate(toWallClock(date, tz), bucket), bucket);
+}
+
+/**
+ * Every bucket label from `from` to `to` (inclusive), for gap-filling.
+ */
+function bucketRange(from, to, bucket, tz) {
+    const labels = [];
+    const end = truncate(toWallClock(to, tz), bucket);
+    for (let b = truncate(toWallClock(from, tz), bucket); b <= end; b = nextBucket(b, bucket)) {
+        labels.push(label(b, bucket));
+        // Guard against absurd ranges (e.g. hourly buckets over decades)
+        if (labels.length >= MAX_BUCKETS) break;
+    }
+    return labels;
+}
+
+/**
+ * Group time-ordered rows into buckets and gap-fill the range.
+ *
+ * @param {Array}    rows     rows ordered by `timeField`
+ * @param {object}   options  { timeField, bucket, tz, from, to }
+ * @returns {Array<{ period: string, rows: Array }>} one entry per bucket, empty buckets included
+ */
+function groupByBucket(rows, { timeField, bucket, tz, from, to }) {
+    const groups = new Map();
+    for (const row of rows) {
+        const key = bucketLabel(row[timeField], bucket, tz);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(row);
+    }
+
+    const first = from || (rows[0] && rows[0][timeField]);
+    if (!first) return [];
+    // A range open to the end runs up to now, so every series over it has the same buckets
+    const last = to || (from ? new Date() : rows[rows.length - 1][timeField]);
+
+    return bucketRange(first, last, bucket, tz).map((period) => ({ period, rows: groups.get(period) || [] }));
+}
+
+/**
+ * Parse a range bound. "YYYY-MM-DD[ HH:MM[:SS]]" is local time in `tz`;
+ * a date-only `to` covers that whole day, up to (not including) the next
+ * local midnight. Anything else (ISO times with a zone) is absolute.
+ */
+function parseBound(value, tz, isEnd) {
+    const local = /^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/.exec(String(value).trim());
+    if (!local) {
+        const date = new Date(value);
+        return isNaN(date.getTime()) ? null : date;
+    }
+    const [, y, m, d, h, min = '0', sec = '0'] = local;
+    if (h !== undefined) return zonedTimeToUtc(Date.UTC(+y, +m - 1, +d, +h, +min, +sec), tz);
+    if (!isEnd) return zonedTimeToUtc(Date.UTC(+y, +m - 1, +d), tz);
+    return new Date(zonedTimeToUtc(Date.UTC(+y, +m - 1, +d + 1), tz).getTime() - 1);
+}
+
+/**
+ * Read from / to / tz / bucket from a query string.
+ * Returns { options } or { error }.
+ */
+function parseRangeQuery(query, { defaultBucket = null } = {}) {
+    const options = { from: null, to: null, tz: 'UTC', bucket: defaultBucket };
+
+    if (query.tz) {
+        if (!isValidTimeZone(query.tz)) return { error: 'tz must be an IANA time zone, e.g. Europe/Berlin' };
+        options.tz = query.tz;
+    }
+    for (const field of ['from', 'to']) {
+        if (query[field]) {
+            const date = parseBound(query[field], options.tz, field === 'to');
+            if (!date) return { error: `${field} must be a valid date` };
+            options[field] = date;
+        }
+    }
+    if (options.from && options.to && options.from > options.to) {
+        return { error: 'from must be before to' };
+    }
+    if (query.bucket) {
+        if (!BUCKETS.includes(query.bucket)) return { error: `bucket must be one of: ${BUCKETS.join(', ')}` };
+        options.bucket = query.bucket;
+    }
+    return { options };
+}
+
+/**
+ * SQL condition limiting `column` to the range (from inclusive, to inclusive;
+ * a date-only `to` is already the last millisecond of its day).
+ */
+function rangeClause(column, { from, to } = {}) {
+    let sql = '';
+    const params = [];
+    if (from) {
+        sql += ` AND ${column} >= ?`;
+        params.push(from);
+    }
+    if (to) {
+        sql += ` AND ${column} <= ?`;
+        params.push(to);
+    }
+    return { sql, params };
+}
+
+module.exports = {
+    BUCKETS,
+    isValidTimeZone,
+    zonedTimeToUtc,
+    bucketLabel,
+    groupByBucket,
+    parseRangeQuery,
+    rangeClause,
+};
@@ -0,0 +1,286 @@
+/**
+ * Trade import parser – turns exported trade lists into normalized closed
+ * trades for importService.
+ *
+ * Formats:
+ *   tradingview – the strategy tester's "List of trades" CSV export: one
+ *                 "Entry long/short" and one "Exit long/short" row per
+ *                 Trade #. The export has no symbol, so it is passed in.
+ *   generic     – CSV with the columns symbol, side, entry_time, entry_price,
+ *                 exit_time, exit_price and optionally quantity, timeframe, strategy.
+ *   json        – an array of objects with the generic columns.
+ *
+ * Times without a zone (TradingView exports use the chart's time zone) are
+ * read in `tz`. Semicolon-separated CSV is read with decimal commas.
+ */
+const { zonedTimeToUtc } = require('./timeBuckets');
+
+const FORMATS = ['tradingview', 'generic', 'json'];
+
+/**
+ * The CSV delimiter, taken from the header line: semicolon when it has more
+ * semicolons than commas.
+ */
+function detectDelimiter(text) {
+    const headerLine = String(text).replace(/^\uFEFF/, '').split(/\r?\n/, 1)[0];
+    return (headerLine.match(/;/g) || []).length > (headerLine.match(/,/g) || []).length ? ';' : ',';
+}
+
+/**
+ * Minimal RFC 4180 CSV parser: quoted fields, doubled quotes, CRLF. The
+ * delimiter (comma or semicolon) is taken from the header line.
+ */
+function parseCsv(text) {
+    const input = String(text).replace(/^\uFEFF/, '');
+    const delimiter = detectDelimiter(input);
+
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < input.length; i++) {
+        const c = input[i];
+        if (quoted) {
+            if (c === '"' && input[i + 1] === '"') { field += '"'; i++; }
+            else if (c === '"') quoted = false;
+            else field += c;
+        } else if (c === '"') {
+            quoted = true;
+        } else if (c === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += c;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter((r) => r.some((v) => v.trim() !== ''));
+}
+
+/**
+ * CSV text to objects keyed by the trimmed header names.
+ */
+function csvToObjects(text) {
+    const [header, ...rows] = parseCsv(text);
+    if (!header) return [];
+    const keys = header.map((h) => h.trim());
+    return rows.map((values) => {
+        const obj = {};
+        keys.forEach((key, i) => { obj[key] = values[i] !== undefined ? values[i].trim() : ''; });
+        return obj;
+    });
+}
+
+/**
+ * Parse a time: ISO strings with a zone and epoch seconds / milliseconds are
+ * absolute, "YYYY-MM-DD[ HH:MM[:SS]]" is local time in `tz`.
+ */
+function parseTime(value, tz) {
+    if (value === undefined || value === null || value === '') return null;
+    const text = String(value).trim();
+
+    const local = /^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/.exec(text);
+    if (local) {
+        const [, y, m, d, h = '0', min = '0', sec = '0'] = local;
+        return zonedTimeToUtc(Date.UTC(+y, +m - 1, +d, +h, +min, +sec), tz);
+    }
+    if (/^\d+(\.\d+)?$/.test(text)) {
+        const n = parseFloat(text);
+        return new Date(n > 1e12 ? n : n * 1000);
+    }
+    const date = new Date(text);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Numbers as exported. With a decimal point: "1234.5", "1,234.5" (thousands
+ * separators) or "1234,5" (a lone comma that cannot be a thousands group).
+ * With a decimal comma (semicolon CSV): "1234,5" or "1.234,5".
+ */
+function parseNumber(value, decimal = '.') {
+    if (value === undefined || value === null || value === '') return null;
+    let text = String(value).replace(/\s/g, '');
+    if (decimal === ',') {
+        if (/^-?\d{1,3}(\.\d{3})+(,\d+)?$/.test(text)) text = text.replace(/\./g, '');
+        if (/^-?\d+,\d+$/.test(text)) text = text.replace(',', '.');
+    } else if (/^-?[1-9]\d{0,2}(,\d{3})+(\.\d+)?$/.test(text)) {
+        text = text.replace(/,/g, '');
+    } else if (/^-?\d+,\d+$/.test(text)) {
+        text = text.replace(',', '.');
+    }
+    const n = Number(text);
+    return isFinite(n) ? n : null;
+}
+
+function normalizeSide(value) {
+    const side = String(value || '').trim().toLowerCase();
+    if (['long', 'buy', 'bullish'].includes(side)) return 'long';
+    if (['short', 'sell', 'bearish'].includes(side)) return 'short';
+    return null;
+}
+
+/**
+ * Check a normalized trade. Returns an error message or null.
+ */
+function validateTrade(t) {
+    if (!t.symbol) return 'symbol is required';
+    if (!t.side) return 'side must be long or short';
+    if (!(t.entry_price > 0)) return 'entry_price must be a positive number';
+    if (!(t.exit_price > 0)) return 'exit_price must be a positive number';
+    if (!t.entry_time) return 'entry_time is missing or invalid';
+    if (!t.exit_time) return 'exit_time is missing or invalid';
+    if (t.exit_time < t.entry_time) return 'exit_time is before entry_time';
+    if (t.quantity !== null && !(t.quantity > 0)) return 'quantity must be a positive number';
+    return null;
+}
+
+function findColumn(keys, patterns) {
+    return keys.find((key) => patterns.some((p) => p.test(key)));
+}
+
+/**
+ * TradingView "List of trades": pair Entry / Exit rows by Trade #.
+ * Trades still open at export time ("Open" exit signal) are skipped.
+ */
+function parseTradingView(text, { symbol, timeframe, strategy, tz, decimal }) {
+    const rows = csvToObjects(text);
+    const result = { trades: [], errors: [], skipped: [] };
+    if (rows.length === 0) return result;
+
+    const keys = Object.keys(rows[0]);
+    const col = {
+        number: findColumn(keys, [/^trade\s*#/i]),
+        type: findColumn(keys, [/^type$/i]),
+        signal: findColumn(keys, [/^signal$/i]),
+        time: findColumn(keys, [/^date\s*(\/|and)\s*time$/i, /^date$/i, /^time$/i]),
+        price: findColumn(keys, [/^price/i]),
+        quantity: findColumn(keys, [/^contracts$/i, /^quantity$/i, /^position size \(qty\)$/i]),
+    };
+    const missing = ['number', 'type', 'time', 'price'].filter((c) => !col[c]);
+    if (missing.length > 0) {
+        result.errors.push({ row: 1, error: `Not a TradingView "List of trades" export (missing ${missing.join(', ')} column)` });
+        return result;
+    }
+
+    const byNumber = new Map();
+    rows.forEach((row, i) => {
+        const number = row[col.number];
+        if (!byNumber.has(number)) byNumber.set(number, { line: i + 2, rows: [] });
+        const entry = byNumber.get(number);
+        const type = String(row[col.type]).toLowerCase();
+        if (type.startsWith('entry')) entry.entry = row;
+        else if (type.startsWith('exit')) entry.exit = row;
+        entry.rows.push(row);
+    });
+
+    const numbers = [...byNumber.keys()].sort((a, b) => parseFloat(a) - parseFloat(b));
+    for (const number of numbers) {
+        const { line, entry, exit, rows: tradeRows } = byNumber.get(number);
+        if (!entry || !exit) {
+            result.errors.push({ row: line, error: `Trade #${number} needs an entry and an exit row` });
+            continue;
+        }
+        if (col.signal && String(exit[col.signal]).trim().toLowerCase() === 'open') {
+            result.skipped.push({ row: line, reason: `Trade #${number} is still open` });
+            continue;
+        }
+        const trade = {
+            row: line,
+            symbol: String(symbol || '').toUpperCase(),
+            timeframe: timeframe || '',
+            strategy: strategy || '',
+            order_id: `TV#${number}`,
+            side: normalizeSide(String(entry[col.type]).split(/\s+/)[1]),
+            entry_price: parseNumber(entry[col.price], decimal),
+            exit_price: parseNumber(exit[col.price], decimal),
+            entry_time: parseTime(entry[col.time], tz),
+            exit_time: parseTime(exit[col.time], tz),
+            quantity: col.quantity ? parseNumber(entry[col.quantity], decimal) : null,
+            raw: tradeRows,
+        };
+        const error = validateTrade(trade);
+        if (error) result.errors.push({ row: line, error: `Trade #${number}: ${error}` });
+        else result.trades.push(trade);
+    }
+    return result;
+}
+
+/**
+ * Generic CSV rows or JSON objects. `symbol` / `timeframe` / `strategy`
+ * fill in columns the rows leave empty.
+ */
+function parseGenericRows(rows, { symbol, timeframe, strategy, tz, decimal, firstLine = 1 }) {
+    const result = { trades: [], errors: [], skipped: [] };
+    rows.forEach((row, i) => {
+        const line = i + firstLine;
+        if (!row || typeof row !== 'object') {
+            result.errors.push({ row: line, error: 'row must be an object' });
+            return;
+        }
+        const trade = {
+            row: line,
+            symbol: String(row.symbol || symbol || '').toUpperCase(),
+            timeframe: String(row.timeframe || timeframe || ''),
+            strategy: String(row.strategy || strategy || '').slice(0, 100),
+            order_id: row.order_id ? String(row.order_id).slice(0, 100) : null,
+            side: normalizeSide(row.side),
+            entry_price: parseNumber(row.entry_price, decimal),
+            exit_price: parseNumber(row.exit_price, decimal),
+            entry_time: parseTime(row.entry_time, tz),
+            exit_time: parseTime(row.exit_time, tz),
+            quantity: parseNumber(row.quantity, decimal),
+            raw: row,
+        };
+        const error = validateTrade(trade);
+        if (error) result.errors.push({ row: line, error });
+        else result.trades.push(trade);
+    });
+    return result;
+}
+
+/**
+ * Guess the format of a CSV text from its header.
+ */
+function detectFormat(text) {
+    const header = String(text).replace(/^\uFEFF/, '').split(/\r?\n/, 1)[0];
+    return /trade\s*#/i.test(header) ? 'tradingview' : 'generic';
+}
+
+/**
+ * Parse an import.
+ *
+ * @param {object} input  { format, csv, trades, symbol, timeframe, strategy, tz }
+ * @returns {{ format, trades, errors, skipped }}
+ */
+function parseImport({ format, csv, trades, symbol, timeframe, strategy, tz = 'UTC' }) {
+    const resolved = format || (Array.isArray(trades) ? 'json' : detectFormat(csv || ''));
+    const decimal = resolved !== 'json' && detectDelimiter(csv || '') === ';' ? ',' : '.';
+    const options = { symbol, timeframe, strategy, tz, decimal };
+
+    let parsed;
+    if (resolved === 'json') {
+        parsed = parseGenericRows(trades || [], options);
+    } else if (resolved === 'tradingview') {
+        parsed = parseTradingView(csv || '', options);
+    } else {
+        parsed = parseGenericRows(csvToObjects(csv || ''), { ...options, firstLine: 2 });
+    }
+    return { format: resolved, ...parsed };
+}
+
+module.exports = {
+    FORMATS,
+    parseCsv,
+    parseTime,
+    parseNumber,
+    parseImport,
+};
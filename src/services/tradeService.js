@@ -1,323 +1,554 @@
 /**
  * Trade service – persists webhook signals and matches entry ↔ exit.
- */
-const db = require('../db/connection');
-
-/**
- * Determine whether this signal is an entry or an exit.
  *
- * Payload fields:
- *   – side:  "bullish" | "bearish"   (direction of the trade)
- *   – type:  "entry"  | "exit"       (whether this opens or closes a trade)
- *
- * If type is explicitly "exit", we close the matching open trade.
- * If type is "entry", we open a new trade.
- * If type is neither (legacy), fall back to auto-detection:
- *   open trade exists → exit, otherwise → entry.
+ * A signal is applied as one transaction – trade rows, fills and the batch
+ * log rows it causes commit or roll back together – and signals for one
+ * symbol are applied one at a time in arrival order (keyed queue), so an
+ * exit and a new entry fired on the same bar cannot interleave.
+ * Functions below take the transaction's connection as `conn`.
  */
-async function processSignal(payload) {
-    const {
-        symbol,
-        side,
-        timeframe,
-        type,
-        price,
-        closeonflip,
-        timestamp,
-    } = payload;
+const db = require('../db/connection');
+const { withTransaction } = require('../db/transaction');
+const { runExclusive, symbolKey } = require('./keyedQueue');
+const { openBatchPositionsForTrade, updateBatchLogsForTrade } = require('./batchLogService');
+const { publish } = require('./eventBus');
 
-    const signalTime = timestamp ? new Date(timestamp) : new Date();
-    const numericPrice = parseFloat(price);
+function isLongSide(side) {
+    return side === 'bullish' || side === 'long';
+}
 
-    const typeLower = (type || '').toLowerCase();
-    const isExplicitExit = typeLower === 'exit';
-    const isExplicitEntry = typeLower === 'entry';
+function isShortSide(side) {
+    return side === 'bearish' || side === 'short';
+}
 
-    // Try to find an open trade for this symbol
-    const [openTrades] = await db.execute(
-        `SELECT * FROM trades WHERE symbol = ? AND status = 'open' ORDER BY entry_time ASC LIMIT 1`,
-        [symbol]
-    );
+function isOppositeSide(a, b) {
+    return (isLongSide(a) && isShortSide(b)) || (isShortSide(a) && isLongSide(b));
+}
 
-    // Decide: EXIT if explicit exit OR (auto-detect: open trade exists and not explicit entry)
-    const shouldExit = openTrades.length > 0 && (isExplicitExit || !isExplicitEntry);
+function isTruthyFlag(value) {
+    return value === true || String(value).toLowerCase() === 'true';
+}
 
-    // Reject exit signals that have no matching open position
-    if (isExplicitExit && openTrades.length === 0) {
-        console.log(`[Trade] Ignoring exit signal for ${symbol} — no open position found`);
-        return { action: 'ignored', trade: { symbol, reason: 'No open position to close' } };
-    }
+/**
+ * Signed position quantity after the signal (strategy alerts only), or null
+ * when the payload does not carry one. Text alerts set _positionQty, JSON
+ * payloads may send position_qty.
+ */
+function targetPositionQty(payload) {
+    const raw = payload._positionQty !== undefined ? payload._positionQty : payload.position_qty;
+    if (raw === undefined || raw === null || raw === '') return null;
+    const qty = parseFloat(raw);
+    return isNaN(qty) ? null : qty;
+}
 
-    if (shouldExit) {
-        // -------- EXIT --------
-        const openTrade = openTrades[0];
-        const entryPrice = parseFloat(openTrade.entry_price);
-
-        // PnL calculation
-        let pnlPercent;
-        if (openTrade.side === 'bullish' || openTrade.side === 'long') {
-            pnlPercent = ((numericPrice - entryPrice) / entryPrice) * 100;
-        } else {
-            // bearish / short: profit when price goes down
-            pnlPercent = ((entryPrice - numericPrice) / entryPrice) * 100;
-        }
+const MATCHING_POLICIES = ['fifo', 'lifo', 'exact'];
 
-        await db.execute(
-            `UPDATE trades
-                SET exit_price  = ?,
-                    exit_time   = ?,
-                    pnl_percent = ?,
-                    status      = 'closed',
-                    raw_payload = JSON_MERGE_PATCH(COALESCE(raw_payload, '{}'), ?)
-             WHERE id = ?`,
-            [
-                numericPrice,
-                signalTime,
-                pnlPercent.toFixed(4),
-                JSON.stringify({ exit_payload: payload }),
-                openTrade.id,
-            ]
-        );
+/**
+ * What an opposite-side entry does to an open trade when closeonflip is off:
+ *   ignore – the signal is dropped (default)
+ *   hedge  – a second trade is opened in the other direction
+ */
+const FLIP_POLICIES = ['ignore', 'hedge'];
 
-        const closedTrade = {
-            ...openTrade,
-            exit_price: numericPrice,
-            exit_time: signalTime,
-            pnl_percent: parseFloat(pnlPercent.toFixed(4)),
-            status: 'closed',
-        };
+/**
+ * Position identity of a signal. Entries and exits only match within the
+ * same key: symbol + timeframe + webhook source + strategy, so a 1H and a 4H
+ * strategy (or two Pine scripts) on one symbol never close each other's trades.
+ * JSON payloads may name the strategy in `strategy`; the order id comes from
+ * the text alert's "Order ID" or `order_id` (`entry_order_id` on exits).
+ */
+function resolvePosition(payload, sourceId) {
+    const symbol = payload.symbol;
+    const timeframe = payload.timeframe || '';
+    const strategy = payload.strategy ? String(payload.strategy).slice(0, 100) : '';
+    const orderId = payload.entry_order_id || payload.order_id || payload._orderId || null;
 
-        // Update batch_trade_log for all batches that contain this symbol
-        await updateBatchLogsForTrade(closedTrade);
+    return {
+        symbol,
+        timeframe,
+        sourceId: sourceId || null,
+        strategy,
+        orderId: orderId ? String(orderId).slice(0, 100) : null,
+        key: [String(symbol).toUpperCase(), timeframe, sourceId || 0, strategy].join('|'),
+    };
+}
 
-        return { action: 'exit', trade: closedTrade };
+/**
+ * Open trade a signal applies to, per the source's matching policy:
+ *   fifo  – oldest open trade with the same position key (default)
+ *   lifo  – newest open trade with the same position key
+ *   exact – same position key and the same order id
+ */
+async function findOpenTrade(position, policy = 'fifo', conn = db) {
+    let query = `SELECT * FROM trades WHERE position_key = ? AND status = 'open' AND voided_at IS NULL`;
+    const params = [position.key];
+    if (policy === 'exact') {
+        query += ' AND order_id <=> ?';
+        params.push(position.orderId);
     }
+    query += policy === 'lifo'
+        ? ' ORDER BY entry_time DESC, id DESC LIMIT 1'
+        : ' ORDER BY entry_time ASC, id ASC LIMIT 1';
+    query += ' FOR UPDATE';
 
-    // -------- ENTRY --------
-    // side comes as "bullish" / "bearish" — store it directly
-    const determinedSide = (side || 'bullish').toLowerCase();
+    const [openTrades] = await conn.execute(query, params);
+    return openTrades[0] || null;
+}
+
+async function recordFill(tradeId, { fillType, quantity, price, time, realizedPnl = null, payload }, conn = db) {
+    await conn.execute(
+        `INSERT INTO trade_fills (trade_id, fill_type, quantity, price, fill_time, realized_pnl, payload)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [tradeId, fillType, quantity, price, time, realizedPnl, JSON.stringify(payload)]
+    );
+}
 
-    const [result] = await db.execute(
-        `INSERT INTO trades (symbol, timeframe, side, entry_price, entry_time, status, raw_payload)
-         VALUES (?, ?, ?, ?, ?, 'open', ?)`,
+/**
+ * Open a new trade and reserve capital for it in every batch containing the symbol.
+ */
+async function openTrade({ position, side, price, time, quantity = null, payload }, conn = db) {
+    const { symbol, timeframe } = position;
+    const [result] = await conn.execute(
+        `INSERT INTO trades
+            (symbol, timeframe, source_id, strategy, order_id, position_key,
+             side, entry_price, entry_time, quantity, status, raw_payload)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'open', ?)`,
         [
             symbol,
             timeframe,
-            determinedSide,
-            numericPrice,
-            signalTime,
+            position.sourceId,
+            position.strategy,
+            position.orderId,
+            position.key,
+            side,
+            price,
+            time,
+            quantity,
             JSON.stringify({ entry_payload: payload }),
         ]
     );
 
+    if (quantity !== null) {
+        await recordFill(result.insertId, { fillType: 'open', quantity, price, time, payload }, conn);
+    }
+
+    const openedTrade = {
+        id: result.insertId,
+        symbol,
+        timeframe,
+        source_id: position.sourceId,
+        strategy: position.strategy,
+        order_id: position.orderId,
+        position_key: position.key,
+        side,
+        entry_price: price,
+        entry_time: time,
+        quantity,
+        status: 'open',
+    };
+
+    // Reserve capital in every batch that contains this symbol
+    await openBatchPositionsForTrade(openedTrade, conn);
+
+    return openedTrade;
+}
+
+/**
+ * Realized PnL (quote currency) of closing `quantity` of a trade at `price`.
+ */
+function realizedPnl(trade, quantity, price) {
+    const entryPrice = parseFloat(trade.entry_price);
+    const direction = isLongSide(trade.side) ? 1 : -1;
+    return (price - entryPrice) * quantity * direction;
+}
+
+/**
+ * Entry price and quantity after scaling `quantity` in at `price`: the
+ * entry price becomes the quantity-weighted average.
+ */
+function scaledIn(trade, quantity, price) {
+    const currentQty = parseFloat(trade.quantity);
+    const newQty = currentQty + quantity;
     return {
-        action: 'entry',
-        trade: {
-            id: result.insertId,
-            symbol,
-            timeframe,
-            side: determinedSide,
-            entry_price: numericPrice,
-            entry_time: signalTime,
-            status: 'open',
-        },
+        entry_price: (parseFloat(trade.entry_price) * currentQty + price * quantity) / newQty,
+        quantity: newQty,
+    };
+}
+
+/**
+ * Quantity fields after closing `quantity` at `price`, plus the PnL that
+ * fill realizes. Closed quantity, cost basis and realized PnL add up over
+ * every partial exit.
+ */
+function partiallyClosed(trade, quantity, price) {
+    const pnl = realizedPnl(trade, quantity, price);
+    return {
+        pnl,
+        quantity: parseFloat(trade.quantity) - quantity,
+        closed_quantity: (parseFloat(trade.closed_quantity) || 0) + quantity,
+        closed_cost_basis: (parseFloat(trade.closed_cost_basis) || 0) + parseFloat(trade.entry_price) * quantity,
+        realized_pnl: (parseFloat(trade.realized_pnl) || 0) + pnl,
     };
 }
 
 /**
- * After a trade closes, iterate all batches that include its symbol
- * and append a row to batch_trade_log with running analytics.
+ * pnl_percent of a trade closed in parts: realized PnL over the cost basis
+ * of everything closed, so each exit is weighted by its size.
+ */
+function blendedPnlPercent(closed) {
+    return closed.closed_cost_basis > 0 ? (closed.realized_pnl / closed.closed_cost_basis) * 100 : 0;
+}
+
+/**
+ * Scale into an open trade (see scaledIn()). Batch allocations stay as
+ * they were admitted.
  */
-async function updateBatchLogsForTrade(trade) {
-    // Find batches that contain this symbol and whose start_time <= trade entry
-    const [batches] = await db.execute(
-        `SELECT b.* FROM batches b
-         JOIN batch_symbols bs ON bs.batch_id = b.id
-         WHERE bs.symbol = ?
-           AND (b.start_time IS NULL OR b.start_time <= ?)`,
-        [trade.symbol, trade.entry_time]
+async function increaseTrade(trade, { quantity, price, time, payload }, conn = db) {
+    const changed = scaledIn(trade, quantity, price);
+
+    await conn.execute(
+        'UPDATE trades SET entry_price = ?, quantity = ? WHERE id = ?',
+        [changed.entry_price, changed.quantity, trade.id]
     );
+    await recordFill(trade.id, { fillType: 'increase', quantity, price, time, payload }, conn);
 
-    for (const batch of batches) {
-        await appendBatchLog(batch, trade);
-    }
+    return { ...trade, ...changed };
 }
 
-async function appendBatchLog(batch, trade) {
-    // Get the last log entry for this batch to carry forward running totals
-    const [lastLogs] = await db.execute(
-        `SELECT * FROM batch_trade_log
-         WHERE batch_id = ?
-         ORDER BY trade_number DESC
-         LIMIT 1`,
-        [batch.id]
+/**
+ * Partially close an open trade, realizing PnL on the closed portion only.
+ * Batch logs are left alone until the trade closes completely.
+ */
+async function reduceTrade(trade, { quantity, price, time, payload }, conn = db) {
+    const { pnl, ...changed } = partiallyClosed(trade, quantity, price);
+
+    await conn.execute(
+        `UPDATE trades
+            SET quantity          = ?,
+                closed_quantity   = ?,
+                closed_cost_basis = ?,
+                realized_pnl      = ?
+         WHERE id = ?`,
+        [changed.quantity, changed.closed_quantity, changed.closed_cost_basis, changed.realized_pnl, trade.id]
     );
+    await recordFill(trade.id, { fillType: 'reduce', quantity, price, time, realizedPnl: pnl, payload }, conn);
 
-    let capitalBefore, peakCapital, maxDrawdown, tradeNumber;
+    const [rows] = await conn.execute('SELECT * FROM trades WHERE id = ?', [trade.id]);
+    return rows[0];
+}
 
-    if (lastLogs.length > 0) {
-        const last = lastLogs[0];
-        capitalBefore = parseFloat(last.capital_after);
-        peakCapital = parseFloat(last.peak_capital);
-        maxDrawdown = parseFloat(last.max_drawdown);
-        tradeNumber = last.trade_number + 1;
+/**
+ * Close an open trade completely (the trades row and its fills only; see
+ * closeTrade() for the batch update).
+ *
+ * Trades without a quantity use the plain price move. Trades with a quantity
+ * realize the remaining quantity; exit_price becomes the quantity-weighted
+ * average of all closing fills and pnl_percent the realized PnL over the
+ * cost basis of everything closed, so partial exits are weighted by size.
+ */
+async function markTradeClosed(trade, { price, time, payload }, conn = db) {
+    const entryPrice = parseFloat(trade.entry_price);
+    const remaining = parseFloat(trade.quantity);
+
+    let exitPrice = price;
+    let pnlPercent;
+    let quantityFields = {};
+
+    if (remaining > 0) {
+        const { pnl, ...closed } = partiallyClosed(trade, remaining, price);
+        await recordFill(trade.id, { fillType: 'close', quantity: remaining, price, time, realizedPnl: pnl, payload }, conn);
+
+        const [fills] = await conn.execute(
+            `SELECT SUM(price * quantity) AS value, SUM(quantity) AS quantity
+             FROM trade_fills WHERE trade_id = ? AND fill_type IN ('reduce', 'close')`,
+            [trade.id]
+        );
+        exitPrice = parseFloat(fills[0].value) / parseFloat(fills[0].quantity);
+        pnlPercent = blendedPnlPercent(closed);
+        quantityFields = { ...closed, quantity: 0 };
+    } else if (isLongSide(trade.side)) {
+        pnlPercent = ((price - entryPrice) / entryPrice) * 100;
     } else {
-        capitalBefore = parseFloat(batch.capital);
-        peakCapital = capitalBefore;
-        maxDrawdown = 0;
-        tradeNumber = 1;
+        // bearish / short: profit when price goes down
+        pnlPercent = ((entryPrice - price) / entryPrice) * 100;
     }
 
-    const pnlPercent = parseFloat(trade.pnl_percent);
-    const pnlAbsolute = capitalBefore * (pnlPercent / 100);
-    const capitalAfter = capitalBefore + pnlAbsolute;
-    const cumulativePnl = capitalAfter - parseFloat(batch.capital);
-
-    if (capitalAfter > peakCapital) peakCapital = capitalAfter;
-
-    const drawdown =
-        peakCapital > 0
-            ? ((peakCapital - capitalAfter) / peakCapital) * 100
-            : 0;
-    if (drawdown > maxDrawdown) maxDrawdown = drawdown;
-
-    await db.execute(
-        `INSERT INTO batch_trade_log
-            (batch_id, trade_id, symbol, side, entry_price, exit_price,
-             entry_time, exit_time, pnl_percent, pnl_absolute,
-             capital_before, capital_after, cumulative_pnl,
-             drawdown, max_drawdown, peak_capital, trade_number)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-         ON DUPLICATE KEY UPDATE
-            pnl_percent    = VALUES(pnl_percent),
-            pnl_absolute   = VALUES(pnl_absolute),
-            capital_before = VALUES(capital_before),
-            capital_after  = VALUES(capital_after),
-            cumulative_pnl = VALUES(cumulative_pnl),
-            drawdown       = VALUES(drawdown),
-            max_drawdown   = VALUES(max_drawdown),
-            peak_capital   = VALUES(peak_capital),
-            trade_number   = VALUES(trade_number)`,
+    await conn.execute(
+        `UPDATE trades
+            SET exit_price        = ?,
+                exit_time         = ?,
+                pnl_percent       = ?,
+                quantity          = COALESCE(?, quantity),
+                closed_quantity   = COALESCE(?, closed_quantity),
+                closed_cost_basis = COALESCE(?, closed_cost_basis),
+                realized_pnl      = COALESCE(?, realized_pnl),
+                status            = 'closed',
+                raw_payload       = JSON_MERGE_PATCH(COALESCE(raw_payload, '{}'), ?)
+         WHERE id = ?`,
         [
-            batch.id,
+            exitPrice,
+            time,
+            pnlPercent.toFixed(4),
+            quantityFields.quantity !== undefined ? quantityFields.quantity : null,
+            quantityFields.closed_quantity || null,
+            quantityFields.closed_cost_basis || null,
+            quantityFields.realized_pnl !== undefined ? quantityFields.realized_pnl : null,
+            JSON.stringify({ exit_payload: payload }),
             trade.id,
-            trade.symbol,
-            trade.side,
-            trade.entry_price,
-            trade.exit_price,
-            trade.entry_time,
-            trade.exit_time,
-            trade.pnl_percent,
-            pnlAbsolute.toFixed(2),
-            capitalBefore.toFixed(2),
-            capitalAfter.toFixed(2),
-            cumulativePnl.toFixed(2),
-            drawdown.toFixed(4),
-            maxDrawdown.toFixed(4),
-            peakCapital.toFixed(2),
-            tradeNumber,
         ]
     );
+
+    return {
+        ...trade,
+        ...quantityFields,
+        exit_price: exitPrice,
+        exit_time: time,
+        pnl_percent: parseFloat(pnlPercent.toFixed(4)),
+        status: 'closed',
+    };
 }
 
 /**
- * Rebuild ALL batch_trade_log entries for a given batch from scratch.
- * Used when a batch is created/edited so historical trades get accounted for.
+ * Close an open trade completely and update every batch containing the symbol.
  */
-async function rebuildBatchLog(batchId) {
-    const [batches] = await db.execute(
-        `SELECT * FROM batches WHERE id = ?`,
-        [batchId]
-    );
-    if (batches.length === 0) return;
-    const batch = batches[0];
+async function closeTrade(trade, fill, conn = db) {
+    const closedTrade = await markTradeClosed(trade, fill, conn);
+
+    // Update batch_trade_log for all batches that contain this symbol
+    await updateBatchLogsForTrade(closedTrade, conn);
+
+    return closedTrade;
+}
+
+/**
+ * Strategy alerts report the position size after the fill, so the change
+ * against the open trade's quantity tells what happened:
+ *
+ *   nothing open, target ≠ 0       → entry
+ *   same direction, larger         → scale_in   (average entry price updated)
+ *   same direction, smaller        → partial_exit (PnL realized on the closed part)
+ *   target = 0                     → exit
+ *   opposite direction             → flip (close everything, open the remainder)
+ */
+async function processPositionSignal(payload, targetQty, { position, policy, price, time }, conn = db) {
+    const { symbol } = position;
+    const trade = await findOpenTrade(position, policy, conn);
+    const targetSide = targetQty > 0 ? 'bullish' : 'bearish';
+    const targetAbs = Math.abs(targetQty);
+
+    if (!trade) {
+        if (targetQty === 0) {
+            console.log(`[Trade] Ignoring exit signal for ${symbol} — no open position found`);
+            return { action: 'ignored', trade: { symbol, reason: 'No open position to close' } };
+        }
+        const opened = await openTrade({ position, side: targetSide, price, time, quantity: targetAbs, payload }, conn);
+        return { action: 'entry', trade: opened };
+    }
+
+    const fill = { price, time, payload };
+    const sameDirection = targetQty !== 0 && isLongSide(trade.side) === (targetQty > 0);
+
+    if (sameDirection) {
+        // Trades opened before quantities were tracked adopt the reported size
+        const currentQty = parseFloat(trade.quantity);
+        if (!(currentQty > 0)) {
+            await conn.execute('UPDATE trades SET quantity = ? WHERE id = ?', [targetAbs, trade.id]);
+            return { action: 'ignored', trade: { symbol, reason: 'Position quantity adopted, no change' } };
+        }
+        if (targetAbs > currentQty) {
+            const increased = await increaseTrade(trade, { ...fill, quantity: targetAbs - currentQty }, conn);
+            return { action: 'scale_in', trade: increased };
+        }
+        if (targetAbs < currentQty) {
+            const reduced = await reduceTrade(trade, { ...fill, quantity: currentQty - targetAbs }, conn);
+            return { action: 'partial_exit', trade: reduced };
+        }
+        return { action: 'ignored', trade: { symbol, reason: 'Position quantity unchanged' } };
+    }
+
+    const closed = await closeTrade(trade, fill, conn);
+    if (targetQty === 0) return { action: 'exit', trade: closed };
 
-    // Get symbols in batch
-    const [symbols] = await db.execute(
-        `SELECT symbol FROM batch_symbols WHERE batch_id = ?`,
-        [batchId]
+    const opened = await openTrade({ position, side: targetSide, price, time, quantity: targetAbs, payload }, conn);
+    return flipResult(closed, opened);
+}
+
+/**
+ * A close-and-reverse reports both actions it took.
+ */
+function flipResult(closed, opened) {
+    return {
+        action: 'flip',
+        trade: opened,
+        closed_trade: closed,
+        actions: [
+            { action: 'exit', trade_id: closed.id },
+            { action: 'entry', trade_id: opened.id },
+        ],
+    };
+}
+
+/**
+ * Determine whether this signal is an entry or an exit.
+ *
+ * Payload fields:
+ *   – side:  "bullish" | "bearish"   (direction of the trade)
+ *   – type:  "entry"  | "exit"       (whether this opens or closes a trade)
+ *
+ * If the payload carries a position quantity (strategy text alerts), the
+ * quantity change decides – see processPositionSignal().
+ * If type is explicitly "exit", we close the matching open trade.
+ * If type is "entry", we open a new trade.
+ * If type is neither (legacy), fall back to auto-detection:
+ *   open trade exists → exit, otherwise → entry.
+ * An entry whose side opposes the open trade is a flip: with closeonflip the
+ * open trade is closed and the reversed one opened at the same price;
+ * without it the source's flip policy decides (ignore or hedge). Only
+ * explicit entries and payloads that carry closeonflip can flip – a typeless
+ * signal keeps closing the open trade, whatever its side.
+ * Open trades are looked up by position key – see resolvePosition() / findOpenTrade().
+ *
+ * @param {object} payload   normalized signal payload
+ * @param {object} [context] { sourceId, matchingPolicy, flipPolicy } of the webhook source
+ */
+async function processSignal(payload, context = {}) {
+    const result = await runExclusive(
+        [symbolKey(payload.symbol)],
+        () => withTransaction((conn) => applySignal(payload, context, conn))
     );
-    if (symbols.length === 0) {
-        await db.execute(`DELETE FROM batch_trade_log WHERE batch_id = ?`, [batchId]);
-        return;
+    publishSignalResult(result);
+    return result;
+}
+
+/**
+ * Push the trades a signal touched to live subscribers (see eventBus).
+ */
+function publishSignalResult(result) {
+    if (result.closed_trade) publish('trade.closed', result.closed_trade);
+    switch (result.action) {
+        case 'entry':
+        case 'flip':
+            publish('trade.opened', result.trade);
+            break;
+        case 'exit':
+            publish('trade.closed', result.trade);
+            break;
+        case 'scale_in':
+        case 'partial_exit':
+            publish('trade.updated', { ...result.trade, action: result.action });
+            break;
+        default:
+            publish('trade.ignored', result.trade);
     }
+}
+
+async function applySignal(payload, { sourceId = null, matchingPolicy = 'fifo', flipPolicy = 'ignore' } = {}, conn = db) {
+    const {
+        symbol,
+        side,
+        type,
+        price,
+        closeonflip,
+        timestamp,
+    } = payload;
 
-    const symbolList = symbols.map((s) => s.symbol);
-    const placeholders = symbolList.map(() => '?').join(',');
+    const signalTime = timestamp ? new Date(timestamp) : new Date();
+    const numericPrice = parseFloat(price);
 
-    // Fetch all closed trades for these symbols, ordered by exit_time
-    let query = `SELECT * FROM trades
-                 WHERE symbol IN (${placeholders})
-                   AND status = 'closed'`;
-    const params = [...symbolList];
+    const position = resolvePosition(payload, sourceId);
+    const policy = MATCHING_POLICIES.includes(matchingPolicy) ? matchingPolicy : 'fifo';
 
-    if (batch.start_time) {
-        query += ` AND entry_time >= ?`;
-        params.push(batch.start_time);
+    const targetQty = targetPositionQty(payload);
+    if (targetQty !== null) {
+        return processPositionSignal(payload, targetQty, { position, policy, price: numericPrice, time: signalTime }, conn);
+    }
+
+    const typeLower = (type || '').toLowerCase();
+    const isExplicitExit = typeLower === 'exit';
+    const isExplicitEntry = typeLower === 'entry';
+
+    // Try to find an open trade for this position
+    const existing = await findOpenTrade(position, policy, conn);
+
+    // Decide: EXIT if explicit exit OR (auto-detect: open trade exists and not explicit entry)
+    const shouldExit = existing && (isExplicitExit || !isExplicitEntry);
+
+    // Reject exit signals that have no matching open position
+    if (isExplicitExit && !existing) {
+        console.log(`[Trade] Ignoring exit signal for ${symbol} — no open position found`);
+        return { action: 'ignored', trade: { symbol, reason: 'No open position to close' } };
+    }
+
+    const entrySide = (side || 'bullish').toLowerCase();
+    const canFlip = isExplicitEntry || (!isExplicitExit && closeonflip !== undefined && closeonflip !== null && closeonflip !== '');
+
+    if (existing && canFlip && isOppositeSide(existing.side, entrySide)) {
+        // -------- FLIP --------
+        if (isTruthyFlag(closeonflip)) {
+            const closedTrade = await closeTrade(existing, { price: numericPrice, time: signalTime, payload }, conn);
+            const openedTrade = await openTrade({
+                position,
+                side: entrySide,
+                price: numericPrice,
+                time: signalTime,
+                payload,
+            }, conn);
+            return flipResult(closedTrade, openedTrade);
+        }
+        if (flipPolicy !== 'hedge') {
+            console.log(`[Trade] Ignoring ${entrySide} signal for ${symbol} — ${existing.side} trade #${existing.id} is open`);
+            return {
+                action: 'ignored',
+                trade: { symbol, reason: `Opposite-side signal while trade #${existing.id} is open (closeonflip off)` },
+            };
+        }
+        const hedgeTrade = await openTrade({ position, side: entrySide, price: numericPrice, time: signalTime, payload }, conn);
+        return { action: 'entry', trade: hedgeTrade, hedged_trade_id: existing.id };
     }
-    query += ` ORDER BY exit_time ASC`;
-
-    const [trades] = await db.execute(query, params);
-
-    // Clear existing log
-    await db.execute(`DELETE FROM batch_trade_log WHERE batch_id = ?`, [batchId]);
-
-    // Replay trades
-    let capitalBefore = parseFloat(batch.capital);
-    let peakCapital = capitalBefore;
-    let maxDrawdown = 0;
-
-    for (let i = 0; i < trades.length; i++) {
-        const trade = trades[i];
-        const pnlPercent = parseFloat(trade.pnl_percent);
-        const pnlAbsolute = capitalBefore * (pnlPercent / 100);
-        const capitalAfter = capitalBefore + pnlAbsolute;
-        const cumulativePnl = capitalAfter - parseFloat(batch.capital);
-
-        if (capitalAfter > peakCapital) peakCapital = capitalAfter;
-        const drawdown =
-            peakCapital > 0
-                ? ((peakCapital - capitalAfter) / peakCapital) * 100
-                : 0;
-        if (drawdown > maxDrawdown) maxDrawdown = drawdown;
-
-        await db.execute(
-            `INSERT INTO batch_trade_log
-                (batch_id, trade_id, symbol, side, entry_price, exit_price,
-                 entry_time, exit_time, pnl_percent, pnl_absolute,
-                 capital_before, capital_after, cumulative_pnl,
-                 drawdown, max_drawdown, peak_capital, trade_number)
-             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-            [
-                batch.id,
-                trade.id,
-                trade.symbol,
-                trade.side,
-                trade.entry_price,
-                trade.exit_price,
-                trade.entry_time,
-                trade.exit_time,
-                pnlPercent,
-                pnlAbsolute.toFixed(2),
-                capitalBefore.toFixed(2),
-                capitalAfter.toFixed(2),
-                cumulativePnl.toFixed(2),
-                drawdown.toFixed(4),
-                maxDrawdown.toFixed(4),
-                peakCapital.toFixed(2),
-                i + 1,
-            ]
-        );
 
-        capitalBefore = capitalAfter;
+    if (shouldExit) {
+        // -------- EXIT --------
+        const closedTrade = await closeTrade(existing, { price: numericPrice, time: signalTime, payload }, conn);
+        return { action: 'exit', trade: closedTrade };
     }
+
+    // -------- ENTRY --------
+    // side comes as "bullish" / "bearish" — store it directly
+    const openedTrade = await openTrade({
+        position,
+        side: entrySide,
+        price: numericPrice,
+        time: signalTime,
+        payload,
+    }, conn);
+
+    return { action: 'entry', trade: openedTrade };
 }
 
 /* ---------- Simple CRUD helpers for trades ---------- */
 
-async function getAllTrades({ status, symbol, limit = 200, offset = 0 }) {
+async function getAllTrades({ status, symbol, timeframe, sourceId, strategy, importId, voided, limit = 200, offset = 0 }) {
     let query = 'SELECT * FROM trades WHERE 1=1';
     const params = [];
+    if (voided !== undefined) {
+        query += voided ? ' AND voided_at IS NOT NULL' : ' AND voided_at IS NULL';
+    }
+    if (importId) {
+        query += ' AND import_id = ?';
+        params.push(importId);
+    }
+    if (timeframe) {
+        query += ' AND timeframe = ?';
+        params.push(timeframe);
+    }
+    if (sourceId) {
+        query += ' AND source_id = ?';
+        params.push(sourceId);
+    }
+    if (strategy) {
+        query += ' AND strategy = ?';
+        params.push(strategy);
+    }
     if (status) {
         query += ' AND status = ?';
         params.push(status);
@@ -332,11 +563,22 @@ async function getAllTrades({ status, symbol, limit = 200, offset = 0 }) {
     return rows;
 }
 
-async function getTradeById(id) {
-    const [rows] = await db.execute('SELECT * FROM trades WHERE id = ?', [id]);
+async function getTradeById(id, conn = db) {
+    const [rows] = await conn.execute('SELECT * FROM trades WHERE id = ?', [id]);
     return rows[0] || null;
 }
 
+/**
+ * Quantity changes (open / increase / reduce / close) of a trade, oldest first.
+ */
+async function getTradeFills(tradeId) {
+    const [rows] = await db.execute(
+        'SELECT * FROM trade_fills WHERE trade_id = ? ORDER BY fill_time ASC, id ASC',
+        [tradeId]
+    );
+    return rows;
+}
+
 /**
  * Returns the unique list of symbols that have been received via trade signals.
  * Used by the frontend to populate the symbol dropdown when creating/editing batches.
@@ -349,9 +591,18 @@ async function getUniqueSymbols() {
 }
 
 module.exports = {
+    MATCHING_POLICIES,
+    FLIP_POLICIES,
+    isLongSide,
+    resolvePosition,
+    recordFill,
+    scaledIn,
+    partiallyClosed,
+    blendedPnlPercent,
+    markTradeClosed,
     processSignal,
-    rebuildBatchLog,
     getAllTrades,
     getTradeById,
+    getTradeFills,
     getUniqueSymbols,
 };
@@ -0,0 +1,284 @@
+/**
+ * User service – accounts, password hashing, login sessions and API keys.
+ *
+ * Passwords are hashed with scrypt; session tokens and API keys are random
+ * and only their SHA-256 hash is stored, so the plain values are shown once.
+ */
+const crypto = require('crypto');
+const { promisify } = require('util');
+const db = require('../db/connection');
+
+const scrypt = promisify(crypto.scrypt);
+
+const ROLES = ['viewer', 'editor', 'admin'];
+const API_KEY_PREFIX = 'tvd_';
+const SESSION_TTL_HOURS = parseFloat(process.env.SESSION_TTL_HOURS) || 12;
+const MIN_PASSWORD_LENGTH = 8;
+
+function roleRank(role) {
+    return ROLES.indexOf(role);
+}
+
+/** True when `role` includes the permissions of `required`. */
+function hasRole(role, required) {
+    return roleRank(role) >= roleRank(required);
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(String(password), salt, 64);
+    return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+    const [scheme, saltHex, hashHex] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !saltHex || !hashHex) return false;
+    const expected = Buffer.from(hashHex, 'hex');
+    const actual = await scrypt(String(password), Buffer.from(saltHex, 'hex'), expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+function validatePassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        return `password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+    }
+    return null;
+}
+
+function toPublic(row) {
+    if (!row) return null;
+    const { password_hash, ...rest } = row;
+    return { ...rest, enabled: !!rest.enabled };
+}
+
+/* ===========================  USERS  =========================== */
+
+async function getAllUsers() {
+    const [rows] = await db.execute('SELECT * FROM users ORDER BY username ASC');
+    return rows.map(toPublic);
+}
+
+async function getUserById(id) {
+    const [rows] = await db.execute('SELECT * FROM users WHERE id = ?', [id]);
+    return toPublic(rows[0]);
+}
+
+async function countUsers() {
+    const [rows] = await db.execute('SELECT COUNT(*) AS count FROM users');
+    return rows[0].count;
+}
+
+async function createUser({ username, password, role = 'viewer', enabled = true }) {
+    const [result] = await db.execute(
+        'INSERT INTO users (username, password_hash, role, enabled) VALUES (?, ?, ?, ?)',
+        [username, await hashPassword(password), role, enabled ? 1 : 0]
+    );
+    return getUserById(result.insertId);
+}
+
+/**
+ * True when the change would leave no enabled admin behind.
+ */
+async function isLastAdmin(id) {
+    const [rows] = await db.execute(
+        "SELECT id FROM users WHERE role = 'admin' AND enabled = 1"
+    );
+    return rows.length === 1 && String(rows[0].id) === String(id);
+}
+
+/**
+ * Update a user. Changing the password or disabling the user ends their
+ * sessions. Returns { user }, { lastAdmin: true } or null when not found.
+ */
+async function updateUser(id, { username, password, role, enabled }) {
+    const user = await getUserById(id);
+    if (!user) return null;
+
+    const demoted = (role !== undefined && role !== 'admin') || (enabled !== undefined && !enabled);
+    if (user.role === 'admin' && user.enabled && demoted && (await isLastAdmin(id))) {
+        return { lastAdmin: true };
+    }
+
+    const fields = [];
+    const params = [];
+    if (username !== undefined) { fields.push('username = ?'); params.push(username); }
+    if (password !== undefined) { fields.push('password_hash = ?'); params.push(await hashPassword(password)); }
+    if (role !== undefined) { fields.push('role = ?'); params.push(role); }
+    if (enabled !== undefined) { fields.push('enabled = ?'); params.push(enabled ? 1 : 0); }
+
+    if (fields.length > 0) {
+        params.push(id);
+        await db.execute(`UPDATE users SET ${fields.join(', ')} WHERE id = ?`, params);
+    }
+    if (password !== undefined || (enabled !== undefined && !enabled)) {
+        await db.execute('DELETE FROM user_sessions WHERE user_id = ?', [id]);
+    }
+    return { user: await getUserById(id) };
+}
+
+/**
+ * Delete a user with their sessions and API keys. Returns { deleted },
+ * { lastAdmin: true } or null when not found.
+ */
+async function deleteUser(id) {
+    const user = await getUserById(id);
+    if (!user) return null;
+    if (user.role === 'admin' && user.enabled && (await isLastAdmin(id))) return { lastAdmin: true };
+    await db.execute('DELETE FROM users WHERE id = ?', [id]);
+    return { deleted: true };
+}
+
+/**
+ * Create the first admin from ADMIN_USERNAME / ADMIN_PASSWORD when the
+ * users table is empty. Returns the created user or null.
+ */
+async function ensureBootstrapAdmin() {
+    if ((await countUsers()) > 0) return null;
+    const username = process.env.ADMIN_USERNAME || 'admin';
+    const password = process.env.ADMIN_PASSWORD;
+    if (!password) {
+        console.warn('[Auth] No users exist – set ADMIN_PASSWORD (and ADMIN_USERNAME) to create the first admin');
+        return null;
+    }
+    if (validatePassword(password)) {
+        console.warn(`[Auth] ADMIN_PASSWORD ignored: ${validatePassword(password)}`);
+        return null;
+    }
+    const user = await createUser({ username, password, role: 'admin' });
+    console.log(`[Auth] Created admin user "${username}"`);
+    return user;
+}
+
+/* ===========================  SESSIONS  =========================== */
+
+/**
+ * Check credentials and open a session. Returns { token, expires_at, user }
+ * or null for unknown users, wrong passwords and disabled accounts.
+ */
+async function login(username, password) {
+    const [rows] = await db.execute('SELECT * FROM users WHERE username = ?', [username]);
+    const user = rows[0];
+    if (!user) {
+        // Spend the same time as a real check so usernames cannot be probed
+        await hashPassword(password);
+        return null;
+    }
+    if (!(await verifyPassword(password, user.password_hash)) || !user.enabled) return null;
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + SESSION_TTL_HOURS * 3600000);
+    await db.execute('DELETE FROM user_sessions WHERE expires_at < UTC_TIMESTAMP()');
+    await db.execute(
+        'INSERT INTO user_sessions (user_id, token_hash, expires_at) VALUES (?, ?, ?)',
+        [user.id, hashToken(token), expiresAt]
+    );
+    await db.execute('UPDATE users SET last_login_at = UTC_TIMESTAMP() WHERE id = ?', [user.id]);
+    return { token, expires_at: expiresAt, user: toPublic(user) };
+}
+
+async function logout(token) {
+    await db.execute('DELETE FROM user_sessions WHERE token_hash = ?', [hashToken(token)]);
+}
+
+/* ===========================  API KEYS  =========================== */
+
+function toPublicKey(row) {
+    const { key_hash, ...rest } = row;
+    return rest;
+}
+
+async function getApiKeys(userId) {
+    const [rows] = await db.execute(
+        'SELECT * FROM api_keys WHERE user_id = ? ORDER BY created_at DESC',
+        [userId]
+    );
+    return rows.map(toPublicKey);
+}
+
+/**
+ * Create an API key for a user. The plain key is only returned here.
+ */
+async function createApiKey(userId, { name, role = null, expiresAt = null }) {
+    const key = API_KEY_PREFIX + crypto.randomBytes(24).toString('hex');
+    const [result] = await db.execute(
+        `INSERT INTO api_keys (user_id, name, key_prefix, key_hash, role, expires_at)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [userId, name, key.slice(0, 12), hashToken(key), role, expiresAt]
+    );
+    const [rows] = await db.execute('SELECT * FROM api_keys WHERE id = ?', [result.insertId]);
+    return { ...toPublicKey(rows[0]), key };
+}
+
+/**
+ * Revoke one of a user's keys. Returns false when the key does not exist.
+ */
+async function revokeApiKey(userId, keyId) {
+    const [result] = await db.execute(
+        'UPDATE api_keys SET revoked_at = UTC_TIMESTAMP() WHERE id = ? AND user_id = ? AND revoked_at IS NULL',
+        [keyId, userId]
+    );
+    return result.affectedRows > 0;
+}
+
+/* ===========================  AUTH LOOKUPS  =========================== */
+
+/**
+ * Resolve a bearer token (session token or API key) to the acting user:
+ * { id, username, role, via: 'session' | 'api_key', session / key id }.
+ * An API key with its own role acts with the lower of the two roles.
+ */
+async function authenticateToken(token) {
+    if (!token) return null;
+    const hash = hashToken(token);
+
+    if (String(token).startsWith(API_KEY_PREFIX)) {
+        const [rows] = await db.execute(
+            `SELECT k.id AS key_id, k.role AS key_role, u.id, u.username, u.role
+             FROM api_keys k
+             JOIN users u ON u.id = k.user_id
+             WHERE k.key_hash = ? AND k.revoked_at IS NULL
+               AND (k.expires_at IS NULL OR k.expires_at > UTC_TIMESTAMP())
+               AND u.enabled = 1`,
+            [hash]
+        );
+        if (rows.length === 0) return null;
+        const row = rows[0];
+        await db.execute('UPDATE api_keys SET last_used_at = UTC_TIMESTAMP() WHERE id = ?', [row.key_id]);
+        const role = row.key_role && !hasRole(row.key_role, row.role) ? row.key_role : row.role;
+        return { id: row.id, username: row.username, role, via: 'api_key', api_key_id: row.key_id };
+    }
+
+    const [rows] = await db.execute(
+        `SELECT s.id AS session_id, u.id, u.username, u.role
+         FROM user_sessions s
+         JOIN users u ON u.id = s.user_id
+         WHERE s.token_hash = ? AND s.expires_at > UTC_TIMESTAMP() AND u.enabled = 1`,
+        [hash]
+    );
+    if (rows.length === 0) return null;
+    const row = rows[0];
+    await db.execute('UPDATE user_sessions SET last_used_at = UTC_TIMESTAMP() WHERE id = ?', [row.session_id]);
+    return { id: row.id, username: row.username, role: row.role, via: 'session', session_id: row.session_id };
+}
+
+module.exports = {
+    ROLES,
+    hasRole,
+    validatePassword,
+    getAllUsers,
+    getUserById,
+    createUser,
+    updateUser,
+    deleteUser,
+    ensureBootstrapAdmin,
+    login,
+    logout,
+    getApiKeys,
+    createApiKey,
+    revokeApiKey,
+    authenticateToken,
+};
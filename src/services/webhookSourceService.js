@@ -0,0 +1,203 @@
+/**
+ * Webhook source service – named webhook senders, their secrets and
+ * the log of rejected webhook attempts.
+ */
+const crypto = require('crypto');
+const db = require('../db/connection');
+
+/** TradingView's published webhook sender IPs. */
+const TRADINGVIEW_IPS = ['52.89.214.238', '34.212.75.30', '54.218.53.128', '52.32.178.7'];
+
+function hashSecret(secret) {
+    return crypto.createHash('sha256').update(String(secret)).digest('hex');
+}
+
+function generateSecret() {
+    return crypto.randomBytes(24).toString('hex');
+}
+
+/**
+ * Default allowlist used by sources without their own: WEBHOOK_IP_ALLOWLIST
+ * (comma separated, "*" = any IP) or TradingView's IPs when unset.
+ */
+function getDefaultAllowlist() {
+    const env = process.env.WEBHOOK_IP_ALLOWLIST;
+    if (!env) return TRADINGVIEW_IPS;
+    return env.split(',').map((ip) => ip.trim()).filter(Boolean);
+}
+
+/**
+ * Strip secrets from a row before it leaves the API.
+ */
+function toPublic(row) {
+    if (!row) return null;
+    const { secret_hash, previous_secret_hash, hmac_secret, ...rest } = row;
+    return {
+        ...rest,
+        enabled: !!rest.enabled,
+        has_hmac: !!hmac_secret,
+        effective_ip_allowlist: row.ip_allowlist || getDefaultAllowlist(),
+    };
+}
+
+/* ===========================  CRUD  =========================== */
+
+async function getAllSources() {
+    const [rows] = await db.execute('SELECT * FROM webhook_sources ORDER BY name ASC');
+    return rows.map(toPublic);
+}
+
+async function getSourceById(id) {
+    const [rows] = await db.execute('SELECT * FROM webhook_sources WHERE id = ?', [id]);
+    return toPublic(rows[0]);
+}
+
+/**
+ * Create a source. The plain secret is only returned here and on rotate.
+ */
+async function createSource({
+    name,
+    hmac_secret = null,
+    ip_allowlist = null,
+    enabled = true,
+    matching_policy = 'fifo',
+    flip_policy = 'ignore',
+}) {
+    const secret = generateSecret();
+    const [result] = await db.execute(
+        `INSERT INTO webhook_sources
+            (name, secret_hash, hmac_secret, ip_allowlist, enabled, matching_policy, flip_policy)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [
+            name,
+            hashSecret(secret),
+            hmac_secret || null,
+            ip_allowlist ? JSON.stringify(ip_allowlist) : null,
+            enabled ? 1 : 0,
+            matching_policy,
+            flip_policy,
+        ]
+    );
+    const source = await getSourceById(result.insertId);
+    return { ...source, secret };
+}
+
+async function updateSource(id, { name, hmac_secret, ip_allowlist, enabled, matching_policy, flip_policy }) {
+    const fields = [];
+    const params = [];
+    if (name !== undefined) { fields.push('name = ?'); params.push(name); }
+    if (hmac_secret !== undefined) { fields.push('hmac_secret = ?'); params.push(hmac_secret || null); }
+    if (ip_allowlist !== undefined) {
+        fields.push('ip_allowlist = ?');
+        params.push(ip_allowlist ? JSON.stringify(ip_allowlist) : null);
+    }
+    if (enabled !== undefined) { fields.push('enabled = ?'); params.push(enabled ? 1 : 0); }
+    if (matching_policy !== undefined) { fields.push('matching_policy = ?'); params.push(matching_policy); }
+    if (flip_policy !== undefined) { fields.push('flip_policy = ?'); params.push(flip_policy); }
+
+    if (fields.length > 0) {
+        params.push(id);
+        await db.execute(`UPDATE webhook_sources SET ${fields.join(', ')} WHERE id = ?`, params);
+    }
+    return getSourceById(id);
+}
+
+/**
+ * Issue a new secret. The old one keeps working for `graceMinutes`
+ * (0 = revoked immediately) so alerts can be migrated without gaps.
+ */
+async function rotateSecret(id, { graceMinutes = 0 } = {}) {
+    const [rows] = await db.execute('SELECT * FROM webhook_sources WHERE id = ?', [id]);
+    if (rows.length === 0) return null;
+
+    const secret = generateSecret();
+    const grace = Math.max(0, parseInt(graceMinutes, 10) || 0);
+    await db.execute(
+        `UPDATE webhook_sources
+            SET secret_hash = ?,
+                previous_secret_hash = ?,
+                previous_secret_expires_at = ?
+         WHERE id = ?`,
+        [
+            hashSecret(secret),
+            grace > 0 ? rows[0].secret_hash : null,
+            grace > 0 ? new Date(Date.now() + grace * 60000) : null,
+            id,
+        ]
+    );
+    const source = await getSourceById(id);
+    return { ...source, secret };
+}
+
+async function deleteSource(id) {
+    await db.execute('DELETE FROM webhook_sources WHERE id = ?', [id]);
+}
+
+/* ===========================  AUTH LOOKUPS  =========================== */
+
+/**
+ * Find the source owning a plain secret (current or still-in-grace previous one).
+ * Returns the full row, including hmac_secret.
+ */
+async function findSourceBySecret(secret) {
+    if (!secret) return null;
+    const hash = hashSecret(secret);
+    const [rows] = await db.execute(
+        `SELECT * FROM webhook_sources
+         WHERE secret_hash = ?
+            OR (previous_secret_hash = ? AND previous_secret_expires_at > UTC_TIMESTAMP())
+         LIMIT 1`,
+        [hash, hash]
+    );
+    return rows[0] || null;
+}
+
+async function findSourceByName(name) {
+    if (!name) return null;
+    const [rows] = await db.execute('SELECT * FROM webhook_sources WHERE name = ?', [name]);
+    return rows[0] || null;
+}
+
+async function touchSource(id) {
+    await db.execute('UPDATE webhook_sources SET last_used_at = UTC_TIMESTAMP() WHERE id = ?', [id]);
+}
+
+/* ===========================  FAILURE LOG  =========================== */
+
+async function recordAuthFailure({ sourceId = null, ip, statusCode, reason, path }) {
+    await db.execute(
+        `INSERT INTO webhook_auth_failures (source_id, ip, status_code, reason, path)
+         VALUES (?, ?, ?, ?, ?)`,
+        [sourceId, ip || null, statusCode, reason, path ? path.slice(0, 255) : null]
+    );
+}
+
+async function getAuthFailures({ sourceId, limit = 200, offset = 0 } = {}) {
+    let query = 'SELECT * FROM webhook_auth_failures WHERE 1=1';
+    const params = [];
+    if (sourceId) {
+        query += ' AND source_id = ?';
+        params.push(sourceId);
+    }
+    query += ` ORDER BY created_at DESC, id DESC LIMIT ${Number(limit)} OFFSET ${Number(offset)}`;
+
+    const [rows] = await db.execute(query, params);
+    return rows;
+}
+
+module.exports = {
+    TRADINGVIEW_IPS,
+    hashSecret,
+    getDefaultAllowlist,
+    getAllSources,
+    getSourceById,
+    createSource,
+    updateSource,
+    rotateSecret,
+    deleteSource,
+    findSourceBySecret,
+    findSourceByName,
+    touchSource,
+    recordAuthFailure,
+    getAuthFailures,
+};
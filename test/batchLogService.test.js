@@ -0,0 +1,88 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { openPosition, closePosition } = require('../src/services/batchLogService');
+const { scaledIn, partiallyClosed, blendedPnlPercent } = require('../src/services/tradeService');
+
+const batch = {
+    id: 1,
+    capital: '10000.00',
+    sizing_mode: 'fixed_fraction',
+    sizing_value: '50.0000',
+    leverage: '1.0000',
+    max_concurrent_positions: null,
+    commission_type: 'percent',
+    maker_fee: '0',
+    taker_fee: '0',
+    fee_order_type: 'taker',
+    slippage_bps: '0',
+    funding_rate_hourly: '0',
+};
+
+describe('trade fills – scale-ins and partial exits', () => {
+    it('average the entry price over scale-ins', () => {
+        assert.deepEqual(scaledIn({ entry_price: '100.00000000', quantity: '1.00000000' }, 3, 120), {
+            entry_price: 115,
+            quantity: 4,
+        });
+    });
+
+    it('add up closed quantity, cost basis and realized PnL over partial exits', () => {
+        const short = { side: 'bearish', entry_price: '200.00000000', quantity: '3.00000000' };
+        const first = partiallyClosed(short, 1, 190);
+        assert.deepEqual(first, { pnl: 10, quantity: 2, closed_quantity: 1, closed_cost_basis: 200, realized_pnl: 10 });
+
+        const second = partiallyClosed({ ...short, ...first }, 2, 210);
+        assert.deepEqual(second, { pnl: -20, quantity: 0, closed_quantity: 3, closed_cost_basis: 600, realized_pnl: -10 });
+        assert.equal(blendedPnlPercent(second), (-10 / 600) * 100);
+    });
+});
+
+describe('batch log – scale-ins and partial exits', () => {
+    it('log a trade once, at its final close, with the entry allocation and the blended PnL', () => {
+        const opened = {
+            id: 7,
+            symbol: 'BTCUSDT',
+            side: 'long',
+            entry_price: '100.00000000',
+            entry_time: new Date('2024-01-01T10:00:00Z'),
+            quantity: '1.00000000',
+        };
+        const admitted = openPosition(batch, { capital: 10000, peakCapital: 10000, maxDrawdown: 0, tradeNumber: 0, allocated: 0, openCount: 0 }, opened, 1);
+        assert.equal(admitted.position.position_size, 5000);
+
+        // Scale in 1 @ 110, take 1 off @ 120 and close the rest @ 126. Only the
+        // final close reaches the batch (closePosition); the allocation is the
+        // one admitted at entry
+        const increased = { ...opened, ...scaledIn(opened, 1, 110) };
+        assert.equal(increased.entry_price, 105);
+        const { pnl: firstPnl, ...reduced } = partiallyClosed(increased, 1, 120);
+        assert.equal(firstPnl, 15);
+        const { pnl: lastPnl, ...closedFields } = partiallyClosed({ ...increased, ...reduced }, 1, 126);
+        assert.equal(lastPnl, 21);
+
+        const blended = parseFloat(blendedPnlPercent(closedFields).toFixed(4));
+        assert.equal(blended, parseFloat((((15 + 21) / 210) * 100).toFixed(4)));
+        const closedAt = new Date('2024-01-03T10:00:00Z');
+        const closed = {
+            ...increased,
+            ...closedFields,
+            exit_price: (120 + 126) / 2,
+            exit_time: closedAt,
+            pnl_percent: blended,
+            status: 'closed',
+        };
+
+        const { state, params } = closePosition(batch, admitted.state, admitted.position, closed);
+        const [, tradeId, , , entryPrice, exitPrice, , exitTime, pnlPercent, positionSize, grossPnl] = params;
+        assert.equal(tradeId, 7);
+        assert.equal(entryPrice, 105);
+        assert.equal(exitPrice, 123);
+        assert.equal(exitTime, closedAt);
+        assert.equal(pnlPercent, blended);
+        assert.equal(positionSize, '5000.00');
+        assert.equal(grossPnl, (5000 * (blended / 100)).toFixed(2));
+        assert.equal(state.tradeNumber, 1);
+        assert.equal(state.allocated, 0);
+        assert.equal(state.capital, parseFloat((10000 + 5000 * (blended / 100)).toFixed(2)));
+    });
+});
@@ -0,0 +1,205 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRiskTracker, activePause, checkRules, figureBounds, liveFigures } = require('../src/services/riskRules');
+
+const batch = {
+    id: 1,
+    name: 'Risk',
+    capital: '10000.00',
+    risk_max_drawdown: '15.0000',
+    risk_daily_loss: '5.0000',
+    risk_weekly_loss: '8.0000',
+    risk_max_consecutive_losses: 3,
+    risk_symbol_daily_loss: '3.0000',
+};
+
+// Closed trades in exit order (2024-01-01 is a Monday) and the manual
+// resumes made between them
+const closes = [
+    ['BTC', '2024-01-01T10:00:00Z', 200],
+    ['ETH', '2024-01-01T11:00:00Z', -350],
+    ['BTC', '2024-01-01T12:00:00Z', -150],
+    ['BTC', '2024-01-01T13:00:00Z', -100],
+    ['SOL', '2024-01-01T14:00:00Z', -150],
+    ['BTC', '2024-01-02T09:00:00Z', -300],
+    ['BTC', '2024-01-02T13:00:00Z', 100],
+    ['ETH', '2024-01-02T14:00:00Z', -500],
+    ['ETH', '2024-01-02T21:00:00Z', -100],
+    ['BTC', '2024-01-03T10:00:00Z', -600],
+    ['BTC', '2024-01-03T11:00:00Z', -400],
+    ['SOL', '2024-01-08T10:00:00Z', 50],
+];
+const resumes = [
+    { id: 1, symbol: null, resumed_at: new Date('2024-01-02T12:00:00Z') },
+    { id: 2, symbol: 'ETH', resumed_at: new Date('2024-01-02T20:00:00Z') },
+];
+
+/**
+ * batch_trade_log rows as the live path reads them back: DECIMALs as strings.
+ */
+function logRows() {
+    let capital = parseFloat(batch.capital);
+    return closes.map(([symbol, time, pnl], i) => {
+        const before = capital;
+        capital += pnl;
+        return {
+            batch_id: batch.id,
+            trade_id: 100 + i,
+            trade_number: i + 1,
+            symbol,
+            exit_time: new Date(time),
+            pnl_absolute: pnl.toFixed(2),
+            capital_before: before.toFixed(2),
+            capital_after: capital.toFixed(2),
+        };
+    });
+}
+
+/**
+ * What loadFigures() reads back for `row` within `bounds`, from the rows
+ * logged so far and the breaches recorded so far.
+ */
+function loadedFigures(log, breaches, row, bounds) {
+    const at = (t) => new Date(t).getTime();
+    const capitalBefore = (time) => {
+        const before = log.filter((r) => at(r.exit_time) < at(time));
+        return before.length > 0 ? before[before.length - 1].capital_after : batch.capital;
+    };
+    const since = (time) => log.filter((r) => at(r.exit_time) >= at(time));
+    const streakTrip = breaches.filter((b) => b.rule === 'consecutive_losses').pop();
+    const afterTrip = streakTrip ? log.find((r) => r.trade_id === streakTrip.trade_id).trade_number : 0;
+    const peakRows = since(bounds.peakFrom);
+    return {
+        base: bounds.resumedAt ? capitalBefore(bounds.resumedAt) : batch.capital,
+        peak: peakRows.length > 0 ? Math.max(...peakRows.map((r) => parseFloat(r.capital_after))).toFixed(2) : null,
+        dayStartCapital: capitalBefore(bounds.dayStart),
+        weekStartCapital: capitalBefore(bounds.weekStart),
+        recentPnl: peakRows.filter((r) => r.trade_number > afterTrip).reverse().map((r) => r.pnl_absolute),
+        symbolDayPnl: since(bounds.symbolDayStart)
+            .filter((r) => r.symbol === row.symbol)
+            .reduce((sum, r) => sum + parseFloat(r.pnl_absolute), 0)
+            .toFixed(2),
+    };
+}
+
+function comparable(breach) {
+    const iso = (t) => (t ? new Date(t).toISOString() : null);
+    return {
+        symbol: breach.symbol,
+        rule: breach.rule,
+        trade_id: breach.trade_id,
+        value: breach.value,
+        limit_value: breach.limit_value,
+        tripped_at: iso(breach.tripped_at),
+        paused_until: iso(breach.paused_until),
+        resumed_at: iso(breach.resumed_at),
+    };
+}
+
+/**
+ * The live path: each row is checked right after it is logged, against the
+ * resumes made so far; a resume lifts the pauses in force when it is made.
+ */
+function runLive(rows) {
+    const log = [];
+    const breaches = [];
+    const made = [];
+    const pending = [...resumes];
+    const active = (time) => breaches.filter((b) => activePause([b], b.symbol, time) !== null);
+    const resume = (r) => {
+        for (const b of active(r.resumed_at)) {
+            if (!r.symbol || b.symbol === r.symbol) b.resumed_at = r.resumed_at;
+        }
+        made.push(r);
+    };
+    const lastResume = (symbol) => made.filter((r) => r.symbol === symbol).map((r) => r.resumed_at).pop() || null;
+
+    for (const row of rows) {
+        while (pending.length > 0 && pending[0].resumed_at <= row.exit_time) resume(pending.shift());
+        log.push(row);
+        const bounds = figureBounds(row, lastResume(null), lastResume(row.symbol));
+        const figures = liveFigures(loadedFigures(log, breaches, row, bounds));
+        for (const trip of checkRules(batch, row, figures, active(row.exit_time))) breaches.push({ ...trip, resumed_at: null });
+    }
+    pending.forEach(resume);
+    return breaches.map(comparable);
+}
+
+function runReplay(rows) {
+    const tracker = createRiskTracker(batch, resumes);
+    for (const row of rows) {
+        tracker.advance(row.exit_time.getTime());
+        tracker.afterClose(row);
+    }
+    tracker.advance(Infinity);
+    return tracker.breaches.map(comparable);
+}
+
+describe('risk rules – live figures', () => {
+    it('count from the later of the period start and the last resume', () => {
+        const row = { symbol: 'BTC', exit_time: new Date('2024-01-03T10:00:00Z') };
+        const resumedAt = new Date('2024-01-02T12:00:00Z');
+        const symbolResumedAt = new Date('2024-01-03T08:00:00Z');
+
+        assert.deepEqual(figureBounds(row, null, null), {
+            resumedAt: null,
+            peakFrom: new Date(0),
+            dayStart: new Date('2024-01-03T00:00:00Z'),
+            weekStart: new Date('2024-01-01T00:00:00Z'),
+            symbolDayStart: new Date('2024-01-03T00:00:00Z'),
+        });
+        assert.deepEqual(figureBounds(row, resumedAt, symbolResumedAt), {
+            resumedAt,
+            peakFrom: resumedAt,
+            dayStart: new Date('2024-01-03T00:00:00Z'),
+            weekStart: resumedAt,
+            symbolDayStart: symbolResumedAt,
+        });
+    });
+
+    it('read DECIMAL strings and count the losing streak from the newest trade', () => {
+        const figures = liveFigures({
+            base: '10000.00',
+            peak: null,
+            dayStartCapital: '9800.00',
+            weekStartCapital: '10000.00',
+            recentPnl: ['-10.00', '-5.50', '20.00', '-1.00'],
+            symbolDayPnl: '-42.25',
+        });
+        assert.deepEqual(figures, {
+            rulePeak: 10000,
+            dayStartCapital: 9800,
+            weekStartCapital: 10000,
+            lossStreak: 2,
+            symbolDayPnl: -42.25,
+        });
+        assert.equal(liveFigures({ ...figures, base: '10000.00', peak: '9000.00', recentPnl: [] }).rulePeak, 10000);
+        assert.equal(liveFigures({ ...figures, base: '10000.00', peak: '10500.00', recentPnl: [] }).rulePeak, 10500);
+    });
+});
+
+describe('risk rules – live check vs. replay', () => {
+    it('trip the same rules with the same values, pauses and resumes', () => {
+        const rows = logRows();
+        const live = runLive(rows);
+        const replay = runReplay(rows);
+
+        assert.deepEqual(replay, live);
+        // Every rule is covered, some pauses were lifted by hand
+        assert.deepEqual(
+            [...new Set(live.map((b) => b.rule))].sort(),
+            ['consecutive_losses', 'daily_loss', 'max_drawdown', 'symbol_daily_loss', 'weekly_loss']
+        );
+        assert.ok(live.some((b) => b.resumed_at !== null));
+    });
+
+    it('re-base the rules at a manual resume', () => {
+        const replay = runReplay(logRows());
+        const weekly = replay.filter((b) => b.rule === 'weekly_loss');
+        // Paused on Tuesday, resumed, and tripped again on Wednesday counted from the resume
+        assert.equal(weekly.length, 2);
+        assert.equal(weekly[0].resumed_at, '2024-01-02T12:00:00.000Z');
+        assert.equal(weekly[1].tripped_at, '2024-01-03T10:00:00.000Z');
+        assert.equal(weekly[1].value, parseFloat((((9150 - 8050) / 9150) * 100).toFixed(4)));
+    });
+});
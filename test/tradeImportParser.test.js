@@ -0,0 +1,191 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseImport, parseTime, parseNumber } = require('../src/services/tradeImportParser');
+
+describe('parseNumber', () => {
+    it('reads plain numbers', () => {
+        assert.equal(parseNumber('1234.5'), 1234.5);
+        assert.equal(parseNumber('-0.25'), -0.25);
+        assert.equal(parseNumber(42), 42);
+    });
+
+    it('drops thousands separators', () => {
+        assert.equal(parseNumber('1,234.5'), 1234.5);
+        assert.equal(parseNumber('12,345,678'), 12345678);
+        assert.equal(parseNumber('-1,000'), -1000);
+        assert.equal(parseNumber('1 234.5'), 1234.5);
+    });
+
+    it('reads a decimal comma', () => {
+        assert.equal(parseNumber('1234,5'), 1234.5);
+        assert.equal(parseNumber('0,75'), 0.75);
+    });
+
+    it('never reads a leading 0, as a thousands group', () => {
+        assert.equal(parseNumber('0,125'), 0.125);
+        assert.equal(parseNumber('-0,125'), -0.125);
+    });
+
+    it('reads decimal commas with dot thousands separators when asked to', () => {
+        assert.equal(parseNumber('2,500', ','), 2.5);
+        assert.equal(parseNumber('0,125', ','), 0.125);
+        assert.equal(parseNumber('1.234,5', ','), 1234.5);
+        assert.equal(parseNumber('-1.234.567', ','), -1234567);
+        assert.equal(parseNumber('42', ','), 42);
+    });
+
+    it('returns null for empty or invalid values', () => {
+        assert.equal(parseNumber(''), null);
+        assert.equal(parseNumber(null), null);
+        assert.equal(parseNumber(undefined), null);
+        assert.equal(parseNumber('abc'), null);
+    });
+});
+
+describe('parseTime', () => {
+    it('reads local times in the given zone', () => {
+        assert.equal(parseTime('2024-01-15 09:30', 'UTC').toISOString(), '2024-01-15T09:30:00.000Z');
+        assert.equal(parseTime('2024-01-15 09:30', 'America/New_York').toISOString(), '2024-01-15T14:30:00.000Z');
+        // Daylight saving time
+        assert.equal(parseTime('2024-07-15 09:30:15', 'America/New_York').toISOString(), '2024-07-15T13:30:15.000Z');
+        assert.equal(parseTime('2024-01-15', 'Europe/Berlin').toISOString(), '2024-01-14T23:00:00.000Z');
+    });
+
+    it('keeps the zone of ISO times', () => {
+        assert.equal(parseTime('2024-01-15T09:30:00Z', 'America/New_York').toISOString(), '2024-01-15T09:30:00.000Z');
+        assert.equal(parseTime('2024-01-15T09:30:00+02:00', 'UTC').toISOString(), '2024-01-15T07:30:00.000Z');
+    });
+
+    it('reads epoch seconds and milliseconds', () => {
+        assert.equal(parseTime('1705311000', 'UTC').toISOString(), '2024-01-15T09:30:00.000Z');
+        assert.equal(parseTime(1705311000000, 'UTC').toISOString(), '2024-01-15T09:30:00.000Z');
+    });
+
+    it('returns null for empty or invalid values', () => {
+        assert.equal(parseTime('', 'UTC'), null);
+        assert.equal(parseTime(null, 'UTC'), null);
+        assert.equal(parseTime('yesterday', 'UTC'), null);
+    });
+});
+
+describe('parseImport – TradingView "List of trades"', () => {
+    const csv = [
+        'Trade #,Type,Signal,Date/Time,Price USDT,Contracts,Profit USDT',
+        '1,Entry long,Long,2024-01-15 09:30,"42,000.50",0.5,',
+        '1,Exit long,Close,2024-01-15 12:00,"43,000.00",0.5,499.75',
+        '2,Exit short,Close,2024-01-16 10:00,41000,1,1000',
+        '2,Entry short,Short,2024-01-16 08:00,42000,1,',
+        '3,Entry long,Long,2024-01-17 08:00,40000,1,',
+        '3,Exit long,Open,2024-01-17 09:00,40500,1,500',
+        '4,Entry long,Long,2024-01-18 08:00,40000,1,',
+    ].join('\r\n');
+
+    const result = parseImport({ csv, symbol: 'btcusdt', timeframe: '60', tz: 'America/New_York' });
+
+    it('detects the format', () => {
+        assert.equal(result.format, 'tradingview');
+    });
+
+    it('pairs entry and exit rows by trade number, in any order', () => {
+        assert.equal(result.trades.length, 2);
+        const [first, second] = result.trades;
+
+        assert.equal(first.order_id, 'TV#1');
+        assert.equal(first.symbol, 'BTCUSDT');
+        assert.equal(first.timeframe, '60');
+        assert.equal(first.side, 'long');
+        assert.equal(first.entry_price, 42000.5);
+        assert.equal(first.exit_price, 43000);
+        assert.equal(first.quantity, 0.5);
+        assert.equal(first.entry_time.toISOString(), '2024-01-15T14:30:00.000Z');
+        assert.equal(first.exit_time.toISOString(), '2024-01-15T17:00:00.000Z');
+
+        assert.equal(second.order_id, 'TV#2');
+        assert.equal(second.side, 'short');
+        assert.equal(second.entry_time.toISOString(), '2024-01-16T13:00:00.000Z');
+        assert.equal(second.exit_time.toISOString(), '2024-01-16T15:00:00.000Z');
+    });
+
+    it('skips trades still open at export time', () => {
+        assert.deepEqual(result.skipped, [{ row: 6, reason: 'Trade #3 is still open' }]);
+    });
+
+    it('reports trades without an exit row', () => {
+        assert.deepEqual(result.errors, [{ row: 8, error: 'Trade #4 needs an entry and an exit row' }]);
+    });
+
+    it('reads semicolon-separated exports with decimal commas', () => {
+        const { trades, errors } = parseImport({
+            format: 'tradingview',
+            csv: 'Trade #;Type;Signal;Date/Time;Price USDT\n'
+                + '1;Entry short;Short;2024-01-15 09:30;1234,5\n'
+                + '1;Exit short;Close;2024-01-15 10:30;1200,25\n',
+            symbol: 'ETHUSDT',
+        });
+        assert.deepEqual(errors, []);
+        assert.equal(trades.length, 1);
+        assert.equal(trades[0].entry_price, 1234.5);
+        assert.equal(trades[0].exit_price, 1200.25);
+        assert.equal(trades[0].quantity, null);
+    });
+
+    it('reads three-digit decimal commas and dot thousands in semicolon exports', () => {
+        const { trades, errors } = parseImport({
+            csv: 'Trade #;Type;Signal;Date/Time;Price USDT;Contracts\n'
+                + '1;Entry long;Long;2024-01-15 09:30;1.234,5;0,125\n'
+                + '1;Exit long;Close;2024-01-15 10:30;2.500;0,125\n',
+            symbol: 'ETHUSDT',
+        });
+        assert.deepEqual(errors, []);
+        assert.equal(trades[0].entry_price, 1234.5);
+        assert.equal(trades[0].exit_price, 2500);
+        assert.equal(trades[0].quantity, 0.125);
+    });
+
+    it('rejects CSV without the TradingView columns', () => {
+        const { trades, errors } = parseImport({ format: 'tradingview', csv: 'a,b\n1,2\n' });
+        assert.equal(trades.length, 0);
+        assert.match(errors[0].error, /missing number, type, time, price column/);
+    });
+});
+
+describe('parseImport – generic CSV and JSON', () => {
+    it('reads generic CSV with header-based row numbers', () => {
+        const { format, trades, errors } = parseImport({
+            csv: 'symbol,side,entry_time,entry_price,exit_time,exit_price,quantity\n'
+                + 'btcusdt,buy,2024-01-15T09:30:00Z,"1,000",2024-01-15T10:30:00Z,1100,2\n'
+                + 'ETHUSDT,sideways,2024-01-15T09:30:00Z,10,2024-01-15T10:30:00Z,11,\n'
+                + 'ETHUSDT,sell,2024-01-15T11:30:00Z,10,2024-01-15T10:30:00Z,11,\n',
+        });
+        assert.equal(format, 'generic');
+        assert.equal(trades.length, 1);
+        assert.equal(trades[0].row, 2);
+        assert.equal(trades[0].symbol, 'BTCUSDT');
+        assert.equal(trades[0].side, 'long');
+        assert.equal(trades[0].entry_price, 1000);
+        assert.equal(trades[0].quantity, 2);
+        assert.deepEqual(errors, [
+            { row: 3, error: 'side must be long or short' },
+            { row: 4, error: 'exit_time is before entry_time' },
+        ]);
+    });
+
+    it('fills missing columns from the request and reads JSON rows', () => {
+        const { format, trades, errors } = parseImport({
+            trades: [
+                { side: 'short', entry_time: '2024-01-15 09:30', entry_price: '50', exit_time: '2024-01-15 10:00', exit_price: 45 },
+                'not a row',
+            ],
+            symbol: 'solusdt',
+            strategy: 'breakout',
+            tz: 'Europe/Berlin',
+        });
+        assert.equal(format, 'json');
+        assert.equal(trades.length, 1);
+        assert.equal(trades[0].symbol, 'SOLUSDT');
+        assert.equal(trades[0].strategy, 'breakout');
+        assert.equal(trades[0].entry_time.toISOString(), '2024-01-15T08:30:00.000Z');
+        assert.equal(trades[0].quantity, null);
+        assert.deepEqual(errors, [{ row: 2, error: 'row must be an object' }]);
+    });
+});